@@ -102,7 +102,7 @@ program
     if (options.clearCache) {
       const { EnhancedSessionsManager } = await loadSessionsCommand();
       const manager = new EnhancedSessionsManager();
-      manager.clearCache();
+      await manager.clearCache();
       console.log(pc.green("✓ Session cache cleared"));
       process.exit(0);
     }
@@ -3,9 +3,39 @@ import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { program } from "commander";
 import { LiveView } from "./display/live-view.js";
+import { MAX_PANELS, MultiLiveView } from "./display/multi-live-view.js";
+import type { SessionSortKey } from "./display/session-sort.js";
+import { parseSessionSortKey, SESSION_SORT_KEYS } from "./display/session-sort.js";
 import { SessionsLiveView } from "./display/sessions-live-view.js";
+import {
+  DEFAULT_STATUSLINE_TEMPLATE,
+  formatStatusLine,
+  parseStatusLinePayload,
+  readStdin,
+} from "./display/statusline.js";
 import { ContextTracker } from "./monitor/context-tracker.js";
+import { calculateUsagePercentage, detectContextWindow, parseContextWindow } from "./monitor/context-window.js";
+import type { ReportGroupBy } from "./monitor/cost-report.js";
+import {
+  formatReportCsv,
+  formatReportTable,
+  generateCostReport,
+  parseReportDate,
+  REPORT_GROUP_BY,
+} from "./monitor/cost-report.js";
 import { EnhancedSessionsManager } from "./monitor/enhanced-sessions-manager.js";
+import type { HookDefinition } from "./monitor/hooks.js";
+import { HookRunner, loadHooks } from "./monitor/hooks.js";
+import { DEFAULT_PRICING } from "./monitor/model-config.js";
+import { loadModelRegistry } from "./monitor/model-registry.js";
+import { Notifier, parseNotifyChannels, parseNotifyLevels } from "./monitor/notifier.js";
+import { filterFilesByProject, matchesProject, resolveProjectPath } from "./monitor/project-path.js";
+import { SessionCache } from "./monitor/session-cache.js";
+import type { SessionSwitch } from "./monitor/session-follower.js";
+import { formatFollowStatus, SessionFollower } from "./monitor/session-follower.js";
+import type { ReplayMessageEvent } from "./monitor/session-replay.js";
+import { parseReplaySpeed, SessionReplay } from "./monitor/session-replay.js";
+import { getShortIds, resolveSession } from "./monitor/session-resolver.js";
 import { SessionWatcher } from "./monitor/session-watcher.js";
 import { UsageCalculator } from "./monitor/usage-calculator.js";
 import type { SessionData } from "./types/index.js";
@@ -30,9 +60,9 @@ interface ContextInfo {
   remainingTokens: number;
   remainingPercentage: number;
   totalCost: number;
+  subagentCost?: number;
   turns: number;
   averageTokensPerTurn: number;
-  estimatedRemainingTurns: number;
   warningLevel: "normal" | "warning" | "severe" | "critical";
   startTime?: number | string | Date;
   lastUpdate: Date;
@@ -66,6 +96,24 @@ interface CLIOptions {
   clearCache?: boolean;
   list?: boolean;
   listLimit?: number;
+  json?: boolean;
+  format?: string;
+  project?: string;
+  group?: boolean;
+  since?: string;
+  until?: string;
+  groupBy?: string;
+  contextWindow?: string;
+  notify?: boolean | string;
+  notifyLevels?: string;
+  notifyHook?: string;
+  sort?: string;
+  reverse?: boolean;
+  allActive?: boolean;
+  follow?: boolean;
+  speed?: string;
+  maxGap?: string;
+  filter?: string;
 }
 
 interface SessionForList {
@@ -90,6 +138,7 @@ interface SessionWithContext {
   totalCost: number;
   usagePercentage: number;
   latestPrompt?: string;
+  projectPath?: string;
   autoCompact: {
     willTrigger: boolean;
     threshold: number;
@@ -107,60 +156,77 @@ class CCContextCLI {
   private tracker: ContextTracker;
   private sessionsManager: EnhancedSessionsManager;
   private view: LiveView | null;
+  private multiView: MultiLiveView | null;
   private sessionsView: SessionsLiveView | null;
   private calculator: UsageCalculator;
   private watchedSessions: Map<string, SessionWatcher>;
+  private sessionCache: SessionCache;
+  private sessionRows: Map<string, SessionWithContext>; // sessions --live の全行（表示前）
+  private hooksPath?: string;
 
   constructor() {
     this.watcher = new SessionWatcher();
     this.tracker = new ContextTracker();
     this.sessionsManager = new EnhancedSessionsManager();
     this.view = null;
+    this.multiView = null;
     this.sessionsView = null;
     this.calculator = new UsageCalculator();
     this.watchedSessions = new Map();
+    this.sessionCache = new SessionCache({ persistent: true });
+    this.sessionRows = new Map();
   }
 
   async monitorLive(options: CLIOptions): Promise<void> {
+    if (options.follow && (options.session || options.allActive)) {
+      console.error(pc.red("--follow cannot be combined with --session or --all-active"));
+      process.exit(1);
+    }
+    if (options.allActive || options.session?.includes(",")) {
+      return this.monitorMulti(options);
+    }
+
     console.log(pc.cyan("🔍 Starting Claude Code Context Monitor..."));
 
+    // Session selection processing (before UI initialization)
+    // --follow はセッションがまだなくても、書き込みが始まるのを待つ
+    let sessionToMonitor: ActiveSession | null;
+    let notifier: Notifier | null;
+    let hooks: HookDefinition[];
     try {
-      let sessionToMonitor: ActiveSession | null;
-
-      // Session selection processing (before UI initialization)
-      if (options.session) {
-        // Resolve specified session ID or sequence number
-        const resolvedSessionId = await this.resolveSessionIdentifier(options.session);
-
-        // Search for session file
-        const files = await this.watcher.getAllJsonlFiles();
-        const sessionFile = files.find((f) => path.basename(f, ".jsonl") === resolvedSessionId);
-
-        if (!sessionFile) {
-          console.error(pc.red(`Session not found: ${options.session}`));
-          process.exit(1);
-        }
-
-        sessionToMonitor = {
-          sessionId: resolvedSessionId,
-          filePath: sessionFile,
-        };
+      notifier = this.createNotifier(options);
+      hooks = loadHooks(this.hooksPath);
+      if (options.follow) {
+        sessionToMonitor = options.project
+          ? await this.findActiveSessionInProject(options.project)
+          : await this.watcher.findActiveSession();
       } else {
-        // Search for active session
-        sessionToMonitor = await this.watcher.findActiveSession();
-
-        if (!sessionToMonitor) {
-          console.error(pc.red("No active Claude Code sessions found."));
-          process.exit(1);
-        }
+        sessionToMonitor = await this.resolveSessionToMonitor(options.session, options.project);
+      }
+      if (sessionToMonitor) {
+        this.applyContextWindowOverride(sessionToMonitor.sessionId, options.contextWindow);
       }
+    } catch (error) {
+      console.error(pc.red((error as Error).message));
+      process.exit(1);
+    }
 
-      console.log(pc.green(`✓ Found session: ${sessionToMonitor.sessionId}`));
+    try {
+      if (sessionToMonitor) {
+        console.log(pc.green(`✓ Found session: ${sessionToMonitor.sessionId}`));
+      }
 
       // Initialize live view after session resolution
       this.view = new LiveView();
       this.view.init();
-      this.view.showMessage(`Monitoring session: ${sessionToMonitor.sessionId}`);
+      if (sessionToMonitor) {
+        this.view.showMessage(`Monitoring session: ${sessionToMonitor.sessionId}`);
+      }
+
+      // 警告レベルの上昇とコンパクトを通知
+      notifier?.attach(this.tracker, this.watcher);
+      const hookRunner = this.createHookRunner(hooks, (message) => this.view?.showError(message));
+      hookRunner?.attach(this.watcher, this.tracker);
 
       // Setup event handlers
       this.watcher.on("session-data", (sessionData: SessionData) => {
@@ -184,7 +250,15 @@ class CCContextCLI {
       });
 
       // Start session monitoring
-      await this.watcher.watchSession(sessionToMonitor.sessionId, sessionToMonitor.filePath);
+      if (sessionToMonitor) {
+        await this.watcher.watchSession(sessionToMonitor.sessionId, sessionToMonitor.filePath);
+      }
+      if (options.follow) {
+        await this.followActiveSession(sessionToMonitor, options);
+      } else if (hookRunner) {
+        // session-added / session-removed のフックはディレクトリ監視から発行される
+        await this.watcher.startDirectoryWatch();
+      }
 
       // Cleanup on process exit
       process.on("SIGINT", () => this.cleanup());
@@ -196,53 +270,396 @@ class CCContextCLI {
     }
   }
 
-  async showSessions(options: CLIOptions): Promise<void> {
-    console.log(pc.cyan("🔍 Loading Claude Code Sessions..."));
+  /**
+   * --follow: 別のセッションに書き込みがあれば、そちらに監視を切り替えてヘッダーに表示する
+   */
+  private async followActiveSession(current: ActiveSession | null, options: CLIOptions): Promise<void> {
+    const follower = new SessionFollower({ current, project: options.project });
+    this.view?.setHeaderNote(formatFollowStatus(current));
+
+    // 切り替えは順に行う（前の読み込みが終わる前に次の書き込みが来ることがある）
+    let switching = Promise.resolve();
+    follower.on("switch", (change: SessionSwitch) => {
+      switching = switching.then(async () => {
+        if (change.from) {
+          this.watcher.stopWatching(change.from.sessionId);
+        }
+        this.applyContextWindowOverride(change.to.sessionId, options.contextWindow);
+        this.view?.setHeaderNote(formatFollowStatus(change.to, change));
+        try {
+          await this.watcher.watchSession(change.to.sessionId, change.to.filePath);
+        } catch (error) {
+          this.view?.showError(`Failed to follow session ${change.to.sessionId}: ${(error as Error).message}`);
+        }
+      });
+    });
 
-    // Initialize live view
-    this.sessionsView = new SessionsLiveView();
-    this.sessionsView.init();
+    follower.attach(this.watcher);
+    await this.watcher.startDirectoryWatch();
+  }
 
+  /**
+   * 複数のセッションを分割表示で監視する（--session 1,2,3 / --all-active）
+   * セッションごとに SessionWatcher を作り、同じトラッカーで集計する
+   */
+  private async monitorMulti(options: CLIOptions): Promise<void> {
+    console.log(pc.cyan("🔍 Starting Claude Code Context Monitor..."));
+
+    let sessions: ActiveSession[];
+    let notifier: Notifier | null;
+    let hooks: HookDefinition[];
     try {
-      const files = await this.watcher.getAllJsonlFiles();
-      const sessions: SessionWithContext[] = [];
+      notifier = this.createNotifier(options);
+      hooks = loadHooks(this.hooksPath);
+      sessions = await this.resolveSessionsToMonitor(options);
+      for (const session of sessions) {
+        this.applyContextWindowOverride(session.sessionId, options.contextWindow);
+      }
+    } catch (error) {
+      console.error(pc.red((error as Error).message));
+      process.exit(1);
+    }
 
-      // Collect information for each session file
-      for (const file of files) {
-        const sessionId = path.basename(file, ".jsonl");
-        const stats = await fs.promises.stat(file);
+    try {
+      console.log(pc.green(`✓ Found ${sessions.length} sessions`));
 
-        // monitor --liveと同じ方法でセッションデータを読み込む
-        const tempWatcher = new SessionWatcher();
+      const shortIds = getShortIds(sessions.map((session) => session.sessionId));
+      // --all-active で枠に収まらない分（更新の古いもの）は監視しない
+      const hidden = sessions.slice(MAX_PANELS).map((session) => shortIds.get(session.sessionId) ?? session.sessionId);
+      if (hidden.length > 0) {
+        console.log(pc.yellow(`Showing the ${MAX_PANELS} most recent sessions; not shown: ${hidden.join(", ")}`));
+      }
+
+      this.multiView = new MultiLiveView();
+      this.multiView.init(
+        sessions.map((session) => ({
+          sessionId: session.sessionId,
+          shortId: shortIds.get(session.sessionId),
+          title: `${shortIds.get(session.sessionId) ?? session.sessionId} ${path.basename(resolveProjectPath(session.filePath))}`,
+        })),
+      );
+
+      // 表示できる枠の分だけ監視する
+      const watchers = sessions.slice(0, MAX_PANELS).map((session) => {
+        const sessionWatcher = new SessionWatcher();
+        this.watchedSessions.set(session.sessionId, sessionWatcher);
+        return { session, sessionWatcher };
+      });
+
+      notifier?.attach(this.tracker, ...watchers.map(({ sessionWatcher }) => sessionWatcher));
+      const hookRunner = this.createHookRunner(hooks, (message) => this.multiView?.showError(message));
+      hookRunner?.attach(this.tracker, ...watchers.map(({ sessionWatcher }) => sessionWatcher));
+
+      for (const { session, sessionWatcher } of watchers) {
+        sessionWatcher.on("session-data", (sessionData: SessionData) => {
+          this.multiView?.updateContextInfo(this.tracker.updateSession(sessionData));
+        });
 
-        let sessionData: SessionData | null = null;
-        tempWatcher.once("session-data", (data: SessionData) => {
-          sessionData = data;
+        sessionWatcher.on("message", ({ sessionData }: { sessionData: SessionData }) => {
+          this.multiView?.updateContextInfo(this.tracker.updateSession(sessionData));
         });
 
-        await tempWatcher.readExistingData(sessionId, file, false);
+        sessionWatcher.on("error", ({ sessionId, error }: { sessionId: string; error: Error }) => {
+          this.multiView?.showError(`Error in session ${sessionId}: ${error.message}`);
+        });
 
-        if (sessionData) {
-          const contextInfo = this.tracker.updateSession(sessionData);
-          const safeSessionData = sessionData as SessionData; // TypeScript 非同期パターン対応
+        await sessionWatcher.watchSession(session.sessionId, session.filePath);
+      }
 
-          sessions.push({
-            sessionId,
-            file,
-            lastModified: stats.mtime,
-            size: stats.size,
-            model: safeSessionData.model || "unknown",
-            modelName: contextInfo.modelName,
-            turns: safeSessionData.turns || 0,
-            totalTokens: safeSessionData.totalTokens || 0,
-            totalCost: contextInfo.totalCost,
-            usagePercentage: contextInfo.usagePercentage,
-            latestPrompt: safeSessionData.latestPrompt,
-            autoCompact: contextInfo.autoCompact,
-          });
-        }
+      // session-added / session-removed のフックはディレクトリ監視から発行される
+      if (hookRunner) {
+        hookRunner.attach(this.watcher);
+        await this.watcher.startDirectoryWatch();
       }
 
+      process.on("SIGINT", () => this.cleanup());
+      process.on("SIGTERM", () => this.cleanup());
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      this.cleanup();
+      process.exit(1);
+    }
+  }
+
+  /**
+   * --session a,b,c のそれぞれ、または --all-active で最近更新されたセッション（重複は除く）
+   */
+  async resolveSessionsToMonitor(options: CLIOptions): Promise<ActiveSession[]> {
+    if (options.allActive) {
+      const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), options.project);
+      const since = Date.now() - ACTIVE_SESSION_WINDOW_MS;
+      const active: ActiveSession[] = [];
+      for (const file of await this.getSortedFilesByMtime(files)) {
+        const stats = await fs.promises.stat(file);
+        if (stats.mtimeMs < since) break;
+        active.push({ sessionId: path.basename(file, ".jsonl"), filePath: file });
+      }
+      if (active.length === 0) {
+        throw new Error(
+          options.project
+            ? `No sessions updated in the last hour for project: ${options.project}`
+            : "No sessions updated in the last hour.",
+        );
+      }
+      return active;
+    }
+
+    const identifiers = (options.session ?? "")
+      .split(",")
+      .map((identifier) => identifier.trim())
+      .filter(Boolean);
+    const sessions = new Map<string, ActiveSession>();
+    for (const identifier of identifiers) {
+      const session = await this.resolveSessionIdentifier(identifier, options.project);
+      sessions.set(session.sessionId, session);
+    }
+    if (sessions.size === 0) {
+      throw new Error("No sessions given. Use --session 1,2,3 or --all-active");
+    }
+    if (sessions.size > MAX_PANELS) {
+      throw new Error(`--session lists ${sessions.size} sessions; at most ${MAX_PANELS} can be shown at once`);
+    }
+    return [...sessions.values()];
+  }
+
+  async showStatus(options: CLIOptions): Promise<void> {
+    try {
+      const session = await this.resolveSessionToMonitor(options.session, options.project);
+      this.applyContextWindowOverride(session.sessionId, options.contextWindow);
+
+      // Read the transcript once, the same way monitor --live does on startup
+      await this.watcher.readExistingData(session.sessionId, session.filePath, false);
+      const sessionData = this.watcher.getSessionData(session.sessionId);
+      if (!sessionData) {
+        throw new Error(`Failed to read session: ${session.sessionId}`);
+      }
+
+      const contextInfo = this.tracker.updateSession(sessionData);
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(contextInfo, null, 2)}\n`);
+      } else {
+        process.stdout.write(`${this.formatStatus(contextInfo)}\n`);
+      }
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exitCode = 1;
+    } finally {
+      // Stop the watchers' cleanup timers so the process can exit on its own
+      this.watcher.stopAll();
+      this.sessionsManager.destroy();
+    }
+  }
+
+  async showStatusLine(options: CLIOptions): Promise<void> {
+    try {
+      const payload = parseStatusLinePayload(await readStdin());
+      this.applyContextWindowOverride(payload.sessionId, options.contextWindow);
+
+      let sessionData: SessionData | null = null;
+      if (fs.existsSync(payload.transcriptPath)) {
+        await this.watcher.readExistingData(payload.sessionId, payload.transcriptPath, false);
+        sessionData = this.watcher.getSessionData(payload.sessionId);
+      }
+
+      // A brand-new session has no transcript yet
+      const data: SessionData = sessionData ?? {
+        sessionId: payload.sessionId,
+        model: "unknown",
+        messages: [],
+        totalTokens: 0,
+        turns: 0,
+      };
+      if ((!data.model || data.model === "unknown") && payload.modelId) {
+        data.model = payload.modelId;
+      }
+
+      const contextInfo = this.tracker.updateSession(data);
+      if (contextInfo.modelName === DEFAULT_PRICING.name && payload.modelDisplayName) {
+        contextInfo.modelName = payload.modelDisplayName;
+      }
+
+      const template = options.format || process.env.CCCONTEXT_STATUSLINE_FORMAT || DEFAULT_STATUSLINE_TEMPLATE;
+      process.stdout.write(`${formatStatusLine(contextInfo, template)}\n`);
+    } catch (error) {
+      console.error(`cccontext: ${(error as Error).message}`);
+      process.exitCode = 1;
+    } finally {
+      this.watcher.stopAll();
+      this.sessionsManager.destroy();
+    }
+  }
+
+  async showReport(options: CLIOptions): Promise<void> {
+    try {
+      const groupBy = (options.groupBy || "day") as ReportGroupBy;
+      if (!REPORT_GROUP_BY.includes(groupBy)) {
+        throw new Error(`Invalid --group-by: ${options.groupBy}. Use ${REPORT_GROUP_BY.join(", ")}`);
+      }
+      const format = options.format || "table";
+      if (!["table", "csv", "json"].includes(format)) {
+        throw new Error(`Invalid --format: ${format}. Use table, csv or json`);
+      }
+
+      const since = parseReportDate(options.since || "7d");
+      const untilDay = parseReportDate(options.until || "today");
+      // --until はその日の終わりまでを含む
+      const until = new Date(untilDay.getFullYear(), untilDay.getMonth(), untilDay.getDate() + 1);
+      if (since >= until) {
+        throw new Error("--since must be on or before --until");
+      }
+
+      const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), options.project);
+      const report = await generateCostReport(files, { since, until, groupBy });
+
+      if (format === "json") {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      } else if (format === "csv") {
+        process.stdout.write(`${formatReportCsv(report)}\n`);
+      } else {
+        process.stdout.write(`${formatReportTable(report)}\n`);
+      }
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exitCode = 1;
+    } finally {
+      this.watcher.stopAll();
+      this.sessionsManager.destroy();
+    }
+  }
+
+  /**
+   * 既存のトランスクリプトを元の間隔で LiveView に流し直す
+   */
+  async replaySession(identifier: string, options: CLIOptions): Promise<void> {
+    let session: ActiveSession;
+    let speed: number;
+    let maxGapMs: number;
+    try {
+      speed = parseReplaySpeed(options.speed || "1x");
+      const maxGap = Number(options.maxGap ?? "10");
+      if (!Number.isFinite(maxGap) || maxGap < 0) {
+        throw new Error(`Invalid --max-gap: ${options.maxGap}. Use a number of seconds`);
+      }
+      maxGapMs = maxGap * 1000;
+      session = await this.resolveReplaySource(identifier, options.project);
+      this.applyContextWindowOverride(session.sessionId, options.contextWindow);
+    } catch (error) {
+      console.error(pc.red((error as Error).message));
+      process.exit(1);
+    }
+
+    const replay = new SessionReplay(this.watcher, { speed, maxGapMs });
+    const label = `Replay ${speed}x · ${session.sessionId.slice(0, 8)}`;
+    let clock: number | null = null;
+
+    this.view = new LiveView();
+    this.view.init();
+    this.view.setClock(() => clock ?? Date.now());
+    this.view.setHeaderNote(`${label} · starting...`);
+
+    replay.on("message", ({ sessionData, lines, timestamp }: ReplayMessageEvent) => {
+      if (timestamp) clock = timestamp.getTime();
+      const time = timestamp ? ` · ${timestamp.toLocaleString("en-GB", { hour12: false })}` : "";
+      this.view?.setHeaderNote(`${label}${time} · line ${lines}`);
+      this.view?.updateContextInfo(this.tracker.updateSession(sessionData));
+    });
+
+    process.on("SIGINT", () => this.cleanup());
+    process.on("SIGTERM", () => this.cleanup());
+
+    try {
+      const sessionData = await replay.run(session.sessionId, session.filePath);
+      this.view.setHeaderNote(`${label} · finished after ${sessionData.turns} turns (q to exit)`);
+    } catch (error) {
+      this.view.showError(`Replay failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * replay の対象: .jsonl ファイルのパス、または -s と同じ指定
+   */
+  private async resolveReplaySource(identifier: string, project?: string): Promise<ActiveSession> {
+    if (identifier.endsWith(".jsonl") && fs.existsSync(identifier)) {
+      return { sessionId: path.basename(identifier, ".jsonl"), filePath: path.resolve(identifier) };
+    }
+    return this.resolveSessionIdentifier(identifier, project);
+  }
+
+  /**
+   * hooks.json（または --hooks）の場所
+   */
+  setHooksPath(filePath?: string): void {
+    this.hooksPath = filePath;
+  }
+
+  /**
+   * フックが設定されていれば実行役を作る（失敗は画面にエラーとして出す）
+   */
+  private createHookRunner(hooks: HookDefinition[], showError: (message: string) => void): HookRunner | null {
+    if (hooks.length === 0) return null;
+    return new HookRunner(hooks, {
+      onError: (error) => showError(`Hook failed: ${error.message}`),
+    });
+  }
+
+  /**
+   * --notify / --notify-levels / --notify-hook から通知を設定する（どれも指定がなければ null）
+   */
+  private createNotifier(options: CLIOptions): Notifier | null {
+    if (!options.notify && !options.notifyHook) {
+      if (options.notifyLevels) {
+        throw new Error("--notify-levels needs --notify or --notify-hook to send notifications");
+      }
+      return null;
+    }
+
+    const levels = options.notifyLevels ? parseNotifyLevels(options.notifyLevels) : null;
+
+    return new Notifier({
+      channels:
+        typeof options.notify === "string" ? parseNotifyChannels(options.notify) : options.notify ? ["bell"] : [],
+      events: levels?.events,
+      thresholds: levels?.thresholds,
+      hook: options.notifyHook,
+    });
+  }
+
+  /**
+   * --context-window が指定されていれば、そのセッションのウィンドウ判定を上書きする
+   */
+  private applyContextWindowOverride(sessionId: string, value?: string): void {
+    if (value) {
+      this.tracker.setContextWindowOverride(sessionId, parseContextWindow(value));
+    }
+  }
+
+  private formatStatus(info: ContextInfo): string {
+    const formatted = this.tracker.formatContextInfo(info);
+    const autoCompact =
+      info.autoCompact.remainingPercentage > 0 ? `${info.autoCompact.remainingPercentage}%` : "ACTIVE";
+
+    return [
+      `Session:      ${formatted.session}`,
+      `Model:        ${formatted.model}`,
+      `Usage:        ${formatted.usage} (${formatted.tokens})`,
+      `Remaining:    ${formatted.remaining}`,
+      `Auto-compact: ${autoCompact}`,
+      `Cost:         ${formatted.cost}`,
+      `Turns:        ${formatted.turns}`,
+    ].join("\n");
+  }
+
+  async showSessions(options: CLIOptions): Promise<void> {
+    console.log(pc.cyan("🔍 Loading Claude Code Sessions..."));
+
+    // Initialize live view
+    this.sessionsView = this.createSessionsView(options);
+
+    try {
+      const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), options.project);
+      const sessions = await this.loadSessionRows(files, !options.project);
+
       // Sort by last update time
       sessions.sort((a, b) => {
         const aTime = a.lastModified instanceof Date ? a.lastModified.getTime() : a.lastModified;
@@ -258,12 +675,8 @@ class CCContextCLI {
         });
       }
 
-      // Limit number of displayed items
-      const limit = parseInt(String(options.limit || 10), 10);
-      const displaySessions = sessions.slice(0, limit);
-
-      // SessionsLiveViewで表示
-      this.sessionsView.updateSessions(displaySessions);
+      // SessionsLiveViewで表示（--limit は絞り込み・並べ替えの後にビューがかける）
+      this.sessionsView.updateSessions(sessions);
 
       // Cleanup on process exit
       process.on("SIGINT", () => {
@@ -385,46 +798,59 @@ class CCContextCLI {
   //   return `$${safeCost.toFixed(2)}`;
   // }
 
-  async resolveSessionIdentifier(identifier: string): Promise<string> {
-    // Accept only numeric values
-    if (!/^\d+$/.test(identifier)) {
-      throw new Error(`Invalid session number: ${identifier}. Please specify a number from the list.`);
+  /**
+   * Resolve the session to attach to: the given identifier, or the most recently active session
+   */
+  async resolveSessionToMonitor(identifier?: string, project?: string): Promise<ActiveSession> {
+    if (!identifier) {
+      const activeSession = project
+        ? await this.findActiveSessionInProject(project)
+        : await this.watcher.findActiveSession();
+      if (!activeSession) {
+        throw new Error(
+          project ? `No Claude Code sessions found for project: ${project}` : "No active Claude Code sessions found.",
+        );
+      }
+      return activeSession;
     }
 
-    const position = parseInt(identifier, 10);
-    const files = await this.watcher.getAllJsonlFiles();
+    // Resolve specified session ID, project, alias or sequence number
+    return this.resolveSessionIdentifier(identifier, project);
+  }
+
+  /**
+   * Most recently updated session within a project
+   */
+  private async findActiveSessionInProject(project: string): Promise<ActiveSession | null> {
+    const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), project);
+    const [latestFile] = await this.getSortedFilesByMtime(files);
+    if (!latestFile) return null;
+    return { sessionId: path.basename(latestFile, ".jsonl"), filePath: latestFile };
+  }
+
+  /**
+   * Resolve -s: a number from the list, a session id or unique prefix, a project name, latest or latest@<project>
+   */
+  async resolveSessionIdentifier(identifier: string, project?: string): Promise<ActiveSession> {
+    // Numbers follow the same (optionally project-filtered) list that `sessions` shows
+    const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), project);
 
     // Sort files by last update time (newest first)
     const sortedFiles = await this.getSortedFilesByMtime(files);
+    const sessions = sortedFiles.map((file) => ({ sessionId: path.basename(file, ".jsonl"), filePath: file }));
+
+    const selected = resolveSession(identifier, sessions);
 
     // Debug logging (only when DEBUG environment variable is set)
     if (process.env.DEBUG) {
       console.error(pc.yellow(`\n[Session Selection Debug]`));
       console.error(pc.gray(`  Total files found: ${sortedFiles.length}`));
-      console.error(pc.gray(`  Requested position: ${position}`));
-      console.error(pc.gray(`  Available sessions (newest first):`));
-      sortedFiles.slice(0, Math.min(10, sortedFiles.length)).forEach((file, idx) => {
-        const sessionId = path.basename(file, ".jsonl");
-        const stats = fs.statSync(file);
-        const timeStr = stats.mtime.toISOString().slice(0, 19).replace("T", " ");
-        const selected = idx + 1 === position ? pc.green(" <-- SELECTED") : "";
-        console.error(pc.gray(`    ${idx + 1}. ${sessionId} (${timeStr})${selected}`));
-      });
+      console.error(pc.gray(`  Requested session: ${identifier}`));
+      console.error(pc.gray(`  Selected session: ${selected.sessionId}`));
       console.error("");
     }
 
-    if (position > 0 && position <= sortedFiles.length) {
-      const selectedFile = sortedFiles[position - 1];
-      const selectedSessionId = path.basename(selectedFile ?? "", ".jsonl");
-
-      if (process.env.DEBUG) {
-        console.log(pc.gray(`[DEBUG] Selected session: ${selectedSessionId}`));
-      }
-
-      return selectedSessionId;
-    } else {
-      throw new Error(`Invalid session number: ${position}. Valid range is 1-${sortedFiles.length}`);
-    }
+    return selected;
   }
 
   async listSessionsForSelection(options: { limit?: number } = {}): Promise<void> {
@@ -433,34 +859,26 @@ class CCContextCLI {
       const sessions: SessionForList[] = [];
       const limit = parseInt(String(options.limit || 20), 10);
 
-      // Collect information for each session file
+      // Collect information for each session file (unchanged transcripts come from the index)
+      await this.sessionCache.loadIndex();
+      this.sessionCache.pruneMissing(files);
       for (const file of files) {
-        const sessionId = path.basename(file, ".jsonl");
         const stats = await fs.promises.stat(file);
-
-        // Load session data
-        const tempWatcher = new SessionWatcher();
-
-        let sessionData: SessionData | null = null;
-        tempWatcher.once("session-data", (data: SessionData) => {
-          sessionData = data;
-        });
-
-        await tempWatcher.readExistingData(sessionId, file, false);
+        const sessionData = await this.sessionCache.parseAndCacheSession(file);
 
         if (sessionData) {
-          const safeSessionData = sessionData as SessionData; // TypeScript 非同期パターン対応
           sessions.push({
-            sessionId,
+            sessionId: sessionData.sessionId,
             file,
             lastModified: stats.mtime,
-            model: safeSessionData.model || "unknown",
-            turns: safeSessionData.turns || 0,
-            totalTokens: safeSessionData.totalTokens || 0,
-            latestPrompt: safeSessionData.latestPrompt,
+            model: sessionData.model,
+            turns: sessionData.turns,
+            totalTokens: sessionData.contextTokens ?? sessionData.totalTokens,
+            latestPrompt: sessionData.latestPrompt,
           });
         }
       }
+      await this.sessionCache.saveIndex();
 
       // Sort by last update time（降順）
       sessions.sort((a, b) => {
@@ -482,15 +900,24 @@ class CCContextCLI {
         process.exit(0);
       }
 
+      // Limit number of displayed items
+      const displaySessions = sessions.slice(0, limit);
+      // -s に渡せる短縮ID（全セッションの中で一意）
+      const shortIds = getShortIds(sessions.map((session) => session.sessionId));
+      const idWidth = Math.max(
+        "Session".length,
+        ...displaySessions.map((session) => shortIds.get(session.sessionId)?.length ?? 0),
+      );
+
       console.log(pc.cyan("\nActive Sessions"));
       console.log(pc.gray("━".repeat(100)));
 
       // Header row
       console.log(
         pc.gray("No.") +
-          "  " +
-          pc.gray("Session ID") +
-          "  " +
+          " " +
+          pc.gray("Session".padEnd(idWidth)) +
+          " " +
           pc.gray("Usage") +
           "           " +
           pc.gray("Model") +
@@ -503,21 +930,18 @@ class CCContextCLI {
       );
       console.log(pc.gray("━".repeat(100)));
 
-      // Limit number of displayed items
-      const displaySessions = sessions.slice(0, limit);
-
       displaySessions.forEach((session, index) => {
         const age = this.formatAge(session.lastModified);
         const modelName = this.calculator.getModelName(session.model);
-        const contextWindow = this.tracker.getContextWindow(session.model);
-        const usage = (session.totalTokens / contextWindow) * 100;
+        const contextWindow = detectContextWindow(session.model, { peakTokens: session.totalTokens }).size;
+        const usage = calculateUsagePercentage(session.totalTokens, contextWindow);
         const formattedPrompt = session.latestPrompt ? this.formatPromptForList(session.latestPrompt) : "";
 
         // Number (3 characters)
         const num = pc.yellow((index + 1).toString().padEnd(3));
 
-        // Session ID (10 characters)
-        const sessionId = pc.white(session.sessionId);
+        // Short session ID (8 characters or more when needed to stay unique)
+        const sessionId = pc.white((shortIds.get(session.sessionId) ?? session.sessionId).padEnd(idWidth));
 
         // Usage rate and progress bar (15 characters)
         const progressBar = this.createMiniProgressBar(usage);
@@ -544,7 +968,9 @@ class CCContextCLI {
       } else {
         console.log(pc.gray(`Total sessions: ${sessions.length}`));
       }
-      console.log(pc.gray("\nUsage: cccontext -s <number>"));
+      console.log(
+        pc.gray("\nUsage: cccontext monitor -s <session> (a session id above, a number, a project name or latest)"),
+      );
     } catch (error) {
       console.error(pc.red(`Error: ${(error as Error).message}`));
       process.exit(1);
@@ -557,7 +983,7 @@ class CCContextCLI {
 
       // EnhancedSessionsManagerを使用してキャッシュをクリア
       const manager = new EnhancedSessionsManager();
-      manager.clearCache();
+      await manager.clearCache();
       console.log(pc.green("✅ Session cache cleared successfully"));
 
       process.exit(0);
@@ -570,86 +996,49 @@ class CCContextCLI {
   async showSessionsLive(options: CLIOptions): Promise<void> {
     console.log(pc.cyan("🔍 Starting Claude Code Sessions Monitor..."));
 
+    let hooks: HookDefinition[];
+    try {
+      hooks = loadHooks(this.hooksPath);
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exit(1);
+    }
+
     // Initialize live view
-    this.sessionsView = new SessionsLiveView();
-    this.sessionsView.init();
+    this.sessionsView = this.createSessionsView(options);
+    // 行の読み込みでトラッカーが "update" を発行するので、threshold-changed もここで拾える
+    this.createHookRunner(hooks, (message) => this.sessionsView?.showError(message))?.attach(
+      this.watcher,
+      this.tracker,
+    );
 
     try {
       // Get all session files
-      const files = await this.watcher.getAllJsonlFiles();
-      const limit = parseInt(String(options.limit), 10);
-
-      // Process from newest files first
-      const sortedFiles = await this.getSortedFilesByMtime(files);
-      const filesToWatch = sortedFiles.slice(0, limit);
-
-      // Initial session list
-      const sessions: SessionWithContext[] = [];
-
-      // Start watchSession for each session
-      for (const file of filesToWatch) {
-        const sessionId = path.basename(file, ".jsonl");
-        const stats = await fs.promises.stat(file);
-
-        // Create individual SessionWatcher instance
-        const sessionWatcher = new SessionWatcher();
-
-        // Setup event handlers
-        sessionWatcher.on("session-data", (sessionData: SessionData) => {
-          const contextInfo = this.tracker.updateSession(sessionData);
-          this.updateSessionInView(sessionId, sessionData, contextInfo, stats.mtime);
-        });
-
-        sessionWatcher.on("message", ({ sessionData }: { sessionData: SessionData }) => {
-          const contextInfo = this.tracker.updateSession(sessionData);
-          this.updateSessionInView(sessionId, sessionData, contextInfo, new Date());
-        });
-
-        sessionWatcher.on("error", ({ error }: { error: Error }) => {
-          if (options.debug) {
-            console.error(`[DEBUG] Error in session ${sessionId}: ${error.message}`);
-          }
-        });
-
-        // watchSessionを開始
-        await sessionWatcher.watchSession(sessionId, file);
-        this.watchedSessions.set(sessionId, sessionWatcher);
-
-        // Get initial data and add to session list
-        const sessionData = sessionWatcher.getSessionData(sessionId);
-        if (sessionData) {
-          const contextInfo = this.tracker.updateSession(sessionData);
-          sessions.push({
-            sessionId,
-            file,
-            lastModified: stats.mtime,
-            size: stats.size,
-            model: sessionData.model,
-            modelName: contextInfo.modelName,
-            turns: sessionData.turns,
-            totalTokens: sessionData.totalTokens,
-            totalCost: contextInfo.totalCost,
-            usagePercentage: contextInfo.usagePercentage,
-            latestPrompt: sessionData.latestPrompt,
-            autoCompact: contextInfo.autoCompact,
-          });
-        }
-      }
+      const files = filterFilesByProject(await this.watcher.getAllJsonlFiles(), options.project);
 
       // Initial display
-      if (this.sessionsView) {
-        this.sessionsView.updateSessions(sessions);
+      for (const session of await this.loadSessionRows(files, !options.project)) {
+        this.sessionRows.set(session.sessionId, session);
       }
+      this.showSessionRows();
 
-      // Directory monitoring (for adding/removing new sessions)
+      // Directory monitoring: the cache re-parses only what was appended to a changed file
       await this.watcher.startDirectoryWatch();
 
-      this.watcher.on("session-added", async ({ sessionId, filePath }: { sessionId: string; filePath: string }) => {
-        await this.addSessionWatch(sessionId, filePath, options);
-      });
+      const refresh = async ({ filePath }: { sessionId: string; filePath: string }) => {
+        if (options.project && !matchesProject(filePath, options.project)) return;
+        const session = await this.loadSessionRow(filePath);
+        if (session) {
+          this.sessionRows.set(session.sessionId, session);
+          this.showSessionRows();
+        }
+      };
+      this.watcher.on("session-added", refresh);
+      this.watcher.on("session-updated", refresh);
 
-      this.watcher.on("session-removed", ({ sessionId }: { sessionId: string }) => {
-        this.removeSessionWatch(sessionId);
+      this.watcher.on("session-removed", ({ sessionId, filePath }: { sessionId: string; filePath: string }) => {
+        this.sessionCache.clearSession(filePath);
+        if (this.sessionRows.delete(sessionId)) this.showSessionRows();
       });
 
       // Cleanup on process exit
@@ -673,9 +1062,17 @@ class CCContextCLI {
       console.log(pc.yellow("🐛 Debug mode enabled"));
     }
 
+    let hooks: HookDefinition[];
+    try {
+      hooks = loadHooks(this.hooksPath);
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exit(1);
+    }
+
     // Initialize live view
-    this.sessionsView = new SessionsLiveView();
-    this.sessionsView.init();
+    this.sessionsView = this.createSessionsView(options);
+    this.createHookRunner(hooks, (message) => this.sessionsView?.showError(message))?.attach(this.sessionsManager);
 
     try {
       // Setup event listeners first
@@ -685,28 +1082,24 @@ class CCContextCLI {
           console.error(`[CLI] Sessions loaded event received: ${sessions.length} sessions`);
         }
 
-        const limit = parseInt(String(options.limit || 20), 10);
-        const displaySessions = sessions.slice(0, limit);
-
+        // --limit はビューが絞り込み・並べ替えの後にかける
         if (debugMode) {
-          console.error(`[CLI] Updating view with ${displaySessions.length} sessions`);
-          if (displaySessions.length > 0) {
-            console.error(`[CLI] First session sample:`, JSON.stringify(displaySessions[0], null, 2));
+          console.error(`[CLI] Updating view with ${sessions.length} sessions`);
+          if (sessions.length > 0) {
+            console.error(`[CLI] First session sample:`, JSON.stringify(sessions[0], null, 2));
           }
         }
 
         if (this.sessionsView) {
-          this.sessionsView.updateSessions(displaySessions);
+          this.sessionsView.updateSessions(sessions);
           this.sessionsView.render();
         }
       });
 
       // Session update event (real-time)
       this.sessionsManager.on("sessions-updated", (sessions: SessionWithContext[]) => {
-        const limit = parseInt(String(options.limit || 20), 10);
-        const displaySessions = sessions.slice(0, limit);
         if (this.sessionsView) {
-          this.sessionsView.updateSessions(displaySessions);
+          this.sessionsView.updateSessions(sessions);
         }
 
         if (debugMode) {
@@ -736,6 +1129,68 @@ class CCContextCLI {
     }
   }
 
+  /**
+   * sessions の一覧ビューを作る（--sort の誤りは画面を開く前に報告する）
+   */
+  private createSessionsView(options: CLIOptions): SessionsLiveView {
+    let sort: SessionSortKey | undefined;
+    try {
+      sort = options.sort ? parseSessionSortKey(options.sort) : undefined;
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exit(1);
+    }
+
+    const view = new SessionsLiveView({
+      grouped: options.group,
+      sort,
+      reverse: options.reverse,
+      filter: options.filter,
+      limit: options.limit ? parseInt(String(options.limit), 10) : undefined,
+    });
+    view.init();
+    view.setDetailOpener((session, detail) => this.watchSessionDetail(session, detail));
+    return view;
+  }
+
+  /**
+   * 一覧から開いたセッションの詳細を monitor と同じように監視する
+   * 戻り値は一覧に戻る時の後始末
+   */
+  private watchSessionDetail(session: SessionData, view: LiveView): () => void {
+    const detailWatcher = new SessionWatcher();
+    const update = (sessionData: SessionData) => view.updateContextInfo(this.tracker.updateSession(sessionData));
+
+    detailWatcher.on("session-data", update);
+    detailWatcher.on("message", ({ sessionData }: { sessionData: SessionData }) => update(sessionData));
+    detailWatcher.on("error", ({ error }: { error: Error }) => {
+      view.showError(`Error in session ${session.sessionId}: ${error.message}`);
+    });
+
+    let closed = false;
+    const filePath = session.file ?? session.filePath;
+    if (filePath) {
+      view.showMessage(`Monitoring session: ${session.sessionId}`);
+      detailWatcher
+        .watchSession(session.sessionId, filePath)
+        .then(() => {
+          // 読み込み中に一覧へ戻った場合
+          if (closed) detailWatcher.stopAll();
+        })
+        .catch((error: Error) => {
+          if (!closed) view.showError(`Error in session ${session.sessionId}: ${error.message}`);
+        });
+    } else {
+      view.showError(`Transcript not found for session ${session.sessionId}`);
+    }
+
+    return () => {
+      closed = true;
+      detailWatcher.removeAllListeners();
+      detailWatcher.stopAll();
+    };
+  }
+
   private updateStatusBarForEventDriven(): void {
     // StatusBarの更新（内部プロパティへの安全なアクセス）
     if (
@@ -750,7 +1205,7 @@ class CCContextCLI {
         typeof (this.sessionsView.boxes.statusBar as { setContent?: unknown }).setContent === "function"
       ) {
         (this.sessionsView.boxes.statusBar as { setContent: (content: string) => void }).setContent(
-          "[Live] Event-driven updates (↑↓: navigate, q: exit, r: refresh)",
+          "[Live] Event-driven updates (↑↓: navigate, Enter: details, s/S: sort/reverse, /: filter, q: exit, r: refresh)",
         );
       }
     }
@@ -768,108 +1223,71 @@ class CCContextCLI {
     return filesWithStats.map((f) => f.file);
   }
 
-  private updateSessionInView(
-    sessionId: string,
-    sessionData: SessionData,
-    contextInfo: ContextInfo,
-    lastModified: Date | number,
-  ): void {
-    // Get current displayed session list
-    const currentSessions =
-      this.sessionsView && "sessions" in this.sessionsView
-        ? (this.sessionsView as { sessions: SessionWithContext[] }).sessions
-        : [];
-
-    // Update corresponding session
-    const updatedSessions = currentSessions.map((session: SessionWithContext) => {
-      if (session.sessionId === sessionId) {
-        return {
-          ...session,
-          model: sessionData.model,
-          modelName: contextInfo.modelName,
-          turns: sessionData.turns,
-          totalTokens: sessionData.totalTokens,
-          totalCost: contextInfo.totalCost,
-          usagePercentage: contextInfo.usagePercentage,
-          latestPrompt: sessionData.latestPrompt,
-          lastModified: lastModified,
-          autoCompact: contextInfo.autoCompact,
-        };
-      }
-      return session;
-    });
-
-    // Add session if it doesn't exist
-    if (!updatedSessions.find((s: SessionWithContext) => s.sessionId === sessionId)) {
-      // For new sessions, file and size are unknown so set default values
-      updatedSessions.push({
-        sessionId,
-        file: "", // File path unknown
-        size: 0, // File size unknown
-        model: sessionData.model,
-        modelName: contextInfo.modelName,
-        turns: sessionData.turns,
-        totalTokens: sessionData.totalTokens,
-        totalCost: contextInfo.totalCost,
-        usagePercentage: contextInfo.usagePercentage,
-        latestPrompt: sessionData.latestPrompt,
-        lastModified: lastModified,
-        autoCompact: contextInfo.autoCompact,
-      });
+  /**
+   * sessions の一覧の行を読み込む
+   * 解析結果はインデックスに保存し、前回から変わっていないトランスクリプトは読み直さない
+   */
+  /**
+   * @param allFiles files が全セッションの一覧なら、削除されたセッションをインデックスから外す
+   */
+  private async loadSessionRows(files: string[], allFiles: boolean): Promise<SessionWithContext[]> {
+    await this.sessionCache.loadIndex();
+    if (allFiles) this.sessionCache.pruneMissing(files);
+
+    const sessions: SessionWithContext[] = [];
+    for (const file of files) {
+      const session = await this.loadSessionRow(file);
+      if (session) sessions.push(session);
     }
 
-    // Sort and update display
-    updatedSessions.sort((a: SessionWithContext, b: SessionWithContext) => {
-      const aTime = a.lastModified instanceof Date ? a.lastModified.getTime() : a.lastModified;
-      const bTime = b.lastModified instanceof Date ? b.lastModified.getTime() : b.lastModified;
-      return bTime - aTime;
-    });
-    if (this.sessionsView) {
-      this.sessionsView.updateSessions(updatedSessions);
-    }
+    await this.sessionCache.saveIndex();
+    return sessions;
   }
 
-  async addSessionWatch(sessionId: string, filePath: string, options: CLIOptions): Promise<void> {
-    if (this.watchedSessions.has(sessionId)) return;
-
-    const sessionWatcher = new SessionWatcher();
-
-    sessionWatcher.on("session-data", (sessionData: SessionData) => {
-      const contextInfo = this.tracker.updateSession(sessionData);
-      this.updateSessionInView(sessionId, sessionData, contextInfo, new Date());
+  private async loadSessionRow(file: string): Promise<SessionWithContext | null> {
+    const sessionData = await this.sessionCache.parseAndCacheSession(file);
+    if (!sessionData) return null;
+
+    // キャッシュの totalTokens は累計なので、使用率には直近のコンテキストサイズを渡す
+    const contextInfo = this.tracker.updateSession({
+      sessionId: sessionData.sessionId,
+      model: sessionData.model,
+      messages: [],
+      messageCount: sessionData.messageCount,
+      totalTokens: sessionData.contextTokens ?? sessionData.totalTokens,
+      peakTokens: sessionData.peakTokens,
+      totalCacheTokens: sessionData.totalCacheTokens,
+      turns: sessionData.turns,
     });
-
-    sessionWatcher.on("message", ({ sessionData }: { sessionData: SessionData }) => {
-      const contextInfo = this.tracker.updateSession(sessionData);
-      this.updateSessionInView(sessionId, sessionData, contextInfo, new Date());
-    });
-
-    sessionWatcher.on("error", ({ error }: { error: Error }) => {
-      if (options.debug) {
-        console.error(`[DEBUG] Error in session ${sessionId}: ${error.message}`);
-      }
-    });
-
-    await sessionWatcher.watchSession(sessionId, filePath);
-    this.watchedSessions.set(sessionId, sessionWatcher);
+    const stats = await fs.promises.stat(file);
+
+    return {
+      sessionId: sessionData.sessionId,
+      file,
+      lastModified: stats.mtime,
+      size: stats.size,
+      model: sessionData.model,
+      modelName: contextInfo.modelName,
+      turns: sessionData.turns,
+      totalTokens: contextInfo.totalTokens,
+      totalCost: sessionData.totalCost ?? 0,
+      usagePercentage: contextInfo.usagePercentage,
+      latestPrompt: sessionData.latestPrompt,
+      projectPath: sessionData.projectPath ?? resolveProjectPath(file, sessionData.cwd),
+      autoCompact: contextInfo.autoCompact,
+    };
   }
 
-  private removeSessionWatch(sessionId: string): void {
-    const watcher = this.watchedSessions.get(sessionId);
-    if (watcher) {
-      watcher.stopWatching(sessionId);
-      this.watchedSessions.delete(sessionId);
-
-      // Remove from view as well
-      const currentSessions =
-        this.sessionsView && "sessions" in this.sessionsView
-          ? (this.sessionsView as { sessions: SessionWithContext[] }).sessions
-          : [];
-      const updatedSessions = currentSessions.filter((s: SessionWithContext) => s.sessionId !== sessionId);
-      if (this.sessionsView) {
-        this.sessionsView.updateSessions(updatedSessions);
-      }
-    }
+  /**
+   * sessions --live: 読み込み済みの行を新しい順に渡す（--limit はビューが絞り込み・並べ替えの後にかける）
+   */
+  private showSessionRows(): void {
+    const sessions = [...this.sessionRows.values()].sort((a, b) => {
+      const aTime = a.lastModified instanceof Date ? a.lastModified.getTime() : a.lastModified;
+      const bTime = b.lastModified instanceof Date ? b.lastModified.getTime() : b.lastModified;
+      return bTime - aTime;
+    });
+    this.sessionsView?.updateSessions(sessions);
   }
 
   cleanup(): void {
@@ -882,6 +1300,9 @@ class CCContextCLI {
     if (this.view) {
       this.view.destroy();
     }
+    if (this.multiView) {
+      this.multiView.destroy();
+    }
     if (this.sessionsView) {
       this.sessionsView.destroy();
     }
@@ -909,13 +1330,43 @@ program
       process.stderr.write(str);
     },
   })
-  .allowUnknownOption(false);
+  .allowUnknownOption(false)
+  .option(
+    "--models <file>",
+    "Model definitions merged over the built-in ones (default: ~/.config/cccontext/models.json)",
+  )
+  .option("--hooks <file>", "Session event hooks (default: ~/.config/cccontext/hooks.json)")
+  .hook("preAction", () => {
+    cli.setHooksPath(program.opts().hooks);
+    try {
+      loadModelRegistry(program.opts().models);
+    } catch (error) {
+      console.error(pc.red(`Error: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+// --all-active で監視する、最近更新されたセッションの範囲
+const ACTIVE_SESSION_WINDOW_MS = 60 * 60 * 1000;
+
+const SESSION_OPTION_HELP =
+  "Session id or unique prefix, number from the list, project name, latest or latest@<project>";
 
 program
   .command("monitor")
   .description("Monitor Claude Code context usage")
   .option("-l, --live", "Live monitoring mode (default)", true)
-  .option("-s, --session <number>", "Monitor specific session by number from list")
+  .option("-s, --session <session>", `${SESSION_OPTION_HELP} (comma-separated to monitor several side by side)`)
+  .option("--all-active", "Monitor every session updated in the last hour side by side")
+  .option("--follow", "Switch to whichever session is being written to (within --project if given)")
+  .option("--project <path>", "Only consider sessions of this project directory")
+  .option("--context-window <size>", "Override the detected context window (e.g. 200k, 1m)")
+  .option(
+    "--notify [channels]",
+    "Notify on warning levels and compaction: bell, osc9, osc777, notify-send (default: bell)",
+  )
+  .option("--notify-levels <levels>", "Events to notify: notice, warning, critical, compact (e.g. warning=15,critical)")
+  .option("--notify-hook <command>", "Shell command to run on each notification (details in CCCONTEXT_* env vars)")
   .action((options: CLIOptions) => {
     cli.monitorLive(options);
   });
@@ -927,6 +1378,11 @@ program
   .option("--live", "Live monitoring mode")
   .option("--debug", "Enable debug mode for detailed logging")
   .option("--clear-cache", "Clear session cache and exit")
+  .option("--project <path>", "Only show sessions of this project directory")
+  .option("--group", "Group sessions by project with subtotals (toggle with g)")
+  .option("--sort <column>", `Sort by ${SESSION_SORT_KEYS.join(", ")} (cycle with s)`, "age")
+  .option("--reverse", "Reverse the sort order (toggle with S)")
+  .option("--filter <text>", "Only show sessions whose id, model, project or latest prompt match (edit with /)")
   .action((options: CLIOptions) => {
     if (options.clearCache) {
       cli.clearCache();
@@ -938,6 +1394,52 @@ program
     }
   });
 
+program
+  .command("status")
+  .description("Print context usage for a session and exit")
+  .option("-s, --session <session>", SESSION_OPTION_HELP)
+  .option("--project <path>", "Only consider sessions of this project directory")
+  .option("--json", "Output the full context info as JSON")
+  .option("--context-window <size>", "Override the detected context window (e.g. 200k, 1m)")
+  .action((options: CLIOptions) => {
+    cli.showStatus(options);
+  });
+
+program
+  .command("statusline")
+  .description("Print a one-line summary for Claude Code's status line (reads JSON on stdin)")
+  .option(
+    "--format <template>",
+    "Line template ({model} {usage} {compact} {cost} {tokens} {window} {remaining} {turns} {session})",
+  )
+  .option("--context-window <size>", "Override the detected context window (e.g. 200k, 1m)")
+  .action((options: CLIOptions) => {
+    cli.showStatusLine(options);
+  });
+
+program
+  .command("report")
+  .description("Summarize spend across all sessions for a period")
+  .option("--since <date>", "Start of the period (today, yesterday, <n>d, <n>w or YYYY-MM-DD)", "7d")
+  .option("--until <date>", "End of the period, inclusive", "today")
+  .option("--group-by <key>", "Group rows by day, project or model", "day")
+  .option("--format <format>", "Output format: table, csv or json", "table")
+  .option("--project <path>", "Only include sessions of this project directory")
+  .action((options: CLIOptions) => {
+    cli.showReport(options);
+  });
+
+program
+  .command("replay <session>")
+  .description("Replay a session transcript through the monitor at its original pace")
+  .option("--speed <multiplier>", "Playback speed (e.g. 10x, 0.5x)", "1x")
+  .option("--max-gap <seconds>", "Longest pause between two lines during playback", "10")
+  .option("--project <path>", "Resolve <session> among the sessions of this project directory")
+  .option("--context-window <size>", "Override the detected context window (e.g. 200k, 1m)")
+  .action((session: string, options: CLIOptions) => {
+    cli.replaySession(session, options);
+  });
+
 // Handle unknown commands
 program.on("command:*", (operands: string[]) => {
   console.error(`error: unknown command '${operands[0]}'`);
@@ -949,7 +1451,11 @@ program.option("--list", "List all sessions for selection").action((options: CLI
   // Check command line arguments
   const args = process.argv.slice(2);
   // Error if unknown command is specified
-  if (args.length > 0 && !args[0]?.startsWith("-") && !["monitor", "sessions"].includes(args[0] ?? "")) {
+  if (
+    args.length > 0 &&
+    !args[0]?.startsWith("-") &&
+    !["monitor", "sessions", "status", "statusline", "report", "replay"].includes(args[0] ?? "")
+  ) {
     console.error(`error: unknown command '${args[0] ?? ""}'`);
     process.exit(1);
   }
@@ -1,5 +1,9 @@
 import blessed from "blessed";
 import pc from "picocolors";
+import type { CompactForecast } from "../monitor/forecast.js";
+import { isKnownModel } from "../monitor/model-config.js";
+import type { CompactionEvent, ContextHistoryPoint } from "../types/index.js";
+import { renderMarkers, renderSparkline } from "../utils/sparkline.js";
 
 // Type-safe color definitions
 type PicoColor =
@@ -43,6 +47,7 @@ function getPicoColorFunction(colorName: PicoColor) {
 
 interface ContextInfo {
   sessionId: string;
+  model?: string;
   modelName: string;
   usagePercentage: number;
   contextWindow: number;
@@ -53,8 +58,8 @@ interface ContextInfo {
   startTime?: number | string | Date;
   turns: number;
   totalCost: number;
+  subagentCost?: number;
   averageTokensPerTurn: number;
-  estimatedRemainingTurns: number;
   latestPrompt?: string;
   autoCompact?: {
     enabled?: boolean;
@@ -69,6 +74,28 @@ interface ContextInfo {
     total: number;
     percentage: number;
   };
+  topTools?: {
+    name: string;
+    calls: number;
+    tokens: number;
+    percentage: number;
+  }[];
+  subagents?: {
+    id: string;
+    label: string;
+    turns: number;
+    totalTokens: number;
+    totalCost: number;
+  }[];
+  history?: ContextHistoryPoint[];
+  forecast?: CompactForecast | null;
+  compactions?: CompactionEvent[];
+}
+
+export interface LiveViewLayout {
+  parent?: blessed.Widgets.Node; // 表示する親要素（省略時はスクリーン全体）
+  compact?: boolean; // 分割表示用に1つの枠にまとめる
+  title?: string; // compact の枠の見出し（省略時はセッションIDの先頭）
 }
 
 interface Boxes {
@@ -79,6 +106,9 @@ interface Boxes {
   latestTurn: blessed.Widgets.BoxElement;
   latestPrompt: blessed.Widgets.BoxElement;
   sessionTotals: blessed.Widgets.BoxElement;
+  topConsumers: blessed.Widgets.BoxElement;
+  subagents: blessed.Widgets.BoxElement;
+  contextTrend: blessed.Widgets.BoxElement;
   statusBar: blessed.Widgets.BoxElement;
 }
 
@@ -87,21 +117,46 @@ export class LiveView {
   private boxes: Partial<Boxes>;
   // private contextInfo: ContextInfo | null;
   private updateInterval: NodeJS.Timeout | null;
+  private embedded: boolean; // 他のビューのスクリーンに表示している
+  private compact: boolean;
+  private title?: string;
+  private headerNote: string | null;
+  private now: () => number; // 経過時間の基準（replay では再生中の元の時刻）
+  private onResize: (() => void) | null;
 
   constructor() {
     this.screen = null;
     this.boxes = {};
     // this.contextInfo = null;
     this.updateInterval = null;
+    this.embedded = false;
+    this.compact = false;
+    this.headerNote = null;
+    this.now = Date.now;
+    this.onResize = null;
   }
 
-  init(): void {
+  /**
+   * @param screen セッション一覧などのスクリーンに重ねて表示する場合に指定
+   *   キー操作と終了は呼び出し側が受け持ち、destroy() ではこのビューのボックスだけを取り除く
+   * @param layout 表示先と、分割表示用の compact レイアウト
+   */
+  init(screen?: blessed.Widgets.Screen, layout: LiveViewLayout = {}): void {
+    this.embedded = screen !== undefined;
+
     // Blessedスクリーンの初期化
-    this.screen = blessed.screen({
-      smartCSR: true,
-      fullUnicode: true, // Unicode文字の正しい表示のため
-      title: "Claude Code Context Monitor",
-    });
+    this.screen =
+      screen ??
+      blessed.screen({
+        smartCSR: true,
+        fullUnicode: true, // Unicode文字の正しい表示のため
+        title: "Claude Code Context Monitor",
+      });
+
+    if (layout.compact) {
+      this.initCompact(layout.parent ?? this.screen, layout.title);
+      return;
+    }
 
     // Main container
     this.boxes.container = blessed.box({
@@ -230,6 +285,66 @@ export class LiveView {
       },
     });
 
+    // Top context consumers box
+    this.boxes.topConsumers = blessed.box({
+      parent: this.boxes.container,
+      top: 30,
+      left: 0,
+      width: "60%",
+      height: 8,
+      border: {
+        type: "line",
+      },
+      label: " Top Context Consumers ",
+      style: {
+        fg: "white",
+        bg: "black",
+        border: {
+          fg: "white",
+        },
+      },
+    });
+
+    // Subagents (sidechain) box
+    this.boxes.subagents = blessed.box({
+      parent: this.boxes.container,
+      top: 30,
+      left: "60%",
+      width: "40%",
+      height: 8,
+      border: {
+        type: "line",
+      },
+      label: " Subagents ",
+      style: {
+        fg: "white",
+        bg: "black",
+        border: {
+          fg: "white",
+        },
+      },
+    });
+
+    // Per-turn context trend box
+    this.boxes.contextTrend = blessed.box({
+      parent: this.boxes.container,
+      top: 38,
+      left: 0,
+      width: "100%",
+      height: 8,
+      border: {
+        type: "line",
+      },
+      label: " Context Trend ",
+      style: {
+        fg: "white",
+        bg: "black",
+        border: {
+          fg: "white",
+        },
+      },
+    });
+
     // Status bar
     this.boxes.statusBar = blessed.box({
       parent: this.boxes.container,
@@ -237,31 +352,114 @@ export class LiveView {
       left: 0,
       width: "100%",
       height: 1,
-      content: "[Live] Watching for updates... (q to exit, r to refresh)",
+      content: this.formatStatusBar(),
       style: {
         fg: "green",
         bg: "black",
       },
     });
 
+    // 下段のパネルは画面の高さに収まる時だけ表示する
+    this.fitPanels();
+    this.onResize = () => {
+      this.fitPanels();
+      this.render();
+    };
+    this.screen.on("resize", this.onResize);
+
     // Key bindings
-    this.screen.key(["q", "C-c"], () => {
-      this.destroy();
-      process.exit(0);
-    });
+    if (!this.embedded) {
+      this.screen.key(["q", "C-c"], () => {
+        this.destroy();
+        process.exit(0);
+      });
+
+      this.screen.key(["r"], () => {
+        this.render();
+      });
+    }
 
-    this.screen.key(["r"], () => {
-      this.render();
+    this.screen.render();
+  }
+
+  /**
+   * Top Context Consumers / Subagents（30行目から）と Context Trend（38行目から）は、
+   * ステータスバーの上に収まらなければ隠す
+   */
+  private fitPanels(): void {
+    const height = this.screen?.height;
+    if (typeof height !== "number") return;
+
+    const available = height - 1; // ステータスバー
+    const toggle = (box: blessed.Widgets.BoxElement | undefined, visible: boolean) => {
+      if (visible) box?.show();
+      else box?.hide();
+    };
+    toggle(this.boxes.topConsumers, available >= 38);
+    toggle(this.boxes.subagents, available >= 38);
+    toggle(this.boxes.contextTrend, available >= 46);
+  }
+
+  // 1つの枠に要点だけを表示する（monitor の分割表示用）
+  private initCompact(parent: blessed.Widgets.Node, title?: string): void {
+    this.compact = true;
+    this.title = title;
+
+    this.boxes.container = blessed.box({
+      parent,
+      top: 0,
+      left: 0,
+      width: "100%",
+      height: "100%",
+      border: {
+        type: "line",
+      },
+      label: ` ${title ?? "Loading"} `,
+      content: `\n${pc.dim("Waiting for session data...")}`,
+      style: {
+        fg: "white",
+        bg: "black",
+        border: {
+          fg: "gray",
+        },
+      },
     });
 
-    this.screen.render();
+    this.screen?.render();
+  }
+
+  private formatStatusBar(): string {
+    return this.embedded
+      ? "[Live] Watching for updates... (Esc: back to sessions, q to exit, r to refresh)"
+      : "[Live] Watching for updates... (q to exit, r to refresh)";
   }
 
   private formatHeader(): string {
+    const note = this.headerNote ?? "Real-time context usage tracking for Claude Code";
+    const width = Math.max(53, note.length);
     return `
-╭─ Claude Code Context Monitor ─────────────────────────╮
-│ Real-time context usage tracking for Claude Code      │
-╰───────────────────────────────────────────────────────╯`;
+╭─ Claude Code Context Monitor ${"─".repeat(width - 28)}╮
+│ ${note.padEnd(width)} │
+╰${"─".repeat(width + 2)}╯`;
+  }
+
+  /**
+   * 経過時間（Duration、前回のコンパクトからの時間）の基準となる時計を差し替える
+   */
+  setClock(now: () => number): void {
+    this.now = now;
+  }
+
+  /**
+   * ヘッダーの2行目を差し替える（monitor --follow の追従先と切り替えの表示）
+   * null で元の説明に戻す
+   */
+  setHeaderNote(note: string | null): void {
+    this.headerNote = note;
+    if (this.boxes.header) {
+      this.boxes.header.setContent(this.formatHeader());
+      this.render();
+    }
   }
 
   updateContextInfo(info: ContextInfo): void {
@@ -269,9 +467,25 @@ export class LiveView {
 
     if (!this.screen) return;
 
+    if (this.compact) {
+      const panel = this.boxes.container;
+      if (panel) {
+        panel.setLabel(` ${this.title ?? info.sessionId.slice(0, 8)} · ${info.modelName} `);
+        panel.setContent(this.formatCompactPanel(info));
+        if (panel.style.border) {
+          panel.style.border.fg = this.getBorderColor(info.warningLevel);
+        }
+      }
+      this.render();
+      return;
+    }
+
     // Update session info
     if (this.boxes.sessionInfo) {
       this.boxes.sessionInfo.setContent(this.formatSessionInfo(info));
+      if (this.boxes.sessionInfo.style.border) {
+        this.boxes.sessionInfo.style.border.fg = isKnownModel(info.model) ? "white" : "yellow";
+      }
     }
 
     // Update context usage
@@ -294,6 +508,21 @@ export class LiveView {
       this.boxes.sessionTotals.setContent(this.formatSessionTotals(info));
     }
 
+    // Update top context consumers
+    if (this.boxes.topConsumers) {
+      this.boxes.topConsumers.setContent(this.formatTopConsumers(info));
+    }
+
+    // Update subagent breakdown
+    if (this.boxes.subagents) {
+      this.boxes.subagents.setContent(this.formatSubagents(info));
+    }
+
+    // Update context trend
+    if (this.boxes.contextTrend) {
+      this.boxes.contextTrend.setContent(this.formatContextTrend(info));
+    }
+
     // Change border color based on warning level
     const borderColor = this.getBorderColor(info.warningLevel);
     if (this.boxes.contextUsage?.style.border) {
@@ -305,9 +534,13 @@ export class LiveView {
 
   private formatSessionInfo(info: ContextInfo): string {
     const duration = this.calculateDuration(info.startTime);
+    // 未登録のモデルは既定の価格とウィンドウで計算しているため、数値が正しくない可能性を示す
+    const modelWarning = isKnownModel(info.model)
+      ? ""
+      : ` ${pc.yellow(`⚠ ${info.model} is not recognized (default pricing and window); add it to models.json`)}`;
     return `
 Session: ${pc.yellow(info.sessionId)}
-Model: ${pc.cyan(info.modelName)}
+Model: ${pc.cyan(info.modelName)}${modelWarning}
 Started: ${pc.gray(duration)} ago`;
   }
 
@@ -325,6 +558,9 @@ Started: ${pc.gray(duration)} ago`;
       if (ac.remainingPercentage > 0) {
         const colorFunc = getPicoColorFunction(acColor);
         autoCompactInfo = `\nLeft until Auto-compact: ${colorFunc(`${ac.remainingPercentage.toFixed(1)}%`)}`;
+        if (info.forecast) {
+          autoCompactInfo += `  ${this.formatForecast(info.forecast)}`;
+        }
       } else {
         autoCompactInfo = `\n${pc.red(pc.bold("AUTO-COMPACT ACTIVE"))}`;
       }
@@ -341,6 +577,76 @@ Remaining: ${pc.green(
 ${this.getWarningMessage(info)}`;
   }
 
+  // 使用率、自動コンパクトまでの残りと予測、合計、推移、最新のプロンプト
+  private formatCompactPanel(info: ContextInfo): string {
+    const width = this.getPanelWidth();
+    const percentageColor = getPicoColorFunction(this.getPercentageColor(info.usagePercentage));
+    const lines = [
+      `${this.createProgressBar(info.usagePercentage, Math.max(10, width - 22))} ${percentageColor(
+        `${info.usagePercentage.toFixed(1)}%`,
+      )} ${pc.gray(`${this.formatTokens(info.totalTokens)}/${this.formatTokens(info.contextWindow)}`)}`,
+    ];
+
+    if (info.autoCompact?.enabled) {
+      const ac = info.autoCompact;
+      if (ac.remainingPercentage > 0) {
+        const acColor = getPicoColorFunction(this.getAutoCompactColor(ac.warningLevel || "normal"));
+        const forecast = info.forecast ? ` ${this.formatForecast(info.forecast)}` : "";
+        lines.push(`Auto-compact in ${acColor(`${ac.remainingPercentage.toFixed(1)}%`)}${forecast}`);
+      } else {
+        lines.push(pc.red(pc.bold("AUTO-COMPACT ACTIVE")));
+      }
+    }
+
+    const compactions = info.compactions?.length ?? 0;
+    lines.push(
+      `Turns ${pc.cyan(info.turns)} · ${pc.green(this.formatCost(info.totalCost))}${
+        compactions > 0 ? ` · Compactions ${pc.red(compactions)}` : ""
+      }`,
+    );
+
+    const history = info.history || [];
+    if (history.length > 0) {
+      const max = info.contextWindow > 0 ? info.contextWindow : undefined;
+      const chart = renderSparkline(
+        history.map((point) => point.totalTokens),
+        { width: Math.max(10, width - 7), max },
+      );
+      lines.push(`Trend ${pc.cyan(chart)}`);
+    }
+
+    const prompt = (info.latestPrompt || "No prompt yet").replace(/\s+/g, " ").trim();
+    lines.push(pc.dim(prompt.length > width ? `${prompt.substring(0, Math.max(0, width - 3))}...` : prompt));
+
+    return lines.join("\n");
+  }
+
+  // compact の枠の内側の幅
+  private getPanelWidth(): number {
+    const width = this.boxes.container?.width;
+    return typeof width === "number" ? Math.max(20, width - 2) : 40;
+  }
+
+  // 予測値と幅（例: ~12 turns (8–20) · ~25m (15m–40m)）
+  private formatForecast(forecast: CompactForecast): string {
+    const count = (value: number): string => (Number.isFinite(value) ? String(value) : "∞");
+    let text = `~${count(forecast.turns)} turns ${pc.gray(`(${count(forecast.turnsLow)}–${count(forecast.turnsHigh)})`)}`;
+    if (forecast.seconds !== null && forecast.secondsLow !== null && forecast.secondsHigh !== null) {
+      text += ` · ~${this.formatSeconds(forecast.seconds)} ${pc.gray(
+        `(${this.formatSeconds(forecast.secondsLow)}–${this.formatSeconds(forecast.secondsHigh)})`,
+      )}`;
+    }
+    return text;
+  }
+
+  private formatSeconds(seconds: number): string {
+    if (!Number.isFinite(seconds)) return "∞";
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) return "<1m";
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
   private formatLatestTurn(info: ContextInfo): string {
     const turn = info.latestTurn;
     if (!turn) {
@@ -366,17 +672,128 @@ Total:  ${pc.yellow(this.formatTokens(turn.total))} tokens (${turn.percentage.to
     return `\n${pc.dim(displayText)}`;
   }
 
+  // 残りターン数は Context Usage の予測（formatForecast）に任せる
+  // コストはサブエージェント分を含み、その内訳を添える
   private formatSessionTotals(info: ContextInfo): string {
+    const subagentCost = info.subagentCost ? ` ${pc.dim(`(subagents ${this.formatCost(info.subagentCost)})`)}` : "";
     return `
 Turns: ${pc.cyan(info.turns)}
 Total Tokens: ${pc.yellow(this.formatTokens(info.totalTokens))}
-Cost: ${pc.green(this.formatCost(info.totalCost))}
-Avg/Turn: ${pc.gray(this.formatTokens(info.averageTokensPerTurn))}
-Est. Remaining Turns: ${pc.cyan(info.estimatedRemainingTurns === Infinity ? "∞" : info.estimatedRemainingTurns)}`;
+Cost: ${pc.green(this.formatCost(info.totalCost))}${subagentCost}
+Avg/Turn: ${pc.gray(this.formatTokens(info.averageTokensPerTurn))}`;
+  }
+
+  private formatTopConsumers(info: ContextInfo): string {
+    const tools = info.topTools || [];
+    if (tools.length === 0) {
+      return `\n${pc.dim("No tool results yet")}`;
+    }
+
+    const maxTokens = Math.max(...tools.map((tool) => tool.tokens));
+    const lines = tools.map((tool) => {
+      const name = this.formatToolName(tool.name).padEnd(20).slice(0, 20);
+      const barWidth = 12;
+      const filled = maxTokens > 0 ? Math.max(1, Math.round((tool.tokens / maxTokens) * barWidth)) : 0;
+      const bar = pc.cyan("█".repeat(filled)) + pc.gray("░".repeat(barWidth - filled));
+      const tokens = this.formatTokens(tool.tokens).padStart(7);
+      const percentage = `${tool.percentage.toFixed(1)}%`.padStart(6);
+      return `${name} ${bar} ${pc.yellow(tokens)} ${pc.gray(percentage)}  ${pc.dim(`×${tool.calls}`)}`;
+    });
+
+    return `\n${lines.join("\n")}`;
+  }
+
+  private formatSubagents(info: ContextInfo): string {
+    const subagents = info.subagents || [];
+    if (subagents.length === 0) {
+      return `\n${pc.dim("No subagents yet")}`;
+    }
+
+    // 枠内に収まるよう最新のものを優先し、合計行を付ける
+    const maxRows = 4;
+    const visible = subagents.slice(-maxRows);
+    const lines = visible.map((subagent) => {
+      const label = subagent.label.padEnd(16).slice(0, 16);
+      const tokens = this.formatTokens(subagent.totalTokens).padStart(7);
+      return `${label} ${pc.yellow(tokens)} ${pc.green(this.formatCost(subagent.totalCost))}`;
+    });
+
+    const totalTokens = subagents.reduce((sum, subagent) => sum + subagent.totalTokens, 0);
+    const totalCost = subagents.reduce((sum, subagent) => sum + subagent.totalCost, 0);
+    const hidden = subagents.length - visible.length;
+    const totalLabel = (hidden > 0 ? `Total (+${hidden} more)` : "Total").padEnd(16);
+    lines.push(
+      `${pc.bold(totalLabel)} ${pc.yellow(this.formatTokens(totalTokens).padStart(7))} ${pc.green(this.formatCost(totalCost))}`,
+    );
+
+    return `\n${lines.join("\n")}`;
+  }
+
+  private formatContextTrend(info: ContextInfo, chartWidth = this.getTrendWidth()): string {
+    const history = info.history || [];
+    if (history.length === 0) {
+      return `\n${pc.dim("No turns yet")}`;
+    }
+
+    // トークンとキャッシュは同じ縦軸（ウィンドウサイズ）で描き、比較できるようにする
+    const max = info.contextWindow > 0 ? info.contextWindow : undefined;
+    const tokens = renderSparkline(
+      history.map((point) => point.totalTokens),
+      { width: chartWidth, max },
+    );
+    const cache = renderSparkline(
+      history.map((point) => point.cacheTokens),
+      { width: chartWidth, max },
+    );
+    const markers = renderMarkers(
+      history.map((point) => point.compacted === true),
+      chartWidth,
+    );
+
+    const peak = Math.max(...history.map((point) => point.totalTokens));
+    const compactions = info.compactions?.length || history.filter((point) => point.compacted).length;
+    const last = history[history.length - 1];
+    const previous = history[history.length - 2];
+    const lastTurnCost = (last?.cost ?? 0) - (previous?.cost ?? 0);
+
+    return `
+Tokens ${pc.cyan(tokens)} ${pc.gray(`peak ${this.formatTokens(peak)}`)}
+Cache  ${pc.gray(cache)}
+       ${pc.red(markers)}${compactions > 0 ? ` ${pc.dim("^ compacted")}` : ""}
+Cost: ${pc.green(this.formatCost(last?.cost ?? 0))} over ${history.length} turns (last ${pc.green(
+      this.formatCost(lastTurnCost),
+    )})${compactions > 0 ? `\nCompactions: ${pc.red(compactions)}${this.formatCompactionLog(info.compactions)}` : ""}`;
+  }
+
+  // 手動/自動の内訳と直近のコンパクトで回復したトークン数
+  private formatCompactionLog(compactions: CompactionEvent[] = []): string {
+    const last = compactions[compactions.length - 1];
+    if (!last) return "";
+
+    const manual = compactions.filter((compaction) => compaction.trigger === "manual").length;
+    const breakdown = pc.gray(`(${compactions.length - manual} auto, ${manual} manual)`);
+    const when = last.timestamp ? ` ${this.calculateDuration(last.timestamp)} ago` : "";
+    const after =
+      last.tokensAfter !== undefined
+        ? `${this.formatTokens(last.tokensAfter)} ${pc.green(`(-${this.formatTokens(Math.max(0, last.tokensBefore - last.tokensAfter))})`)}`
+        : pc.dim("pending");
+
+    return ` ${breakdown} · last ${last.trigger}${when}: ${this.formatTokens(last.tokensBefore)} → ${after}`;
+  }
+
+  // 枠線・ラベル・右側の注記を除いたチャートの幅
+  private getTrendWidth(): number {
+    const screenWidth = typeof this.screen?.width === "number" ? this.screen.width : 80;
+    return Math.max(10, screenWidth - 24);
   }
 
-  private createProgressBar(percentage: number): string {
-    const width = 40;
+  // mcp__server__tool形式のMCPツール名を短く表示
+  private formatToolName(name: string): string {
+    const match = name.match(/^mcp__(.+?)__(.+)$/);
+    return match ? `${match[1]}/${match[2]}` : name;
+  }
+
+  private createProgressBar(percentage: number, width = 40): string {
     const safePercentage = Math.max(0, Math.min(100, percentage || 0));
     const filled = Math.max(0, Math.min(width, Math.round((safePercentage / 100) * width)));
     const empty = Math.max(0, width - filled);
@@ -453,7 +870,7 @@ Est. Remaining Turns: ${pc.cyan(info.estimatedRemainingTurns === Infinity ? "∞
   private calculateDuration(startTime: number | string | Date | undefined): string {
     if (!startTime) return "Unknown";
 
-    const duration = Date.now() - new Date(startTime).getTime();
+    const duration = this.now() - new Date(startTime).getTime();
     const minutes = Math.floor(duration / 60000);
     const hours = Math.floor(minutes / 60);
 
@@ -499,7 +916,7 @@ Est. Remaining Turns: ${pc.cyan(info.estimatedRemainingTurns === Infinity ? "∞
       // 3秒後に元のメッセージに戻す
       setTimeout(() => {
         if (this.boxes.statusBar) {
-          this.boxes.statusBar.setContent("[Live] Watching for updates... (q to exit, r to refresh)");
+          this.boxes.statusBar.setContent(this.formatStatusBar());
           this.render();
         }
       }, 3000);
@@ -516,6 +933,17 @@ Est. Remaining Turns: ${pc.cyan(info.estimatedRemainingTurns === Infinity ? "∞
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
     }
+    if (this.onResize) {
+      this.screen?.removeListener("resize", this.onResize);
+      this.onResize = null;
+    }
+    if (this.embedded) {
+      // スクリーンは呼び出し側のものなので残す
+      this.boxes.container?.destroy();
+      this.boxes = {};
+      this.screen = null;
+      return;
+    }
     if (this.screen) {
       this.screen.destroy();
     }
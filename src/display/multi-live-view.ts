@@ -0,0 +1,189 @@
+import blessed from "blessed";
+import type { ContextInfo } from "../monitor/context-tracker.js";
+import { LiveView } from "./live-view.js";
+
+/**
+ * 複数のセッションを1画面に並べて監視する（monitor --session 1,2,3 / --all-active）
+ * 各セッションは compact な LiveView の枠に表示する
+ */
+
+// 1画面に並べる枠の上限（これを超えた分はステータスバーに件数だけ出す）
+export const MAX_PANELS = 9;
+
+export interface PanelSession {
+  sessionId: string;
+  title?: string; // 枠の見出し（省略時はセッションIDの先頭）
+  shortId?: string; // 表示しきれない時にステータスバーで挙げる名前（省略時はセッションID）
+}
+
+export interface PanelPosition {
+  top: string;
+  left: string;
+  width: string;
+  height: string;
+}
+
+/**
+ * count 個の枠をできるだけ正方形に近い格子に並べたときの位置（左上から行ごと）
+ */
+export function getPanelGrid(count: number): PanelPosition[] {
+  if (count <= 0) return [];
+
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  const edge = (index: number, total: number) => Math.floor((index * 100) / total);
+
+  return Array.from({ length: count }, (_, index) => {
+    const row = Math.floor(index / columns);
+    const column = index % columns;
+    return {
+      top: `${edge(row, rows)}%`,
+      left: `${edge(column, columns)}%`,
+      width: `${edge(column + 1, columns) - edge(column, columns)}%`,
+      height: `${edge(row + 1, rows) - edge(row, rows)}%`,
+    };
+  });
+}
+
+interface Boxes {
+  grid: blessed.Widgets.BoxElement;
+  statusBar: blessed.Widgets.BoxElement;
+}
+
+export class MultiLiveView {
+  private screen: blessed.Widgets.Screen | null;
+  private boxes: Partial<Boxes>;
+  private panels: Map<string, LiveView>;
+  private hidden: string[]; // 枠に収まらず表示していないセッション（短縮ID）
+
+  constructor() {
+    this.screen = null;
+    this.boxes = {};
+    this.panels = new Map();
+    this.hidden = [];
+  }
+
+  init(sessions: PanelSession[]): void {
+    this.screen = blessed.screen({
+      smartCSR: true,
+      fullUnicode: true, // Unicode文字の正しい表示のため
+      title: "Claude Code Context Monitor",
+    });
+
+    this.boxes.grid = blessed.box({
+      parent: this.screen,
+      top: 0,
+      left: 0,
+      width: "100%",
+      height: "100%-1",
+      style: {
+        fg: "white",
+        bg: "black",
+      },
+    });
+
+    this.boxes.statusBar = blessed.box({
+      parent: this.screen,
+      bottom: 0,
+      left: 0,
+      width: "100%",
+      height: 1,
+      style: {
+        fg: "white",
+        bg: "blue",
+      },
+    });
+
+    const visible = sessions.slice(0, MAX_PANELS);
+    this.hidden = sessions.slice(MAX_PANELS).map((session) => session.shortId ?? session.sessionId);
+
+    getPanelGrid(visible.length).forEach((position, index) => {
+      const session = visible[index];
+      if (!session || !this.screen) return;
+
+      const cell = blessed.box({
+        parent: this.boxes.grid,
+        ...position,
+      });
+      const panel = new LiveView();
+      panel.init(this.screen, { parent: cell, compact: true, title: session.title });
+      this.panels.set(session.sessionId, panel);
+    });
+
+    this.boxes.statusBar.setContent(this.formatStatusBar());
+
+    this.screen.key(["q", "C-c"], () => {
+      this.destroy();
+      process.exit(0);
+    });
+
+    this.screen.key(["r"], () => {
+      this.render();
+    });
+
+    this.screen.render();
+  }
+
+  getPanel(sessionId: string): LiveView | undefined {
+    return this.panels.get(sessionId);
+  }
+
+  getSessionIds(): string[] {
+    return [...this.panels.keys()];
+  }
+
+  /**
+   * セッションIDに対応する枠を更新する（表示していないセッションは無視）
+   */
+  updateContextInfo(info: ContextInfo): void {
+    this.panels.get(info.sessionId)?.updateContextInfo(info);
+  }
+
+  private formatStatusBar(): string {
+    const hidden = this.hidden.length > 0 ? ` (+${this.hidden.length} more not shown: ${this.hidden.join(", ")})` : "";
+    return ` Monitoring ${this.panels.size} sessions${hidden} · q to exit, r to refresh`;
+  }
+
+  showError(message: string): void {
+    if (!this.screen) return;
+
+    const errorBox = blessed.message({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "50%",
+      height: "shrink",
+      border: {
+        type: "line",
+      },
+      style: {
+        fg: "white",
+        bg: "red",
+        border: {
+          fg: "white",
+        },
+      },
+    });
+
+    errorBox.error(message, () => {
+      this.render();
+    });
+  }
+
+  render(): void {
+    if (this.screen) {
+      this.screen.render();
+    }
+  }
+
+  destroy(): void {
+    for (const panel of this.panels.values()) {
+      panel.destroy();
+    }
+    this.panels.clear();
+    if (this.screen) {
+      this.screen.destroy();
+      this.screen = null;
+    }
+  }
+}
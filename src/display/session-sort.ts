@@ -0,0 +1,101 @@
+import { formatProjectPath } from "../monitor/project-path.js";
+import type { SessionData } from "../types/index.js";
+
+/**
+ * セッション一覧の並べ替えと絞り込み（sessions の s / S / / キーと --sort / --filter）
+ */
+
+export type SessionSortKey = "usage" | "cost" | "turns" | "tokens" | "age" | "model";
+
+// s キーで切り替える順
+export const SESSION_SORT_KEYS: SessionSortKey[] = ["usage", "cost", "turns", "tokens", "age", "model"];
+
+export interface SessionOrder {
+  key: SessionSortKey;
+  reverse: boolean; // 既定の向き（モデル名はA→Z、それ以外は大きい・新しい順）を反転
+}
+
+export const DEFAULT_SESSION_ORDER: SessionOrder = { key: "age", reverse: false };
+
+export function parseSessionSortKey(value: string): SessionSortKey {
+  const key = value.trim().toLowerCase() as SessionSortKey;
+  if (!SESSION_SORT_KEYS.includes(key)) {
+    throw new Error(`Invalid --sort: ${value}. Use ${SESSION_SORT_KEYS.join(", ")}`);
+  }
+  return key;
+}
+
+export function nextSessionSortKey(key: SessionSortKey): SessionSortKey {
+  const index = SESSION_SORT_KEYS.indexOf(key);
+  return SESSION_SORT_KEYS[(index + 1) % SESSION_SORT_KEYS.length] ?? "age";
+}
+
+/**
+ * 並べ替えたコピーを返す
+ * 同じ値のセッションは元の並び（最終更新の新しい順）を保つ
+ */
+export function sortSessions<T extends SessionData>(sessions: T[], order: SessionOrder): T[] {
+  const direction = order.reverse ? -1 : 1;
+  return sessions
+    .map((session, index) => ({ session, index }))
+    .sort((a, b) => compareSessions(a.session, b.session, order.key) * direction || a.index - b.index)
+    .map((entry) => entry.session);
+}
+
+function compareSessions(a: SessionData, b: SessionData, key: SessionSortKey): number {
+  switch (key) {
+    case "usage":
+      return (b.usagePercentage || 0) - (a.usagePercentage || 0);
+    case "cost":
+      return (b.totalCost || 0) - (a.totalCost || 0);
+    case "turns":
+      return (b.turns || 0) - (a.turns || 0);
+    case "tokens":
+      return (b.totalTokens || 0) - (a.totalTokens || 0);
+    case "age":
+      return toTime(b.lastModified) - toTime(a.lastModified);
+    case "model":
+      return getModelLabel(a).localeCompare(getModelLabel(b));
+  }
+}
+
+/**
+ * セッションID・モデル・プロジェクト・最新のプロンプトに対する絞り込み
+ * 大文字小文字を区別せず、空白区切りの語をすべて含むものを残す
+ */
+export function filterSessions<T extends SessionData>(sessions: T[], query: string): T[] {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return sessions;
+
+  return sessions.filter((session) => {
+    const text = [
+      session.sessionId,
+      session.model,
+      session.modelName,
+      session.projectPath,
+      session.projectPath ? formatProjectPath(session.projectPath) : undefined,
+      session.latestPrompt,
+    ]
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+/**
+ * テーブルの見出しに出す並び順（例: "cost ↓"）
+ */
+export function formatSessionOrder(order: SessionOrder): string {
+  const ascending = (order.key === "model") !== order.reverse;
+  return `${order.key} ${ascending ? "↑" : "↓"}`;
+}
+
+function getModelLabel(session: SessionData): string {
+  return session.modelName || session.model || "";
+}
+
+function toTime(value: Date | number | undefined): number {
+  if (value === undefined) return 0;
+  return value instanceof Date ? value.getTime() : value;
+}
@@ -1,16 +1,55 @@
 import blessed from "blessed";
 // import chalk from 'chalk';
 import stringWidth from "string-width";
+import { formatProjectPath } from "../monitor/project-path.js";
+import { getShortIds } from "../monitor/session-resolver.js";
 import type { SessionData } from "../types/index.js";
+import { LiveView } from "./live-view.js";
+import type { SessionOrder, SessionSortKey } from "./session-sort.js";
+import {
+  DEFAULT_SESSION_ORDER,
+  filterSessions,
+  formatSessionOrder,
+  nextSessionSortKey,
+  sortSessions,
+} from "./session-sort.js";
 
 // SessionData interface removed - using shared type from types/index.js
 
+interface SessionsLiveViewOptions {
+  grouped?: boolean; // プロジェクトごとにまとめて小計を表示
+  sort?: SessionSortKey;
+  reverse?: boolean;
+  filter?: string;
+  limit?: number; // 絞り込み・並べ替えの後に表示する件数
+}
+
+/**
+ * 詳細表示を開いた時に呼ばれ、ビューへの更新を始める
+ * 戻り値の関数は Esc で一覧に戻る時に呼ばれる（監視の停止など）
+ */
+export type DetailOpener = (session: SessionData, view: LiveView) => (() => void) | undefined;
+
+const TABLE_HEADERS = [
+  "No.",
+  "Session",
+  "Project",
+  "Usage",
+  "Left until auto-compact",
+  "Model(latest)",
+  "Turns",
+  "Cost",
+  "Last Active",
+  "Latest Prompt",
+];
+
 interface Boxes {
   container: blessed.Widgets.BoxElement;
   header: blessed.Widgets.BoxElement;
   sessionsTable: blessed.Widgets.ListTableElement;
   statusBar: blessed.Widgets.BoxElement;
   summary: blessed.Widgets.BoxElement;
+  filterInput: blessed.Widgets.TextboxElement;
 }
 
 export class SessionsLiveView {
@@ -18,13 +57,29 @@ export class SessionsLiveView {
   public boxes: Partial<Boxes>;
   public sessions: SessionData[];
   private updateInterval: NodeJS.Timeout | null;
+  private grouped: boolean;
+  private order: SessionOrder;
+  private filter: string;
+  private limit: number;
+  private matched: number; // 絞り込みに一致したセッション数（件数の制限前）
+  private rowSessions: (SessionData | null)[]; // テーブルの各行のセッション（見出し・小計行は null）
+  private detailOpener: DetailOpener | null;
+  private detail: { view: LiveView; close?: () => void } | null;
   // private selectedIndex: number; // Store selected row index
 
-  constructor() {
+  constructor(options: SessionsLiveViewOptions = {}) {
     this.screen = null;
     this.boxes = {};
     this.sessions = [];
     this.updateInterval = null;
+    this.grouped = options.grouped ?? false;
+    this.order = { key: options.sort ?? DEFAULT_SESSION_ORDER.key, reverse: options.reverse ?? false };
+    this.filter = options.filter ?? "";
+    this.limit = options.limit ?? Number.POSITIVE_INFINITY;
+    this.matched = 0;
+    this.rowSessions = [];
+    this.detailOpener = null;
+    this.detail = null;
     // this.selectedIndex = 0;
   }
 
@@ -73,7 +128,7 @@ export class SessionsLiveView {
       border: {
         type: "line",
       },
-      label: " Active Sessions ",
+      label: this.formatTableLabel(),
       style: {
         fg: "white",
         bg: "black",
@@ -130,6 +185,20 @@ export class SessionsLiveView {
       },
     });
 
+    // Incremental filter (opened with /)
+    this.boxes.filterInput = blessed.textbox({
+      parent: this.boxes.container,
+      bottom: 1,
+      left: 0,
+      width: "100%",
+      height: 1,
+      hidden: true,
+      style: {
+        fg: "white",
+        bg: "blue",
+      },
+    });
+
     // Key bindings
     this.screen.key(["q", "C-c"], () => {
       this.destroy();
@@ -140,6 +209,32 @@ export class SessionsLiveView {
       this.render();
     });
 
+    this.screen.key(["g"], () => {
+      if (!this.detail) this.setGrouped(!this.grouped);
+    });
+
+    this.screen.key(["s"], () => {
+      if (!this.detail) this.setOrder({ ...this.order, key: nextSessionSortKey(this.order.key) });
+    });
+
+    this.screen.key(["S-s"], () => {
+      if (!this.detail) this.setOrder({ ...this.order, reverse: !this.order.reverse });
+    });
+
+    this.screen.key(["/"], () => {
+      if (!this.detail) this.openFilterInput();
+    });
+
+    // Enter で選択したセッションの詳細を開き、Esc で一覧に戻る
+    this.boxes.sessionsTable.on("select", (_item: unknown, index: number) => {
+      const session = this.getSessionAtRow(index);
+      if (session) this.openDetail(session);
+    });
+
+    this.screen.key(["escape"], () => {
+      this.closeDetail();
+    });
+
     // Set focus to table
     if (this.boxes.sessionsTable) {
       this.boxes.sessionsTable.focus();
@@ -158,67 +253,149 @@ export class SessionsLiveView {
   }
 
   private formatStatusBar(): string {
-    return "[Live] Auto-refreshing every 1s (↑↓: navigate, q: exit, r: refresh)";
+    return "[Live] Auto-refreshing every 1s (↑↓: navigate, Enter: details, s/S: sort/reverse, /: filter, g: group by project, q: exit, r: refresh)";
   }
 
   private updateTableHeader(): void {
-    const headers = ["Session", "Usage", "Model(latest)", "Turns", "Cost", "Last Active", "Latest Prompt"];
-
     if (this.boxes.sessionsTable) {
-      this.boxes.sessionsTable.setData([headers]);
+      this.boxes.sessionsTable.setData([TABLE_HEADERS]);
     }
   }
 
+  /**
+   * プロジェクト別表示の切り替え
+   */
+  setGrouped(grouped: boolean): void {
+    this.grouped = grouped;
+    this.updateSessions(this.sessions);
+  }
+
+  isGrouped(): boolean {
+    return this.grouped;
+  }
+
+  setOrder(order: SessionOrder): void {
+    this.order = order;
+    this.updateSessions(this.sessions);
+  }
+
+  getOrder(): SessionOrder {
+    return this.order;
+  }
+
+  setFilter(filter: string): void {
+    this.filter = filter;
+    this.updateSessions(this.sessions);
+  }
+
+  getFilter(): string {
+    return this.filter;
+  }
+
+  /**
+   * / で開く絞り込みの入力欄
+   * 入力のたびに一覧を絞り込み、Enter で確定、Esc で開く前の条件に戻す
+   */
+  private openFilterInput(): void {
+    const input = this.boxes.filterInput;
+    if (!input) return;
+
+    const previous = this.filter;
+    let reading = true;
+    const onKeypress = () => {
+      // 入力欄の値は同じキーイベントの後で更新される
+      setImmediate(() => {
+        if (reading) this.setFilter(input.getValue().replace(/^\//, ""));
+      });
+    };
+    const finish = (filter: string) => {
+      reading = false;
+      input.removeListener("keypress", onKeypress);
+      input.hide();
+      this.boxes.sessionsTable?.focus();
+      this.setFilter(filter);
+    };
+
+    input.setValue(`/${this.filter}`);
+    input.show();
+    input.on("keypress", onKeypress);
+    input.readInput((_error: unknown, value?: string | null) => {
+      finish(value == null ? previous : value.replace(/^\//, ""));
+    });
+    this.render();
+  }
+
+  /**
+   * 詳細表示の更新元を設定する（未設定でも詳細は開くが、内容は更新されない）
+   */
+  setDetailOpener(opener: DetailOpener): void {
+    this.detailOpener = opener;
+  }
+
+  /**
+   * テーブルの行（0 は見出し）に対応するセッション
+   */
+  getSessionAtRow(index: number): SessionData | null {
+    return this.rowSessions[index] ?? null;
+  }
+
+  isDetailOpen(): boolean {
+    return this.detail !== null;
+  }
+
+  /**
+   * 一覧を隠して、同じスクリーンにセッションの詳細（monitor と同じ表示）を開く
+   */
+  openDetail(session: SessionData): LiveView | null {
+    if (!this.screen || this.detail) return null;
+
+    this.boxes.container?.hide();
+    const view = new LiveView();
+    view.init(this.screen);
+    this.detail = { view };
+    this.detail.close = this.detailOpener?.(session, view);
+    this.render();
+    return view;
+  }
+
+  closeDetail(): void {
+    if (!this.detail) return;
+
+    const { view, close } = this.detail;
+    this.detail = null;
+    close?.();
+    view.destroy();
+    this.boxes.container?.show();
+    this.boxes.sessionsTable?.focus();
+    this.render();
+  }
+
   updateSessions(sessionsData: SessionData[]): void {
     this.sessions = sessionsData;
 
     if (!this.screen || !this.boxes.sessionsTable) return;
 
     // Save current selection position
-    // selectedIndexプロパティは内部的に使用される可能性があるが、型定義に含まれていないため
+    // selectedプロパティは内部的に使用されるが、型定義に含まれていないため
     // Type-safe access
     const currentSelected =
-      this.boxes.sessionsTable && "selectedIndex" in this.boxes.sessionsTable
-        ? (this.boxes.sessionsTable as { selectedIndex?: number }).selectedIndex
+      this.boxes.sessionsTable && "selected" in this.boxes.sessionsTable
+        ? (this.boxes.sessionsTable as { selected?: number }).selected
         : undefined;
+    const selectedId = currentSelected != null ? this.getSessionAtRow(currentSelected)?.sessionId : undefined;
 
-    // Prepare table data
-    const tableData: string[][] = [
-      // Header row
-      [
-        "No.",
-        "Session",
-        "Usage",
-        "Left until auto-compact",
-        "Model(latest)",
-        "Turns",
-        "Cost",
-        "Last Active",
-        "Latest Prompt",
-      ],
-    ];
-
-    // Add session data
-    sessionsData.forEach((session, index) => {
-      const row = [
-        (index + 1).toString(), // Add number
-        session.sessionId,
-        this.formatUsage(session.usagePercentage || 0),
-        this.formatAutoCompact(session.autoCompact),
-        session.modelName || "Unknown",
-        session.turns.toString(),
-        this.formatCost(session.totalCost || 0),
-        this.formatAge(session.lastModified || new Date()),
-        this.truncatePrompt(session.latestPrompt, 50),
-      ];
-      tableData.push(row);
-    });
+    const tableData = this.buildTableData(sessionsData);
 
     // Update table
     this.boxes.sessionsTable.setData(tableData);
-
-    // Restore selection position (check to prevent out of range)
-    if (currentSelected != null && currentSelected > 0 && currentSelected < tableData.length) {
+    this.boxes.sessionsTable.setLabel(this.formatTableLabel());
+
+    // 並べ替えで行が動いても同じセッションを選択したままにする
+    const selectedRow = this.rowSessions.findIndex((session) => session !== null && session.sessionId === selectedId);
+    if (selectedRow > 0) {
+      this.boxes.sessionsTable.select(selectedRow);
+    } else if (currentSelected != null && currentSelected > 0 && currentSelected < tableData.length) {
+      // Restore selection position (check to prevent out of range)
       this.boxes.sessionsTable.select(currentSelected);
     }
 
@@ -228,6 +405,141 @@ export class SessionsLiveView {
     this.render();
   }
 
+  /**
+   * テーブルの行データを組み立てる
+   * グループ表示ではプロジェクトごとに小計行を挟む（番号は一覧全体での順位のまま）
+   * 件数の制限は全セッションを絞り込み・並べ替えた後にかける
+   */
+  buildTableData(sessionsData: SessionData[]): string[][] {
+    const tableData: string[][] = [TABLE_HEADERS];
+    this.rowSessions = [null];
+    const numbers = new Map(sessionsData.map((session, index) => [session, index + 1]));
+    // -s に渡せる短縮ID
+    const shortIds = getShortIds(sessionsData.map((session) => session.sessionId));
+    const matched = filterSessions(sessionsData, this.filter);
+    this.matched = matched.length;
+    const numbered = sortSessions(matched, this.order)
+      .slice(0, this.limit)
+      .map((session) => ({
+        session,
+        number: numbers.get(session) ?? 0,
+      }));
+
+    if (!this.grouped) {
+      for (const { session, number } of numbered) {
+        tableData.push(this.formatSessionRow(session, number, shortIds.get(session.sessionId)));
+        this.rowSessions.push(session);
+      }
+      return tableData;
+    }
+
+    const groups = new Map<string, typeof numbered>();
+    for (const entry of numbered) {
+      const key = entry.session.projectPath || "";
+      const group = groups.get(key);
+      if (group) {
+        group.push(entry);
+      } else {
+        groups.set(key, [entry]);
+      }
+    }
+
+    for (const [projectPath, entries] of groups) {
+      tableData.push(
+        this.formatGroupRow(
+          projectPath,
+          entries.map((entry) => entry.session),
+        ),
+      );
+      this.rowSessions.push(null);
+      for (const { session, number } of entries) {
+        tableData.push(this.formatSessionRow(session, number, shortIds.get(session.sessionId)));
+        this.rowSessions.push(session);
+      }
+    }
+
+    return tableData;
+  }
+
+  /**
+   * テーブルの見出し（並び順と絞り込みの状態）
+   */
+  private formatTableLabel(): string {
+    const parts = ["Active Sessions", `sort: ${formatSessionOrder(this.order)}`];
+    if (this.filter) {
+      parts.push(`filter: "${this.filter}" (${this.matched}/${this.sessions.length})`);
+    }
+    return ` ${parts.join(" · ")} `;
+  }
+
+  private formatSessionRow(session: SessionData, number: number, shortId?: string): string[] {
+    return [
+      number.toString(),
+      shortId ?? session.sessionId,
+      this.grouped ? "" : this.formatProject(session.projectPath, 30),
+      this.formatUsage(session.usagePercentage || 0),
+      this.formatAutoCompact(session.autoCompact),
+      session.modelName || "Unknown",
+      session.turns.toString(),
+      this.formatCost(session.totalCost || 0),
+      this.formatAge(session.lastModified || new Date()),
+      this.truncatePrompt(session.latestPrompt, 50),
+    ];
+  }
+
+  // プロジェクトの小計行（トークンとコストの合計）
+  private formatGroupRow(projectPath: string, sessions: SessionData[]): string[] {
+    const totalTokens = sessions.reduce((sum, s) => sum + (s.totalTokens || 0), 0);
+    const totalCost = sessions.reduce((sum, s) => sum + (s.totalCost || 0), 0);
+    const totalTurns = sessions.reduce((sum, s) => sum + (s.turns || 0), 0);
+    const latest = Math.max(
+      ...sessions.map((s) => {
+        const lastModified = s.lastModified || 0;
+        return lastModified instanceof Date ? lastModified.getTime() : lastModified;
+      }),
+    );
+
+    return [
+      "",
+      `▼ ${this.formatProject(projectPath || undefined, 40)}`,
+      `${sessions.length} session${sessions.length === 1 ? "" : "s"}`,
+      `Σ ${this.formatTokens(totalTokens)} tokens`,
+      "",
+      "",
+      totalTurns.toString(),
+      this.formatCost(totalCost),
+      latest > 0 ? this.formatAge(latest) : "",
+      "",
+    ];
+  }
+
+  // 長いパスは末尾（プロジェクト名側）を残して省略
+  private formatProject(projectPath: string | undefined, maxLength: number): string {
+    const display = formatProjectPath(projectPath);
+    if (stringWidth(display) <= maxLength) return display;
+
+    const chars = Array.from(display);
+    let result = "";
+    let width = 1; // 先頭の "…" の分
+    for (let i = chars.length - 1; i >= 0; i--) {
+      const char = chars[i] ?? "";
+      const charWidth = stringWidth(char);
+      if (width + charWidth > maxLength) break;
+      result = char + result;
+      width += charWidth;
+    }
+    return `…${result}`;
+  }
+
+  private formatTokens(tokens: number): string {
+    if (tokens >= 1_000_000) {
+      return `${(tokens / 1_000_000).toFixed(1)}M`;
+    } else if (tokens >= 1_000) {
+      return `${(tokens / 1_000).toFixed(1)}k`;
+    }
+    return tokens.toString();
+  }
+
   private formatUsage(percentage: number): string {
     // percentageがundefinedまたはnullの場合のデフォルト値
     const safePercentage = Math.max(0, Math.min(100, percentage ?? 0));
@@ -335,8 +647,13 @@ export class SessionsLiveView {
         ? (sessions.reduce((sum, s) => sum + (s.usagePercentage || 0), 0) / sessions.length).toFixed(1)
         : "0";
 
+    const projects = new Set(sessions.map((s) => s.projectPath || "")).size;
+
     const summary =
-      `Total: ${totalSessions} sessions | ` + `Active (1h): ${activeSessions} | ` + `Avg Usage: ${avgUsage}%`;
+      `Total: ${totalSessions} sessions | ` +
+      `Projects: ${projects} | ` +
+      `Active (1h): ${activeSessions} | ` +
+      `Avg Usage: ${avgUsage}%`;
 
     this.boxes.summary.setContent(summary);
   }
@@ -391,6 +708,7 @@ export class SessionsLiveView {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
     }
+    this.closeDetail();
     if (this.screen) {
       this.screen.destroy();
     }
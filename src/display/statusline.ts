@@ -0,0 +1,123 @@
+/**
+ * Status line output for Claude Code's custom status line
+ *
+ * Claude Code pipes a JSON payload describing the current session to the
+ * configured command on stdin and shows the first line the command prints.
+ */
+
+interface StatusLineContextInfo {
+  sessionId: string;
+  modelName: string;
+  contextWindow: number;
+  totalTokens: number;
+  remainingTokens: number;
+  usagePercentage: number;
+  totalCost: number;
+  turns: number;
+  autoCompact: {
+    enabled: boolean;
+    remainingPercentage: number;
+  };
+}
+
+export interface StatusLinePayload {
+  sessionId: string;
+  transcriptPath: string;
+  modelId?: string;
+  modelDisplayName?: string;
+  cwd?: string;
+}
+
+export const DEFAULT_STATUSLINE_TEMPLATE = "{model} · {usage} · {compact} to compact · {cost}";
+
+/**
+ * Parse the JSON payload Claude Code writes to the status line command's stdin
+ */
+export function parseStatusLinePayload(input: string): StatusLinePayload {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(input);
+  } catch {
+    throw new Error("Invalid status line payload: expected JSON on stdin");
+  }
+
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Invalid status line payload: expected a JSON object");
+  }
+
+  const data = raw as {
+    session_id?: unknown;
+    transcript_path?: unknown;
+    cwd?: unknown;
+    model?: { id?: unknown; display_name?: unknown };
+  };
+
+  if (typeof data.session_id !== "string" || !data.session_id) {
+    throw new Error("Invalid status line payload: missing session_id");
+  }
+  if (typeof data.transcript_path !== "string" || !data.transcript_path) {
+    throw new Error("Invalid status line payload: missing transcript_path");
+  }
+
+  return {
+    sessionId: data.session_id,
+    transcriptPath: data.transcript_path,
+    modelId: typeof data.model?.id === "string" ? data.model.id : undefined,
+    modelDisplayName: typeof data.model?.display_name === "string" ? data.model.display_name : undefined,
+    cwd: typeof data.cwd === "string" ? data.cwd : undefined,
+  };
+}
+
+/**
+ * Read all of stdin as a UTF-8 string
+ */
+export async function readStdin(stream: NodeJS.ReadableStream = process.stdin): Promise<string> {
+  if ((stream as NodeJS.ReadStream).isTTY) {
+    throw new Error("No status line payload on stdin");
+  }
+
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Render a status line template
+ *
+ * Placeholders: {model} {usage} {compact} {cost} {tokens} {window} {remaining} {turns} {session}.
+ * Unknown placeholders are left untouched.
+ */
+export function formatStatusLine(info: StatusLineContextInfo, template: string = DEFAULT_STATUSLINE_TEMPLATE): string {
+  const values: Record<string, string> = {
+    model: shortModelName(info.modelName),
+    usage: `${Math.round(info.usagePercentage)}%`,
+    compact: info.autoCompact.enabled
+      ? info.autoCompact.remainingPercentage > 0
+        ? `${Math.round(info.autoCompact.remainingPercentage)}%`
+        : "0%"
+      : "N/A",
+    cost: `$${info.totalCost.toFixed(2)}`,
+    tokens: formatTokens(info.totalTokens),
+    window: formatTokens(info.contextWindow),
+    remaining: formatTokens(info.remainingTokens),
+    turns: String(info.turns),
+    session: info.sessionId.slice(0, 8),
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, key: string) => values[key] ?? match);
+}
+
+function shortModelName(modelName: string): string {
+  return modelName.replace(/^Claude\s+/, "");
+}
+
+function formatTokens(tokens: number): string {
+  if (tokens >= 1_000_000) {
+    return `${(tokens / 1_000_000).toFixed(1)}M`;
+  } else if (tokens >= 1_000) {
+    return `${(tokens / 1_000).toFixed(1)}k`;
+  }
+  return tokens.toString();
+}
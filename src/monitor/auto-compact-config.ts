@@ -1,3 +1,5 @@
+import { resolveModelKey } from "./model-resolver.js";
+
 // AutoCompact configuration
 
 interface SystemOverhead {
@@ -11,14 +13,22 @@ interface ModelThresholds {
   [key: string]: number;
 }
 
-type WarningLevel = "active" | "critical" | "warning" | "notice" | "normal";
+export type WarningLevel = "active" | "critical" | "warning" | "notice" | "normal";
+
+// 自動コンパクトまでの残り（%）がこの値を下回るとそのレベルになる
+export interface WarningThresholds {
+  notice: number;
+  warning: number;
+  critical: number;
+}
 
 interface AutoCompactConfiguration {
   DEFAULT_THRESHOLD: number;
   SYSTEM_OVERHEAD: SystemOverhead;
   MODEL_THRESHOLDS: ModelThresholds;
+  WARNING_THRESHOLDS: WarningThresholds;
   getThreshold(model: string): number;
-  getWarningLevel(remainingPercentage: number): WarningLevel;
+  getWarningLevel(remainingPercentage: number, thresholds?: WarningThresholds): WarningLevel;
 }
 
 export const AUTO_COMPACT_CONFIG: AutoCompactConfiguration = {
@@ -64,15 +74,23 @@ export const AUTO_COMPACT_CONFIG: AutoCompactConfiguration = {
     "claude-3-haiku-20240307[1m]": 0.92,
   },
 
+  WARNING_THRESHOLDS: {
+    notice: 20,
+    warning: 10,
+    critical: 5,
+  },
+
   getThreshold(model: string): number {
-    return this.MODEL_THRESHOLDS[model] || this.DEFAULT_THRESHOLD;
+    const key = resolveModelKey(model, this.MODEL_THRESHOLDS);
+    return (key && this.MODEL_THRESHOLDS[key]) || this.DEFAULT_THRESHOLD;
   },
 
-  getWarningLevel(remainingPercentage: number): WarningLevel {
+  getWarningLevel(remainingPercentage: number, thresholds?: WarningThresholds): WarningLevel {
+    const { critical, warning, notice } = thresholds ?? this.WARNING_THRESHOLDS;
     if (remainingPercentage <= 0) return "active";
-    if (remainingPercentage < 5) return "critical";
-    if (remainingPercentage < 10) return "warning";
-    if (remainingPercentage < 20) return "notice";
+    if (remainingPercentage < critical) return "critical";
+    if (remainingPercentage < warning) return "warning";
+    if (remainingPercentage < notice) return "notice";
     return "normal";
   },
 };
@@ -1,3 +1,6 @@
+import type { WarningLevel } from "./auto-compact-config.js";
+import { AUTO_COMPACT_CONFIG } from "./auto-compact-config.js";
+
 /**
  * Claude Code Auto-compact calculation module
  */
@@ -32,10 +35,9 @@ interface AutoCompactOptions {
   messageCount?: number;
   cacheSize?: number;
   autoCompactEnabled?: boolean;
+  autoCompactFactor?: number; // モデルごとの閾値（AUTO_COMPACT_CONFIG.getThreshold）
 }
 
-type WarningLevel = "active" | "critical" | "warning" | "notice" | "normal";
-
 interface AutoCompactInfo {
   enabled: boolean;
   threshold: number;
@@ -88,13 +90,14 @@ export function calculateClaudeContextStatus(
   autoCompactEnabled: boolean = false,
   availableTokens: number = CLAUDE_CONSTANTS.BASE_LIMIT,
   overheadOptions: SystemOverheadOptions = {},
+  autoCompactFactor: number = CLAUDE_CONSTANTS.AUTO_COMPACT_FACTOR,
 ): ClaudeContextStatus {
   const systemOverhead = calculateSystemOverhead(overheadOptions);
 
   // Available tokens after overhead
   const LkB = availableTokens - systemOverhead;
 
-  const autoCompactThreshold = LkB * CLAUDE_CONSTANTS.AUTO_COMPACT_FACTOR;
+  const autoCompactThreshold = LkB * autoCompactFactor;
 
   const effectiveLimit = autoCompactEnabled ? autoCompactThreshold : LkB;
 
@@ -163,37 +166,36 @@ export function calculateAutoCompactInfo(
   contextWindow: number = CLAUDE_CONSTANTS.BASE_LIMIT,
   options: AutoCompactOptions = {},
 ): AutoCompactInfo {
-  const { messageCount = 0, cacheSize = 0, autoCompactEnabled = true } = options;
-
-  const status = calculateClaudeContextStatus(currentUsage, autoCompactEnabled, contextWindow, {
-    messageCount,
-    cacheSize,
-  });
+  const {
+    messageCount = 0,
+    cacheSize = 0,
+    autoCompactEnabled = true,
+    autoCompactFactor = CLAUDE_CONSTANTS.AUTO_COMPACT_FACTOR,
+  } = options;
+
+  const status = calculateClaudeContextStatus(
+    currentUsage,
+    autoCompactEnabled,
+    contextWindow,
+    { messageCount, cacheSize },
+    autoCompactFactor,
+  );
 
   const percentageUntilCompact =
     autoCompactEnabled && status.remainingUntilAutoCompact !== null
       ? Math.round((status.remainingUntilAutoCompact / status.effectiveLimit) * 100)
       : 0;
 
-  let warningLevel: WarningLevel = "normal";
-  if (percentageUntilCompact <= 0) {
-    warningLevel = "active";
-  } else if (percentageUntilCompact < 5) {
-    warningLevel = "critical";
-  } else if (percentageUntilCompact < 10) {
-    warningLevel = "warning";
-  } else if (percentageUntilCompact < 20) {
-    warningLevel = "notice";
-  }
+  const warningLevel: WarningLevel = AUTO_COMPACT_CONFIG.getWarningLevel(percentageUntilCompact);
 
   return {
     enabled: autoCompactEnabled,
-    threshold: CLAUDE_CONSTANTS.AUTO_COMPACT_FACTOR,
-    thresholdPercentage: CLAUDE_CONSTANTS.AUTO_COMPACT_FACTOR * 100,
+    threshold: autoCompactFactor,
+    thresholdPercentage: autoCompactFactor * 100,
     remainingPercentage: percentageUntilCompact,
     remainingTokens: status.remainingUntilAutoCompact || 0,
     warningLevel,
-    willCompactSoon: percentageUntilCompact < 5,
+    willCompactSoon: percentageUntilCompact < AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS.critical,
     effectiveLimit: status.effectiveLimit,
     systemOverhead: status.systemOverhead,
     autoCompactThreshold: status.autoCompactThreshold,
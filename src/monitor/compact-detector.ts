@@ -0,0 +1,116 @@
+import fs from "fs";
+import type { MessageData } from "../types/index.js";
+import { isCompactBoundary, isCompactSummary } from "./compaction-log.js";
+
+/**
+ * トランスクリプトの構造からコンパクトを検出する
+ *
+ * 追記されたサイズや更新間隔は大きなツール結果や休憩でも変わるため使わない。
+ * ファイルの置き換え・切り詰めと、追記された行の内容（境界・要約・uuid の連鎖の切れ目）で判断する
+ */
+
+export type CompactSignal =
+  | "boundary" // type: "system", subtype: "compact_boundary"
+  | "summary" // isCompactSummary または要約の本文
+  | "summary-line" // type: "summary" の行
+  | "chain-break" // parentUuid が既知の uuid につながらない
+  | "truncated" // ファイルが読み取り位置より短くなった
+  | "replaced"; // inode が変わった、または読み取り済みの部分が書き換わった
+
+// 読み取り済みの末尾を照合して、同じ inode のまま書き直されたファイルを見分ける
+const FINGERPRINT_BYTES = 64;
+
+export interface FileState {
+  ino: number;
+  position: number;
+  fingerprint: string;
+}
+
+/**
+ * 1セッション分の行を順に観測し、コンパクトの兆候を返す
+ * 境界の後に要約が続くように1回のコンパクトで複数の兆候が出るため、次のアシスタントのターンまでは1回だけ返す
+ */
+export class CompactDetector {
+  private uuids: Set<string>;
+  private awaitingTurn: boolean;
+
+  constructor() {
+    this.uuids = new Set();
+    this.awaitingTurn = false;
+  }
+
+  reset(): void {
+    this.uuids.clear();
+    this.awaitingTurn = false;
+  }
+
+  observe(data: MessageData): CompactSignal | null {
+    let signal: CompactSignal | null = null;
+
+    // サブエージェントの連鎖はメインとは別に始まる
+    if (!data.isSidechain) {
+      if (isCompactBoundary(data)) {
+        signal = "boundary";
+      } else if (isCompactSummary(data)) {
+        signal = "summary";
+      } else if (data.type === "summary") {
+        signal = "summary-line";
+      } else if (data.uuid && this.uuids.size > 0 && data.parentUuid !== undefined) {
+        if (data.parentUuid === null || !this.uuids.has(data.parentUuid)) {
+          signal = "chain-break";
+        }
+      }
+    }
+
+    if (data.uuid) this.uuids.add(data.uuid);
+
+    if (signal && this.awaitingTurn) {
+      signal = null;
+    } else if (signal) {
+      this.awaitingTurn = true;
+    }
+    if (data.message?.role === "assistant" && !data.isSidechain) {
+      this.awaitingTurn = false;
+    }
+
+    return signal;
+  }
+}
+
+/**
+ * 読み取り位置の状態を記録する
+ */
+export async function readFileState(filePath: string, position: number, ino: number): Promise<FileState> {
+  return { ino, position, fingerprint: await readFingerprint(filePath, position) };
+}
+
+/**
+ * 前回の読み取り以降にファイルが置き換え・切り詰め・書き直しされたかを判定する
+ * 追記されただけなら null
+ */
+export async function detectFileRewrite(
+  filePath: string,
+  stats: { size: number; ino: number },
+  previous: FileState | undefined,
+): Promise<CompactSignal | null> {
+  if (!previous) return null;
+  if (stats.size < previous.position) return "truncated";
+  if (previous.ino && stats.ino && stats.ino !== previous.ino) return "replaced";
+
+  const fingerprint = await readFingerprint(filePath, previous.position);
+  return fingerprint === previous.fingerprint ? null : "replaced";
+}
+
+async function readFingerprint(filePath: string, position: number): Promise<string> {
+  const length = Math.min(FINGERPRINT_BYTES, position);
+  if (length <= 0) return "";
+
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position - length);
+    return buffer.subarray(0, bytesRead).toString("hex");
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,87 @@
+import type { CompactionEvent, MessageContent, MessageData, SessionData } from "../types/index.js";
+import { markCompaction } from "./context-history.js";
+
+/**
+ * セッションごとのコンパクトの記録
+ *
+ * Claude Code はコンパクト時に境界の行（type: "system", subtype: "compact_boundary"）と
+ * 要約のユーザーメッセージ（isCompactSummary）を書き出す。古いトランスクリプトには要約の本文しか残らない。
+ * 手動か自動かは境界の compactMetadata、なければ直前の /compact コマンドの有無で判断する
+ */
+
+const SUMMARY_MARKERS = [
+  "[Previous conversation summary",
+  "Previous conversation compacted",
+  "This session is being continued from a previous conversation",
+];
+const COMPACT_COMMAND = "<command-name>/compact</command-name>";
+
+export function isCompactBoundary(data: MessageData): boolean {
+  return data.type === "system" && data.subtype === "compact_boundary";
+}
+
+export function isCompactSummary(data: MessageData): boolean {
+  if (data.isCompactSummary) return true;
+  // 旧形式では要約がシステムメッセージとして書かれることもある
+  if (!data.message || data.message.role === "assistant") return false;
+  const text = getText(data.message.content);
+  return SUMMARY_MARKERS.some((marker) => text.includes(marker));
+}
+
+function isCompactCommand(data: MessageData): boolean {
+  return data.message?.role === "user" && getText(data.message.content).includes(COMPACT_COMMAND);
+}
+
+/**
+ * コンパクトに関わる行を記録する
+ * 境界の後に続く要約メッセージは同じコンパクトとして扱う
+ * @returns 新しいコンパクトを記録した場合 true
+ */
+export function recordCompactionMessage(sessionData: SessionData, data: MessageData): boolean {
+  if (isCompactCommand(data)) {
+    sessionData.compactRequested = true;
+    return false;
+  }
+
+  const boundary = isCompactBoundary(data);
+  if (!boundary && !isCompactSummary(data)) return false;
+  if (!boundary && getOpenCompaction(sessionData)) return false;
+
+  const event: CompactionEvent = {
+    timestamp: data.timestamp !== undefined ? String(data.timestamp) : undefined,
+    trigger: data.compactMetadata?.trigger ?? (sessionData.compactRequested ? "manual" : "auto"),
+    tokensBefore: data.compactMetadata?.preTokens ?? sessionData.totalTokens,
+  };
+
+  if (!sessionData.compactions) sessionData.compactions = [];
+  sessionData.compactions.push(event);
+  sessionData.compactRequested = false;
+  sessionData.isCompacted = true;
+  markCompaction(sessionData);
+  return true;
+}
+
+/**
+ * コンパクト後の最初のアシスタントのターンで、コンパクト後のコンテキストサイズを確定する
+ */
+export function completeCompaction(sessionData: SessionData): void {
+  const open = getOpenCompaction(sessionData);
+  if (open) {
+    open.tokensAfter = sessionData.totalTokens;
+  }
+}
+
+// まだ後のターンが来ていない直近のコンパクト
+function getOpenCompaction(sessionData: SessionData): CompactionEvent | undefined {
+  const last = sessionData.compactions?.[sessionData.compactions.length - 1];
+  return last && last.tokensAfter === undefined ? last : undefined;
+}
+
+function getText(content: MessageContent[] | string | undefined): string {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((block) => block?.type === "text")
+    .map((block) => block.text ?? "")
+    .join("\n");
+}
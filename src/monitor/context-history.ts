@@ -0,0 +1,45 @@
+import type { ContextHistoryPoint, SessionData } from "../types/index.js";
+
+// 長時間のセッションでもメモリを食い潰さないよう古い点から捨てる
+export const MAX_HISTORY_POINTS = 1000;
+
+// 前のターンから半分以上減った場合はコンパクトとみなす（自動コンパクトは本文に印が残らないことがある）
+const COMPACTION_DROP_RATIO = 0.5;
+
+/**
+ * コンパクトの要約メッセージを検出した時に呼ぶ
+ * 次に記録するターンに印が付く
+ */
+export function markCompaction(sessionData: SessionData): void {
+  sessionData.pendingCompaction = true;
+}
+
+/**
+ * アシスタントのターンごとに、その時点のコンテキストサイズ・キャッシュ・累計コストを記録する
+ * @param cost このターンのメッセージのコスト
+ */
+export function recordContextPoint(sessionData: SessionData, cost: number, timestamp?: string | number): void {
+  if (!sessionData.contextHistory) sessionData.contextHistory = [];
+  const history = sessionData.contextHistory;
+  const previous = history[history.length - 1];
+
+  const totalTokens = sessionData.totalTokens;
+  const dropped = previous !== undefined && totalTokens < previous.totalTokens * COMPACTION_DROP_RATIO;
+
+  const point: ContextHistoryPoint = {
+    turn: sessionData.turns,
+    timestamp: timestamp !== undefined ? String(timestamp) : undefined,
+    totalTokens,
+    cacheTokens: sessionData.totalCacheTokens ?? 0,
+    cost: (previous?.cost ?? 0) + cost,
+  };
+  if (sessionData.pendingCompaction || dropped) {
+    point.compacted = true;
+  }
+  sessionData.pendingCompaction = false;
+
+  history.push(point);
+  if (history.length > MAX_HISTORY_POINTS) {
+    history.splice(0, history.length - MAX_HISTORY_POINTS);
+  }
+}
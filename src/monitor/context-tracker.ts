@@ -1,11 +1,22 @@
-import type { Message, SessionData } from "../types/index.js";
+import { EventEmitter } from "events";
+import type { CompactionEvent, ContextHistoryPoint, Message, SessionData } from "../types/index.js";
+import { AUTO_COMPACT_CONFIG } from "./auto-compact-config.js";
 import { calculateAutoCompactInfo } from "./claude-calculation.js";
+import type { ContextWindowSource } from "./context-window.js";
+import { calculateUsagePercentage, detectContextWindow } from "./context-window.js";
+import type { CompactForecast } from "./forecast.js";
+import { forecastAutoCompact } from "./forecast.js";
 import { CONTEXT_WINDOWS, getContextWindow as getContextWindowFromConfig } from "./model-config.js";
+import type { SubagentSummary } from "./sidechain.js";
+import { getSubagentSummaries } from "./sidechain.js";
+import type { ToolConsumer } from "./tool-usage.js";
+import { getTopToolConsumers } from "./tool-usage.js";
 import { UsageCalculator } from "./usage-calculator.js";
 
 // Type for handling nested message structures from tests
 interface NestedMessage {
   message: Message;
+  requestId?: string;
 }
 
 // Union type for flexible message handling
@@ -38,6 +49,7 @@ export interface ContextInfo {
   model: string;
   modelName: string;
   contextWindow: number;
+  contextWindowSource?: ContextWindowSource;
   totalTokens: number;
   inputTokens: number;
   outputTokens: number;
@@ -45,10 +57,10 @@ export interface ContextInfo {
   usagePercentage: number;
   remainingTokens: number;
   remainingPercentage: number;
-  totalCost: number;
+  totalCost: number; // サブエージェント分を含む（sessions の Cost 列と同じ）
+  subagentCost?: number; // totalCost のうちサブエージェント分
   turns: number;
   averageTokensPerTurn: number;
-  estimatedRemainingTurns: number;
   warningLevel: "normal" | "warning" | "severe" | "critical";
   startTime?: number | string | Date;
   lastUpdate: Date;
@@ -68,6 +80,11 @@ export interface ContextInfo {
     autoCompactThreshold?: number;
   };
   latestTurn?: LatestTurn;
+  topTools?: ToolConsumer[];
+  subagents?: SubagentSummary[];
+  history?: ContextHistoryPoint[];
+  forecast?: CompactForecast | null; // 自動コンパクトまでの残りターン数（全体平均からの見積もりは使わない）
+  compactions?: CompactionEvent[];
 }
 
 interface FormattedContextInfo {
@@ -79,25 +96,47 @@ interface FormattedContextInfo {
   cost: string;
   turns: number;
   avgTokensPerTurn: string;
-  estRemainingTurns: string;
   warningLevel: string;
   duration: string;
   latestPrompt: string;
 }
 
-export class ContextTracker {
+/**
+ * セッションごとのコンテキスト情報を計算する
+ * 更新のたびに "update" イベント（ContextInfo）を発行する
+ */
+export class ContextTracker extends EventEmitter {
   private calculator: UsageCalculator;
   private sessions: Map<string, ContextInfo>;
+  private windowOverrides: Map<string, number>; // --context-window
+  private peakTokens: Map<string, number>;
 
   constructor() {
+    super();
     this.calculator = new UsageCalculator();
     this.sessions = new Map();
+    this.windowOverrides = new Map();
+    this.peakTokens = new Map();
   }
 
+  /**
+   * モデルの標準ウィンドウ（セッションの実際のウィンドウは updateSession が判定する）
+   */
   getContextWindow(model: string): number {
     return getContextWindowFromConfig(model);
   }
 
+  /**
+   * セッションのコンテキストウィンドウを明示的に指定する（null で自動判定に戻す）
+   */
+  setContextWindowOverride(sessionId: string, size: number | null): void {
+    if (size) {
+      this.windowOverrides.set(sessionId, size);
+    } else {
+      this.windowOverrides.delete(sessionId);
+    }
+  }
+
   updateSession(sessionData: SessionData | null | undefined): ContextInfo {
     if (!sessionData) {
       return {
@@ -115,7 +154,6 @@ export class ContextTracker {
         totalCost: 0,
         turns: 0,
         averageTokensPerTurn: 0,
-        estimatedRemainingTurns: 0,
         warningLevel: "normal",
         lastUpdate: new Date(),
         autoCompact: {
@@ -152,7 +190,6 @@ export class ContextTracker {
         totalCost: 0,
         turns: 0,
         averageTokensPerTurn: 0,
-        estimatedRemainingTurns: 0,
         warningLevel: "normal",
         lastUpdate: new Date(),
         autoCompact: {
@@ -182,6 +219,8 @@ export class ContextTracker {
                 role: nestedMsg.role,
                 content: nestedMsg.content,
                 usage: nestedMsg.usage,
+                id: nestedMsg.id,
+                requestId: msg.requestId ?? nestedMsg.requestId,
               };
             }
             // Handle direct message structure
@@ -191,7 +230,6 @@ export class ContextTracker {
       : [];
 
     const stats = this.calculator.calculateSessionTotals(validMessages, model);
-    const contextWindow = this.getContextWindow(model);
 
     // Use pre-calculated totalTokens if available, otherwise use calculated stats
     const totalTokens = sessionData.totalTokens !== undefined ? sessionData.totalTokens : stats.totalTokens;
@@ -200,21 +238,29 @@ export class ContextTracker {
 
     const actualTotalTokens = totalTokens;
 
-    const usagePercentage = contextWindow > 0 ? (actualTotalTokens / contextWindow) * 100 : 0;
+    // 一度200Kを超えたセッションはコンパクト後も1Mウィンドウのまま
+    const peakTokens = Math.max(
+      this.peakTokens.get(sessionId) ?? 0,
+      sessionData.peakTokens ?? 0,
+      Number(actualTotalTokens) || 0,
+    );
+    this.peakTokens.set(sessionId, peakTokens);
+    const contextWindowInfo = detectContextWindow(model, {
+      peakTokens,
+      override: this.windowOverrides.get(sessionId),
+    });
+    const contextWindow = contextWindowInfo.size;
+
+    const usagePercentage = calculateUsagePercentage(actualTotalTokens, contextWindow);
     const remainingTokens = Math.max(0, contextWindow - actualTotalTokens);
     const remainingPercentage = contextWindow > 0 ? (remainingTokens / contextWindow) * 100 : 100;
 
-    const estimatedRemainingTurns = this.calculator.estimateRemainingTurns(
-      actualTotalTokens,
-      contextWindow,
-      stats.averageTokensPerTurn,
-    );
-
     // Calculate auto-compact info
     const autoCompactInfo = calculateAutoCompactInfo(actualTotalTokens, contextWindow, {
-      messageCount: sessionData.messages?.length || validMessages.length || stats.turns,
+      messageCount: sessionData.messages?.length || sessionData.messageCount || validMessages.length || stats.turns,
       cacheSize: totalCacheTokens,
       autoCompactEnabled: true,
+      autoCompactFactor: AUTO_COMPACT_CONFIG.getThreshold(model),
     });
 
     let warningLevel: "normal" | "warning" | "severe" | "critical" = "normal";
@@ -226,11 +272,18 @@ export class ContextTracker {
       warningLevel = "warning";
     }
 
+    // サブエージェントはコンテキストには含めないが、セッションとして請求されるのでコストには含める
+    const subagentCost = Object.values(sessionData.sidechains ?? {}).reduce(
+      (sum, subagent) => sum + subagent.totalCost,
+      0,
+    );
+
     const contextInfo: ContextInfo = {
       sessionId,
       model,
       modelName: this.calculator.getModelName(model),
       contextWindow,
+      contextWindowSource: contextWindowInfo.source,
       totalTokens: actualTotalTokens,
       inputTokens: stats.totalInputTokens,
       outputTokens: stats.totalOutputTokens,
@@ -238,10 +291,10 @@ export class ContextTracker {
       usagePercentage,
       remainingTokens,
       remainingPercentage,
-      totalCost: stats.totalCost,
+      totalCost: stats.totalCost + subagentCost,
+      subagentCost,
       turns: stats.turns,
       averageTokensPerTurn: stats.averageTokensPerTurn,
-      estimatedRemainingTurns,
       warningLevel,
       startTime: sessionData.startTime || undefined,
       lastUpdate: new Date(),
@@ -269,11 +322,31 @@ export class ContextTracker {
         output: latestUsage.output,
         cache: latestUsage.cache,
         total: latestUsage.input + latestUsage.output,
-        percentage: contextWindow > 0 ? ((latestUsage.input + latestUsage.output) / contextWindow) * 100 : 0,
+        percentage: calculateUsagePercentage(latestUsage.input + latestUsage.output, contextWindow),
       };
     }
 
+    if (sessionData.toolUsage) {
+      contextInfo.topTools = getTopToolConsumers(sessionData.toolUsage, contextWindow);
+    }
+
+    // サイドチェーンはメインのコンテキストウィンドウ計算に含めず、内訳として別に返す
+    if (sessionData.sidechains) {
+      contextInfo.subagents = getSubagentSummaries(sessionData.sidechains);
+    }
+
+    if (sessionData.contextHistory) {
+      contextInfo.history = sessionData.contextHistory.slice();
+      // 直近の増加ペースから自動コンパクトまでを予測（サンプル不足なら null）
+      contextInfo.forecast = forecastAutoCompact(sessionData.contextHistory, autoCompactInfo.remainingTokens);
+    }
+
+    if (sessionData.compactions) {
+      contextInfo.compactions = sessionData.compactions.map((compaction) => ({ ...compaction }));
+    }
+
     this.sessions.set(sessionId, contextInfo);
+    this.emit("update", contextInfo);
     return contextInfo;
   }
 
@@ -305,7 +378,6 @@ export class ContextTracker {
       cost: calc.formatCost(info.totalCost),
       turns: info.turns,
       avgTokensPerTurn: calc.formatTokens(info.averageTokensPerTurn),
-      estRemainingTurns: info.estimatedRemainingTurns === Infinity ? "∞" : info.estimatedRemainingTurns.toString(),
       warningLevel: info.warningLevel,
       duration: this.formatDuration(info.startTime),
       latestPrompt: this.formatPrompt(info.latestPrompt),
@@ -0,0 +1,72 @@
+import { getContextWindow } from "./model-config.js";
+import { parseModelId } from "./model-resolver.js";
+
+/**
+ * セッションが実際に使っているコンテキストウィンドウの判定
+ *
+ * 現行モデルの標準は200Kで、1M（拡張コンテキスト）は [1m] 付きのモデルIDで有効になる。
+ * トランスクリプトには [1m] が残らないことがあるため、200Kを超える使用量を観測した場合も1Mとみなす。
+ * 使用率の計算はすべてここで決めたウィンドウを使う
+ */
+
+export const STANDARD_CONTEXT_WINDOW = 200_000;
+export const EXTENDED_CONTEXT_WINDOW = 1_000_000;
+
+export type ContextWindowSource = "override" | "suffix" | "observed" | "model";
+
+export interface ContextWindowInfo {
+  size: number;
+  source: ContextWindowSource;
+}
+
+export interface ContextWindowHints {
+  /** セッション中に観測した最大のコンテキストサイズ */
+  peakTokens?: number;
+  /** --context-window による指定 */
+  override?: number | null;
+}
+
+/**
+ * ウィンドウサイズを判定する
+ * 優先順位: 明示的な指定 > モデルIDの [1m] > 観測した使用量 > モデルの既定値
+ */
+export function detectContextWindow(model: string, hints: ContextWindowHints = {}): ContextWindowInfo {
+  if (hints.override && hints.override > 0) {
+    return { size: hints.override, source: "override" };
+  }
+
+  if (parseModelId(model)?.extendedContext) {
+    return { size: EXTENDED_CONTEXT_WINDOW, source: "suffix" };
+  }
+
+  const size = getContextWindow(model);
+  if ((hints.peakTokens ?? 0) > size && size < EXTENDED_CONTEXT_WINDOW) {
+    return { size: EXTENDED_CONTEXT_WINDOW, source: "observed" };
+  }
+
+  return { size, source: "model" };
+}
+
+/**
+ * ウィンドウに対する使用率（%）
+ */
+export function calculateUsagePercentage(totalTokens: number, contextWindow: number): number {
+  return contextWindow > 0 ? (totalTokens / contextWindow) * 100 : 0;
+}
+
+/**
+ * "200k", "1m", "1000000" のような指定をトークン数に変換
+ */
+export function parseContextWindow(value: string): number {
+  const match = value
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)([km]?)$/);
+  const multiplier = match?.[2] === "m" ? 1_000_000 : match?.[2] === "k" ? 1_000 : 1;
+  const size = match ? Math.round(Number(match[1]) * multiplier) : NaN;
+
+  if (!Number.isFinite(size) || size <= 0) {
+    throw new Error(`Invalid context window: ${value}. Use a token count such as 200k or 1m`);
+  }
+  return size;
+}
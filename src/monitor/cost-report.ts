@@ -0,0 +1,256 @@
+import fs from "fs";
+import type { MessageData } from "../types/index.js";
+import { readJsonLines } from "../utils/jsonl-reader.js";
+import { LightTable } from "../utils/lightweight-table.js";
+import { calculateMessageCost, getModelName } from "./model-config.js";
+import { resolveProjectPath } from "./project-path.js";
+import { countResponseOnce } from "./response-dedupe.js";
+
+export type ReportGroupBy = "day" | "project" | "model";
+
+export const REPORT_GROUP_BY: ReportGroupBy[] = ["day", "project", "model"];
+
+export interface CostReportOptions {
+  since: Date;
+  until: Date; // exclusive
+  groupBy: ReportGroupBy;
+}
+
+export interface CostReportRow {
+  key: string;
+  sessions: number;
+  messages: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheCreationTokens: number;
+  cost: number;
+}
+
+export interface CostReport {
+  since: string;
+  until: string;
+  groupBy: ReportGroupBy;
+  rows: CostReportRow[];
+  total: CostReportRow;
+}
+
+// Claude Codeは1つのAPI応答をcontentブロックごとに複数行へ書き出し、各行に同じusageが付く
+interface RowAccumulator extends CostReportRow {
+  sessionIds: Set<string>;
+}
+
+/**
+ * --since / --until の値を日付に変換
+ * today, yesterday, Nd / Nw（今日を含む直近N日 / N週）, YYYY-MM-DD を受け付ける
+ * 返り値はその日の0時（ローカル時刻）
+ */
+export function parseReportDate(value: string, now: Date = new Date()): Date {
+  const today = startOfDay(now);
+  const input = value.trim().toLowerCase();
+
+  if (input === "today") return today;
+  if (input === "yesterday") return addDays(today, -1);
+
+  const relative = input.match(/^(\d+)([dw])$/);
+  if (relative) {
+    const amount = parseInt(relative[1] ?? "0", 10);
+    const days = relative[2] === "w" ? amount * 7 : amount;
+    return addDays(today, -Math.max(0, days - 1));
+  }
+
+  const absolute = input.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (absolute) {
+    const date = new Date(Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3]));
+    if (!Number.isNaN(date.getTime()) && formatDay(date) === input) return date;
+  }
+
+  throw new Error(`Invalid date: ${value}. Use today, yesterday, <n>d, <n>w or YYYY-MM-DD`);
+}
+
+/**
+ * 期間内の全メッセージのコストを集計する
+ * コストはメッセージごとに、そのメッセージ自身のモデルとタイムスタンプで計算する
+ */
+export async function generateCostReport(files: string[], options: CostReportOptions): Promise<CostReport> {
+  const sinceMs = options.since.getTime();
+  const untilMs = options.until.getTime();
+  const rows = new Map<string, RowAccumulator>();
+  const total = createRow("Total");
+
+  for (const file of files) {
+    // 期間開始より前に更新が止まったファイルには対象メッセージがない
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats || stats.mtimeMs < sinceMs) continue;
+
+    const sessionId = file.replace(/^.*[\\/]/, "").replace(/\.jsonl$/, "");
+    const responseIds = new Set<string>();
+    let cwd: string | undefined;
+    let model = "unknown";
+
+    await readJsonLines<MessageData>(file, (data) => {
+      if (!cwd && data.cwd) cwd = data.cwd;
+      if (data.message?.model) model = data.message.model;
+
+      const usage = data.message?.usage;
+      if (!usage || !data.timestamp) return;
+      // セッションの Cost 列と同じく、API応答ごとに1回だけ数える
+      if (!countResponseOnce(responseIds, data.message?.id, data.requestId)) return;
+
+      const timestamp = new Date(data.timestamp).getTime();
+      if (Number.isNaN(timestamp) || timestamp < sinceMs || timestamp >= untilMs) return;
+
+      const messageModel = data.message?.model || model;
+      let key: string;
+      switch (options.groupBy) {
+        case "project":
+          key = resolveProjectPath(file, cwd);
+          break;
+        case "model":
+          key = getModelName(messageModel);
+          break;
+        default:
+          key = formatDay(new Date(timestamp));
+      }
+
+      let row = rows.get(key);
+      if (!row) {
+        row = createRow(key);
+        rows.set(key, row);
+      }
+
+      const cost = calculateMessageCost(messageModel, usage);
+      for (const target of [row, total]) {
+        target.sessionIds.add(sessionId);
+        target.messages++;
+        target.inputTokens += usage.input_tokens || 0;
+        target.outputTokens += usage.output_tokens || 0;
+        target.cacheReadTokens += usage.cache_read_input_tokens || 0;
+        target.cacheCreationTokens += usage.cache_creation_input_tokens || 0;
+        target.cost += cost;
+      }
+    });
+  }
+
+  const sorted = Array.from(rows.values()).sort((a, b) =>
+    options.groupBy === "day" ? a.key.localeCompare(b.key) : b.cost - a.cost,
+  );
+
+  return {
+    since: options.since.toISOString(),
+    until: options.until.toISOString(),
+    groupBy: options.groupBy,
+    rows: sorted.map(toRow),
+    total: toRow(total),
+  };
+}
+
+/**
+ * 表形式で出力
+ */
+export function formatReportTable(report: CostReport): string {
+  if (report.rows.length === 0) {
+    return "No usage found in the selected period.";
+  }
+
+  const label = report.groupBy === "day" ? "Date" : report.groupBy === "project" ? "Project" : "Model";
+  const table = new LightTable({
+    head: [label, "Sessions", "Messages", "Input", "Output", "Cache Read", "Cache Write", "Cost"],
+  });
+
+  for (const row of [...report.rows, report.total]) {
+    table.push([
+      row.key,
+      row.sessions,
+      row.messages,
+      formatTokens(row.inputTokens),
+      formatTokens(row.outputTokens),
+      formatTokens(row.cacheReadTokens),
+      formatTokens(row.cacheCreationTokens),
+      `$${row.cost.toFixed(2)}`,
+    ]);
+  }
+
+  return table.toString();
+}
+
+/**
+ * CSV形式で出力（合計行を含む）
+ */
+export function formatReportCsv(report: CostReport): string {
+  const header = [
+    report.groupBy,
+    "sessions",
+    "messages",
+    "input_tokens",
+    "output_tokens",
+    "cache_read_tokens",
+    "cache_creation_tokens",
+    "cost_usd",
+  ];
+  const lines = [header.join(",")];
+
+  for (const row of [...report.rows, report.total]) {
+    lines.push(
+      [
+        escapeCsv(row.key),
+        row.sessions,
+        row.messages,
+        row.inputTokens,
+        row.outputTokens,
+        row.cacheReadTokens,
+        row.cacheCreationTokens,
+        row.cost.toFixed(4),
+      ].join(","),
+    );
+  }
+
+  return lines.join("\n");
+}
+
+function createRow(key: string): RowAccumulator {
+  return {
+    key,
+    sessions: 0,
+    messages: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    cost: 0,
+    sessionIds: new Set(),
+  };
+}
+
+function toRow({ sessionIds, ...row }: RowAccumulator): CostReportRow {
+  return { ...row, sessions: sessionIds.size };
+}
+
+function startOfDay(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date: Date, days: number): Date {
+  // 夏時間の切り替えをまたいでも0時になるよう、日付単位で加算する
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// ローカル時刻の YYYY-MM-DD
+function formatDay(date: Date): string {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function formatTokens(tokens: number): string {
+  if (tokens >= 1_000_000) {
+    return `${(tokens / 1_000_000).toFixed(1)}M`;
+  } else if (tokens >= 1_000) {
+    return `${(tokens / 1_000).toFixed(1)}k`;
+  }
+  return tokens.toString();
+}
+
+function escapeCsv(value: string): string {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
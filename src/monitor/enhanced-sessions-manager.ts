@@ -18,7 +18,6 @@ interface SessionInfo {
   totalCost: number;
   turns: number;
   averageTokensPerTurn: number;
-  estimatedRemainingTurns: number;
   warningLevel: "normal" | "warning" | "severe" | "critical";
   startTime?: number | string | Date;
   lastUpdate: Date;
@@ -30,6 +29,7 @@ interface SessionInfo {
     remainingPercentage: number;
   };
   lastModified?: Date;
+  projectPath?: string;
 }
 
 interface SessionChangeEvent {
@@ -52,7 +52,7 @@ export class EnhancedSessionsManager extends EventEmitter {
   constructor() {
     super();
     this.watcher = new SessionWatcher();
-    this.cache = new SessionCache();
+    this.cache = new SessionCache({ persistent: true });
     this.contextTracker = new ContextTracker();
     this.updateBatch = new Set();
     this.batchTimeout = null;
@@ -83,8 +83,10 @@ export class EnhancedSessionsManager extends EventEmitter {
       // Start directory monitoring
       await this.watcher.startDirectoryWatch();
 
-      // Initial session loading
+      // Restore parsed sessions from the on-disk index, then load (only changed files are re-parsed)
+      await this.cache.loadIndex();
       await this.loadAllSessions();
+      await this.cache.saveIndex();
 
       this.isInitialized = true;
       this.log("Enhanced sessions manager initialized successfully");
@@ -99,6 +101,7 @@ export class EnhancedSessionsManager extends EventEmitter {
     this.watcher.on("session-added", async (data: SessionChangeEvent) => {
       const { sessionId, filePath } = data;
       this.log(`Session added: ${sessionId}`);
+      this.emit("session-added", data);
       this.scheduleUpdate(filePath);
     });
 
@@ -106,15 +109,20 @@ export class EnhancedSessionsManager extends EventEmitter {
     this.watcher.on("session-removed", (data: SessionChangeEvent) => {
       const { sessionId, filePath } = data;
       this.log(`Session removed: ${sessionId}`);
+      this.emit("session-removed", data);
       this.cache.clearSession(filePath);
       this.emitSessionsUpdate();
     });
 
+    this.watcher.on("compact-detected", (data: SessionChangeEvent) => {
+      this.emit("compact-detected", data);
+    });
+
     // When a session file is updated (new messages, etc.)
     this.watcher.on("session-updated", async (data: SessionChangeEvent) => {
       const { sessionId, filePath } = data;
       this.log(`Session updated: ${sessionId}`);
-      this.cache.clearSession(filePath); // Clear cache to force reload
+      // The cache detects the change from mtime/size and parses only the appended lines
       this.scheduleUpdate(filePath);
     });
   }
@@ -155,19 +163,28 @@ export class EnhancedSessionsManager extends EventEmitter {
         sessionId: sessionData.sessionId,
         model: sessionData.model,
         messages: [], // We're using parsed data, not raw messages
-        totalTokens: sessionData.totalTokens,
+        messageCount: sessionData.messageCount,
+        // 使用率は累計ではなく直近のコンテキストサイズから
+        totalTokens: sessionData.contextTokens ?? sessionData.totalTokens,
+        peakTokens: sessionData.peakTokens,
         totalCacheTokens: sessionData.totalCacheTokens,
         turns: sessionData.turns,
         totalCost: sessionData.totalCost,
       });
+      // フックなどの購読者向けに、セッションごとの更新を通知する
+      this.emit("context-updated", contextInfo);
 
       // Return all context info including autoCompact
       return {
         ...contextInfo,
+        // messages を渡していないので、ターン数とコストは解析済みの値を使う
+        turns: sessionData.turns,
+        totalCost: sessionData.totalCost ?? 0,
         lastModified: sessionData.lastModified instanceof Date ? sessionData.lastModified : undefined,
         startTime: sessionData.firstTimestamp || undefined,
         latestPrompt: sessionData.latestPrompt,
         latestPromptTime: sessionData.lastTimestamp || undefined,
+        projectPath: sessionData.projectPath,
       };
     } catch (error) {
       this.log(`Error loading session ${filePath}: ${(error as Error).message}`);
@@ -207,6 +224,7 @@ export class EnhancedSessionsManager extends EventEmitter {
       // Load updated sessions in parallel
       const sessionPromises = filePaths.map((file) => this.loadSingleSession(file));
       await Promise.all(sessionPromises);
+      await this.cache.saveIndex();
 
       // Get latest state of all sessions and notify
       this.emitSessionsUpdate();
@@ -260,10 +278,11 @@ export class EnhancedSessionsManager extends EventEmitter {
   }
 
   /**
-   * Clear session cache
+   * Clear session cache, including the on-disk index
    */
-  clearCache(): void {
+  async clearCache(): Promise<void> {
     this.cache.clearAll();
+    await this.cache.deleteIndex();
   }
 
   /**
@@ -0,0 +1,118 @@
+import type { ContextHistoryPoint } from "../types/index.js";
+
+/**
+ * 直近のターンの増加ペースから自動コンパクトまでのターン数・時間を予測する
+ *
+ * 全体の平均は大きなファイル読み込みなど一度きりの増加に引きずられるため、
+ * ターンごとの増加量を指数平滑化（EWMA）し、そのばらつきから予測の幅を出す
+ */
+
+export interface ForecastOptions {
+  /** 平滑化係数（大きいほど直近のターンを重視する） */
+  alpha?: number;
+  /** 使用する直近のターン数 */
+  window?: number;
+}
+
+export interface CompactForecast {
+  /** 平滑化したターンあたりの増加トークン数 */
+  tokensPerTurn: number;
+  /** 予測の中央値と幅（増加が止まっている場合は Infinity） */
+  turns: number;
+  turnsLow: number;
+  turnsHigh: number;
+  /** 平滑化したターンの間隔（タイムスタンプがない場合は null） */
+  secondsPerTurn: number | null;
+  seconds: number | null;
+  secondsLow: number | null;
+  secondsHigh: number | null;
+  /** 予測に使ったターン間の数 */
+  samples: number;
+}
+
+const DEFAULT_ALPHA = 0.3;
+const DEFAULT_WINDOW = 20;
+const MIN_SAMPLES = 2;
+// 席を外していた時間まで含めないよう、ターンの間隔はこの値で頭打ちにする
+const MAX_TURN_INTERVAL_SECONDS = 10 * 60;
+
+/**
+ * @param history ターンごとのコンテキスト推移
+ * @param remainingTokens 自動コンパクトの閾値までの残りトークン（calculateAutoCompactInfo の remainingTokens）
+ * @returns サンプルが足りない場合は null
+ */
+export function forecastAutoCompact(
+  history: ContextHistoryPoint[],
+  remainingTokens: number,
+  options: ForecastOptions = {},
+): CompactForecast | null {
+  const alpha = options.alpha ?? DEFAULT_ALPHA;
+  const window = options.window ?? DEFAULT_WINDOW;
+
+  // コンパクトをまたぐ増減は意味がないため、最後のコンパクト以降だけを見る
+  let start = 0;
+  for (let i = history.length - 1; i > 0; i--) {
+    if (history[i]?.compacted) {
+      start = i;
+      break;
+    }
+  }
+  const points = history.slice(Math.max(start, history.length - window - 1));
+
+  const growth: number[] = [];
+  const intervals: number[] = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    if (!previous || !current) continue;
+    growth.push(Math.max(0, current.totalTokens - previous.totalTokens));
+
+    const elapsed = (Date.parse(current.timestamp ?? "") - Date.parse(previous.timestamp ?? "")) / 1000;
+    if (Number.isFinite(elapsed) && elapsed >= 0) {
+      intervals.push(Math.min(elapsed, MAX_TURN_INTERVAL_SECONDS));
+    }
+  }
+
+  if (growth.length < MIN_SAMPLES) return null;
+
+  const { mean, deviation } = smooth(growth, alpha);
+  const remaining = Math.max(0, remainingTokens);
+  const turns = turnsUntil(remaining, mean);
+  // 増加が速ければ早く、遅ければ遅く到達する
+  const turnsLow = turnsUntil(remaining, mean + deviation);
+  const turnsHigh = turnsUntil(remaining, mean - deviation);
+
+  const secondsPerTurn = intervals.length >= MIN_SAMPLES ? smooth(intervals, alpha).mean : null;
+  const toSeconds = (value: number): number | null =>
+    secondsPerTurn === null ? null : Number.isFinite(value) ? Math.round(value * secondsPerTurn) : Infinity;
+
+  return {
+    tokensPerTurn: Math.round(mean),
+    turns,
+    turnsLow,
+    turnsHigh,
+    secondsPerTurn: secondsPerTurn === null ? null : Math.round(secondsPerTurn),
+    seconds: toSeconds(turns),
+    secondsLow: toSeconds(turnsLow),
+    secondsHigh: toSeconds(turnsHigh),
+    samples: growth.length,
+  };
+}
+
+// 指数平滑化した平均と標準偏差
+function smooth(values: number[], alpha: number): { mean: number; deviation: number } {
+  let mean = values[0] ?? 0;
+  let variance = 0;
+  for (const value of values.slice(1)) {
+    const diff = value - mean;
+    mean += alpha * diff;
+    variance = (1 - alpha) * (variance + alpha * diff * diff);
+  }
+  return { mean, deviation: Math.sqrt(variance) };
+}
+
+function turnsUntil(remainingTokens: number, tokensPerTurn: number): number {
+  if (remainingTokens <= 0) return 0;
+  if (tokensPerTurn <= 0) return Infinity;
+  return Math.floor(remainingTokens / tokensPerTurn);
+}
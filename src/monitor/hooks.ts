@@ -0,0 +1,297 @@
+import { spawn } from "child_process";
+import type { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import type { WarningLevel } from "./auto-compact-config.js";
+import { AUTO_COMPACT_CONFIG } from "./auto-compact-config.js";
+import { getConfigDir } from "./model-registry.js";
+
+/**
+ * セッションのイベントで実行するフック（hooks.json）
+ *
+ * フックはシェルコマンド（ペイロードのJSONを標準入力に渡す）か、ローカルのURLへのHTTP POST
+ * {
+ *   "hooks": [
+ *     { "events": ["compact-detected"], "command": "cat >> ~/compactions.jsonl" },
+ *     { "events": ["threshold-changed"], "url": "http://127.0.0.1:8080/cccontext" }
+ *   ]
+ * }
+ */
+
+export type HookEvent = "session-added" | "session-removed" | "compact-detected" | "threshold-changed";
+
+export const HOOK_EVENTS: HookEvent[] = ["session-added", "session-removed", "compact-detected", "threshold-changed"];
+
+export interface HookDefinition {
+  events: HookEvent[];
+  command?: string;
+  url?: string;
+  timeout?: number; // ms
+}
+
+export interface HookPayload {
+  event: HookEvent;
+  timestamp: string;
+  sessionId: string;
+  filePath?: string;
+  reason?: string; // compact-detected の検出理由
+  level?: WarningLevel;
+  previousLevel?: WarningLevel;
+  model?: string;
+  totalTokens?: number;
+  contextWindow?: number;
+  usagePercentage?: number;
+  remainingPercentage?: number; // 自動コンパクトまでの残り
+}
+
+// updateSession の結果のうちフックで使う部分
+interface ContextUpdate {
+  sessionId: string;
+  model?: string;
+  totalTokens?: number;
+  contextWindow?: number;
+  usagePercentage?: number;
+  autoCompact?: { enabled?: boolean; remainingPercentage: number };
+}
+
+interface SessionChangeEvent {
+  sessionId: string;
+  filePath?: string;
+  reason?: string;
+}
+
+export interface HookRunnerOptions {
+  onError?: (error: Error, hook: HookDefinition) => void;
+  spawn?: typeof spawn;
+  fetch?: typeof fetch;
+}
+
+const DEFAULT_TIMEOUT = 10_000;
+const KNOWN_FIELDS = new Set(["events", "command", "url", "timeout"]);
+const LOOPBACK_HOSTS = new Set(["localhost", "::1", "[::1]"]);
+
+/**
+ * hooks.json の既定パス
+ */
+export function getDefaultHooksPath(): string {
+  return path.join(getConfigDir(), "hooks.json");
+}
+
+/**
+ * hooks.json の内容を検証する
+ * URLは外部へ送信しないよう、ループバック（localhost / 127.0.0.0/8 / ::1）だけを受け付ける
+ */
+export function parseHooksFile(content: string, source: string): HookDefinition[] {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid hooks file ${source}: ${(error as Error).message}`);
+  }
+
+  const fail = (message: string): never => {
+    throw new Error(`Invalid hooks file ${source}: ${message}`);
+  };
+
+  if (!isPlainObject(raw) || !Array.isArray(raw.hooks)) {
+    return fail('expected an object with a "hooks" array');
+  }
+
+  return raw.hooks.map((value: unknown, index: number) => {
+    const at = `hooks[${index}]`;
+    if (!isPlainObject(value)) return fail(`${at} must be an object`);
+
+    for (const key of Object.keys(value)) {
+      if (!KNOWN_FIELDS.has(key)) fail(`${at}.${key} is not a known field`);
+    }
+
+    const events = typeof value.events === "string" ? [value.events] : value.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      fail(`${at}.events must list at least one of ${HOOK_EVENTS.join(", ")}`);
+    }
+    for (const event of events as unknown[]) {
+      if (!HOOK_EVENTS.includes(event as HookEvent)) {
+        fail(`${at}.events contains unknown event ${JSON.stringify(event)}; use ${HOOK_EVENTS.join(", ")}`);
+      }
+    }
+
+    const { command, url, timeout } = value;
+    if ((command === undefined) === (url === undefined)) {
+      fail(`${at} needs either "command" or "url"`);
+    }
+    if (command !== undefined && (typeof command !== "string" || !command.trim())) {
+      fail(`${at}.command must be a non-empty string`);
+    }
+    if (url !== undefined && (typeof url !== "string" || !isLoopbackUrl(url))) {
+      fail(`${at}.url must be an http(s) URL on localhost`);
+    }
+    if (timeout !== undefined && !(typeof timeout === "number" && Number.isInteger(timeout) && timeout > 0)) {
+      fail(`${at}.timeout must be a positive integer (milliseconds)`);
+    }
+
+    return {
+      events: events as HookEvent[],
+      command: command as string | undefined,
+      url: url as string | undefined,
+      timeout: timeout as number | undefined,
+    };
+  });
+}
+
+/**
+ * hooks.json を読み込む
+ * 明示的に指定されたファイル（--hooks）が存在しない場合はエラー、既定パスになければフックなし
+ */
+export function loadHooks(filePath?: string): HookDefinition[] {
+  const source = filePath ? path.resolve(filePath) : getDefaultHooksPath();
+
+  let content: string;
+  try {
+    content = fs.readFileSync(source, "utf-8");
+  } catch (error) {
+    if (!filePath && (error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw new Error(`Cannot read hooks file ${source}: ${(error as Error).message}`);
+  }
+
+  return parseHooksFile(content, source);
+}
+
+/**
+ * イベントを受けて該当するフックを実行する
+ * フックの失敗や遅延でモニターを止めないよう、結果は待たずにエラーは onError に渡すだけにする
+ */
+export class HookRunner {
+  private hooks: HookDefinition[];
+  private onError: (error: Error, hook: HookDefinition) => void;
+  private spawnProcess: typeof spawn;
+  private fetchUrl: typeof fetch;
+  private levels: Map<string, WarningLevel>;
+
+  constructor(hooks: HookDefinition[], options: HookRunnerOptions = {}) {
+    this.hooks = hooks;
+    this.onError = options.onError ?? (() => {});
+    this.spawnProcess = options.spawn ?? spawn;
+    this.fetchUrl = options.fetch ?? fetch;
+    this.levels = new Map();
+  }
+
+  /**
+   * SessionWatcher / EnhancedSessionsManager のセッションイベントと、
+   * ContextTracker の "update"（EnhancedSessionsManager では "context-updated"）を購読する
+   */
+  attach(...sources: EventEmitter[]): void {
+    for (const source of sources) {
+      for (const event of ["session-added", "session-removed", "compact-detected"] as const) {
+        source.on(event, (data: SessionChangeEvent) => this.handleSessionEvent(event, data));
+      }
+      source.on("update", (info: ContextUpdate) => this.handleContextUpdate(info));
+      source.on("context-updated", (info: ContextUpdate) => this.handleContextUpdate(info));
+    }
+  }
+
+  handleSessionEvent(event: Exclude<HookEvent, "threshold-changed">, data: SessionChangeEvent): void {
+    if (event === "session-removed") {
+      this.levels.delete(data.sessionId);
+    }
+    this.run({
+      event,
+      timestamp: new Date().toISOString(),
+      sessionId: data.sessionId,
+      filePath: data.filePath,
+      reason: data.reason,
+    });
+  }
+
+  /**
+   * 警告レベルが変わった時に threshold-changed を発行する
+   * 最初に見たセッションは基準として記録するだけ（起動時に既存セッションの分が一斉に飛ばないように）
+   */
+  handleContextUpdate(info: ContextUpdate): void {
+    if (!info.sessionId || !info.autoCompact?.enabled) return;
+
+    const remainingPercentage = info.autoCompact.remainingPercentage;
+    const level = AUTO_COMPACT_CONFIG.getWarningLevel(remainingPercentage);
+    const previousLevel = this.levels.get(info.sessionId);
+    this.levels.set(info.sessionId, level);
+    if (previousLevel === undefined || previousLevel === level) return;
+
+    this.run({
+      event: "threshold-changed",
+      timestamp: new Date().toISOString(),
+      sessionId: info.sessionId,
+      level,
+      previousLevel,
+      model: info.model,
+      totalTokens: info.totalTokens,
+      contextWindow: info.contextWindow,
+      usagePercentage: info.usagePercentage,
+      remainingPercentage,
+    });
+  }
+
+  run(payload: HookPayload): void {
+    for (const hook of this.hooks) {
+      if (!hook.events.includes(payload.event)) continue;
+      if (hook.command) {
+        this.runCommand(hook, hook.command, payload);
+      } else if (hook.url) {
+        this.postUrl(hook, hook.url, payload);
+      }
+    }
+  }
+
+  private runCommand(hook: HookDefinition, command: string, payload: HookPayload): void {
+    const fail = (error: Error) => this.onError(error, hook);
+    try {
+      const child = this.spawnProcess(command, [], { shell: true, stdio: ["pipe", "ignore", "ignore"] });
+      const timer = setTimeout(() => {
+        child.kill();
+        fail(new Error(`Hook timed out after ${hook.timeout ?? DEFAULT_TIMEOUT}ms: ${command}`));
+      }, hook.timeout ?? DEFAULT_TIMEOUT);
+      timer.unref();
+
+      child.on("error", (error: Error) => {
+        clearTimeout(timer);
+        fail(error);
+      });
+      child.on("exit", (code: number | null) => {
+        clearTimeout(timer);
+        if (code) fail(new Error(`Hook exited with code ${code}: ${command}`));
+      });
+      // コマンドが標準入力を読まずに終了した場合の EPIPE は無視する
+      child.stdin?.on("error", () => {});
+      child.stdin?.end(`${JSON.stringify(payload)}\n`);
+    } catch (error) {
+      fail(error as Error);
+    }
+  }
+
+  private postUrl(hook: HookDefinition, url: string, payload: HookPayload): void {
+    this.fetchUrl(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(hook.timeout ?? DEFAULT_TIMEOUT),
+    })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Hook POST ${url} returned ${response.status}`);
+      })
+      .catch((error: Error) => this.onError(error, hook));
+  }
+}
+
+function isLoopbackUrl(value: string): boolean {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return false;
+  const host = url.hostname.toLowerCase();
+  return LOOPBACK_HOSTS.has(host) || /^127(?:\.\d{1,3}){3}$/.test(host);
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
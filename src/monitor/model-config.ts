@@ -4,10 +4,14 @@
  */
 
 import type { ModelPricing } from "../types/index.js";
+import { formatModelName, parseModelId, resolveModelKey } from "./model-resolver.js";
 
 interface PricingInfo extends ModelPricing {
   input: number;
   output: number;
+  cacheWrite5m: number; // 1.25x input
+  cacheWrite1h: number; // 2x input
+  cacheRead: number; // 0.1x input
   name: string;
 }
 
@@ -24,6 +28,20 @@ interface TokenUsage {
   output_tokens?: number;
   cache_read_input_tokens?: number;
   cache_creation_input_tokens?: number;
+  cache_creation?: CacheCreationUsage;
+}
+
+interface CacheCreationUsage {
+  ephemeral_5m_input_tokens?: number;
+  ephemeral_1h_input_tokens?: number;
+}
+
+export interface CostBreakdown {
+  inputCost: number;
+  cacheWriteCost: number;
+  cacheReadCost: number;
+  outputCost: number;
+  totalCost: number;
 }
 
 // Model pricing configuration (USD per 1M tokens)
@@ -32,6 +50,9 @@ export const PRICING: PricingConfig = {
   "claude-opus-4-6": {
     input: 5.0,
     output: 25.0,
+    cacheWrite5m: 6.25,
+    cacheWrite1h: 10.0,
+    cacheRead: 0.5,
     inputPerMillion: 5.0,
     outputPerMillion: 25.0,
     name: "Claude Opus 4.6",
@@ -40,6 +61,9 @@ export const PRICING: PricingConfig = {
   "claude-opus-4-5-20251101": {
     input: 5.0,
     output: 25.0,
+    cacheWrite5m: 6.25,
+    cacheWrite1h: 10.0,
+    cacheRead: 0.5,
     inputPerMillion: 5.0,
     outputPerMillion: 25.0,
     name: "Claude Opus 4.5",
@@ -48,6 +72,9 @@ export const PRICING: PricingConfig = {
   "claude-opus-4-1-20250805": {
     input: 15.0,
     output: 75.0,
+    cacheWrite5m: 18.75,
+    cacheWrite1h: 30.0,
+    cacheRead: 1.5,
     inputPerMillion: 15.0,
     outputPerMillion: 75.0,
     name: "Claude Opus 4.1",
@@ -56,6 +83,9 @@ export const PRICING: PricingConfig = {
   "claude-opus-4-20250514": {
     input: 15.0,
     output: 75.0,
+    cacheWrite5m: 18.75,
+    cacheWrite1h: 30.0,
+    cacheRead: 1.5,
     inputPerMillion: 15.0,
     outputPerMillion: 75.0,
     name: "Claude Opus 4",
@@ -64,6 +94,9 @@ export const PRICING: PricingConfig = {
   "claude-3-opus-20241022": {
     input: 15.0,
     output: 75.0,
+    cacheWrite5m: 18.75,
+    cacheWrite1h: 30.0,
+    cacheRead: 1.5,
     inputPerMillion: 15.0,
     outputPerMillion: 75.0,
     name: "Claude 3 Opus",
@@ -72,6 +105,9 @@ export const PRICING: PricingConfig = {
   "claude-sonnet-4-5-20250929": {
     input: 3.0,
     output: 15.0,
+    cacheWrite5m: 3.75,
+    cacheWrite1h: 6.0,
+    cacheRead: 0.3,
     inputPerMillion: 3.0,
     outputPerMillion: 15.0,
     name: "Claude Sonnet 4.5",
@@ -80,6 +116,9 @@ export const PRICING: PricingConfig = {
   "claude-sonnet-4-20250514": {
     input: 3.0,
     output: 15.0,
+    cacheWrite5m: 3.75,
+    cacheWrite1h: 6.0,
+    cacheRead: 0.3,
     inputPerMillion: 3.0,
     outputPerMillion: 15.0,
     name: "Claude Sonnet 4",
@@ -88,6 +127,9 @@ export const PRICING: PricingConfig = {
   "claude-3-7-sonnet-20250219": {
     input: 3.0,
     output: 15.0,
+    cacheWrite5m: 3.75,
+    cacheWrite1h: 6.0,
+    cacheRead: 0.3,
     inputPerMillion: 3.0,
     outputPerMillion: 15.0,
     name: "Claude Sonnet 3.7",
@@ -96,6 +138,9 @@ export const PRICING: PricingConfig = {
   "claude-3-5-sonnet-20241022": {
     input: 3.0,
     output: 15.0,
+    cacheWrite5m: 3.75,
+    cacheWrite1h: 6.0,
+    cacheRead: 0.3,
     inputPerMillion: 3.0,
     outputPerMillion: 15.0,
     name: "Claude 3.5 Sonnet",
@@ -104,6 +149,9 @@ export const PRICING: PricingConfig = {
   "claude-haiku-4-5-20251001": {
     input: 1.0,
     output: 5.0,
+    cacheWrite5m: 1.25,
+    cacheWrite1h: 2.0,
+    cacheRead: 0.1,
     inputPerMillion: 1.0,
     outputPerMillion: 5.0,
     name: "Claude Haiku 4.5",
@@ -112,6 +160,9 @@ export const PRICING: PricingConfig = {
   "claude-3-5-haiku-20241022": {
     input: 0.8,
     output: 4.0,
+    cacheWrite5m: 1.0,
+    cacheWrite1h: 1.6,
+    cacheRead: 0.08,
     inputPerMillion: 0.8,
     outputPerMillion: 4.0,
     name: "Claude 3.5 Haiku",
@@ -120,6 +171,9 @@ export const PRICING: PricingConfig = {
   "claude-3-haiku-20240307": {
     input: 0.25,
     output: 1.25,
+    cacheWrite5m: 0.3,
+    cacheWrite1h: 0.5,
+    cacheRead: 0.03,
     inputPerMillion: 0.25,
     outputPerMillion: 1.25,
     name: "Claude 3 Haiku",
@@ -128,19 +182,19 @@ export const PRICING: PricingConfig = {
 
 // Model context window sizes
 export const CONTEXT_WINDOWS: ContextWindowConfig = {
-  // Latest models
-  "claude-opus-4-6": 1_000_000,
-  "claude-opus-4-5-20251101": 1_000_000,
-  "claude-opus-4-1-20250805": 1_000_000,
-  "claude-opus-4-20250514": 1_000_000,
-  "claude-3-opus-20241022": 1_000_000,
-  "claude-sonnet-4-5-20250929": 1_000_000,
-  "claude-sonnet-4-20250514": 1_000_000,
-  "claude-3-7-sonnet-20250219": 1_000_000,
-  "claude-3-5-sonnet-20241022": 1_000_000,
-  "claude-haiku-4-5-20251001": 1_000_000,
-  "claude-3-5-haiku-20241022": 1_000_000,
-  "claude-3-haiku-20240307": 1_000_000,
+  // Standard window; the 1M window is enabled per session (see context-window.ts)
+  "claude-opus-4-6": 200_000,
+  "claude-opus-4-5-20251101": 200_000,
+  "claude-opus-4-1-20250805": 200_000,
+  "claude-opus-4-20250514": 200_000,
+  "claude-3-opus-20241022": 200_000,
+  "claude-sonnet-4-5-20250929": 200_000,
+  "claude-sonnet-4-20250514": 200_000,
+  "claude-3-7-sonnet-20250219": 200_000,
+  "claude-3-5-sonnet-20241022": 200_000,
+  "claude-haiku-4-5-20251001": 200_000,
+  "claude-3-5-haiku-20241022": 200_000,
+  "claude-3-haiku-20240307": 200_000,
 
   // Legacy models
   "claude-2.1": 200_000,
@@ -152,61 +206,98 @@ export const CONTEXT_WINDOWS: ContextWindowConfig = {
 export const DEFAULT_PRICING: PricingInfo = {
   input: 3.0,
   output: 15.0,
+  cacheWrite5m: 3.75,
+  cacheWrite1h: 6.0,
+  cacheRead: 0.3,
   inputPerMillion: 3.0,
   outputPerMillion: 15.0,
   name: "Unknown Model",
 };
 
 // Default context window size
-export const DEFAULT_CONTEXT_WINDOW: number = 1_000_000;
+export const DEFAULT_CONTEXT_WINDOW: number = 200_000;
 
 /**
  * Get model display name
+ * Models without an exact entry are named from their ID (e.g. claude-sonnet-4-7 → Claude Sonnet 4.7)
  */
 export function getModelName(model: string): string {
-  const info = PRICING[model];
-  return info ? info.name : DEFAULT_PRICING.name;
+  const parsed = parseModelId(model);
+  const exact = PRICING[model] ?? (parsed ? PRICING[parsed.base] : undefined);
+  if (exact) return exact.name;
+
+  return parsed && resolveModelKey(model, PRICING) ? formatModelName(parsed) : DEFAULT_PRICING.name;
+}
+
+/**
+ * Whether the model resolves to an entry in PRICING (built-in, from models.json, or by family)
+ * Placeholders for sessions without an assistant reply yet are not reported as unknown
+ */
+export function isKnownModel(model: string | undefined): boolean {
+  if (!model || model.toLowerCase() === "unknown" || model === "<synthetic>") return true;
+  return resolveModelKey(model, PRICING) !== undefined;
 }
 
 /**
  * Get model pricing information
  */
 export function getModelPricing(model: string): PricingInfo {
-  return PRICING[model] || DEFAULT_PRICING;
+  const key = resolveModelKey(model, PRICING);
+  return (key && PRICING[key]) || DEFAULT_PRICING;
 }
 
 /**
- * Get model context window size
+ * Get the model's standard context window size
+ * Use detectContextWindow to get the window a session is actually using
  */
 export function getContextWindow(model: string): number {
-  return CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+  if (CONTEXT_WINDOWS[model]) return CONTEXT_WINDOWS[model];
+  if (parseModelId(model)?.extendedContext) return 1_000_000;
+
+  const key = resolveModelKey(model, CONTEXT_WINDOWS);
+  return (key && CONTEXT_WINDOWS[key]) || DEFAULT_CONTEXT_WINDOW;
 }
 
 /**
  * Calculate message cost based on usage
  */
 export function calculateMessageCost(model: string, usage: TokenUsage | null | undefined): number {
-  if (!usage) return 0;
+  return calculateCostBreakdown(model, usage).totalCost;
+}
+
+/**
+ * Cost of a message split by token type (USD)
+ * Cache writes use the 5m/1h breakdown in usage.cache_creation when present;
+ * tokens it does not account for are billed at the 5-minute rate, which is the default TTL
+ */
+export function calculateCostBreakdown(model: string, usage: TokenUsage | null | undefined): CostBreakdown {
+  if (!usage) {
+    return { inputCost: 0, cacheWriteCost: 0, cacheReadCost: 0, outputCost: 0, totalCost: 0 };
+  }
 
   const pricing = getModelPricing(model);
   const inputTokens = usage.input_tokens || 0;
   const outputTokens = usage.output_tokens || 0;
-  const cacheTokens = usage.cache_read_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
   const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
 
-  // Cache tokens cost 10% of input token price
-  const effectiveInputTokens = inputTokens + cacheCreationTokens + cacheTokens * 0.1;
+  const cacheWrite1hTokens = usage.cache_creation?.ephemeral_1h_input_tokens || 0;
+  const cacheWrite5mTokens = Math.max(
+    cacheCreationTokens - cacheWrite1hTokens,
+    usage.cache_creation?.ephemeral_5m_input_tokens || 0,
+  );
 
-  const inputCost = (effectiveInputTokens / 1_000_000) * pricing.input;
+  const inputCost = (inputTokens / 1_000_000) * pricing.input;
+  const cacheWriteCost =
+    (cacheWrite5mTokens / 1_000_000) * pricing.cacheWrite5m + (cacheWrite1hTokens / 1_000_000) * pricing.cacheWrite1h;
+  const cacheReadCost = (cacheReadTokens / 1_000_000) * pricing.cacheRead;
   const outputCost = (outputTokens / 1_000_000) * pricing.output;
 
-  return inputCost + outputCost;
-}
-
-/**
- * Calculate usage percentage for a model
- */
-export function calculateUsagePercentage(model: string, totalTokens: number): number {
-  const contextWindow = getContextWindow(model);
-  return (totalTokens / contextWindow) * 100;
+  return {
+    inputCost,
+    cacheWriteCost,
+    cacheReadCost,
+    outputCost,
+    totalCost: inputCost + cacheWriteCost + cacheReadCost + outputCost,
+  };
 }
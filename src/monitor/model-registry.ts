@@ -0,0 +1,167 @@
+import { createHash } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AUTO_COMPACT_CONFIG } from "./auto-compact-config.js";
+import { CONTEXT_WINDOWS, PRICING } from "./model-config.js";
+
+/**
+ * ユーザー定義のモデル情報（models.json）
+ *
+ * 新しいモデルをリリースを待たずに追加したり、組み込みの価格やウィンドウを上書きするためのもの
+ * {
+ *   "models": {
+ *     "claude-opus-5": { "name": "Claude Opus 5", "input": 5, "output": 25, "contextWindow": 200000 }
+ *   }
+ * }
+ */
+
+export interface ModelDefinition {
+  name?: string;
+  input?: number; // USD per 1M tokens
+  output?: number;
+  cacheWrite5m?: number;
+  cacheWrite1h?: number;
+  cacheRead?: number;
+  contextWindow?: number;
+  autoCompactThreshold?: number; // 0 < threshold <= 1
+}
+
+const PRICE_FIELDS = ["input", "output", "cacheWrite5m", "cacheWrite1h", "cacheRead"] as const;
+const KNOWN_FIELDS = new Set<string>(["name", ...PRICE_FIELDS, "contextWindow", "autoCompactThreshold"]);
+
+/**
+ * 設定ファイルのディレクトリ
+ * XDG_CONFIG_HOME/cccontext > ~/.config/cccontext
+ */
+export function getConfigDir(): string {
+  const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(path.resolve(configDir), "cccontext");
+}
+
+/**
+ * models.json の既定パス
+ */
+export function getDefaultModelsPath(): string {
+  return path.join(getConfigDir(), "models.json");
+}
+
+/**
+ * models.json の内容を検証してモデル定義を返す
+ * 不正な値はどのモデルのどのフィールドかを示すエラーにする
+ */
+export function parseModelsFile(content: string, source: string): Record<string, ModelDefinition> {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid models file ${source}: ${(error as Error).message}`);
+  }
+
+  const fail = (message: string): never => {
+    throw new Error(`Invalid models file ${source}: ${message}`);
+  };
+
+  if (!isPlainObject(raw) || !isPlainObject(raw.models)) {
+    return fail('expected an object with a "models" object');
+  }
+
+  const models: Record<string, ModelDefinition> = {};
+  for (const [id, value] of Object.entries(raw.models)) {
+    if (!isPlainObject(value)) fail(`models.${id} must be an object`);
+    const definition = value as Record<string, unknown>;
+
+    for (const key of Object.keys(definition)) {
+      if (!KNOWN_FIELDS.has(key)) fail(`models.${id}.${key} is not a known field`);
+    }
+    if (definition.name !== undefined && (typeof definition.name !== "string" || !definition.name)) {
+      fail(`models.${id}.name must be a non-empty string`);
+    }
+    for (const field of PRICE_FIELDS) {
+      const price = definition[field];
+      if (price !== undefined && !(typeof price === "number" && Number.isFinite(price) && price >= 0)) {
+        fail(`models.${id}.${field} must be a non-negative number`);
+      }
+    }
+    const window = definition.contextWindow;
+    if (window !== undefined && !(typeof window === "number" && Number.isInteger(window) && window > 0)) {
+      fail(`models.${id}.contextWindow must be a positive integer`);
+    }
+    const threshold = definition.autoCompactThreshold;
+    if (threshold !== undefined && !(typeof threshold === "number" && threshold > 0 && threshold <= 1)) {
+      fail(`models.${id}.autoCompactThreshold must be between 0 and 1`);
+    }
+    // 組み込みにないモデルは価格が必須（既定価格で黙って計算しないように）
+    if (!PRICING[id] && (definition.input === undefined || definition.output === undefined)) {
+      fail(`models.${id} is not a built-in model, so "input" and "output" are required`);
+    }
+
+    models[id] = definition as ModelDefinition;
+  }
+
+  return models;
+}
+
+/**
+ * モデル定義を組み込みのテーブル（PRICING / CONTEXT_WINDOWS / MODEL_THRESHOLDS）に上書きマージする
+ * キャッシュ単価を省略した場合は入力単価から導出する
+ */
+export function registerModels(models: Record<string, ModelDefinition>): void {
+  for (const [id, definition] of Object.entries(models)) {
+    const base = PRICING[id];
+    const input = definition.input ?? base?.input ?? 0;
+    const output = definition.output ?? base?.output ?? 0;
+    const inputChanged = definition.input !== undefined;
+
+    PRICING[id] = {
+      input,
+      output,
+      inputPerMillion: input,
+      outputPerMillion: output,
+      cacheWrite5m: definition.cacheWrite5m ?? (inputChanged || !base ? input * 1.25 : base.cacheWrite5m),
+      cacheWrite1h: definition.cacheWrite1h ?? (inputChanged || !base ? input * 2 : base.cacheWrite1h),
+      cacheRead: definition.cacheRead ?? (inputChanged || !base ? input * 0.1 : base.cacheRead),
+      name: definition.name ?? base?.name ?? id,
+    };
+
+    if (definition.contextWindow !== undefined) {
+      CONTEXT_WINDOWS[id] = definition.contextWindow;
+    }
+    if (definition.autoCompactThreshold !== undefined) {
+      AUTO_COMPACT_CONFIG.MODEL_THRESHOLDS[id] = definition.autoCompactThreshold;
+    }
+  }
+}
+
+/**
+ * models.json を読み込んで登録する
+ * 明示的に指定されたファイル（--models）が存在しない場合はエラー、既定パスになければ何もしない
+ * @returns 登録したモデルID
+ */
+export function loadModelRegistry(filePath?: string): string[] {
+  const source = filePath ? path.resolve(filePath) : getDefaultModelsPath();
+
+  let content: string;
+  try {
+    content = fs.readFileSync(source, "utf-8");
+  } catch (error) {
+    if (!filePath && (error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw new Error(`Cannot read models file ${source}: ${(error as Error).message}`);
+  }
+
+  const models = parseModelsFile(content, source);
+  registerModels(models);
+  return Object.keys(models);
+}
+
+/**
+ * 価格・コンテキストウィンドウのテーブルの指紋
+ * models.json で値が変わったら、保存済みの集計（コストや使用率）を作り直すのに使う
+ */
+export function getModelTablesFingerprint(): string {
+  return createHash("sha1").update(JSON.stringify({ PRICING, CONTEXT_WINDOWS })).digest("hex").slice(0, 16);
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
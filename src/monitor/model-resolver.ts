@@ -0,0 +1,114 @@
+/**
+ * モデルIDの解析とフォールバック解決
+ *
+ * 設定テーブルは完全一致のキーで引くため、新しい日付のスナップショットや [1m] 付きのIDは
+ * そのままでは既定値に落ちてしまう。IDをティア・バージョン・日付に分解し、
+ * 同じティアの近いバージョンのエントリを探す
+ */
+
+export interface ParsedModelId {
+  family: string; // "claude"
+  tier?: string; // "opus" | "sonnet" | "haiku" | "instant"
+  version: string; // "4.5", "3", "2.1"
+  major: number;
+  minor?: number;
+  date?: string; // "20250929"
+  extendedContext: boolean; // [1m] サフィックス
+  base: string; // [1m] やプロバイダ固有の装飾を除いたID
+}
+
+const EXTENDED_CONTEXT_SUFFIX = /\[1m\]$/i;
+
+/**
+ * モデルIDを解析する（Claudeのモデルでなければ null）
+ *
+ * claude-sonnet-4-5-20250929, claude-opus-4-6[1m] のような新形式と、
+ * claude-3-5-sonnet-20241022, claude-2.1 のような旧形式に対応する。
+ * Bedrock / Vertex の "us.anthropic.claude-...-v1:0" や "claude-...@20250514" も受け付ける
+ */
+export function parseModelId(model: string): ParsedModelId | null {
+  const extendedContext = EXTENDED_CONTEXT_SUFFIX.test(model);
+  const base = model
+    .replace(EXTENDED_CONTEXT_SUFFIX, "")
+    .replace(/^(?:[a-z]{2,4}\.)?anthropic\./i, "")
+    .replace(/-v\d+(?::\d+)?$/i, "")
+    .replace("@", "-")
+    .toLowerCase();
+
+  const parts = base.split("-");
+  if (parts[0] !== "claude" || parts.length < 2) return null;
+
+  let date: string | undefined;
+  if (/^\d{8}$/.test(parts[parts.length - 1] ?? "")) {
+    date = parts.pop();
+  }
+
+  let tier: string | undefined;
+  const numbers: string[] = [];
+  for (const part of parts.slice(1)) {
+    if (/^\d+(\.\d+)?$/.test(part)) {
+      numbers.push(...part.split("."));
+    } else if (/^[a-z]+$/.test(part) && !tier) {
+      tier = part;
+    } else {
+      return null;
+    }
+  }
+
+  const major = Number(numbers[0]);
+  if (numbers.length === 0 || numbers.length > 2 || !Number.isInteger(major)) return null;
+  const minor = numbers[1] !== undefined ? Number(numbers[1]) : undefined;
+
+  return {
+    family: "claude",
+    tier,
+    version: minor !== undefined ? `${major}.${minor}` : `${major}`,
+    major,
+    minor,
+    date,
+    extendedContext,
+    base,
+  };
+}
+
+/**
+ * テーブルからモデルに対応するキーを探す
+ *
+ * 1. 完全一致
+ * 2. [1m] などを除いたIDで一致
+ * 3. 同じティア・同じバージョンのうち最も新しい日付のもの（新しいスナップショット）
+ * 4. 同じティア・同じメジャーバージョンのうち最も新しいバージョン（claude-sonnet-4-x → Sonnet 4系）
+ */
+export function resolveModelKey(model: string, table: Record<string, unknown>): string | undefined {
+  if (model in table) return model;
+
+  const parsed = parseModelId(model);
+  if (!parsed) return undefined;
+  if (parsed.base in table) return parsed.base;
+  if (!parsed.tier) return undefined;
+
+  const candidates: { key: string; parsed: ParsedModelId }[] = [];
+  for (const key of Object.keys(table)) {
+    const entry = parseModelId(key);
+    if (entry && !entry.extendedContext && entry.tier === parsed.tier && entry.major === parsed.major) {
+      candidates.push({ key, parsed: entry });
+    }
+  }
+  candidates.sort((a, b) => compareVersions(b.parsed, a.parsed));
+
+  const sameVersion = candidates.find((entry) => entry.parsed.version === parsed.version);
+  return (sameVersion ?? candidates[0])?.key;
+}
+
+/**
+ * 解析結果から表示名を作る（例: Claude Sonnet 4.5）
+ */
+export function formatModelName(parsed: ParsedModelId): string {
+  const tier = parsed.tier ? ` ${parsed.tier.charAt(0).toUpperCase()}${parsed.tier.slice(1)}` : "";
+  return `Claude${tier} ${parsed.version}`;
+}
+
+// 新しいバージョン・新しい日付ほど大きい
+function compareVersions(a: ParsedModelId, b: ParsedModelId): number {
+  return (a.minor ?? -1) - (b.minor ?? -1) || (a.date ?? "").localeCompare(b.date ?? "");
+}
@@ -0,0 +1,240 @@
+import { spawn } from "child_process";
+import type { WarningLevel, WarningThresholds } from "./auto-compact-config.js";
+import { AUTO_COMPACT_CONFIG } from "./auto-compact-config.js";
+import type { ContextInfo, ContextTracker } from "./context-tracker.js";
+import type { SessionWatcher } from "./session-watcher.js";
+
+/**
+ * 自動コンパクトの警告レベルをまたいだ時・コンパクトを検出した時の通知
+ *
+ * モニターを裏のペインで動かしていても気付けるよう、ベル・OSC 9/777（ターミナルの通知）・
+ * notify-send・任意のシェルコマンドで知らせる
+ */
+
+export type NotificationChannel = "bell" | "osc9" | "osc777" | "notify-send";
+export type NotificationEvent = "notice" | "warning" | "critical" | "compact";
+
+export const NOTIFICATION_CHANNELS: NotificationChannel[] = ["bell", "osc9", "osc777", "notify-send"];
+export const NOTIFICATION_EVENTS: NotificationEvent[] = ["notice", "warning", "critical", "compact"];
+
+export interface Notification {
+  event: NotificationEvent;
+  sessionId: string;
+  title: string;
+  message: string;
+  remainingPercentage?: number;
+}
+
+export interface NotifierOptions {
+  channels?: NotificationChannel[];
+  events?: NotificationEvent[];
+  /** 通知ごとに実行するシェルコマンド（内容は CCCONTEXT_* 環境変数で渡す） */
+  hook?: string;
+  /** 通知に使う閾値（残り%）。指定のないレベルは AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS の値 */
+  thresholds?: Partial<WarningThresholds>;
+  /** ベルとエスケープシーケンスの出力先 */
+  output?: { write(data: string): unknown };
+  spawn?: typeof spawn;
+}
+
+const LEVEL_RANK: Record<WarningLevel, number> = { normal: 0, notice: 1, warning: 2, critical: 3, active: 4 };
+
+export class Notifier {
+  private channels: NotificationChannel[];
+  private events: Set<NotificationEvent>;
+  private hook?: string;
+  private thresholds: Partial<WarningThresholds>;
+  private output: { write(data: string): unknown };
+  private spawnProcess: typeof spawn;
+  private levels: Map<string, WarningLevel>;
+  private detachers: (() => void)[];
+
+  constructor(options: NotifierOptions = {}) {
+    this.channels = options.channels ?? ["bell"];
+    this.events = new Set(options.events ?? NOTIFICATION_EVENTS);
+    this.hook = options.hook;
+    this.thresholds = options.thresholds ?? {};
+    this.output = options.output ?? process.stdout;
+    this.spawnProcess = options.spawn ?? spawn;
+    this.levels = new Map();
+    this.detachers = [];
+  }
+
+  /**
+   * トラッカーの更新とウォッチャーのコンパクト検出を購読する
+   * 複数のセッションを並べて監視する場合はセッションごとのウォッチャーをまとめて渡す
+   */
+  attach(tracker: ContextTracker, ...watchers: SessionWatcher[]): void {
+    const onUpdate = (info: ContextInfo) => this.handleUpdate(info);
+    tracker.on("update", onUpdate);
+    this.detachers.push(() => tracker.off("update", onUpdate));
+
+    for (const watcher of watchers) {
+      const onCompact = ({ sessionId }: { sessionId: string }) => this.handleCompact(sessionId);
+      watcher.on("compact-detected", onCompact);
+      this.detachers.push(() => watcher.off("compact-detected", onCompact));
+    }
+  }
+
+  detach(): void {
+    for (const detach of this.detachers.splice(0)) detach();
+  }
+
+  /**
+   * レベルが上がった時だけ通知する（同じレベルでは繰り返さない）
+   * 下がった場合は記録だけ更新し、再び上がった時に通知する
+   */
+  handleUpdate(info: ContextInfo): void {
+    if (!info.autoCompact?.enabled) return;
+
+    const remaining = info.autoCompact.remainingPercentage;
+    const level = AUTO_COMPACT_CONFIG.getWarningLevel(remaining, {
+      ...AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS,
+      ...this.thresholds,
+    });
+    const previous = this.levels.get(info.sessionId) ?? "normal";
+    this.levels.set(info.sessionId, level);
+
+    if (LEVEL_RANK[level] <= LEVEL_RANK[previous] || level === "normal") return;
+
+    // active（閾値到達）は critical として扱う
+    const event: NotificationEvent = level === "active" ? "critical" : level;
+    if (!this.events.has(event)) return;
+
+    this.notify({
+      event,
+      sessionId: info.sessionId,
+      title: `cccontext: ${event}`,
+      message:
+        level === "active"
+          ? `Auto-compact threshold reached (${info.modelName})`
+          : `${remaining.toFixed(1)}% left until auto-compact (${info.modelName})`,
+      remainingPercentage: remaining,
+    });
+  }
+
+  handleCompact(sessionId: string): void {
+    // コンパクト後は使用量が下がるため、次にレベルを上がった時に再び通知する
+    this.levels.delete(sessionId);
+    if (!this.events.has("compact")) return;
+
+    this.notify({
+      event: "compact",
+      sessionId,
+      title: "cccontext: compact",
+      message: `Session ${sessionId.slice(0, 8)} was compacted`,
+    });
+  }
+
+  notify(notification: Notification): void {
+    const text = `${notification.title}: ${notification.message}`;
+
+    for (const channel of this.channels) {
+      switch (channel) {
+        case "bell":
+          this.output.write("\x07");
+          break;
+        case "osc9":
+          this.output.write(`\x1b]9;${sanitize(text)}\x07`);
+          break;
+        case "osc777":
+          this.output.write(`\x1b]777;notify;${sanitize(notification.title)};${sanitize(notification.message)}\x07`);
+          break;
+        case "notify-send":
+          this.run("notify-send", [notification.title, notification.message]);
+          break;
+      }
+    }
+
+    if (this.hook) {
+      this.run(this.hook, [], {
+        CCCONTEXT_EVENT: notification.event,
+        CCCONTEXT_SESSION_ID: notification.sessionId,
+        CCCONTEXT_TITLE: notification.title,
+        CCCONTEXT_MESSAGE: notification.message,
+        CCCONTEXT_REMAINING_PERCENTAGE:
+          notification.remainingPercentage !== undefined ? notification.remainingPercentage.toFixed(1) : "",
+      });
+    }
+  }
+
+  // 通知の失敗でモニターを止めないよう、終了を待たずエラーも無視する
+  private run(command: string, args: string[], env?: Record<string, string>): void {
+    try {
+      const child = this.spawnProcess(command, args, {
+        shell: env !== undefined,
+        stdio: "ignore",
+        env: env ? { ...process.env, ...env } : process.env,
+      });
+      child.on("error", () => {});
+      child.unref();
+    } catch {
+      // ignore
+    }
+  }
+}
+
+export interface NotifyLevels {
+  events: NotificationEvent[];
+  thresholds: Partial<WarningThresholds>;
+}
+
+/**
+ * --notify-levels の値を解析する
+ * "warning,critical,compact" でイベントを選び、"warning=15" のように書くとそのレベルの閾値（残り%）も指定できる
+ * 閾値は指定のないレベルの既定値と合わせて critical < warning < notice になっていなければならない
+ */
+export function parseNotifyLevels(value: string): NotifyLevels {
+  const result: NotifyLevels = { events: [], thresholds: {} };
+
+  for (const entry of value
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)) {
+    const [name = "", threshold] = entry.split("=");
+    if (!NOTIFICATION_EVENTS.includes(name as NotificationEvent)) {
+      throw new Error(`Invalid notify level: ${name}. Use ${NOTIFICATION_EVENTS.join(", ")}`);
+    }
+    const event = name as NotificationEvent;
+
+    if (threshold !== undefined) {
+      const percentage = Number(threshold);
+      if (event === "compact" || !threshold || !Number.isFinite(percentage) || percentage <= 0 || percentage > 100) {
+        throw new Error(`Invalid notify level: ${entry}. Use <level>=<percent left>, e.g. warning=15`);
+      }
+      result.thresholds[event] = percentage;
+    }
+    result.events.push(event);
+  }
+
+  const { critical, warning, notice } = { ...AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS, ...result.thresholds };
+  if (!(critical < warning && warning < notice)) {
+    throw new Error(
+      `Invalid notify levels: ${value}. Thresholds must be critical < warning < notice (got critical=${critical}, warning=${warning}, notice=${notice})`,
+    );
+  }
+
+  return result;
+}
+
+/**
+ * --notify の値（カンマ区切りのチャネル）を解析する
+ */
+export function parseNotifyChannels(value: string): NotificationChannel[] {
+  return value
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((channel) => {
+      if (!NOTIFICATION_CHANNELS.includes(channel as NotificationChannel)) {
+        throw new Error(`Invalid notification channel: ${channel}. Use ${NOTIFICATION_CHANNELS.join(", ")}`);
+      }
+      return channel as NotificationChannel;
+    });
+}
+
+// エスケープシーケンスを壊す制御文字とセパレータを取り除く
+function sanitize(text: string): string {
+  // biome-ignore lint/suspicious/noControlCharactersInRegex: control characters would end the OSC sequence
+  return text.replace(/[\x00-\x1f\x7f;]/g, " ");
+}
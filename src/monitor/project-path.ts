@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Claude Codeのプロジェクトディレクトリ名との相互変換
+ *
+ * Claude Codeはセッションを ~/.claude/projects/<encoded-path>/<sessionId>.jsonl に保存し、
+ * <encoded-path> は作業ディレクトリの英数字以外を "-" に置き換えたもの
+ * （例: /Users/me/my-app → -Users-me-my-app）
+ */
+
+const decodeCache = new Map<string, string>();
+
+/**
+ * 作業ディレクトリをプロジェクトディレクトリ名に変換
+ */
+export function encodeProjectPath(projectPath: string): string {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, "-");
+}
+
+/**
+ * プロジェクトディレクトリ名を作業ディレクトリに戻す
+ *
+ * "-" が元々 "/" だったのか "-" や "." だったのかは名前だけでは区別できないため、
+ * 各階層で実在するエントリのうちエンコード結果が最も長く一致するものを選ぶ。
+ * 実在しない部分は "/" 区切りとみなす
+ */
+export function decodeProjectPath(dirName: string): string {
+  const cached = decodeCache.get(dirName);
+  if (cached !== undefined) return cached;
+
+  const segments = dirName.replace(/^-/, "").split("-");
+  let resolved = "";
+  let index = 0;
+
+  while (index < segments.length) {
+    const entries = readDirSafe(resolved || "/");
+    let next = -1;
+    let name = "";
+
+    for (let end = segments.length; end > index; end--) {
+      const encoded = segments.slice(index, end).join("-");
+      const entry = entries.find((candidate) => encodeProjectPath(candidate) === encoded);
+      if (entry) {
+        next = end;
+        name = entry;
+        break;
+      }
+    }
+
+    if (next === -1) {
+      // 実在しない残りの部分（"--" は "/." から生まれることが多い）
+      resolved = `${resolved}/${segments.slice(index).join("/").replace(/\/\//g, "/.")}`;
+      break;
+    }
+
+    resolved = `${resolved}/${name}`;
+    index = next;
+  }
+
+  const decoded = resolved || "/";
+  decodeCache.set(dirName, decoded);
+  return decoded;
+}
+
+function readDirSafe(dir: string): string[] {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * セッションファイルのプロジェクトパス
+ * トランスクリプトのcwdがあればそれを使い、なければディレクトリ名から復元する
+ */
+export function resolveProjectPath(filePath: string, cwd?: string): string {
+  if (cwd) return cwd;
+  return decodeProjectPath(path.basename(path.dirname(filePath)));
+}
+
+/**
+ * 表示用のプロジェクト名（ホームディレクトリは ~ に置き換える）
+ */
+export function formatProjectPath(projectPath: string | undefined): string {
+  if (!projectPath) return "Unknown";
+
+  const home = os.homedir();
+  if (projectPath === home) return "~";
+  if (projectPath.startsWith(`${home}${path.sep}`)) {
+    return `~${projectPath.slice(home.length)}`;
+  }
+  return projectPath;
+}
+
+/**
+ * セッションファイルが --project で指定されたプロジェクト（またはその配下）に属するか
+ */
+export function matchesProject(filePath: string, project: string): boolean {
+  const target = path.resolve(project.replace(/^~(?=$|\/)/, os.homedir()));
+  const dirName = path.basename(path.dirname(filePath));
+
+  if (dirName === encodeProjectPath(target)) return true;
+
+  const decoded = decodeProjectPath(dirName);
+  return decoded === target || decoded.startsWith(`${target}${path.sep}`);
+}
+
+/**
+ * --project が指定されていればセッションファイルを絞り込む
+ */
+export function filterFilesByProject(files: string[], project?: string): string[] {
+  if (!project) return files;
+  return files.filter((file) => matchesProject(file, project));
+}
@@ -0,0 +1,21 @@
+/**
+ * 同じAPI応答の重複行
+ *
+ * Claude Code は1つのAPI応答を内容ブロック（thinking / text / tool_use）ごとに別の行として書き、
+ * どの行にも同じ message.id・requestId・usage が入る。そのまま足すとトークン・コスト・ターンが
+ * ブロックの数だけ膨らむので、使用量は message.id + requestId ごとに1回だけ数える（請求と同じ数え方）。
+ * sessions・monitor・report はどれもこの規則で数えるので、同じトランスクリプトなら同じ金額になる。
+ * message.id のない行は見分けられないので、毎回数える
+ */
+
+/**
+ * この応答の使用量をまだ数えていなければ seen に記録して true を返す
+ */
+export function countResponseOnce(seen: Set<string>, messageId?: string, requestId?: string): boolean {
+  if (!messageId) return true;
+
+  const key = `${messageId}:${requestId ?? ""}`;
+  if (seen.has(key)) return false;
+  seen.add(key);
+  return true;
+}
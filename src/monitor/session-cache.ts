@@ -1,17 +1,88 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
 import type { SessionData } from "../types/index.js";
-import { calculateMessageCost, calculateUsagePercentage, getModelName } from "./model-config.js";
+import { readLines } from "../utils/jsonl-reader.js";
+import { calculateUsagePercentage, detectContextWindow } from "./context-window.js";
+import { calculateMessageCost, getModelName } from "./model-config.js";
+import { getModelTablesFingerprint } from "./model-registry.js";
+import { resolveProjectPath } from "./project-path.js";
+import { countResponseOnce } from "./response-dedupe.js";
+import { isSidechainMessage } from "./sidechain.js";
 
 interface FileStats {
   mtimeMs: number;
   size: number;
 }
 
+interface SessionCacheOptions {
+  /** Persist parsed sessions to an index file so cold starts only re-parse changed files */
+  persistent?: boolean;
+  /** Index file location (defaults to ~/.cache/cccontext/sessions-index.json) */
+  indexPath?: string;
+}
+
+interface IndexEntry extends FileStats {
+  session: SessionData;
+  state: StoredParseState;
+}
+
+interface IndexFile {
+  version: number;
+  models: string; // 保存時の価格・ウィンドウのテーブル（models.json）の指紋
+  entries: Record<string, IndexEntry>; // filePath -> entry
+}
+
+const INDEX_VERSION = 10;
+const NEWLINE = 0x0a;
+
+// Running totals per file, so appended lines can be parsed on their own
+interface ParseState {
+  offset: number; // Bytes consumed (always the end of a complete line)
+  model: string;
+  turns: number;
+  totalInputTokens: number;
+  totalOutputTokens: number;
+  totalCacheTokens: number;
+  contextTokens: number; // Latest context size (input + output + cache read + cache creation)
+  peakTokens: number; // Largest context size so far (a session over 200K is on the 1M window)
+  messageCount: number;
+  totalCost: number;
+  latestPrompt: string;
+  cwd: string | null;
+  firstTimestamp: string | null;
+  lastTimestamp: string | null;
+  responseIds: Set<string>; // Responses already counted (a response is written once per content block)
+}
+
+// ParseState as written to the index (JSON has no Set)
+type StoredParseState = Omit<ParseState, "responseIds"> & { responseIds: string[] };
+
+function createParseState(): ParseState {
+  return {
+    offset: 0,
+    model: "Unknown",
+    turns: 0,
+    totalInputTokens: 0,
+    totalOutputTokens: 0,
+    totalCacheTokens: 0,
+    contextTokens: 0,
+    peakTokens: 0,
+    messageCount: 0,
+    totalCost: 0,
+    latestPrompt: "",
+    cwd: null,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    responseIds: new Set(),
+  };
+}
+
 // SessionData interface removed - using shared type from types/index.js
 
 interface MessageData {
   message?: {
+    id?: string;
     model?: string;
     role?: "user" | "assistant" | "system";
     content?: string | Array<{ type: string; text?: string }>;
@@ -23,6 +94,9 @@ interface MessageData {
     };
   };
   timestamp?: string;
+  isSidechain?: boolean;
+  requestId?: string;
+  cwd?: string;
 }
 
 /**
@@ -32,12 +106,29 @@ interface MessageData {
 export class SessionCache {
   private cache: Map<string, SessionData>; // sessionId -> sessionData
   private fileStats: Map<string, FileStats>; // filePath -> { mtimeMs, size }
+  private parseStates: Map<string, ParseState>; // filePath -> running totals
   private debugMode: boolean;
+  private indexPath: string | null;
+  private indexDirty: boolean;
 
-  constructor() {
+  constructor(options: SessionCacheOptions = {}) {
     this.cache = new Map();
     this.fileStats = new Map();
+    this.parseStates = new Map();
     this.debugMode = false;
+    this.indexPath = options.persistent ? options.indexPath || SessionCache.getDefaultIndexPath() : null;
+    this.indexDirty = false;
+  }
+
+  /**
+   * インデックスファイルの既定パス
+   * CCCONTEXT_CACHE_DIR > XDG_CACHE_HOME/cccontext > ~/.cache/cccontext
+   */
+  static getDefaultIndexPath(): string {
+    const cacheDir =
+      process.env.CCCONTEXT_CACHE_DIR ||
+      path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "cccontext");
+    return path.join(path.resolve(cacheDir), "sessions-index.json");
   }
 
   setDebugMode(enabled: boolean): void {
@@ -88,6 +179,7 @@ export class SessionCache {
 
   /**
    * セッションファイルを解析してキャッシュに保存
+   * 追記のみの変更であれば前回の読み取り位置から末尾だけを解析する
    */
   async parseAndCacheSession(filePath: string): Promise<SessionData | null> {
     const sessionId = path.basename(filePath, ".jsonl");
@@ -98,132 +190,197 @@ export class SessionCache {
       return cached;
     }
 
-    this.log(`Parsing session file: ${sessionId}`);
-
     try {
-      // Record file stats
       const stats = await fs.promises.stat(filePath);
+
+      // Resume from the previous offset when the file only grew, otherwise start over
+      const previous = this.parseStates.get(filePath);
+      const canResume = previous !== undefined && (await this.isAppendOnly(filePath, previous, stats.size));
+      const state: ParseState =
+        canResume && previous ? { ...previous, responseIds: new Set(previous.responseIds) } : createParseState();
+
+      this.log(
+        canResume
+          ? `Parsing appended data for ${sessionId} from byte ${state.offset}`
+          : `Parsing session file: ${sessionId}`,
+      );
+
+      state.offset += await this.parseRange(filePath, state, stats.size);
+
+      const sessionData = this.buildSessionData(sessionId, filePath, state, stats.mtime);
+
+      // Record file stats and parse state only after a successful parse
       this.fileStats.set(filePath, {
         mtimeMs: stats.mtimeMs,
         size: stats.size,
       });
+      this.parseStates.set(filePath, state);
 
-      // Parse file content
-      const content = await fs.promises.readFile(filePath, "utf-8");
-      const lines = content
-        .trim()
-        .split("\n")
-        .filter((line) => line);
-
-      let model = "Unknown";
-      let modelName = "Unknown";
-      let turns = 0;
-      let totalTokens = 0;
-      let totalInputTokens = 0;
-      let totalOutputTokens = 0;
-      let totalCacheTokens = 0;
-      let latestPrompt = "";
-      let totalCost = 0;
-      let firstTimestamp: string | null = null;
-      let lastTimestamp: string | null = null;
-
-      // Get latest model info (reverse order)
-      for (let i = lines.length - 1; i >= 0 && model === "Unknown"; i--) {
-        try {
-          const line = lines[i];
-          if (!line) continue;
-          const data: MessageData = JSON.parse(line);
-          if (data.message?.model) {
-            model = data.message.model;
-            modelName = getModelName(model);
-          }
-        } catch (_e) {
-          // Skip invalid JSON
-        }
-      }
+      // Save to cache
+      this.cache.set(sessionId, sessionData);
+      this.indexDirty = true;
+      this.log(`Cached session ${sessionId} - ${sessionData.turns} turns, ${sessionData.totalTokens} tokens`);
+
+      return sessionData;
+    } catch (error) {
+      this.log(`Error parsing session ${sessionId}: ${(error as Error).message}`);
+      return null;
+    }
+  }
 
-      // Process in reverse order for efficiency
-      for (let i = lines.length - 1; i >= 0; i--) {
+  /**
+   * 前回の解析以降、ファイルが追記のみで変更されたかを確認
+   * サイズが縮んでいない かつ 前回の読み取り位置の直前が改行であれば追記とみなす
+   */
+  private async isAppendOnly(filePath: string, state: ParseState, size: number): Promise<boolean> {
+    if (state.offset === 0) return true;
+    if (size < state.offset) return false;
+
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const byte = Buffer.alloc(1);
+      const { bytesRead } = await handle.read(byte, 0, 1, state.offset - 1);
+      return bytesRead === 1 && byte[0] === NEWLINE;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * state.offsetからendまでの完全な行を解析し、消費したバイト数を返す
+   * 末尾の改行で終わっていない行は次回の解析に回す
+   */
+  private async parseRange(filePath: string, state: ParseState, end: number): Promise<number> {
+    // Only newline-terminated lines are consumed, so the offset always sits just past a "\n"
+    const { offset } = await readLines(
+      filePath,
+      (line) => {
+        if (!line.trim()) return;
         try {
-          const line = lines[i];
-          if (!line) continue;
-          const data: MessageData = JSON.parse(line);
-
-          // Record timestamps (reverse order)
-          if (data.timestamp) {
-            if (!lastTimestamp) lastTimestamp = data.timestamp;
-            firstTimestamp = data.timestamp;
-          }
-
-          if (data.message?.usage) {
-            const usage = data.message.usage;
-            totalInputTokens += usage.input_tokens || 0;
-            totalOutputTokens += usage.output_tokens || 0;
-            // Cache read tokens: use latest value only
-            if ((usage.cache_read_input_tokens || 0) > 0) {
-              totalCacheTokens = usage.cache_read_input_tokens || 0;
-            }
-
-            if (data.message.role === "assistant") {
-              turns++;
-            }
-
-            totalCost += calculateMessageCost(model, usage);
-          }
-
-          // Get latest user prompt (first found in reverse order)
-          if (!latestPrompt && data.message?.role === "user" && data.message?.content) {
-            const content = Array.isArray(data.message.content)
-              ? data.message.content.find((c) => c.type === "text")?.text || ""
-              : data.message.content;
-            if (content) {
-              latestPrompt = content;
-            }
-          }
+          this.applyMessage(state, JSON.parse(line));
         } catch (_e) {
           // Skip invalid JSON
         }
+      },
+      { start: state.offset, end },
+    );
+
+    return offset - state.offset;
+  }
+
+  /**
+   * 1メッセージ分の集計を累積状態に反映
+   */
+  private applyMessage(state: ParseState, data: MessageData): void {
+    // Record timestamps
+    if (data.timestamp) {
+      if (!state.firstTimestamp) state.firstTimestamp = data.timestamp;
+      state.lastTimestamp = data.timestamp;
+    }
+
+    // First working directory identifies the project
+    if (!state.cwd && data.cwd) {
+      state.cwd = data.cwd;
+    }
+
+    // Subagent (sidechain) messages are billed with the session, but are not part of the main conversation's
+    // context or turns
+    // A response written over several lines is counted once
+    const counted = !data.message?.usage || countResponseOnce(state.responseIds, data.message.id, data.requestId);
+
+    if (isSidechainMessage(data)) {
+      if (data.message?.usage && counted) {
+        state.totalCost += calculateMessageCost(data.message.model || state.model, data.message.usage);
       }
+      return;
+    }
 
-      totalTokens = totalInputTokens + totalOutputTokens;
+    // Latest model wins
+    if (data.message?.model) {
+      state.model = data.message.model;
+    }
 
-      // Validate cache tokens
-      if (totalCacheTokens > totalTokens) {
-        this.log(
-          `Warning: Cache tokens (${totalCacheTokens}) exceed total tokens (${totalTokens}) for session ${sessionId}. Resetting to 0.`,
-        );
-        totalCacheTokens = 0;
+    if (data.message?.usage && counted) {
+      const usage = data.message.usage;
+      state.totalInputTokens += usage.input_tokens || 0;
+      state.totalOutputTokens += usage.output_tokens || 0;
+      // Cache read tokens: use latest value only
+      if ((usage.cache_read_input_tokens || 0) > 0) {
+        state.totalCacheTokens = usage.cache_read_input_tokens || 0;
+      }
+      // Context size: latest message's full input, same as SessionWatcher
+      state.contextTokens =
+        (usage.input_tokens || 0) +
+        (usage.output_tokens || 0) +
+        (usage.cache_read_input_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0);
+      state.peakTokens = Math.max(state.peakTokens, state.contextTokens);
+
+      if (data.message.role === "assistant") {
+        state.turns++;
       }
 
-      const sessionData: SessionData = {
-        sessionId,
-        model,
-        modelName,
-        turns,
-        totalTokens,
-        totalInputTokens,
-        totalOutputTokens,
-        totalCacheTokens,
-        totalCost,
-        latestPrompt,
-        lastModified: lastTimestamp ? new Date(lastTimestamp) : stats.mtime,
-        firstTimestamp,
-        lastTimestamp,
-        filePath,
-        usagePercentage: calculateUsagePercentage(model, totalTokens),
-      };
+      state.totalCost += calculateMessageCost(data.message.model || state.model, usage);
+    }
 
-      // Save to cache
-      this.cache.set(sessionId, sessionData);
-      this.log(`Cached session ${sessionId} - ${turns} turns, ${totalTokens} tokens`);
+    if (data.message?.role) {
+      state.messageCount++;
+    }
 
-      return sessionData;
-    } catch (error) {
-      this.log(`Error parsing session ${sessionId}: ${(error as Error).message}`);
-      return null;
+    // Latest user prompt wins
+    if (data.message?.role === "user" && data.message?.content) {
+      const content = Array.isArray(data.message.content)
+        ? data.message.content.find((c) => c.type === "text")?.text || ""
+        : data.message.content;
+      if (content) {
+        state.latestPrompt = content;
+      }
     }
   }
 
+  /**
+   * 累積状態からSessionDataを組み立てる
+   */
+  private buildSessionData(sessionId: string, filePath: string, state: ParseState, mtime: Date): SessionData {
+    const totalTokens = state.totalInputTokens + state.totalOutputTokens;
+    let totalCacheTokens = state.totalCacheTokens;
+
+    // Validate cache tokens
+    if (totalCacheTokens > totalTokens) {
+      this.log(
+        `Warning: Cache tokens (${totalCacheTokens}) exceed total tokens (${totalTokens}) for session ${sessionId}. Resetting to 0.`,
+      );
+      totalCacheTokens = 0;
+    }
+
+    return {
+      sessionId,
+      model: state.model,
+      modelName: state.model === "Unknown" ? "Unknown" : getModelName(state.model),
+      turns: state.turns,
+      totalTokens,
+      totalInputTokens: state.totalInputTokens,
+      totalOutputTokens: state.totalOutputTokens,
+      totalCacheTokens,
+      contextTokens: state.contextTokens,
+      peakTokens: state.peakTokens,
+      messageCount: state.messageCount,
+      totalCost: state.totalCost,
+      latestPrompt: state.latestPrompt,
+      lastModified: state.lastTimestamp ? new Date(state.lastTimestamp) : mtime,
+      firstTimestamp: state.firstTimestamp,
+      lastTimestamp: state.lastTimestamp,
+      filePath,
+      cwd: state.cwd || undefined,
+      projectPath: resolveProjectPath(filePath, state.cwd || undefined),
+      // Same as the monitor: the latest context size against the window detected from the peak
+      usagePercentage: calculateUsagePercentage(
+        state.contextTokens,
+        detectContextWindow(state.model, { peakTokens: state.peakTokens }).size,
+      ),
+    };
+  }
+
   /**
    * セッションをキャッシュから削除
    */
@@ -231,18 +388,132 @@ export class SessionCache {
     const sessionId = path.basename(filePath, ".jsonl");
     this.cache.delete(sessionId);
     this.fileStats.delete(filePath);
+    this.parseStates.delete(filePath);
+    this.indexDirty = true;
     this.log(`Cleared cache for session ${sessionId}`);
   }
 
+  /**
+   * 一覧にないトランスクリプト（削除されたセッション）をキャッシュとインデックスから外す
+   * 全セッションを走査した一覧を渡すこと（--project で絞った一覧では他のプロジェクトが消える）
+   */
+  pruneMissing(filePaths: Iterable<string>): number {
+    const existing = new Set(filePaths);
+    let pruned = 0;
+    for (const filePath of [...this.fileStats.keys()]) {
+      if (!existing.has(filePath)) {
+        this.clearSession(filePath);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
   /**
    * 全キャッシュをクリア
    */
   clearAll(): void {
     this.cache.clear();
     this.fileStats.clear();
+    this.parseStates.clear();
     this.log("Cleared all cache");
   }
 
+  /**
+   * ディスク上のインデックスを読み込み、メモリキャッシュを復元
+   * 各エントリはhasFileChangedで検証されるため、変更されたファイルのみ再解析される
+   */
+  async loadIndex(): Promise<number> {
+    if (!this.indexPath) return 0;
+
+    let index: IndexFile;
+    try {
+      index = JSON.parse(await fs.promises.readFile(this.indexPath, "utf-8"));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        this.log(`Ignoring unreadable index ${this.indexPath}: ${(error as Error).message}`);
+      }
+      return 0;
+    }
+
+    if (!index || index.version !== INDEX_VERSION || typeof index.entries !== "object" || !index.entries) {
+      this.log(`Ignoring index with unsupported version: ${this.indexPath}`);
+      return 0;
+    }
+
+    // Costs and usage were computed with other prices or context windows
+    if (index.models !== getModelTablesFingerprint()) {
+      this.log(`Ignoring index built with different model definitions: ${this.indexPath}`);
+      return 0;
+    }
+
+    let loaded = 0;
+    for (const [filePath, entry] of Object.entries(index.entries)) {
+      if (!entry?.session || !entry.state || typeof entry.mtimeMs !== "number" || typeof entry.size !== "number") {
+        continue;
+      }
+
+      const session = entry.session;
+      // JSON round-trip turns Dates into strings
+      if (typeof session.lastModified === "string") {
+        session.lastModified = new Date(session.lastModified);
+      }
+
+      this.fileStats.set(filePath, { mtimeMs: entry.mtimeMs, size: entry.size });
+      this.parseStates.set(filePath, { ...entry.state, responseIds: new Set(entry.state.responseIds) });
+      this.cache.set(session.sessionId, session);
+      loaded++;
+    }
+
+    this.indexDirty = false;
+    this.log(`Loaded ${loaded} sessions from index ${this.indexPath}`);
+    return loaded;
+  }
+
+  /**
+   * メモリキャッシュをディスク上のインデックスに保存（変更がある場合のみ）
+   */
+  async saveIndex(): Promise<void> {
+    if (!this.indexPath || !this.indexDirty) return;
+
+    const index: IndexFile = { version: INDEX_VERSION, models: getModelTablesFingerprint(), entries: {} };
+    for (const [filePath, stats] of this.fileStats) {
+      const session = this.cache.get(path.basename(filePath, ".jsonl"));
+      const state = this.parseStates.get(filePath);
+      if (session && state) {
+        index.entries[filePath] = {
+          mtimeMs: stats.mtimeMs,
+          size: stats.size,
+          session,
+          state: { ...state, responseIds: [...state.responseIds] },
+        };
+      }
+    }
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+      // Write to a temp file and rename so a crash never leaves a half-written index
+      const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(index));
+      await fs.promises.rename(tempPath, this.indexPath);
+      this.indexDirty = false;
+      this.log(`Saved ${Object.keys(index.entries).length} sessions to index ${this.indexPath}`);
+    } catch (error) {
+      this.log(`Error saving index ${this.indexPath}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * ディスク上のインデックスを削除
+   */
+  async deleteIndex(): Promise<void> {
+    if (!this.indexPath) return;
+
+    await fs.promises.rm(this.indexPath, { force: true });
+    this.indexDirty = false;
+    this.log(`Deleted index ${this.indexPath}`);
+  }
+
   /**
    * キャッシュ統計を取得
    */
@@ -0,0 +1,95 @@
+import { EventEmitter } from "events";
+import path from "path";
+import { matchesProject, resolveProjectPath } from "./project-path.js";
+import type { SessionEntry } from "./session-resolver.js";
+import { SHORT_ID_LENGTH } from "./session-resolver.js";
+
+/**
+ * monitor --follow: いま書き込まれているセッションに監視を切り替える
+ *
+ * ディレクトリ監視の session-added / session-updated を受け、監視中とは別のセッションに書き込みがあれば
+ * "switch" を発行する。2つのセッションが交互に書き込んでも画面が行き来しないよう、
+ * 監視中のセッションに直近 holdMs 以内の書き込みがある間は切り替えない
+ */
+
+export const FOLLOW_HOLD_MS = 5000;
+
+export interface SessionSwitch {
+  from: SessionEntry | null;
+  to: SessionEntry;
+  at: Date;
+}
+
+export interface SessionFollowerOptions {
+  current?: SessionEntry | null;
+  project?: string; // --project で指定されたプロジェクト（配下のみを追う）
+  holdMs?: number;
+  now?: () => number;
+}
+
+export class SessionFollower extends EventEmitter {
+  private current: SessionEntry | null;
+  private project?: string;
+  private holdMs: number;
+  private now: () => number;
+  private lastActivity: number;
+  private detachers: (() => void)[];
+
+  constructor(options: SessionFollowerOptions = {}) {
+    super();
+    this.current = options.current ?? null;
+    this.project = options.project;
+    this.holdMs = options.holdMs ?? FOLLOW_HOLD_MS;
+    this.now = options.now ?? Date.now;
+    this.lastActivity = 0;
+    this.detachers = [];
+  }
+
+  getCurrent(): SessionEntry | null {
+    return this.current;
+  }
+
+  /**
+   * SessionWatcher のディレクトリ監視イベントを購読する（startDirectoryWatch は呼び出し側で行う）
+   */
+  attach(watcher: EventEmitter): void {
+    const onActivity = (session: SessionEntry) => this.handleActivity(session);
+    for (const event of ["session-added", "session-updated"]) {
+      watcher.on(event, onActivity);
+      this.detachers.push(() => watcher.off(event, onActivity));
+    }
+  }
+
+  detach(): void {
+    for (const detach of this.detachers.splice(0)) detach();
+  }
+
+  handleActivity({ sessionId, filePath }: SessionEntry): void {
+    if (this.project && !matchesProject(filePath, this.project)) return;
+
+    const now = this.now();
+    if (this.current?.sessionId === sessionId) {
+      this.lastActivity = now;
+      return;
+    }
+    if (this.current && now - this.lastActivity < this.holdMs) return;
+
+    const from = this.current;
+    this.current = { sessionId, filePath };
+    this.lastActivity = now;
+    this.emit("switch", { from, to: this.current, at: new Date(now) } as SessionSwitch);
+  }
+}
+
+/**
+ * ヘッダーに出す追従の状態（例: "Following 1a2b3c4d (my-app) · switched from 9f8e7d6c at 10:32:15"）
+ */
+export function formatFollowStatus(current: SessionEntry | null, change?: SessionSwitch): string {
+  if (!current) return "Following: waiting for a session to become active...";
+
+  const label = `${current.sessionId.slice(0, SHORT_ID_LENGTH)} (${path.basename(resolveProjectPath(current.filePath))})`;
+  if (!change?.from) return `Following ${label}`;
+
+  const time = change.at.toLocaleTimeString("en-GB", { hour12: false });
+  return `Following ${label} · switched from ${change.from.sessionId.slice(0, SHORT_ID_LENGTH)} at ${time}`;
+}
@@ -0,0 +1,128 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import type { MessageData, SessionData } from "../types/index.js";
+import { readJsonLines } from "../utils/jsonl-reader.js";
+
+/**
+ * cccontext replay: 既存のトランスクリプトを元のタイムスタンプの間隔で1行ずつ流し直す
+ *
+ * 各行は SessionWatcher.processMessage に通すので、集計はライブの監視と同じになる。
+ * 休憩などの長い空白は maxGapMs（再生時間）で打ち切る
+ */
+
+export const DEFAULT_REPLAY_MAX_GAP_MS = 10000;
+// 一度に読むバイト数（行の途中で切れた分は次に読み直す。1行がこれより長ければ広げる）
+const REPLAY_WINDOW_BYTES = 1024 * 1024;
+
+export interface ReplayOptions {
+  speed?: number; // 再生速度の倍率（10 なら10倍速）
+  maxGapMs?: number; // 行と行の間で待つ最長の時間
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export interface ReplayMessageEvent {
+  sessionId: string;
+  data: MessageData;
+  sessionData: SessionData;
+  lines: number; // ここまでに流した行数
+  timestamp: Date | null; // この行の元のタイムスタンプ
+}
+
+interface MessageProcessor {
+  processMessage(sessionData: SessionData, data: MessageData): void;
+}
+
+/**
+ * --speed の値（"10x"、"10"、"0.5x"）
+ */
+export function parseReplaySpeed(value: string): number {
+  const speed = Number(value.trim().replace(/x$/i, ""));
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new Error(`Invalid --speed: ${value}. Use a positive multiplier such as 10x`);
+  }
+  return speed;
+}
+
+export class SessionReplay extends EventEmitter {
+  private processor: MessageProcessor;
+  private speed: number;
+  private maxGapMs: number;
+  private sleep: (ms: number) => Promise<void>;
+  private stopped: boolean;
+
+  constructor(processor: MessageProcessor, options: ReplayOptions = {}) {
+    super();
+    this.processor = processor;
+    this.speed = options.speed ?? 1;
+    this.maxGapMs = options.maxGapMs ?? DEFAULT_REPLAY_MAX_GAP_MS;
+    this.sleep = options.sleep ?? ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.stopped = false;
+  }
+
+  /**
+   * 最後まで（または stop() まで）流し、集計後のセッションデータを返す
+   * 行ごとに "message"、終わりに "end" を発行する
+   */
+  async run(sessionId: string, filePath: string): Promise<SessionData> {
+    const sessionData: SessionData = {
+      sessionId,
+      messages: [],
+      totalTokens: 0,
+      totalCacheTokens: 0,
+      totalCost: 0,
+      turns: 0,
+      model: "unknown",
+      startTime: null,
+    };
+
+    const size = (await fs.promises.stat(filePath)).size;
+    let offset = 0;
+    let window = REPLAY_WINDOW_BYTES;
+    let count = 0;
+    let previous: number | null = null;
+    while (offset < size && !this.stopped) {
+      const end = Math.min(offset + window, size);
+      const batch: MessageData[] = [];
+      const next = await readJsonLines<MessageData>(filePath, (data) => batch.push(data), { start: offset, end });
+      if (next === offset) {
+        if (end === size) break; // 最後の行が不完全
+        window *= 2;
+        continue;
+      }
+      offset = next;
+      window = REPLAY_WINDOW_BYTES;
+
+      for (const data of batch) {
+        const timestamp = parseTimestamp(data.timestamp);
+        if (timestamp !== null && previous !== null && timestamp > previous) {
+          await this.sleep(Math.min((timestamp - previous) / this.speed, this.maxGapMs));
+        }
+        if (this.stopped) break;
+        if (timestamp !== null) previous = timestamp;
+
+        this.processor.processMessage(sessionData, data);
+        count++;
+        this.emit("message", {
+          sessionId,
+          data,
+          sessionData,
+          lines: count,
+          timestamp: timestamp === null ? null : new Date(timestamp),
+        } as ReplayMessageEvent);
+      }
+    }
+
+    this.emit("end", { sessionId, sessionData, lines: count });
+    return sessionData;
+  }
+
+  stop(): void {
+    this.stopped = true;
+  }
+}
+
+function parseTimestamp(value: string | number | undefined): number | null {
+  if (value === undefined) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
@@ -0,0 +1,130 @@
+import path from "path";
+import { decodeProjectPath, formatProjectPath, matchesProject } from "./project-path.js";
+
+/**
+ * -s で指定されたセッションを解決する
+ *
+ *   3                     一覧での番号（最終更新の新しい順なので、他のセッションが書き込むとずれる）
+ *   1a2b3c4d / 完全なUUID   セッションIDの前方一致（一意であること）
+ *   my-app                プロジェクト名（そのプロジェクトで最新のセッション）
+ *   latest / latest@my-app 最新のセッション / プロジェクト内で最新のセッション
+ */
+
+export interface SessionEntry {
+  sessionId: string;
+  filePath: string;
+}
+
+// 一覧に表示する短縮IDの最小の長さ（これより短い数字は一覧での番号とみなす）
+export const SHORT_ID_LENGTH = 8;
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]+$/i;
+const USAGE =
+  "Use a number from the list, a session id (or a unique prefix), a project name, latest or latest@<project>";
+
+/**
+ * 各セッションIDを他と区別できる最短の前方一致に縮める（最低 minLength 文字）
+ */
+export function getShortIds(sessionIds: string[], minLength = SHORT_ID_LENGTH): Map<string, string> {
+  const sorted = [...new Set(sessionIds)].sort();
+  const shortIds = new Map<string, string>();
+
+  sorted.forEach((sessionId, index) => {
+    // 辞書順で隣り合うIDとの共通部分より1文字長ければ一意になる
+    const shared = Math.max(
+      commonPrefixLength(sessionId, sorted[index - 1]),
+      commonPrefixLength(sessionId, sorted[index + 1]),
+    );
+    shortIds.set(sessionId, sessionId.slice(0, Math.max(minLength, shared + 1)));
+  });
+
+  return shortIds;
+}
+
+/**
+ * 指定をセッションに解決する
+ * @param sessions 最終更新の新しい順（--project があれば絞り込み済み）
+ */
+export function resolveSession(identifier: string, sessions: SessionEntry[]): SessionEntry {
+  const value = identifier.trim();
+
+  if (value.toLowerCase() === "latest") {
+    const [latest] = sessions;
+    if (!latest) throw new Error("No Claude Code sessions found.");
+    return latest;
+  }
+
+  const latestIn = /^latest@(.+)$/i.exec(value);
+  if (latestIn?.[1]) {
+    return resolveProject(latestIn[1], sessions) ?? fail(`No sessions found for project: ${latestIn[1]}`);
+  }
+
+  if (/^\d+$/.test(value) && value.length < SHORT_ID_LENGTH) {
+    const position = parseInt(value, 10);
+    const session = sessions[position - 1];
+    if (position < 1 || !session) {
+      throw new Error(`Invalid session number: ${position}. Valid range is 1-${sessions.length}`);
+    }
+    return session;
+  }
+
+  const exact = sessions.find((session) => session.sessionId === value);
+  if (exact) return exact;
+
+  const idMatches = SESSION_ID_PATTERN.test(value)
+    ? sessions.filter((session) => session.sessionId.toLowerCase().startsWith(value.toLowerCase()))
+    : [];
+  const projectMatch = resolveProject(value, sessions);
+
+  if (idMatches.length > 0 && projectMatch) {
+    throw new Error(
+      `Ambiguous session: ${value} matches both session ids and a project name. Use a longer id or latest@${value}`,
+    );
+  }
+  if (idMatches.length > 1) {
+    const shortIds = getShortIds(sessions.map((session) => session.sessionId));
+    const candidates = idMatches.map((session) => shortIds.get(session.sessionId) ?? session.sessionId);
+    throw new Error(`Ambiguous session id: ${value} matches ${candidates.join(", ")}`);
+  }
+
+  return idMatches[0] ?? projectMatch ?? fail(`Session not found: ${value}. ${USAGE}`);
+}
+
+/**
+ * プロジェクト（名前またはパス）で最新のセッション
+ * 同じ名前のプロジェクトが複数あればエラー
+ */
+function resolveProject(project: string, sessions: SessionEntry[]): SessionEntry | null {
+  if (isPath(project)) {
+    return sessions.find((session) => matchesProject(session.filePath, project)) ?? null;
+  }
+
+  const name = project.toLowerCase();
+  const matches = sessions.filter((session) => path.basename(getProjectPath(session)).toLowerCase() === name);
+  const projects = [...new Set(matches.map(getProjectPath))];
+  if (projects.length > 1) {
+    throw new Error(
+      `Ambiguous project: ${project} matches ${projects.map(formatProjectPath).join(", ")}. Use latest@<path>`,
+    );
+  }
+  return matches[0] ?? null;
+}
+
+function getProjectPath(session: SessionEntry): string {
+  return decodeProjectPath(path.basename(path.dirname(session.filePath)));
+}
+
+function isPath(value: string): boolean {
+  return value.includes(path.sep) || value.startsWith("~") || value.startsWith(".");
+}
+
+function commonPrefixLength(a: string, b: string | undefined): number {
+  if (!b) return 0;
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) length++;
+  return length;
+}
+
+function fail(message: string): never {
+  throw new Error(message);
+}
@@ -5,6 +5,15 @@ import fs from "fs";
 import os from "os";
 import path from "path";
 import type { MessageContent, MessageData, SessionData } from "../types/index.js";
+import { readJsonLines } from "../utils/jsonl-reader.js";
+import type { CompactSignal, FileState } from "./compact-detector.js";
+import { CompactDetector, detectFileRewrite, readFileState } from "./compact-detector.js";
+import { completeCompaction, isCompactSummary, recordCompactionMessage } from "./compaction-log.js";
+import { recordContextPoint } from "./context-history.js";
+import { calculateMessageCost } from "./model-config.js";
+import { countResponseOnce } from "./response-dedupe.js";
+import { isSidechainMessage, recordSidechainMessage } from "./sidechain.js";
+import { attributeTokenGrowth, recordToolResults, recordToolUses } from "./tool-usage.js";
 
 interface ActiveSession {
   sessionId: string;
@@ -39,7 +48,8 @@ export class SessionWatcher extends EventEmitter {
   private filePositions: Map<string, number>;
   private directoryWatcher: FSWatcher | null;
   private cachedFiles: Set<string>;
-  private fileMtimes?: Map<string, number>;
+  private fileStates: Map<string, FileState>; // 書き換えの検出用
+  private detectors: Map<string, CompactDetector>;
 
   // Additional properties for memory management
   private lastAccessTime: Map<string, number>;
@@ -60,6 +70,8 @@ export class SessionWatcher extends EventEmitter {
     this.sessions = new Map();
     this.watchers = new Map();
     this.filePositions = new Map();
+    this.fileStates = new Map();
+    this.detectors = new Map();
     this.directoryWatcher = null;
     this.cachedFiles = new Set();
     this.lastAccessTime = new Map();
@@ -326,12 +338,12 @@ export class SessionWatcher extends EventEmitter {
     // Record access time
     this.updateAccessTime(sessionId);
 
-    // Record current file position
-    const stats = await fs.promises.stat(filePath);
-    this.filePositions.set(sessionId, stats.size);
-
     // Initial read (not a compact operation, so false)
-    await this.readExistingData(sessionId, filePath, false);
+    // A trailing line that is still being written is left for the first change event
+    const stats = await fs.promises.stat(filePath);
+    const position = (await this.readExistingData(sessionId, filePath, false)) ?? stats.size;
+    this.filePositions.set(sessionId, position);
+    this.fileStates.set(sessionId, await readFileState(filePath, position, stats.ino));
 
     // Start file monitoring
     const watcher = chokidar.watch(filePath, {
@@ -353,14 +365,12 @@ export class SessionWatcher extends EventEmitter {
     this.emit("session-started", { sessionId, filePath });
   }
 
-  async readExistingData(sessionId: string, filePath: string, isCompactOperation = false): Promise<void> {
+  /**
+   * ファイル全体を読み直してセッションデータを作る
+   * @returns 次に読み始める位置（読み取りに失敗した場合は null）
+   */
+  async readExistingData(sessionId: string, filePath: string, isCompactOperation = false): Promise<number | null> {
     try {
-      const content = await fs.promises.readFile(filePath, "utf-8");
-      const lines = content
-        .trim()
-        .split("\n")
-        .filter((line) => line);
-
       // Get session data or create new
       let sessionData = this.sessions.get(sessionId);
 
@@ -387,21 +397,29 @@ export class SessionWatcher extends EventEmitter {
         sessionData.turns = 0;
         sessionData.model = "unknown";
         sessionData.startTime = null;
+        // 推移とコンパクトの記録はファイル全体から作り直す
+        sessionData.contextHistory = [];
+        sessionData.pendingCompaction = false;
+        sessionData.compactions = [];
+        sessionData.compactRequested = false;
       }
 
-      for (const line of lines) {
-        try {
-          const data = JSON.parse(line);
-          this.processMessage(sessionData, data);
-        } catch (_e) {
-          // Skip invalid JSON lines
-        }
-      }
+      // Stream the transcript line by line so huge files never sit in memory as one string
+      // 過去のコンパクトは通知しないが、以降の検出のために uuid の連鎖を覚えておく
+      const target = sessionData;
+      const detector = this.getDetector(sessionId);
+      detector.reset();
+      const position = await readJsonLines<MessageData>(filePath, (data) => {
+        this.processMessage(target, data);
+        detector.observe(data);
+      });
 
       this.sessions.set(sessionId, sessionData);
       this.emit("session-data", sessionData);
+      return position;
     } catch (error) {
       this.emit("error", { sessionId, error } as ErrorEvent);
+      return null;
     }
   }
 
@@ -412,66 +430,48 @@ export class SessionWatcher extends EventEmitter {
     try {
       const stats = await fs.promises.stat(filePath);
       const lastPosition = Math.max(0, this.filePositions.get(sessionId) || 0);
-      const lastMtime = this.fileMtimes?.get(sessionId) || 0;
-
-      // If file size decreased or changed significantly
-      // （/compactなどでファイルが置き換えられた可能性）
-      // Or if last modified time changed significantly
-      const isCompactOperation =
-        stats.size < lastPosition ||
-        Math.abs(stats.size - lastPosition) > 5000 ||
-        (lastMtime && Math.abs(stats.mtimeMs - lastMtime) > 60000);
-
-      if (isCompactOperation) {
-        // Reload entire file
+
+      // ファイルが置き換え・切り詰め・書き直しされた場合は読み取り位置が使えないため全体を読み直す
+      const rewrite = await detectFileRewrite(filePath, stats, this.fileStates.get(sessionId));
+
+      if (rewrite) {
         // console.logは blessed UIと干渉するため、デバッグモードの場合のみ出力
         if (process.env.DEBUG || process.env.SESSION_WATCHER_DEBUG) {
-          console.error(`[SessionWatcher] Compact operation detected for ${sessionId}`);
+          console.error(`[SessionWatcher] Compact operation detected for ${sessionId} (${rewrite})`);
         }
         this.filePositions.set(sessionId, 0);
-        await this.readExistingData(sessionId, filePath, true); // isCompactOperationフラグをtrueに
-        // Record current file size and modification time
-        this.filePositions.set(sessionId, stats.size);
-        if (!this.fileMtimes) this.fileMtimes = new Map();
-        this.fileMtimes.set(sessionId, stats.mtimeMs);
+        // isCompactOperationフラグをtrueに
+        const position = (await this.readExistingData(sessionId, filePath, true)) ?? stats.size;
+        this.filePositions.set(sessionId, position);
+        this.fileStates.set(sessionId, await readFileState(filePath, position, stats.ino));
 
         // compact検出を通知
-        this.emit("compact-detected", { sessionId, filePath });
+        this.emit("compact-detected", { sessionId, filePath, reason: rewrite });
       } else if (stats.size > lastPosition) {
         // Read new data (incremental reading)
-        const stream = fs.createReadStream(filePath, {
-          start: Math.max(0, lastPosition),
-          encoding: "utf-8",
-        });
-
-        let buffer = "";
-        stream.on("data", (chunk: string | Buffer) => {
-          const chunkStr = chunk.toString();
-          buffer += chunkStr;
-          const lines = buffer.split("\n");
-          buffer = lines.pop() || "";
-
-          for (const line of lines) {
-            if (line.trim()) {
-              try {
-                const data = JSON.parse(line);
-                const sessionData = this.sessions.get(sessionId);
-                if (sessionData) {
-                  this.processMessage(sessionData, data);
-                  this.emit("message", { sessionId, data, sessionData } as MessageEvent);
-                }
-              } catch (_e) {
-                // Skip invalid JSON lines
-              }
+        // A line still being written is left for the next change event
+        const detector = this.getDetector(sessionId);
+        let signal: CompactSignal | null = null;
+        const nextPosition = await readJsonLines<MessageData>(
+          filePath,
+          (data) => {
+            const sessionData = this.sessions.get(sessionId);
+            if (sessionData) {
+              this.processMessage(sessionData, data);
+              this.emit("message", { sessionId, data, sessionData } as MessageEvent);
             }
-          }
-        });
+            signal = detector.observe(data) ?? signal;
+          },
+          { start: lastPosition, end: stats.size },
+        );
 
-        stream.on("end", () => {
-          this.filePositions.set(sessionId, stats.size);
-          if (!this.fileMtimes) this.fileMtimes = new Map();
-          this.fileMtimes.set(sessionId, stats.mtimeMs);
-        });
+        this.filePositions.set(sessionId, nextPosition);
+        this.fileStates.set(sessionId, await readFileState(filePath, nextPosition, stats.ino));
+
+        // 追記された行にコンパクトの境界・要約・連鎖の切れ目があった
+        if (signal) {
+          this.emit("compact-detected", { sessionId, filePath, reason: signal });
+        }
       }
       // stats.size === lastPosition の場合は何もしない（変更なし）
     } catch (error) {
@@ -480,38 +480,62 @@ export class SessionWatcher extends EventEmitter {
   }
 
   processMessage(sessionData: SessionData, data: MessageData): void {
-    // Detect /compact
-    const contentStr = typeof data.message?.content === "string" ? data.message.content : "";
-    if (
-      contentStr.includes("[Previous conversation summary") ||
-      contentStr.includes("Previous conversation compacted")
-    ) {
-      sessionData.isCompacted = true;
-    }
+    // Detect /compact (boundary and summary lines) and keep a log of compactions
+    recordCompactionMessage(sessionData, data);
 
     if (!sessionData.startTime && data.timestamp) {
       sessionData.startTime = new Date(data.timestamp);
     }
 
+    // プロジェクトはセッション開始時の作業ディレクトリ
+    if (!sessionData.cwd && data.cwd) {
+      sessionData.cwd = data.cwd;
+    }
+
+    // 同じAPI応答の重複行は、使用量を最初の1行だけで数える
+    sessionData.responseIds ??= new Set();
+    const counted = !data.message?.usage || countResponseOnce(sessionData.responseIds, data.message.id, data.requestId);
+
+    // サブエージェントのメッセージはメインのコンテキストとは別に集計する
+    if (isSidechainMessage(data)) {
+      recordSidechainMessage(
+        sessionData,
+        counted || !data.message ? data : { ...data, message: { ...data.message, usage: undefined } },
+      );
+      return;
+    }
+
     if (data.message?.model) {
       sessionData.model = data.message.model;
     }
 
-    if (data.message?.usage) {
+    if (data.message?.usage && counted) {
       const usage = data.message.usage;
       const inputTokens = usage.input_tokens || 0;
       const outputTokens = usage.output_tokens || 0;
       const cacheReadTokens = usage.cache_read_input_tokens || 0;
       const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+      const previousTotal = sessionData.totalTokens;
 
       // Total tokens include all token types for context window calculation
       sessionData.totalTokens = cacheReadTokens + inputTokens + outputTokens + cacheCreationTokens;
 
+      // 前回からの増加分を、その間に返ってきたツール結果に割り当てる
+      if (data.message?.role === "assistant") {
+        attributeTokenGrowth(sessionData, sessionData.totalTokens - previousTotal);
+      }
+
       // Store cache tokens separately
       sessionData.totalCacheTokens = cacheReadTokens;
 
       if (data.message?.role === "assistant") {
         sessionData.turns++;
+        recordContextPoint(
+          sessionData,
+          calculateMessageCost(data.message.model || sessionData.model || "unknown", usage),
+          data.timestamp,
+        );
+        completeCompaction(sessionData);
       }
 
       // Store latest usage
@@ -524,8 +548,17 @@ export class SessionWatcher extends EventEmitter {
       };
     }
 
-    // Store latest user prompt
-    if (data.message?.role === "user" && data.message?.content) {
+    // Track tool calls and their results for per-tool attribution
+    if (Array.isArray(data.message?.content)) {
+      if (data.message.role === "assistant") {
+        recordToolUses(sessionData, data.message.content);
+      } else if (data.message.role === "user") {
+        recordToolResults(sessionData, data.message.content);
+      }
+    }
+
+    // Store latest user prompt (the compaction summary is not a prompt)
+    if (data.message?.role === "user" && data.message?.content && !isCompactSummary(data)) {
       const content = Array.isArray(data.message.content)
         ? data.message.content.find((c: MessageContent) => c.type === "text")?.text || ""
         : data.message.content;
@@ -536,16 +569,17 @@ export class SessionWatcher extends EventEmitter {
       }
     }
 
-    // MessageDataをMessage形式に変換して保存
-    // contentがない場合も処理するため、空文字列をデフォルトとして使用
+    // 集計に使うのは role と usage だけなので、本文（ツール結果や画像を含む）は保持しない
     if (data.message?.role) {
       if (!sessionData.messages) {
         sessionData.messages = [];
       }
       sessionData.messages.push({
         role: data.message.role,
-        content: data.message.content ?? "",
+        content: "",
         usage: data.message.usage,
+        id: data.message.id,
+        requestId: data.requestId,
       });
     }
   }
@@ -568,10 +602,9 @@ export class SessionWatcher extends EventEmitter {
       this.sessions.delete(sessionId);
       this.lastAccessTime.delete(sessionId);
 
-      // Remove file modification time as well
-      if (this.fileMtimes) {
-        this.fileMtimes.delete(sessionId);
-      }
+      // Remove file state for compaction detection as well
+      this.fileStates.delete(sessionId);
+      this.detectors.delete(sessionId);
 
       // Clean up event listeners (if needed)
       this.removeAllListeners(`session-${sessionId}`);
@@ -585,6 +618,15 @@ export class SessionWatcher extends EventEmitter {
     }
   }
 
+  private getDetector(sessionId: string): CompactDetector {
+    let detector = this.detectors.get(sessionId);
+    if (!detector) {
+      detector = new CompactDetector();
+      this.detectors.set(sessionId, detector);
+    }
+    return detector;
+  }
+
   getSessionData(sessionId: string): SessionData | null {
     if (this.sessions.has(sessionId)) {
       this.updateAccessTime(sessionId);
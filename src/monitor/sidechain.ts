@@ -0,0 +1,110 @@
+import type { MessageData, SessionData, SubagentUsage } from "../types/index.js";
+import { calculateMessageCost, getModelName } from "./model-config.js";
+
+export interface SubagentSummary {
+  id: string;
+  label: string;
+  modelName: string;
+  turns: number;
+  totalTokens: number; // 入力・出力・キャッシュを合わせた処理トークン数
+  contextTokens: number;
+  totalCost: number;
+}
+
+/**
+ * サイドチェーン（Taskサブエージェント）のメッセージかどうか
+ */
+export function isSidechainMessage(data: Pick<MessageData, "isSidechain">): boolean {
+  return data.isSidechain === true;
+}
+
+/**
+ * サイドチェーンのメッセージをサブエージェントごとに集計する
+ * メインセッションのtotalTokensやturnsには加算しない
+ *
+ * agentIdがあればそれでまとめ、なければparentUuidを辿って同じチェーンの起点にまとめる
+ */
+export function recordSidechainMessage(sessionData: SessionData, data: MessageData): void {
+  if (!sessionData.sidechains) sessionData.sidechains = {};
+  if (!sessionData.sidechainIndex) sessionData.sidechainIndex = new Map();
+
+  const id =
+    data.agentId ||
+    (data.parentUuid ? sessionData.sidechainIndex.get(data.parentUuid) : undefined) ||
+    data.uuid ||
+    "subagent";
+  if (data.uuid) {
+    sessionData.sidechainIndex.set(data.uuid, id);
+  }
+
+  let subagent = sessionData.sidechains[id];
+  if (!subagent) {
+    subagent = createSubagentUsage(id);
+    sessionData.sidechains[id] = subagent;
+  }
+
+  const message = data.message;
+  if (!message) return;
+
+  if (message.model) {
+    subagent.model = message.model;
+  }
+
+  if (!subagent.label && message.role === "user") {
+    const text = Array.isArray(message.content)
+      ? message.content.find((c) => c.type === "text")?.text
+      : message.content;
+    if (text) subagent.label = text;
+  }
+
+  if (message.usage) {
+    const usage = message.usage;
+    subagent.inputTokens += usage.input_tokens || 0;
+    subagent.outputTokens += usage.output_tokens || 0;
+    subagent.cacheReadTokens += usage.cache_read_input_tokens || 0;
+    subagent.cacheCreationTokens += usage.cache_creation_input_tokens || 0;
+    subagent.contextTokens =
+      (usage.input_tokens || 0) +
+      (usage.output_tokens || 0) +
+      (usage.cache_read_input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0);
+    subagent.totalCost += calculateMessageCost(message.model || subagent.model || sessionData.model, usage);
+
+    if (message.role === "assistant") {
+      subagent.turns++;
+    }
+  }
+}
+
+/**
+ * 表示用のサブエージェント一覧（出現順）
+ */
+export function getSubagentSummaries(sidechains: SessionData["sidechains"]): SubagentSummary[] {
+  if (!sidechains) return [];
+
+  return Object.values(sidechains)
+    .filter((subagent) => subagent.turns > 0)
+    .map((subagent) => ({
+      id: subagent.id,
+      label: subagent.label?.replace(/\s+/g, " ").trim() || subagent.id.slice(0, 8),
+      modelName: subagent.model ? getModelName(subagent.model) : "Unknown",
+      turns: subagent.turns,
+      totalTokens:
+        subagent.inputTokens + subagent.outputTokens + subagent.cacheReadTokens + subagent.cacheCreationTokens,
+      contextTokens: subagent.contextTokens,
+      totalCost: subagent.totalCost,
+    }));
+}
+
+function createSubagentUsage(id: string): SubagentUsage {
+  return {
+    id,
+    turns: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    contextTokens: 0,
+    totalCost: 0,
+  };
+}
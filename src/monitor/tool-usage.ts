@@ -0,0 +1,107 @@
+import type { MessageContent, SessionData } from "../types/index.js";
+
+export interface ToolConsumer {
+  name: string;
+  calls: number;
+  tokens: number;
+  percentage: number; // コンテキストウィンドウに対する割合
+}
+
+/**
+ * アシスタントのtool_useブロックを記録し、後続のtool_resultとツール名を対応付ける
+ */
+export function recordToolUses(sessionData: SessionData, content: MessageContent[]): void {
+  for (const block of content) {
+    if (block?.type !== "tool_use" || !block.id || !block.name) continue;
+
+    if (!sessionData.pendingToolUses) sessionData.pendingToolUses = new Map();
+    sessionData.pendingToolUses.set(block.id, block.name);
+
+    const usage = getToolUsage(sessionData, block.name);
+    usage.calls++;
+  }
+}
+
+/**
+ * ユーザーメッセージのtool_resultブロックを記録
+ * トークン数は次のアシスタント応答のusageが届いた時点で確定する
+ */
+export function recordToolResults(sessionData: SessionData, content: MessageContent[]): void {
+  for (const block of content) {
+    if (block?.type !== "tool_result") continue;
+
+    const toolUseId = block.tool_use_id ?? "";
+    const name = sessionData.pendingToolUses?.get(toolUseId) ?? "unknown";
+    sessionData.pendingToolUses?.delete(toolUseId);
+
+    if (!sessionData.pendingToolResults) sessionData.pendingToolResults = [];
+    sessionData.pendingToolResults.push({ name, size: getContentSize(block.content) });
+  }
+}
+
+/**
+ * ターン間のコンテキスト増加分を、直前に受け取ったtool_resultへサイズ比で按分する
+ */
+export function attributeTokenGrowth(sessionData: SessionData, growth: number): void {
+  const pending = sessionData.pendingToolResults;
+  if (!pending || pending.length === 0) return;
+  sessionData.pendingToolResults = [];
+
+  if (growth <= 0) return;
+
+  const totalSize = pending.reduce((sum, result) => sum + result.size, 0);
+  let assigned = 0;
+
+  pending.forEach((result, index) => {
+    const share =
+      index === pending.length - 1
+        ? growth - assigned // 端数は最後の結果に寄せる
+        : Math.round(totalSize > 0 ? (growth * result.size) / totalSize : growth / pending.length);
+    assigned += share;
+    getToolUsage(sessionData, result.name).tokens += share;
+  });
+}
+
+/**
+ * 消費トークンの多い順にツールを返す
+ */
+export function getTopToolConsumers(
+  toolUsage: SessionData["toolUsage"],
+  contextWindow: number,
+  limit: number = 5,
+): ToolConsumer[] {
+  if (!toolUsage) return [];
+
+  return Object.entries(toolUsage)
+    .filter(([, usage]) => usage.tokens > 0)
+    .sort((a, b) => b[1].tokens - a[1].tokens)
+    .slice(0, limit)
+    .map(([name, usage]) => ({
+      name,
+      calls: usage.calls,
+      tokens: usage.tokens,
+      percentage: contextWindow > 0 ? (usage.tokens / contextWindow) * 100 : 0,
+    }));
+}
+
+function getToolUsage(sessionData: SessionData, name: string) {
+  if (!sessionData.toolUsage) sessionData.toolUsage = {};
+  let usage = sessionData.toolUsage[name];
+  if (!usage) {
+    usage = { calls: 0, tokens: 0 };
+    sessionData.toolUsage[name] = usage;
+  }
+  return usage;
+}
+
+// tool_resultの中身の大きさ（文字数）。画像はbase64データ長で近似する
+function getContentSize(content: MessageContent[] | string | undefined): number {
+  if (!content) return 0;
+  if (typeof content === "string") return content.length;
+
+  return content.reduce((sum, block) => {
+    if (block?.type === "text") return sum + (block.text?.length ?? 0);
+    if (block?.type === "image") return sum + (block.source?.data?.length ?? 0);
+    return sum;
+  }, 0);
+}
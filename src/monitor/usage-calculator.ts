@@ -1,9 +1,11 @@
 import type { Message } from "../types/index.js";
-import { getModelName as getModelNameFromConfig, getModelPricing, PRICING } from "./model-config.js";
+import { calculateCostBreakdown, getModelName as getModelNameFromConfig, PRICING } from "./model-config.js";
+import { countResponseOnce } from "./response-dedupe.js";
 
 // Type for handling nested message structures from tests
 interface NestedMessage {
   message: Message;
+  requestId?: string;
 }
 
 // Union type for flexible message handling
@@ -28,6 +30,10 @@ interface TokenUsage {
   output_tokens?: number | string;
   cache_read_input_tokens?: number | string;
   cache_creation_input_tokens?: number | string;
+  cache_creation?: {
+    ephemeral_5m_input_tokens?: number | string;
+    ephemeral_1h_input_tokens?: number | string;
+  };
 }
 
 interface CostCalculation {
@@ -66,19 +72,26 @@ export class UsageCalculator {
       };
     }
 
-    const pricing = getModelPricing(model);
-
     // Convert to numbers, treat invalid values as 0
     const inputTokens = Number(usage.input_tokens) || 0;
     const outputTokens = Number(usage.output_tokens) || 0;
     const cacheReadTokens = Number(usage.cache_read_input_tokens) || 0;
     const cacheCreationTokens = Number(usage.cache_creation_input_tokens) || 0;
 
-    // Cache tokens cost 10% of input token price
-    const effectiveInputTokens = inputTokens + cacheCreationTokens + cacheReadTokens * 0.1;
-
-    const inputCost = (effectiveInputTokens / 1_000_000) * pricing.input;
-    const outputCost = (outputTokens / 1_000_000) * pricing.output;
+    const breakdown = calculateCostBreakdown(model, {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      cache_read_input_tokens: cacheReadTokens,
+      cache_creation_input_tokens: cacheCreationTokens,
+      cache_creation: usage.cache_creation && {
+        ephemeral_5m_input_tokens: Number(usage.cache_creation.ephemeral_5m_input_tokens) || 0,
+        ephemeral_1h_input_tokens: Number(usage.cache_creation.ephemeral_1h_input_tokens) || 0,
+      },
+    });
+
+    // Cache reads and writes are billed at their own input rates
+    const inputCost = breakdown.inputCost + breakdown.cacheWriteCost + breakdown.cacheReadCost;
+    const outputCost = breakdown.outputCost;
 
     return {
       inputCost,
@@ -135,6 +148,8 @@ export class UsageCalculator {
             role: nestedMsg.role,
             content: nestedMsg.content,
             usage: nestedMsg.usage,
+            id: nestedMsg.id,
+            requestId: msg.requestId ?? nestedMsg.requestId,
           };
         }
         // Handle direct message structure
@@ -142,7 +157,11 @@ export class UsageCalculator {
       })
       .filter((msg) => msg?.role);
 
+    const responseIds = new Set<string>();
     for (const message of normalizedMessages) {
+      // A response written over several lines is one turn
+      if (!countResponseOnce(responseIds, message.id, message.requestId)) continue;
+
       // Count assistant messages as turns regardless of usage data
       if (message?.role === "assistant") {
         turns++;
@@ -1,12 +1,20 @@
 // Core Session and Message Types
 export interface MessageContent {
-  type: "text" | "image";
+  type: "text" | "image" | "tool_use" | "tool_result";
   text?: string;
   source?: {
     type: string;
     media_type?: string;
     data?: string;
   };
+  // tool_use
+  id?: string;
+  name?: string;
+  input?: Record<string, unknown>;
+  // tool_result
+  tool_use_id?: string;
+  content?: MessageContent[] | string;
+  is_error?: boolean;
 }
 
 export interface MessageUsage {
@@ -14,12 +22,19 @@ export interface MessageUsage {
   output_tokens: number;
   cache_creation_input_tokens?: number;
   cache_read_input_tokens?: number;
+  // キャッシュ書き込みのTTL別内訳
+  cache_creation?: {
+    ephemeral_5m_input_tokens?: number;
+    ephemeral_1h_input_tokens?: number;
+  };
 }
 
 export interface Message {
   role: "user" | "assistant" | "system";
   content: MessageContent[] | string;
   usage?: MessageUsage;
+  id?: string; // API応答のID（重複行の判定に使う）
+  requestId?: string;
 }
 
 export interface LatestUsage {
@@ -33,7 +48,21 @@ export interface LatestUsage {
 // CLIから受け取るメッセージデータの型
 export interface MessageData {
   timestamp?: string | number;
+  uuid?: string;
+  parentUuid?: string | null;
+  isSidechain?: boolean; // Taskツールのサブエージェントによるメッセージ
+  agentId?: string;
+  requestId?: string; // API要求のID（message.id と合わせて同じ応答の重複行を見分ける）
+  cwd?: string; // セッションの作業ディレクトリ
+  type?: string; // "user" | "assistant" | "system" | "summary"
+  subtype?: string; // "compact_boundary" など
+  isCompactSummary?: boolean; // コンパクト後に挿入される要約メッセージ
+  compactMetadata?: {
+    trigger?: "manual" | "auto";
+    preTokens?: number;
+  };
   message?: {
+    id?: string;
     role?: "user" | "assistant" | "system";
     content?: MessageContent[] | string;
     model?: string;
@@ -41,6 +70,50 @@ export interface MessageData {
   };
 }
 
+// ツールごとのコンテキスト消費量
+export interface ToolUsage {
+  calls: number;
+  tokens: number;
+}
+
+// tool_resultを受け取ったが、まだ次のアシスタント応答でトークン増加を計上していないもの
+export interface PendingToolResult {
+  name: string;
+  size: number;
+}
+
+// サブエージェント（サイドチェーン）ごとの使用量
+export interface SubagentUsage {
+  id: string;
+  label?: string; // サブエージェントに渡された最初のプロンプト
+  model?: string;
+  turns: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheCreationTokens: number;
+  contextTokens: number; // 最新ターンのコンテキストサイズ
+  totalCost: number;
+}
+
+// ターンごとのコンテキストの推移
+export interface ContextHistoryPoint {
+  turn: number;
+  timestamp?: string;
+  totalTokens: number;
+  cacheTokens: number;
+  cost: number; // そのターンまでの累計コスト
+  compacted?: boolean; // 直前のターンとの間でコンパクトが起きた
+}
+
+// コンパクト1回分の記録
+export interface CompactionEvent {
+  timestamp?: string;
+  trigger: "manual" | "auto";
+  tokensBefore: number; // 直前のコンテキストサイズ
+  tokensAfter?: number; // コンパクト後の最初のターンのコンテキストサイズ
+}
+
 export interface SessionData {
   sessionId: string;
   model: string;
@@ -52,10 +125,22 @@ export interface SessionData {
   startTime?: Date | string | null;
   isCompacted?: boolean;
   latestUsage?: LatestUsage;
+  toolUsage?: Record<string, ToolUsage>;
+  pendingToolUses?: Map<string, string>; // tool_use id -> tool name
+  pendingToolResults?: PendingToolResult[];
+  sidechains?: Record<string, SubagentUsage>;
+  sidechainIndex?: Map<string, string>; // message uuid -> subagent id
+  responseIds?: Set<string>; // 使用量を数えたAPI応答（message.id + requestId）
+  contextHistory?: ContextHistoryPoint[];
+  pendingCompaction?: boolean; // 次のターンの記録にコンパクトの印を付ける
+  compactions?: CompactionEvent[];
+  compactRequested?: boolean; // /compact コマンドの直後
   latestPrompt?: string;
   latestPromptTime?: string | number;
   timestamp?: number;
   active?: boolean;
+  cwd?: string;
+  projectPath?: string;
   // Additional fields for different use cases
   file?: string;
   size?: number;
@@ -67,6 +152,9 @@ export interface SessionData {
   filePath?: string;
   totalInputTokens?: number;
   totalOutputTokens?: number;
+  contextTokens?: number; // SessionCache: 直近のコンテキストサイズ（totalTokens は累計）
+  peakTokens?: number; // これまでの最大のコンテキストサイズ（1M ウィンドウの判定用）
+  messageCount?: number; // SessionCache: messages を持たない集計でのメッセージ数
   autoCompact?: {
     willTrigger: boolean;
     threshold: number;
@@ -78,5 +166,4 @@ export interface SessionData {
 export interface ModelPricing {
   inputPerMillion: number;
   outputPerMillion: number;
-  cachingPerMillion?: number;
 }
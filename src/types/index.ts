@@ -7,11 +7,16 @@
 
 // Export only the types that are actually used in the codebase
 export type {
+  CompactionEvent,
+  ContextHistoryPoint,
   LatestUsage,
   Message,
   MessageContent,
   MessageData,
   MessageUsage,
   ModelPricing,
+  PendingToolResult,
   SessionData,
+  SubagentUsage,
+  ToolUsage,
 } from "./index.d.js";
@@ -0,0 +1,320 @@
+/**
+ * Streaming line reader for JSONL transcripts
+ *
+ * Lines are split on raw bytes before decoding, so a multi-byte character that
+ * straddles a chunk boundary is never torn apart, and invalid UTF-8 in one line
+ * cannot corrupt its neighbours.
+ */
+
+import fs from "fs";
+
+const NEWLINE = 0x0a;
+
+// Ranges up to this size are read with a single read() call; larger ones are streamed
+export const FAST_PATH_MAX_BYTES = 8 * 1024 * 1024;
+// Ranges over this size are huge transcripts: lines longer than MAX_LINE_BYTES are not
+// buffered whole; an assistant line is reduced to its usage record (see summarizeSkippedLine)
+export const HUGE_FILE_BYTES = 64 * 1024 * 1024;
+export const MAX_LINE_BYTES = 16 * 1024 * 1024;
+const CHUNK_SIZE = 1024 * 1024;
+// Bytes kept from each end of a skipped line: the message header and the usage record live there
+const SUMMARY_BYTES = 64 * 1024;
+
+export interface ReadLinesOptions {
+  /** Byte offset to start reading from */
+  start?: number;
+  /** Byte offset to stop reading at (exclusive). Defaults to the current file size */
+  end?: number;
+  /** Ranges up to this many bytes are read in one call instead of streamed */
+  fastPathMaxBytes?: number;
+  /** Chunk size for streamed reads */
+  chunkSize?: number;
+  /** Ranges over this many bytes reduce lines longer than maxLineBytes to their usage record */
+  hugeFileBytes?: number;
+  /** Longest line kept in memory when reading a huge range */
+  maxLineBytes?: number;
+}
+
+export interface ReadLinesResult {
+  /** Byte offset just past the last complete (newline-terminated) line */
+  offset: number;
+  /** Trailing bytes after the last newline, decoded ("" when the range ends with a newline) */
+  tail: string;
+  /** Byte offset where reading stopped (offset plus the tail's length) */
+  end: number;
+}
+
+/**
+ * Call onLine for every newline-terminated line in the byte range
+ */
+export async function readLines(
+  filePath: string,
+  onLine: (line: string) => void,
+  options: ReadLinesOptions = {},
+): Promise<ReadLinesResult> {
+  const start = Math.max(0, options.start ?? 0);
+  const end = options.end ?? (await fs.promises.stat(filePath)).size;
+  const fastPathMaxBytes = options.fastPathMaxBytes ?? FAST_PATH_MAX_BYTES;
+
+  if (end <= start) {
+    return { offset: start, tail: "", end: start };
+  }
+
+  const huge = end - start > (options.hugeFileBytes ?? HUGE_FILE_BYTES);
+  const splitter = new LineSplitter(
+    start,
+    onLine,
+    huge ? (options.maxLineBytes ?? MAX_LINE_BYTES) : Number.POSITIVE_INFINITY,
+  );
+
+  if (end - start <= fastPathMaxBytes) {
+    const buffer = Buffer.alloc(end - start);
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+      splitter.push(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  } else {
+    const stream = fs.createReadStream(filePath, {
+      start,
+      end: end - 1, // createReadStream's end is inclusive
+      highWaterMark: options.chunkSize ?? CHUNK_SIZE,
+    });
+    for await (const chunk of stream) {
+      splitter.push(chunk as Buffer);
+    }
+  }
+
+  return splitter.finish();
+}
+
+/**
+ * Call onMessage for every JSON line in the byte range, skipping lines that fail to parse
+ *
+ * A trailing line without a newline is parsed too; it only counts as consumed
+ * when it is valid JSON, so a line that is still being written is retried on
+ * the next read. Returns the byte offset to resume from.
+ */
+export async function readJsonLines<T = unknown>(
+  filePath: string,
+  onMessage: (data: T) => void,
+  options: ReadLinesOptions = {},
+): Promise<number> {
+  const handleLine = (line: string): boolean => {
+    if (!line.trim()) return false;
+    try {
+      onMessage(JSON.parse(line) as T);
+      return true;
+    } catch (_e) {
+      // Skip invalid JSON lines
+      return false;
+    }
+  };
+
+  const { offset, tail, end } = await readLines(filePath, handleLine, options);
+
+  return tail && handleLine(tail) ? end : offset;
+}
+
+/**
+ * Incremental byte-level line splitter
+ * Chunks without a newline are held as a list and joined once, so a single
+ * huge line costs one copy instead of one per chunk. A line that grows past
+ * maxLineBytes is dropped as it streams by; only its first and last
+ * SUMMARY_BYTES are kept, and onLine gets the summary built from them.
+ */
+class LineSplitter {
+  private pending: Buffer[];
+  private pendingBytes: number;
+  private skipping: boolean; // The current line is over maxLineBytes
+  private skippedHead: Buffer;
+  private skippedTail: Buffer;
+  private offset: number;
+  private onLine: (line: string) => void;
+  private maxLineBytes: number;
+
+  constructor(start: number, onLine: (line: string) => void, maxLineBytes: number) {
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.skipping = false;
+    this.skippedHead = Buffer.alloc(0);
+    this.skippedTail = Buffer.alloc(0);
+    this.offset = start;
+    this.onLine = onLine;
+    this.maxLineBytes = maxLineBytes;
+  }
+
+  push(chunk: Buffer): void {
+    let lineStart = 0;
+    let newline = chunk.indexOf(NEWLINE);
+
+    while (newline !== -1) {
+      const head = chunk.subarray(lineStart, newline);
+      const length = this.pendingBytes + head.length;
+
+      if (!this.skipping && length <= this.maxLineBytes) {
+        const line = this.pending.length > 0 ? Buffer.concat([...this.pending, head]) : head;
+        this.onLine(line.toString("utf-8"));
+      } else {
+        const pieces = this.skipping ? [this.skippedTail, head] : [...this.pending, head];
+        const summary = summarizeSkippedLine(this.skipping ? this.skippedHead : headOf(pieces), tailOf(pieces));
+        if (summary) this.onLine(summary);
+      }
+      this.offset += length + 1;
+      this.pending = [];
+      this.pendingBytes = 0;
+      this.skipping = false;
+
+      lineStart = newline + 1;
+      newline = chunk.indexOf(NEWLINE, lineStart);
+    }
+
+    if (lineStart < chunk.length) {
+      const rest = chunk.subarray(lineStart);
+      this.pendingBytes += rest.length;
+      if (this.skipping) {
+        this.skippedTail = tailOf([this.skippedTail, rest]);
+      } else if (this.pendingBytes > this.maxLineBytes) {
+        const pieces = [...this.pending, rest];
+        this.skipping = true;
+        this.skippedHead = headOf(pieces);
+        this.skippedTail = tailOf(pieces);
+        this.pending = [];
+      } else {
+        this.pending.push(rest);
+      }
+    }
+  }
+
+  finish(): ReadLinesResult {
+    // An unfinished oversized line is left unconsumed, like any other partial line
+    if (this.skipping) {
+      return { offset: this.offset, tail: "", end: this.offset + this.pendingBytes };
+    }
+
+    const tail = Buffer.concat(this.pending);
+    this.pending = [];
+    return { offset: this.offset, tail: tail.toString("utf-8"), end: this.offset + tail.length };
+  }
+}
+
+/**
+ * First SUMMARY_BYTES of the joined pieces, without joining them all
+ */
+function headOf(pieces: Buffer[]): Buffer {
+  const kept: Buffer[] = [];
+  let bytes = 0;
+  for (const piece of pieces) {
+    if (bytes >= SUMMARY_BYTES) break;
+    const part = piece.subarray(0, SUMMARY_BYTES - bytes);
+    kept.push(part);
+    bytes += part.length;
+  }
+  return Buffer.concat(kept);
+}
+
+/**
+ * Last SUMMARY_BYTES of the joined pieces, without joining them all
+ */
+function tailOf(pieces: Buffer[]): Buffer {
+  const kept: Buffer[] = [];
+  let bytes = 0;
+  for (const piece of [...pieces].reverse()) {
+    if (bytes >= SUMMARY_BYTES) break;
+    const part = piece.subarray(Math.max(0, piece.length - (SUMMARY_BYTES - bytes)));
+    kept.unshift(part);
+    bytes += part.length;
+  }
+  return Buffer.concat(kept);
+}
+
+/**
+ * Rebuild the accounting fields of an assistant line that was too long to keep
+ *
+ * Claude Code writes the huge part (tool_use input, content) in the middle of
+ * the line: the top-level ids and the message's id/role/model come before
+ * "content", and usage, requestId and timestamp come after it. Keys are only
+ * matched outside JSON strings (quotes inside strings are escaped), so text in
+ * the content cannot be mistaken for them. Returns null for lines that carry
+ * no usage, which stay skipped.
+ */
+function summarizeSkippedLine(head: Buffer, tail: Buffer): string | null {
+  const start = head.toString("utf-8");
+  const end = tail.toString("utf-8");
+
+  const messageStart = start.indexOf('"message":{');
+  if (messageStart === -1) return null;
+  const contentStart = start.indexOf('"content":', messageStart);
+  const header = start.slice(messageStart, contentStart === -1 ? undefined : contentStart);
+  if (stringField(header, "role") !== "assistant") return null;
+
+  const usageStart = end.lastIndexOf('"usage":{');
+  if (usageStart === -1) return null;
+  const usageEnd = objectEnd(end, usageStart + '"usage":'.length);
+  if (usageEnd === -1) return null;
+
+  let usage: unknown;
+  try {
+    usage = JSON.parse(end.slice(usageStart + '"usage":'.length, usageEnd));
+  } catch (_e) {
+    return null;
+  }
+
+  const before = start.slice(0, messageStart);
+  const after = end.slice(usageEnd);
+  const sidechain = /"isSidechain":(true|false)/.exec(before);
+  return JSON.stringify({
+    parentUuid: stringField(before, "parentUuid"),
+    isSidechain: sidechain ? sidechain[1] === "true" : undefined,
+    agentId: stringField(before, "agentId"),
+    cwd: stringField(before, "cwd"),
+    message: {
+      id: stringField(header, "id"),
+      role: "assistant",
+      model: stringField(header, "model"),
+      content: [],
+      usage,
+    },
+    requestId: stringField(after, "requestId"),
+    uuid: stringField(after, "uuid"),
+    timestamp: stringField(after, "timestamp"),
+  });
+}
+
+/**
+ * Value of the first "key":"..." pair in text
+ */
+function stringField(text: string, key: string): string | undefined {
+  const match = new RegExp(`"${key}":("(?:[^"\\\\]|\\\\.)*")`).exec(text);
+  if (!match?.[1]) return undefined;
+  try {
+    return JSON.parse(match[1]) as string;
+  } catch (_e) {
+    return undefined;
+  }
+}
+
+/**
+ * Index just past the object that opens at text[from], or -1 when it is cut off
+ */
+function objectEnd(text: string, from: number): number {
+  let depth = 0;
+  let inString = false;
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,53 @@
+/**
+ * ターミナル向けの1行チャート（スパークライン）
+ */
+
+const BLOCKS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+
+export interface SparklineOptions {
+  width: number;
+  /** 縦軸の上限（省略時は値の最大値） */
+  max?: number;
+}
+
+/**
+ * 値の列を最大 width 個のバケットに分ける
+ * 点数が幅を超える場合は連続する点をまとめ、幅以下ならそのまま1点1列にする
+ */
+export function bucketize<T>(values: T[], width: number): T[][] {
+  const columns = Math.max(0, Math.min(values.length, Math.floor(width)));
+  const buckets: T[][] = [];
+  for (let column = 0; column < columns; column++) {
+    const start = Math.floor((column * values.length) / columns);
+    const end = Math.floor(((column + 1) * values.length) / columns);
+    buckets.push(values.slice(start, end));
+  }
+  return buckets;
+}
+
+/**
+ * 値の推移をブロック文字で描画する（各列はバケット内の最大値）
+ * 0 は空白、正の値は最低でも ▁ にする
+ */
+export function renderSparkline(values: number[], options: SparklineOptions): string {
+  const columns = bucketize(values, options.width).map((bucket) => Math.max(0, ...bucket));
+  const max = options.max ?? Math.max(0, ...columns);
+
+  return columns
+    .map((value) => {
+      if (value <= 0 || max <= 0) return " ";
+      const level = Math.ceil((Math.min(value, max) / max) * BLOCKS.length) - 1;
+      return BLOCKS[Math.max(0, level)];
+    })
+    .join("");
+}
+
+/**
+ * renderSparkline と同じ列割りで、印の付いた点を含む列に marker を置く
+ */
+export function renderMarkers(flags: boolean[], width: number, marker = "^"): string {
+  return bucketize(flags, width)
+    .map((bucket) => (bucket.some(Boolean) ? marker : " "))
+    .join("")
+    .trimEnd();
+}
@@ -9,7 +9,7 @@ describe("AutoCompact Configuration", () => {
   });
 
   it("should return correct thresholds for different models", () => {
-    // Latest models with 1M context window
+    // Current models
     expect(AUTO_COMPACT_CONFIG.getThreshold("claude-3-5-sonnet-20241022")).toBe(0.92);
     expect(AUTO_COMPACT_CONFIG.getThreshold("claude-3-opus-20241022")).toBe(0.92);
     expect(AUTO_COMPACT_CONFIG.getThreshold("claude-opus-4-20250514")).toBe(0.92);
@@ -58,13 +58,13 @@ describe("AutoCompact in ContextTracker", () => {
     expect(info.autoCompact.threshold).toBe(0.92);
     expect(info.autoCompact.thresholdPercentage).toBe(92);
 
-    // With 1600 tokens used (1000 input + 500 output + 100 cache) out of 1M
+    // With 1600 tokens used (1000 input + 500 output + 100 cache) out of 200k
     // But Claude Code subtracts system overhead first
     // The auto-compact calculation is complex due to overhead
-    expect(info.usagePercentage).toBeCloseTo(0.16, 2);
+    expect(info.usagePercentage).toBeCloseTo(0.8, 2);
     // Exact values depend on system overhead calculation
-    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(85);
-    expect(info.autoCompact.remainingTokens).toBeGreaterThan(850000);
+    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(95);
+    expect(info.autoCompact.remainingTokens).toBeGreaterThan(150000);
     expect(info.autoCompact.warningLevel).toBe("normal");
     expect(info.autoCompact.willCompactSoon).toBe(false);
   });
@@ -89,12 +89,11 @@ describe("AutoCompact in ContextTracker", () => {
 
     const info = tracker.updateSession(sessionData);
 
-    // With 126k tokens used (125k + 1k cache) out of 1M, usage is 12.6%
+    // With 126k tokens used (125k + 1k cache) out of 200k, usage is 63%
     // Auto-compact calculation considers system overhead
-    expect(info.usagePercentage).toBe(12.6);
-    // With 1M context, remaining percentage is much higher
-    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(75);
-    expect(info.autoCompact.remainingTokens).toBeGreaterThan(750000);
+    expect(info.usagePercentage).toBe(63);
+    expect(info.autoCompact.remainingPercentage).toBe(22);
+    expect(info.autoCompact.remainingTokens).toBeGreaterThan(30000);
     expect(info.autoCompact.warningLevel).toBe("normal");
     expect(info.autoCompact.willCompactSoon).toBe(false);
   });
@@ -119,13 +118,12 @@ describe("AutoCompact in ContextTracker", () => {
 
     const info = tracker.updateSession(sessionData);
 
-    // With 151k tokens used (150k + 1k cache) out of 1M, usage is 15.1%
+    // With 151k tokens used (150k + 1k cache) out of 200k, usage is 75.5%
     // Auto-compact calculation considers system overhead
-    expect(info.usagePercentage).toBe(15.1);
-    // With 1M context, remaining percentage is much higher
-    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(74);
-    expect(info.autoCompact.remainingTokens).toBeGreaterThan(700000);
-    expect(info.autoCompact.warningLevel).toBe("normal");
+    expect(info.usagePercentage).toBe(75.5);
+    expect(info.autoCompact.remainingPercentage).toBe(6);
+    expect(info.autoCompact.remainingTokens).toBeLessThan(10000);
+    expect(info.autoCompact.warningLevel).toBe("warning");
     expect(info.autoCompact.willCompactSoon).toBe(false);
   });
 
@@ -149,14 +147,13 @@ describe("AutoCompact in ContextTracker", () => {
 
     const info = tracker.updateSession(sessionData);
 
-    // With 191k tokens used (190k + 1k cache) out of 1M, usage is 19.1%
-    // Still well below threshold with 1M context
-    expect(info.usagePercentage).toBe(19.1);
-    // With 1M context, remaining percentage is much higher
-    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(75);
-    expect(info.autoCompact.remainingTokens).toBeGreaterThan(700000);
-    expect(info.autoCompact.warningLevel).toBe("normal");
-    expect(info.autoCompact.willCompactSoon).toBe(false);
+    // With 191k tokens used (190k + 1k cache) out of 200k, usage is 95.5%
+    // Past the auto-compact threshold once system overhead is subtracted
+    expect(info.usagePercentage).toBe(95.5);
+    expect(info.autoCompact.remainingPercentage).toBe(0);
+    expect(info.autoCompact.remainingTokens).toBe(0);
+    expect(info.autoCompact.warningLevel).toBe("active");
+    expect(info.autoCompact.willCompactSoon).toBe(true);
   });
 
   it("should handle above-threshold scenarios correctly", () => {
@@ -179,14 +176,11 @@ describe("AutoCompact in ContextTracker", () => {
 
     const info = tracker.updateSession(sessionData);
 
-    // With 199k tokens used (198k + 1k cache) out of 1M, usage is 19.9%
-    // Still well below threshold with 1M context
-    expect(info.usagePercentage).toBeCloseTo(19.9, 1);
-    // With 1M context, remaining percentage is much higher
-    expect(info.autoCompact.remainingPercentage).toBeGreaterThan(69);
-    expect(info.autoCompact.remainingTokens).toBeGreaterThan(650000);
-    expect(info.autoCompact.warningLevel).toBe("normal");
-    expect(info.autoCompact.willCompactSoon).toBe(false);
+    // With 199k tokens used (198k + 1k cache) out of 200k, usage is 99.5%
+    expect(info.usagePercentage).toBeCloseTo(99.5, 1);
+    expect(info.autoCompact.remainingPercentage).toBe(0);
+    expect(info.autoCompact.warningLevel).toBe("active");
+    expect(info.autoCompact.willCompactSoon).toBe(true);
   });
 });
 
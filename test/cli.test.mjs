@@ -44,6 +44,8 @@ describe("CLI", () => {
     expect(output).toMatch(/List recent Claude Code sessions/);
     expect(output).toMatch(/--limit/);
     expect(output).toMatch(/--live/);
+    expect(output).toMatch(/--project <path>/);
+    expect(output).toMatch(/--group/);
   });
 
   it("should validate sessions limit option", async () => {
@@ -74,6 +76,298 @@ describe("CLI", () => {
     expect(output).toMatch(/Monitor Claude Code context usage/);
   });
 
+  it("should handle status command with --help", async () => {
+    const output = await runCLI(["status", "--help"]);
+
+    expect(output).toMatch(/Print context usage for a session and exit/);
+    expect(output).toMatch(/-s, --session/);
+    expect(output).toMatch(/--json/);
+  });
+
+  it("should print context info as JSON for the status command", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    const lines = [
+      { timestamp: "2025-01-01T00:00:00Z", message: { role: "user", content: "Hello" } },
+      {
+        timestamp: "2025-01-01T00:00:05Z",
+        message: {
+          role: "assistant",
+          model: "claude-sonnet-4-20250514",
+          content: [{ type: "text", text: "Hi" }],
+          usage: { input_tokens: 1000, output_tokens: 500, cache_read_input_tokens: 2000 },
+        },
+      },
+    ];
+    await fs.writeFile(
+      path.join(projectDir, "status-session.jsonl"),
+      `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`,
+    );
+
+    const output = await runCLI(["status", "--json"], false, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    const info = JSON.parse(output);
+
+    expect(info.sessionId).toBe("status-session");
+    expect(info.model).toBe("claude-sonnet-4-20250514");
+    expect(info.totalTokens).toBe(3500);
+    expect(info.turns).toBe(1);
+    expect(info.autoCompact).toMatchObject({ enabled: true });
+    expect(typeof info.autoCompact.remainingPercentage).toBe("number");
+  }, 10000);
+
+  it("should resolve session id prefixes for the status command", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    const line = JSON.stringify({ timestamp: "2025-01-01T00:00:00Z", message: { role: "user", content: "Hello" } });
+    const sessionIds = ["3f2a9c41-0000-4000-8000-000000000001", "3f2a9c41-1111-4000-8000-000000000002"];
+    for (const [index, sessionId] of sessionIds.entries()) {
+      const file = path.join(projectDir, `${sessionId}.jsonl`);
+      await fs.writeFile(file, `${line}\n`);
+      // 候補は新しい順に並ぶので、更新時刻をずらして順序を固定する
+      const mtime = new Date(Date.UTC(2025, 0, 2) - index * 60000);
+      await fs.utimes(file, mtime, mtime);
+    }
+
+    const output = await runCLI(["status", "-s", "3f2a9c41-1", "--json"], false, 5000, {
+      CLAUDE_PROJECTS_DIR: tempDir,
+    });
+    expect(JSON.parse(output).sessionId).toBe("3f2a9c41-1111-4000-8000-000000000002");
+
+    const ambiguous = await runCLI(["status", "-s", "3f2a", "--json"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    expect(ambiguous).toMatch(/Ambiguous session id: 3f2a matches 3f2a9c41-0, 3f2a9c41-1/);
+  }, 10000);
+
+  it("should resolve the status session within --project like monitor does", async () => {
+    const line = (cwd) =>
+      JSON.stringify({ timestamp: "2025-01-01T00:00:00Z", cwd, message: { role: "user", content: "Hello" } });
+    const sessions = [
+      ["-work-api", "api-new", "/work/api"],
+      ["-work-web", "web-new", "/work/web"],
+      ["-work-web", "web-old", "/work/web"],
+    ];
+    for (const [index, [dir, sessionId, cwd]] of sessions.entries()) {
+      await fs.mkdir(path.join(tempDir, dir), { recursive: true });
+      const file = path.join(tempDir, dir, `${sessionId}.jsonl`);
+      await fs.writeFile(file, `${line(cwd)}\n`);
+      // 新しい順: api-new, web-new, web-old
+      const mtime = new Date(Date.UTC(2025, 0, 2) - index * 60000);
+      await fs.utimes(file, mtime, mtime);
+    }
+    const env = { CLAUDE_PROJECTS_DIR: tempDir };
+
+    const latest = await runCLI(["status", "--project", "/work/web", "--json"], false, 5000, env);
+    expect(JSON.parse(latest).sessionId).toBe("web-new");
+
+    // 番号はプロジェクトで絞り込んだ一覧での順位
+    const second = await runCLI(["status", "--project", "/work/web", "-s", "2", "--json"], false, 5000, env);
+    expect(JSON.parse(second).sessionId).toBe("web-old");
+
+    const missing = await runCLI(["status", "--project", "/work/elsewhere", "--json"], true, 5000, env);
+    expect(missing).toMatch(/No Claude Code sessions found for project: \/work\/elsewhere/);
+  }, 15000);
+
+  it("should fail the status command when no sessions exist", async () => {
+    const output = await runCLI(["status", "--json"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+
+    expect(output).toMatch(/No active Claude Code sessions found/);
+  }, 10000);
+
+  it("should fail the monitor command when the project has no sessions", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    await fs.writeFile(path.join(projectDir, "other.jsonl"), "{}\n");
+
+    const output = await runCLI(["monitor", "--project", "/Users/test/elsewhere"], true, 5000, {
+      CLAUDE_PROJECTS_DIR: tempDir,
+    });
+
+    expect(output).toMatch(/No Claude Code sessions found for project: \/Users\/test\/elsewhere/);
+  }, 10000);
+
+  it("should fail to monitor several sessions when one of them cannot be resolved", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.writeFile(path.join(projectDir, "stale.jsonl"), "{}\n");
+    await fs.utimes(path.join(projectDir, "stale.jsonl"), old, old);
+
+    const missing = await runCLI(["monitor", "-s", "1,5"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    expect(missing).toMatch(/Invalid session number: 5. Valid range is 1-1/);
+
+    const inactive = await runCLI(["monitor", "--all-active"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    expect(inactive).toMatch(/No sessions updated in the last hour/);
+  }, 15000);
+
+  it("should reject more sessions than the split view can show", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    for (let index = 0; index < 10; index++) {
+      await fs.writeFile(path.join(projectDir, `session-${index}.jsonl`), "{}\n");
+    }
+
+    const output = await runCLI(["monitor", "-s", "1,2,3,4,5,6,7,8,9,10"], true, 5000, {
+      CLAUDE_PROJECTS_DIR: tempDir,
+    });
+    expect(output).toMatch(/--session lists 10 sessions; at most 9 can be shown at once/);
+  }, 10000);
+
+  it("should reject --follow together with --session", async () => {
+    const output = await runCLI(["monitor", "--follow", "-s", "1"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+
+    expect(output).toMatch(/--follow cannot be combined with --session or --all-active/);
+  }, 10000);
+
+  it("should validate the replay options before opening the monitor", async () => {
+    const help = await runCLI(["replay", "--help"]);
+    expect(help).toMatch(/--speed <multiplier>/);
+    expect(help).toMatch(/--max-gap <seconds>/);
+
+    const speed = await runCLI(["replay", "latest", "--speed", "fast"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    expect(speed).toMatch(/Invalid --speed: fast/);
+
+    const missing = await runCLI(["replay", "latest"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+    expect(missing).toMatch(/No Claude Code sessions found/);
+  }, 15000);
+
+  it("should reject an unknown notification channel for the monitor command", async () => {
+    const output = await runCLI(["monitor", "--notify", "email"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+
+    expect(output).toMatch(/Invalid notification channel: email/);
+  }, 10000);
+
+  it("should reject --notify-levels without a notification channel", async () => {
+    const output = await runCLI(["monitor", "--notify-levels", "critical"], true, 5000, {
+      CLAUDE_PROJECTS_DIR: tempDir,
+    });
+
+    expect(output).toMatch(/--notify-levels needs --notify or --notify-hook/);
+  }, 10000);
+
+  it("should print a spend report as JSON for the report command", async () => {
+    const projectDir = path.join(tempDir, "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    const now = new Date().toISOString();
+    const lines = [
+      { timestamp: now, cwd: "/Users/test/project", message: { role: "user", content: "Hello" } },
+      {
+        timestamp: now,
+        requestId: "req_1",
+        message: {
+          id: "msg_1",
+          role: "assistant",
+          model: "claude-sonnet-4-20250514",
+          content: [{ type: "text", text: "Hi" }],
+          usage: { input_tokens: 1000, output_tokens: 500 },
+        },
+      },
+    ];
+    await fs.writeFile(
+      path.join(projectDir, "report-session.jsonl"),
+      `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`,
+    );
+
+    const output = await runCLI(["report", "--group-by", "project", "--format", "json"], false, 5000, {
+      CLAUDE_PROJECTS_DIR: tempDir,
+    });
+    const report = JSON.parse(output);
+
+    expect(report.groupBy).toBe("project");
+    expect(report.rows).toHaveLength(1);
+    expect(report.rows[0]).toMatchObject({ key: "/Users/test/project", sessions: 1, messages: 1 });
+    expect(report.total.cost).toBeCloseTo(0.0105, 6);
+  }, 10000);
+
+  it("should reject an invalid --group-by for the report command", async () => {
+    const output = await runCLI(["report", "--group-by", "week"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+
+    expect(output).toMatch(/Invalid --group-by: week/);
+  }, 10000);
+
+  it("should reject an unknown --sort column for the sessions command", async () => {
+    const output = await runCLI(["sessions", "--sort", "size"], true, 5000, { CLAUDE_PROJECTS_DIR: tempDir });
+
+    expect(output).toMatch(/Invalid --sort: size/);
+  }, 10000);
+
+  it("should keep parsed sessions in the index for the next sessions command", async () => {
+    const projectDir = path.join(tempDir, "projects", "-Users-test-project");
+    const cacheDir = path.join(tempDir, "cache");
+    await fs.mkdir(projectDir, { recursive: true });
+    const transcript = path.join(projectDir, "indexed-session.jsonl");
+    const line = {
+      timestamp: "2025-01-01T00:00:05Z",
+      message: {
+        role: "assistant",
+        model: "claude-sonnet-4-20250514",
+        usage: { input_tokens: 1000, output_tokens: 500 },
+      },
+    };
+    await fs.writeFile(transcript, `${JSON.stringify(line)}\n`);
+
+    // The table never exits on its own, so the run ends at the timeout
+    await runCLI(["sessions"], true, 3000, {
+      CLAUDE_PROJECTS_DIR: path.join(tempDir, "projects"),
+      CCCONTEXT_CACHE_DIR: cacheDir,
+    });
+
+    const index = JSON.parse(await fs.readFile(path.join(cacheDir, "sessions-index.json"), "utf-8"));
+    expect(index.entries[transcript].session).toMatchObject({ sessionId: "indexed-session", turns: 1 });
+  }, 10000);
+
+  it("should drop deleted sessions from the index, but not on --project runs", async () => {
+    const projectsDir = path.join(tempDir, "projects");
+    const cacheDir = path.join(tempDir, "cache");
+    const env = { CLAUDE_PROJECTS_DIR: projectsDir, CCCONTEXT_CACHE_DIR: cacheDir };
+    const line = JSON.stringify({
+      timestamp: "2025-01-01T00:00:05Z",
+      message: { role: "assistant", model: "claude-sonnet-4-20250514", usage: { input_tokens: 10, output_tokens: 5 } },
+    });
+    const transcripts = [];
+    for (const project of ["-Users-test-api", "-Users-test-web"]) {
+      await fs.mkdir(path.join(projectsDir, project), { recursive: true });
+      const transcript = path.join(projectsDir, project, `${project.slice(-3)}-session.jsonl`);
+      await fs.writeFile(transcript, `${line}\n`);
+      transcripts.push(transcript);
+    }
+    const [api, web] = transcripts;
+    const readEntries = async () =>
+      Object.keys(JSON.parse(await fs.readFile(path.join(cacheDir, "sessions-index.json"), "utf-8")).entries).sort();
+
+    // The table never exits on its own, so each run ends at the timeout
+    await runCLI(["sessions"], true, 3000, env);
+    expect(await readEntries()).toEqual([api, web]);
+
+    await fs.rm(api);
+    await fs.appendFile(web, `${line}\n`);
+    await runCLI(["sessions", "--project", "/Users/test/web"], true, 3000, env);
+    expect(await readEntries()).toEqual([api, web]);
+
+    await runCLI(["sessions"], true, 3000, env);
+    expect(await readEntries()).toEqual([web]);
+  }, 20000);
+
+  it("should run session-added hooks from sessions --live", async () => {
+    const projectDir = path.join(tempDir, "projects", "-Users-test-project");
+    await fs.mkdir(projectDir, { recursive: true });
+    const marker = path.join(tempDir, "added.json");
+    const hooksPath = path.join(tempDir, "hooks.json");
+    await fs.writeFile(
+      hooksPath,
+      JSON.stringify({ hooks: [{ events: ["session-added"], command: `cat > ${JSON.stringify(marker)}` }] }),
+    );
+
+    const run = runCLI(["--hooks", hooksPath, "sessions", "--live"], true, 5000, {
+      CLAUDE_PROJECTS_DIR: path.join(tempDir, "projects"),
+      CCCONTEXT_CACHE_DIR: path.join(tempDir, "cache"),
+    });
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    await fs.writeFile(path.join(projectDir, "new-session.jsonl"), "{}\n");
+    await run;
+
+    const payload = JSON.parse(await fs.readFile(marker, "utf-8"));
+    expect(payload).toMatchObject({ event: "session-added", sessionId: "new-session" });
+  }, 15000);
+
   it("should parse sessions command options correctly", async () => {
     // Note: 実際のセッション表示はファイルシステムに依存するため、
     // ここではオプションのパースのみをテスト
@@ -84,10 +378,10 @@ describe("CLI", () => {
 });
 
 // CLIを実行してその出力を取得するヘルパー関数
-function runCLI(args, expectError = false, timeout = 3000) {
+function runCLI(args, expectError = false, timeout = 3000, env = {}) {
   return new Promise((resolve, reject) => {
     const proc = spawn("node", [cliPath, ...args], {
-      env: { ...process.env, NODE_ENV: "test" },
+      env: { ...process.env, NODE_ENV: "test", ...env },
     });
 
     let stdout = "";
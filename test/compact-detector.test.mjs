@@ -0,0 +1,152 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { CompactDetector, detectFileRewrite, readFileState } from "../src/monitor/compact-detector.ts";
+
+// Claude Code のトランスクリプトに近い形の行
+const line = (uuid, parentUuid, role, content, extra = {}) => ({
+  type: role,
+  uuid,
+  parentUuid,
+  sessionId: "s1",
+  timestamp: "2025-06-01T10:00:00.000Z",
+  message: { role, content },
+  ...extra,
+});
+
+const conversation = () => [
+  line("u1", null, "user", "Refactor the parser"),
+  line("a1", "u1", "assistant", [{ type: "text", text: "Sure" }]),
+  line("u2", "a1", "user", [{ type: "tool_result", tool_use_id: "t1", content: "x".repeat(20000) }]),
+  line("a2", "u2", "assistant", [{ type: "text", text: "Done" }]),
+];
+
+describe("CompactDetector", () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new CompactDetector();
+    for (const data of conversation()) detector.observe(data);
+  });
+
+  it("should not signal for a chained conversation, however large the lines", () => {
+    const fresh = new CompactDetector();
+    expect(conversation().map((data) => fresh.observe(data))).toEqual([null, null, null, null]);
+  });
+
+  it("should signal once for a boundary followed by its summary", () => {
+    const boundary = {
+      type: "system",
+      subtype: "compact_boundary",
+      uuid: "b1",
+      parentUuid: null,
+      logicalParentUuid: "a2",
+      content: "Conversation compacted",
+      compactMetadata: { trigger: "auto", preTokens: 155000 },
+    };
+    const summary = line("u3", "b1", "user", "This session is being continued from a previous conversation...", {
+      isCompactSummary: true,
+    });
+
+    expect(detector.observe(boundary)).toBe("boundary");
+    expect(detector.observe(summary)).toBe(null);
+    expect(detector.observe(line("a3", "u3", "assistant", "OK"))).toBe(null);
+  });
+
+  it("should signal again for the next compaction after an assistant turn", () => {
+    const boundary = (uuid) => ({ type: "system", subtype: "compact_boundary", uuid, parentUuid: null });
+
+    expect(detector.observe(boundary("b1"))).toBe("boundary");
+    detector.observe(line("a3", "b1", "assistant", "OK"));
+    expect(detector.observe(boundary("b2"))).toBe("boundary");
+  });
+
+  it("should signal for a summary without a boundary", () => {
+    const summary = line("u3", "a2", "user", "[Previous conversation summary]: we refactored the parser");
+    expect(detector.observe(summary)).toBe("summary");
+  });
+
+  it("should signal for type: summary lines", () => {
+    expect(detector.observe({ type: "summary", summary: "Parser refactor", leafUuid: "a2" })).toBe("summary-line");
+  });
+
+  it("should signal when a message does not continue the known chain", () => {
+    expect(detector.observe(line("u9", null, "user", "Hello again"))).toBe("chain-break");
+
+    const other = new CompactDetector();
+    for (const data of conversation()) other.observe(data);
+    expect(other.observe(line("u9", "unknown-parent", "user", "Hello again"))).toBe("chain-break");
+  });
+
+  it("should ignore sidechain roots but keep their uuids", () => {
+    expect(detector.observe(line("s1", null, "user", "Search the repo", { isSidechain: true }))).toBe(null);
+    expect(detector.observe(line("s2", "s1", "assistant", "Found it", { isSidechain: true }))).toBe(null);
+    expect(detector.observe(line("u3", "a2", "user", "Thanks"))).toBe(null);
+  });
+
+  it("should ignore lines without uuids and forget the chain on reset", () => {
+    expect(detector.observe({ message: { role: "user", content: "legacy line" } })).toBe(null);
+
+    detector.reset();
+    expect(detector.observe(line("u9", null, "user", "First line of a rewritten file"))).toBe(null);
+  });
+});
+
+describe("detectFileRewrite", () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-compact-detector-"));
+    filePath = path.join(tempDir, "session.jsonl");
+    await fs.writeFile(
+      filePath,
+      `${conversation()
+        .map((data) => JSON.stringify(data))
+        .join("\n")}\n`,
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const snapshot = async () => {
+    const stats = await fs.stat(filePath);
+    return readFileState(filePath, stats.size, stats.ino);
+  };
+
+  it("should return null without a previous state or for appends", async () => {
+    const previous = await snapshot();
+    expect(await detectFileRewrite(filePath, await fs.stat(filePath), undefined)).toBe(null);
+
+    await fs.appendFile(filePath, `${JSON.stringify(line("u3", "a2", "user", "y".repeat(50000)))}\n`);
+    expect(await detectFileRewrite(filePath, await fs.stat(filePath), previous)).toBe(null);
+  });
+
+  it("should detect truncation", async () => {
+    const previous = await snapshot();
+    await fs.writeFile(filePath, `${JSON.stringify(line("u1", null, "user", "Summary"))}\n`);
+    expect(await detectFileRewrite(filePath, await fs.stat(filePath), previous)).toBe("truncated");
+  });
+
+  it("should detect a rewrite in place that makes the file larger", async () => {
+    const previous = await snapshot();
+    const rewritten = conversation().map((data) => ({ ...data, sessionId: "rewritten" }));
+    await fs.writeFile(filePath, `${rewritten.map((data) => JSON.stringify(data)).join("\n")}\n`);
+    expect(await detectFileRewrite(filePath, await fs.stat(filePath), previous)).toBe("replaced");
+  });
+
+  it("should detect a replaced file by its inode", async () => {
+    const previous = await snapshot();
+    const replacement = path.join(tempDir, "replacement.jsonl");
+    await fs.copyFile(filePath, replacement);
+    await fs.appendFile(replacement, `${JSON.stringify(line("u3", "a2", "user", "more"))}\n`);
+    await fs.rename(replacement, filePath);
+
+    const stats = await fs.stat(filePath);
+    expect(stats.ino).not.toBe(previous.ino);
+    expect(await detectFileRewrite(filePath, stats, previous)).toBe("replaced");
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { isCompactSummary, recordCompactionMessage } from "../src/monitor/compaction-log.ts";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+
+function createSession() {
+  return { sessionId: "main", model: "unknown", messages: [], totalTokens: 0, turns: 0 };
+}
+
+function assistant(timestamp, contextTokens) {
+  return {
+    timestamp,
+    message: {
+      role: "assistant",
+      model: "claude-sonnet-4-20250514",
+      content: [{ type: "text", text: "ok" }],
+      usage: { input_tokens: 10, output_tokens: 90, cache_read_input_tokens: contextTokens - 100 },
+    },
+  };
+}
+
+// 現行の Claude Code が書き出すコンパクトの行
+const boundary = (timestamp, trigger, preTokens) => ({
+  type: "system",
+  subtype: "compact_boundary",
+  content: "Conversation compacted",
+  timestamp,
+  compactMetadata: { trigger, preTokens },
+});
+
+const summary = (timestamp) => ({
+  type: "user",
+  isCompactSummary: true,
+  timestamp,
+  message: {
+    role: "user",
+    content: "This session is being continued from a previous conversation that ran out of context. ...",
+  },
+});
+
+describe("compaction-log", () => {
+  it("should record an automatic compaction with the context size before and after", () => {
+    const watcher = new SessionWatcher();
+    const session = createSession();
+
+    watcher.processMessage(session, assistant("2025-01-01T10:00:00Z", 170000));
+    watcher.processMessage(session, boundary("2025-01-01T10:01:00Z", "auto", 172000));
+    watcher.processMessage(session, summary("2025-01-01T10:01:00Z"));
+    watcher.processMessage(session, assistant("2025-01-01T10:02:00Z", 30000));
+    watcher.processMessage(session, assistant("2025-01-01T10:03:00Z", 35000));
+
+    expect(session.compactions).toEqual([
+      { timestamp: "2025-01-01T10:01:00Z", trigger: "auto", tokensBefore: 172000, tokensAfter: 30000 },
+    ]);
+    expect(session.isCompacted).toBe(true);
+    expect(session.contextHistory.map((point) => point.compacted === true)).toEqual([false, true, false]);
+    // 要約はユーザーのプロンプトではない
+    expect(session.latestPrompt).toBeUndefined();
+  });
+
+  it("should treat a summary after /compact as manual when there is no boundary line", () => {
+    const watcher = new SessionWatcher();
+    const session = createSession();
+
+    watcher.processMessage(session, assistant("2025-01-01T10:00:00Z", 90000));
+    watcher.processMessage(session, {
+      timestamp: "2025-01-01T10:01:00Z",
+      message: { role: "user", content: "<command-name>/compact</command-name>\n<command-args></command-args>" },
+    });
+    watcher.processMessage(session, summary("2025-01-01T10:01:30Z"));
+    watcher.processMessage(session, assistant("2025-01-01T10:02:00Z", 20000));
+    // その後の自動コンパクト（/compact なし）
+    watcher.processMessage(session, {
+      timestamp: "2025-01-01T11:00:00Z",
+      message: { role: "user", content: "[Previous conversation summary] ..." },
+    });
+
+    expect(session.compactions).toEqual([
+      { timestamp: "2025-01-01T10:01:30Z", trigger: "manual", tokensBefore: 90000, tokensAfter: 20000 },
+      { timestamp: "2025-01-01T11:00:00Z", trigger: "auto", tokensBefore: 20000 },
+    ]);
+  });
+
+  it("should record back-to-back boundaries separately", () => {
+    const session = createSession();
+
+    expect(recordCompactionMessage(session, boundary("2025-01-01T10:00:00Z", "manual", 50000))).toBe(true);
+    expect(recordCompactionMessage(session, summary("2025-01-01T10:00:00Z"))).toBe(false);
+    expect(recordCompactionMessage(session, boundary("2025-01-01T10:05:00Z", "auto", 60000))).toBe(true);
+
+    expect(session.compactions.map((compaction) => compaction.trigger)).toEqual(["manual", "auto"]);
+  });
+
+  it("should not mistake assistant text about compaction for a summary", () => {
+    expect(
+      isCompactSummary({
+        message: { role: "assistant", content: [{ type: "text", text: "Previous conversation compacted" }] },
+      }),
+    ).toBe(false);
+    expect(
+      isCompactSummary({
+        message: {
+          role: "user",
+          content: [{ type: "text", text: "This session is being continued from a previous conversation" }],
+        },
+      }),
+    ).toBe(true);
+  });
+
+  it("should expose the log in ContextInfo", () => {
+    const watcher = new SessionWatcher();
+    const session = createSession();
+    watcher.processMessage(session, boundary("2025-01-01T10:00:00Z", "auto", 172000));
+
+    const info = new ContextTracker().updateSession(session);
+
+    expect(info.compactions).toEqual([{ timestamp: "2025-01-01T10:00:00Z", trigger: "auto", tokensBefore: 172000 }]);
+    expect(JSON.parse(JSON.stringify(info)).compactions).toHaveLength(1);
+  });
+});
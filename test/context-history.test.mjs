@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { MAX_HISTORY_POINTS, markCompaction, recordContextPoint } from "../src/monitor/context-history.ts";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+
+function createSession() {
+  return { sessionId: "main", model: "claude-sonnet-4-20250514", messages: [], totalTokens: 0, turns: 0 };
+}
+
+function assistant(usage) {
+  return {
+    timestamp: "2025-01-01T00:00:00Z",
+    message: { role: "assistant", model: "claude-sonnet-4-20250514", content: [], usage },
+  };
+}
+
+describe("context-history", () => {
+  describe("recordContextPoint", () => {
+    it("should record tokens, cache and the running cost per turn", () => {
+      const session = createSession();
+
+      session.turns = 1;
+      session.totalTokens = 10000;
+      session.totalCacheTokens = 8000;
+      recordContextPoint(session, 0.5, "2025-01-01T00:00:00Z");
+      session.turns = 2;
+      session.totalTokens = 12000;
+      session.totalCacheTokens = 9000;
+      recordContextPoint(session, 0.25);
+
+      expect(session.contextHistory).toEqual([
+        { turn: 1, timestamp: "2025-01-01T00:00:00Z", totalTokens: 10000, cacheTokens: 8000, cost: 0.5 },
+        { turn: 2, timestamp: undefined, totalTokens: 12000, cacheTokens: 9000, cost: 0.75 },
+      ]);
+    });
+
+    it("should flag the first turn after a compaction", () => {
+      const session = createSession();
+      session.totalTokens = 10000;
+      recordContextPoint(session, 0);
+
+      markCompaction(session);
+      session.totalTokens = 9000;
+      recordContextPoint(session, 0);
+      recordContextPoint(session, 0);
+
+      expect(session.contextHistory.map((point) => point.compacted)).toEqual([undefined, true, undefined]);
+    });
+
+    it("should flag a sharp drop in context size as a compaction", () => {
+      const session = createSession();
+      session.totalTokens = 150000;
+      recordContextPoint(session, 0);
+      session.totalTokens = 20000;
+      recordContextPoint(session, 0);
+
+      expect(session.contextHistory[1].compacted).toBe(true);
+    });
+
+    it("should keep only the most recent points", () => {
+      const session = createSession();
+      for (let turn = 1; turn <= MAX_HISTORY_POINTS + 5; turn++) {
+        session.turns = turn;
+        recordContextPoint(session, 0);
+      }
+
+      expect(session.contextHistory).toHaveLength(MAX_HISTORY_POINTS);
+      expect(session.contextHistory[0].turn).toBe(6);
+    });
+  });
+
+  it("should record a point for every assistant turn of the main conversation", () => {
+    const watcher = new SessionWatcher();
+    const session = createSession();
+    const usage = { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 4000 };
+
+    watcher.processMessage(session, assistant(usage));
+    watcher.processMessage(session, { message: { role: "user", content: "[Previous conversation summary] ..." } });
+    watcher.processMessage(session, { ...assistant(usage), isSidechain: true, uuid: "a1" });
+    watcher.processMessage(session, assistant(usage));
+
+    expect(session.contextHistory).toHaveLength(2);
+    expect(session.contextHistory[0]).toMatchObject({ turn: 1, totalTokens: 5100, cacheTokens: 4000 });
+    expect(session.contextHistory[0].cost).toBeGreaterThan(0);
+    expect(session.contextHistory[1].cost).toBeCloseTo(session.contextHistory[0].cost * 2, 10);
+    expect(session.contextHistory[1].compacted).toBe(true);
+
+    const info = new ContextTracker().updateSession(session);
+    expect(info.history).toEqual(session.contextHistory);
+    expect(info.history).not.toBe(session.contextHistory);
+  });
+});
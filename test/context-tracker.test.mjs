@@ -90,20 +90,23 @@ describe("ContextTracker", () => {
   it("should get correct context window size for models", () => {
     const tracker = new ContextTracker();
 
-    // Latest models with 1M context window
-    expect(tracker.getContextWindow("claude-3-opus-20241022")).toBe(1_000_000);
-    expect(tracker.getContextWindow("claude-opus-4-20250514")).toBe(1_000_000);
-    expect(tracker.getContextWindow("claude-opus-4-1-20250805")).toBe(1_000_000);
-    expect(tracker.getContextWindow("claude-3-5-sonnet-20241022")).toBe(1_000_000);
-    expect(tracker.getContextWindow("claude-sonnet-4-5-20250929")).toBe(1_000_000);
+    // Current models use the standard 200k window
+    expect(tracker.getContextWindow("claude-3-opus-20241022")).toBe(200_000);
+    expect(tracker.getContextWindow("claude-opus-4-20250514")).toBe(200_000);
+    expect(tracker.getContextWindow("claude-opus-4-1-20250805")).toBe(200_000);
+    expect(tracker.getContextWindow("claude-3-5-sonnet-20241022")).toBe(200_000);
+    expect(tracker.getContextWindow("claude-sonnet-4-5-20250929")).toBe(200_000);
+
+    // The [1m] suffix selects the 1M window
+    expect(tracker.getContextWindow("claude-sonnet-4-5-20250929[1m]")).toBe(1_000_000);
 
     // Legacy models
     expect(tracker.getContextWindow("claude-2.0")).toBe(100_000);
     expect(tracker.getContextWindow("claude-2.1")).toBe(200_000);
     expect(tracker.getContextWindow("claude-instant-1.2")).toBe(100_000);
 
-    // Unknown model (default is now 1M)
-    expect(tracker.getContextWindow("unknown-model")).toBe(1_000_000);
+    // Unknown model
+    expect(tracker.getContextWindow("unknown-model")).toBe(200_000);
   });
 
   it("should calculate context usage correctly", () => {
@@ -132,13 +135,73 @@ describe("ContextTracker", () => {
     const result = tracker.updateSession(sessionData);
 
     expect(result.totalTokens).toBe(3000);
-    expect(result.contextWindow).toBe(1_000_000);
-    expect(result.usagePercentage).toBe(0.3);
-    expect(result.remainingTokens).toBe(997_000);
+    expect(result.contextWindow).toBe(200_000);
+    expect(result.contextWindowSource).toBe("model");
+    expect(result.usagePercentage).toBe(1.5);
+    expect(result.remainingTokens).toBe(197_000);
     expect(result.turns).toBe(1);
     expect(result.warningLevel).toBe("normal");
   });
 
+  it("should switch to the 1M window once usage exceeds 200k and keep it after compaction", () => {
+    const tracker = new ContextTracker();
+    const session = (totalTokens) => ({
+      sessionId: "test-extended",
+      model: "claude-sonnet-4-5-20250929",
+      messages: [],
+      totalTokens,
+    });
+
+    const before = tracker.updateSession(session(150_000));
+    expect(before.contextWindow).toBe(200_000);
+
+    const during = tracker.updateSession(session(300_000));
+    expect(during.contextWindow).toBe(1_000_000);
+    expect(during.contextWindowSource).toBe("observed");
+    expect(during.usagePercentage).toBe(30);
+
+    const afterCompact = tracker.updateSession(session(50_000));
+    expect(afterCompact.contextWindow).toBe(1_000_000);
+  });
+
+  it("should use the peak recorded with the session data for a session it has not seen", () => {
+    const tracker = new ContextTracker();
+
+    const result = tracker.updateSession({
+      sessionId: "test-cached",
+      model: "claude-sonnet-4-5-20250929",
+      messages: [],
+      totalTokens: 50_000,
+      peakTokens: 300_000,
+    });
+
+    expect(result.contextWindow).toBe(1_000_000);
+    expect(result.usagePercentage).toBe(5);
+  });
+
+  it("should honor a per-session context window override", () => {
+    const tracker = new ContextTracker();
+    tracker.setContextWindowOverride("test-override", 1_000_000);
+
+    const overridden = tracker.updateSession({
+      sessionId: "test-override",
+      model: "claude-sonnet-4-5-20250929",
+      messages: [],
+      totalTokens: 100_000,
+    });
+    const other = tracker.updateSession({
+      sessionId: "test-other",
+      model: "claude-sonnet-4-5-20250929",
+      messages: [],
+      totalTokens: 100_000,
+    });
+
+    expect(overridden.contextWindow).toBe(1_000_000);
+    expect(overridden.contextWindowSource).toBe("override");
+    expect(other.contextWindow).toBe(200_000);
+    expect(other.usagePercentage).toBe(50);
+  });
+
   it("should set correct warning levels based on usage", () => {
     const tracker = new ContextTracker();
 
@@ -195,7 +258,29 @@ describe("ContextTracker", () => {
     expect(result.latestTurn.output).toBe(2000);
     expect(result.latestTurn.cache).toBe(500);
     expect(result.latestTurn.total).toBe(3000); // 1000 + 2000 (cache not included)
-    expect(result.latestTurn.percentage).toBeCloseTo(0.3, 5); // 3000 / 1000000 * 100
+    expect(result.latestTurn.percentage).toBeCloseTo(1.5, 5); // 3000 / 200000 * 100
+  });
+
+  it("should expose the top tool consumers", () => {
+    const tracker = new ContextTracker();
+
+    const result = tracker.updateSession({
+      sessionId: "test-tools",
+      model: "claude-3-5-sonnet-20241022",
+      messages: [],
+      totalTokens: 80000,
+      turns: 3,
+      toolUsage: {
+        Bash: { calls: 3, tokens: 5000 },
+        Read: { calls: 2, tokens: 60000 },
+      },
+    });
+
+    expect(result.topTools.map((tool) => tool.name)).toEqual(["Read", "Bash"]);
+    expect(result.topTools[0].percentage).toBeCloseTo((60000 / result.contextWindow) * 100, 5);
+    expect(tracker.updateSession({ sessionId: "no-tools", model: "claude-3-5-sonnet-20241022" }).topTools).toBe(
+      undefined,
+    );
   });
 
   it("should format context info correctly", () => {
@@ -211,7 +296,6 @@ describe("ContextTracker", () => {
       totalCost: 0.45,
       turns: 10,
       averageTokensPerTurn: 9123,
-      estimatedRemainingTurns: 12,
       warningLevel: "normal",
       startTime: new Date(Date.now() - 3600000), // 1 hour ago
     };
@@ -225,7 +309,6 @@ describe("ContextTracker", () => {
     expect(formatted.cost).toBe("$0.45");
     expect(formatted.turns).toBe(10);
     expect(formatted.avgTokensPerTurn).toBe("9.1k");
-    expect(formatted.estRemainingTurns).toBe("12");
     expect(formatted.duration).toBe("1h 0m");
   });
 
@@ -389,13 +472,13 @@ describe("ContextTracker", () => {
 
   describe("Model Names and Context Windows", () => {
     it("should have correct context window sizes", () => {
-      // Latest models with 1M context
-      expect(CONTEXT_WINDOWS["claude-3-opus-20241022"]).toBe(1_000_000);
-      expect(CONTEXT_WINDOWS["claude-opus-4-20250514"]).toBe(1_000_000);
-      expect(CONTEXT_WINDOWS["claude-opus-4-1-20250805"]).toBe(1_000_000);
-      expect(CONTEXT_WINDOWS["claude-3-5-sonnet-20241022"]).toBe(1_000_000);
-      expect(CONTEXT_WINDOWS["claude-3-5-haiku-20241022"]).toBe(1_000_000);
-      expect(CONTEXT_WINDOWS["claude-3-haiku-20240307"]).toBe(1_000_000);
+      // Current models (standard window)
+      expect(CONTEXT_WINDOWS["claude-3-opus-20241022"]).toBe(200_000);
+      expect(CONTEXT_WINDOWS["claude-opus-4-20250514"]).toBe(200_000);
+      expect(CONTEXT_WINDOWS["claude-opus-4-1-20250805"]).toBe(200_000);
+      expect(CONTEXT_WINDOWS["claude-3-5-sonnet-20241022"]).toBe(200_000);
+      expect(CONTEXT_WINDOWS["claude-3-5-haiku-20241022"]).toBe(200_000);
+      expect(CONTEXT_WINDOWS["claude-3-haiku-20240307"]).toBe(200_000);
 
       // Legacy models
       expect(CONTEXT_WINDOWS["claude-2.1"]).toBe(200_000);
@@ -417,7 +500,7 @@ describe("ContextTracker", () => {
       expect(result.totalTokens).toBe(0);
       expect(result.turns).toBe(0);
       expect(result.averageTokensPerTurn).toBe(0);
-      expect(result.estimatedRemainingTurns).toBe(Infinity);
+      expect(result).not.toHaveProperty("estimatedRemainingTurns");
     });
 
     it("should handle missing sessionId", () => {
@@ -465,34 +548,46 @@ describe("ContextTracker", () => {
         output: 2000,
         cache: 0,
         total: 3000,
-        percentage: 0.3,
+        percentage: 1.5,
       });
     });
 
-    it("should format infinity correctly for estimated remaining turns", () => {
+    it("should leave the remaining turns to the auto-compact forecast", () => {
       const tracker = new ContextTracker();
+      const point = (turn, totalTokens) => ({ turn, totalTokens, cacheTokens: 0, cost: 0 });
 
-      const info = {
-        sessionId: "test",
-        modelName: "Claude 3.5 Sonnet",
-        usagePercentage: 0,
-        totalTokens: 0,
-        contextWindow: 200_000,
-        remainingTokens: 200_000,
-        totalCost: 0,
-        turns: 0,
-        averageTokensPerTurn: 0,
-        estimatedRemainingTurns: Infinity,
-        warningLevel: "normal",
-        startTime: new Date(),
-      };
+      const result = tracker.updateSession({
+        sessionId: "forecast",
+        model: "claude-sonnet-4-20250514",
+        messages: [],
+        totalTokens: 40000,
+        contextHistory: [point(1, 10000), point(2, 20000), point(3, 30000), point(4, 40000)],
+      });
 
-      const formatted = tracker.formatContextInfo(info);
-      expect(formatted.estRemainingTurns).toBe("∞");
+      expect(result).not.toHaveProperty("estimatedRemainingTurns");
+      expect(result.forecast.tokensPerTurn).toBe(10000);
+      expect(result.forecast.turns).toBe(Math.floor(result.autoCompact.remainingTokens / 10000));
     });
   });
 
   describe("Session Data Updates", () => {
+    it("should count a response written over several lines once", () => {
+      const tracker = new ContextTracker();
+      const part = (text) => ({
+        requestId: "req_1",
+        message: { id: "msg_1", role: "assistant", content: text, usage: { input_tokens: 1000, output_tokens: 100 } },
+      });
+
+      const result = tracker.updateSession({
+        sessionId: "split",
+        model: "claude-sonnet-4-20250514",
+        messages: [part("a"), part("b")],
+      });
+
+      expect(result.turns).toBe(1);
+      expect(result.totalCost).toBeCloseTo((1000 * 3 + 100 * 15) / 1_000_000, 10);
+    });
+
     it("should update lastUpdate timestamp on each update", () => {
       const tracker = new ContextTracker();
       const sessionData = {
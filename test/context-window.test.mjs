@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import {
+  calculateUsagePercentage,
+  detectContextWindow,
+  EXTENDED_CONTEXT_WINDOW,
+  parseContextWindow,
+  STANDARD_CONTEXT_WINDOW,
+} from "../src/monitor/context-window.ts";
+
+describe("context-window", () => {
+  describe("detectContextWindow", () => {
+    it("should use the model's standard window by default", () => {
+      expect(detectContextWindow("claude-sonnet-4-5-20250929")).toEqual({
+        size: STANDARD_CONTEXT_WINDOW,
+        source: "model",
+      });
+      expect(detectContextWindow("claude-3-haiku-20240307").size).toBe(200_000);
+      expect(detectContextWindow("claude-2.0").size).toBe(100_000);
+    });
+
+    it("should use the 1M window for the [1m] suffix", () => {
+      expect(detectContextWindow("claude-opus-4-6[1m]")).toEqual({ size: EXTENDED_CONTEXT_WINDOW, source: "suffix" });
+    });
+
+    it("should infer the 1M window from usage above the standard window", () => {
+      expect(detectContextWindow("claude-sonnet-4-5-20250929", { peakTokens: 200_000 }).source).toBe("model");
+      expect(detectContextWindow("claude-sonnet-4-5-20250929", { peakTokens: 200_001 })).toEqual({
+        size: EXTENDED_CONTEXT_WINDOW,
+        source: "observed",
+      });
+    });
+
+    it("should prefer an explicit override over everything else", () => {
+      expect(detectContextWindow("claude-opus-4-6[1m]", { override: 200_000, peakTokens: 500_000 })).toEqual({
+        size: 200_000,
+        source: "override",
+      });
+    });
+  });
+
+  describe("calculateUsagePercentage", () => {
+    it("should divide by the window and guard against zero", () => {
+      expect(calculateUsagePercentage(50_000, 200_000)).toBe(25);
+      expect(calculateUsagePercentage(50_000, 0)).toBe(0);
+    });
+  });
+
+  describe("parseContextWindow", () => {
+    it("should accept k/m suffixes and plain token counts", () => {
+      expect(parseContextWindow("200k")).toBe(200_000);
+      expect(parseContextWindow("1M")).toBe(1_000_000);
+      expect(parseContextWindow("1.5m")).toBe(1_500_000);
+      expect(parseContextWindow("150000")).toBe(150_000);
+    });
+
+    it("should reject anything else", () => {
+      expect(() => parseContextWindow("huge")).toThrow(/Invalid context window: huge/);
+      expect(() => parseContextWindow("0")).toThrow(/Invalid context window/);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { formatReportCsv, formatReportTable, generateCostReport, parseReportDate } from "../src/monitor/cost-report.ts";
+import { SessionCache } from "../src/monitor/session-cache.ts";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+
+describe("cost-report", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-cost-report-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const assistant = (timestamp, model, usage, extra = {}) => ({
+    timestamp,
+    message: { role: "assistant", model, content: [{ type: "text", text: "ok" }], usage },
+    ...extra,
+  });
+
+  const writeSession = async (projectDir, sessionId, lines) => {
+    const dir = path.join(tempDir, projectDir);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${sessionId}.jsonl`);
+    await fs.writeFile(file, `${lines.map((line) => JSON.stringify(line)).join("\n")}\n`);
+    return file;
+  };
+
+  const range = { since: new Date(2025, 0, 1), until: new Date(2025, 0, 8) };
+
+  describe("parseReportDate", () => {
+    const now = new Date(2025, 0, 10, 15, 30);
+
+    it("should resolve relative ranges to the start of the day, including today", () => {
+      expect(parseReportDate("today", now)).toEqual(new Date(2025, 0, 10));
+      expect(parseReportDate("yesterday", now)).toEqual(new Date(2025, 0, 9));
+      expect(parseReportDate("7d", now)).toEqual(new Date(2025, 0, 4));
+      expect(parseReportDate("1d", now)).toEqual(new Date(2025, 0, 10));
+      expect(parseReportDate("2w", now)).toEqual(new Date(2024, 11, 28));
+    });
+
+    it("should accept ISO dates", () => {
+      expect(parseReportDate("2024-12-31", now)).toEqual(new Date(2024, 11, 31));
+    });
+
+    it("should reject anything else", () => {
+      expect(() => parseReportDate("last week", now)).toThrow(/Invalid date: last week/);
+      expect(() => parseReportDate("2025-02-30", now)).toThrow(/Invalid date/);
+    });
+  });
+
+  describe("generateCostReport", () => {
+    it("should price each message with its own model and group by day", async () => {
+      const file = await writeSession("-work-api", "s1", [
+        assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 100 }),
+        assistant("2025-01-03T12:00:00Z", "claude-opus-4-20250514", { input_tokens: 1000, output_tokens: 100 }),
+        // 期間外
+        assistant("2025-01-09T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 100 }),
+      ]);
+
+      const report = await generateCostReport([file], { ...range, groupBy: "day" });
+
+      expect(report.rows.map((row) => row.key)).toEqual(["2025-01-02", "2025-01-03"]);
+      expect(report.rows[0].cost).toBeCloseTo(0.0045, 6);
+      expect(report.rows[1].cost).toBeCloseTo(0.0225, 6);
+      expect(report.total).toMatchObject({ key: "Total", sessions: 1, messages: 2, inputTokens: 2000 });
+    });
+
+    it("should count a response split over several lines once", async () => {
+      const usage = { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 5000 };
+      const file = await writeSession(
+        "-work-api",
+        "s1",
+        [
+          { ...assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", usage), requestId: "req_1" },
+          { ...assistant("2025-01-02T12:00:01Z", "claude-sonnet-4-20250514", usage), requestId: "req_1" },
+        ].map((line) => ({ ...line, message: { ...line.message, id: "msg_1" } })),
+      );
+
+      const report = await generateCostReport([file], { ...range, groupBy: "day" });
+
+      expect(report.total.messages).toBe(1);
+      expect(report.total.cacheReadTokens).toBe(5000);
+    });
+
+    it("should agree with the sessions table and the monitor on the cost of a transcript", async () => {
+      const usage = { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 5000 };
+      const part = (timestamp, id, extra = {}) => {
+        const line = assistant(timestamp, "claude-sonnet-4-20250514", usage, { requestId: `req_${id}`, ...extra });
+        return { ...line, message: { ...line.message, id: `msg_${id}` } };
+      };
+      const file = await writeSession("-work-api", "s1", [
+        { timestamp: "2025-01-02T11:59:00Z", message: { role: "user", content: "hi" } },
+        part("2025-01-02T12:00:00Z", 1),
+        part("2025-01-02T12:00:01Z", 1),
+        part("2025-01-02T12:01:00Z", 2, { isSidechain: true }),
+        part("2025-01-02T12:01:01Z", 2, { isSidechain: true }),
+        part("2025-01-02T12:02:00Z", 3),
+      ]);
+
+      const report = await generateCostReport([file], { ...range, groupBy: "day" });
+      const session = await new SessionCache().parseAndCacheSession(file);
+      const watcher = new SessionWatcher();
+      await watcher.readExistingData("s1", file, false);
+      const monitor = new ContextTracker().updateSession(watcher.getSessionData("s1"));
+      watcher.stopAll();
+
+      expect(report.total.messages).toBe(3);
+      expect(session.turns).toBe(2);
+      expect(session.totalCost).toBeCloseTo(report.total.cost, 10);
+      // モニターの合計もサブエージェント分を含む
+      expect(monitor.turns).toBe(2);
+      expect(monitor.totalCost).toBeCloseTo(report.total.cost, 10);
+      expect(monitor.subagentCost).toBeGreaterThan(0);
+    });
+
+    it("should group by project using the transcript cwd and include subagent spend", async () => {
+      const api = await writeSession("-work-api", "s1", [
+        { timestamp: "2025-01-02T11:59:00Z", cwd: "/work/api", message: { role: "user", content: "hi" } },
+        assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 0 }),
+        assistant(
+          "2025-01-02T12:01:00Z",
+          "claude-sonnet-4-20250514",
+          { input_tokens: 2000, output_tokens: 0 },
+          { isSidechain: true },
+        ),
+      ]);
+      const web = await writeSession("-work-web", "s2", [
+        assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 0 }),
+      ]);
+
+      const report = await generateCostReport([web, api], { ...range, groupBy: "project" });
+
+      // コストの大きい順
+      expect(report.rows.map((row) => [row.key, row.messages])).toEqual([
+        ["/work/api", 2],
+        ["/work/web", 1],
+      ]);
+      expect(report.total.sessions).toBe(2);
+    });
+
+    it("should group by model name", async () => {
+      const file = await writeSession("-work-api", "s1", [
+        assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 0 }),
+        assistant("2025-01-02T12:01:00Z", "claude-opus-4-20250514", { input_tokens: 1000, output_tokens: 0 }),
+      ]);
+
+      const report = await generateCostReport([file], { ...range, groupBy: "model" });
+
+      expect(report.rows.map((row) => row.key)).toEqual(["Claude Opus 4", "Claude Sonnet 4"]);
+    });
+
+    it("should skip files that were last modified before the period", async () => {
+      const file = await writeSession("-work-api", "s1", [
+        assistant("2025-01-02T12:00:00Z", "claude-sonnet-4-20250514", { input_tokens: 1000, output_tokens: 0 }),
+      ]);
+      const old = new Date(2024, 11, 1);
+      await fs.utimes(file, old, old);
+
+      const report = await generateCostReport([file], { ...range, groupBy: "day" });
+
+      expect(report.rows).toEqual([]);
+    });
+  });
+
+  describe("formatters", () => {
+    const report = {
+      since: "2025-01-01T00:00:00.000Z",
+      until: "2025-01-08T00:00:00.000Z",
+      groupBy: "project",
+      rows: [
+        {
+          key: "/work/a,b",
+          sessions: 1,
+          messages: 2,
+          inputTokens: 1500,
+          outputTokens: 20,
+          cacheReadTokens: 2_000_000,
+          cacheCreationTokens: 0,
+          cost: 1.23456,
+        },
+      ],
+      total: {
+        key: "Total",
+        sessions: 1,
+        messages: 2,
+        inputTokens: 1500,
+        outputTokens: 20,
+        cacheReadTokens: 2_000_000,
+        cacheCreationTokens: 0,
+        cost: 1.23456,
+      },
+    };
+
+    it("should render a table with a total row", () => {
+      const table = formatReportTable(report);
+
+      expect(table).toMatch(/Project/);
+      expect(table).toMatch(/1\.5k/);
+      expect(table).toMatch(/2\.0M/);
+      expect(table).toMatch(/Total/);
+      expect(table).toMatch(/\$1\.23/);
+      expect(formatReportTable({ ...report, rows: [] })).toBe("No usage found in the selected period.");
+    });
+
+    it("should render CSV with raw numbers and quoted keys", () => {
+      const lines = formatReportCsv(report).split("\n");
+
+      expect(lines[0]).toBe(
+        "project,sessions,messages,input_tokens,output_tokens,cache_read_tokens,cache_creation_tokens,cost_usd",
+      );
+      expect(lines[1]).toBe('"/work/a,b",1,2,1500,20,2000000,0,1.2346');
+      expect(lines[2]).toMatch(/^Total,/);
+    });
+  });
+});
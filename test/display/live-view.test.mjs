@@ -230,7 +230,6 @@ describe("LiveView", () => {
         totalTokens: 50000,
         totalCost: 0.75,
         averageTokensPerTurn: 5000,
-        estimatedRemainingTurns: 30,
       };
 
       const formatted = liveView.formatSessionTotals(info);
@@ -238,20 +237,18 @@ describe("LiveView", () => {
       expect(formatted).toMatch(/Total Tokens:.*50\.0k/);
       expect(formatted).toMatch(/Cost:.*\$0\.75/);
       expect(formatted).toMatch(/Avg\/Turn:.*5\.0k/);
-      expect(formatted).toMatch(/Est\. Remaining Turns:.*30/);
     });
 
-    it("should handle infinite remaining turns", () => {
+    it("should leave the remaining turns to the auto-compact forecast", () => {
       const info = {
         turns: 1,
         totalTokens: 100,
         totalCost: 0.01,
         averageTokensPerTurn: 100,
-        estimatedRemainingTurns: Infinity,
       };
 
       const formatted = liveView.formatSessionTotals(info);
-      expect(formatted).toMatch(/Est\. Remaining Turns:.*∞/);
+      expect(formatted).not.toMatch(/Remaining Turns/);
     });
   });
 
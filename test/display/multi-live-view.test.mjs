@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getPanelGrid, MAX_PANELS, MultiLiveView } from "../../src/display/multi-live-view.ts";
+
+vi.mock("blessed", () => ({
+  default: {
+    screen: vi.fn(() => ({
+      key: vi.fn(),
+      render: vi.fn(),
+      destroy: vi.fn(),
+    })),
+    box: vi.fn((options) => ({
+      ...options,
+      setContent: vi.fn(),
+      setLabel: vi.fn(),
+      destroy: vi.fn(),
+      style: options.style || { border: {} },
+    })),
+    message: vi.fn((options) => ({
+      ...options,
+      error: vi.fn((_msg, callback) => callback()),
+    })),
+  },
+}));
+
+const contextInfo = (sessionId, usagePercentage) => ({
+  sessionId,
+  modelName: "Claude Sonnet 4",
+  usagePercentage,
+  contextWindow: 200000,
+  totalTokens: usagePercentage * 2000,
+  remainingTokens: 200000 - usagePercentage * 2000,
+  remainingPercentage: 100 - usagePercentage,
+  warningLevel: "normal",
+  turns: 3,
+  totalCost: 0.25,
+  averageTokensPerTurn: 1000,
+});
+
+describe("getPanelGrid", () => {
+  it("should tile panels into a near-square grid", () => {
+    expect(getPanelGrid(0)).toEqual([]);
+    expect(getPanelGrid(1)).toEqual([{ top: "0%", left: "0%", width: "100%", height: "100%" }]);
+    expect(getPanelGrid(2).map((cell) => [cell.top, cell.left, cell.width, cell.height])).toEqual([
+      ["0%", "0%", "50%", "100%"],
+      ["0%", "50%", "50%", "100%"],
+    ]);
+    expect(getPanelGrid(3).map((cell) => [cell.top, cell.left])).toEqual([
+      ["0%", "0%"],
+      ["0%", "50%"],
+      ["50%", "0%"],
+    ]);
+  });
+
+  it("should cover the whole width when the size does not divide evenly", () => {
+    const row = getPanelGrid(9).slice(0, 3);
+    expect(row.map((cell) => cell.left)).toEqual(["0%", "33%", "66%"]);
+    expect(row.map((cell) => cell.width)).toEqual(["33%", "33%", "34%"]);
+  });
+});
+
+describe("MultiLiveView", () => {
+  let view;
+  let mockExit;
+
+  beforeEach(() => {
+    mockExit = vi.spyOn(process, "exit").mockImplementation(() => {});
+    view = new MultiLiveView();
+  });
+
+  afterEach(() => {
+    mockExit.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  it("should create a compact panel per session", () => {
+    view.init([{ sessionId: "a" }, { sessionId: "b", title: "bbbbbbbb my-app" }]);
+
+    expect(view.getSessionIds()).toEqual(["a", "b"]);
+    expect(view.getPanel("b").boxes.container.label).toBe(" bbbbbbbb my-app ");
+    expect(view.boxes.statusBar.setContent).toHaveBeenCalledWith(expect.stringContaining("Monitoring 2 sessions"));
+  });
+
+  it("should route updates to the panel of the session", () => {
+    view.init([{ sessionId: "a" }, { sessionId: "b" }]);
+
+    view.updateContextInfo(contextInfo("b", 42));
+    view.updateContextInfo(contextInfo("unknown", 10));
+
+    expect(view.getPanel("a").boxes.container.setContent).not.toHaveBeenCalled();
+    expect(view.getPanel("b").boxes.container.setContent).toHaveBeenCalledWith(expect.stringContaining("42.0%"));
+  });
+
+  it("should cap the number of panels and name the rest", () => {
+    const sessions = Array.from({ length: MAX_PANELS + 2 }, (_, index) => ({
+      sessionId: `s${index}-full-id`,
+      shortId: `s${index}`,
+    }));
+    view.init(sessions);
+
+    expect(view.getSessionIds()).toHaveLength(MAX_PANELS);
+    expect(view.boxes.statusBar.setContent).toHaveBeenCalledWith(
+      expect.stringContaining(`+2 more not shown: s${MAX_PANELS}, s${MAX_PANELS + 1}`),
+    );
+  });
+
+  it("should exit on q and tear down every panel", () => {
+    view.init([{ sessionId: "a" }]);
+    const screen = view.screen;
+    const container = view.getPanel("a").boxes.container;
+
+    const [, quit] = screen.key.mock.calls.find(([keys]) => keys.includes("q"));
+    quit();
+
+    expect(container.destroy).toHaveBeenCalled();
+    expect(screen.destroy).toHaveBeenCalled();
+    expect(mockExit).toHaveBeenCalledWith(0);
+  });
+});
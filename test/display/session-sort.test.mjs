@@ -0,0 +1,119 @@
+import { describe, expect, it } from "vitest";
+import {
+  filterSessions,
+  formatSessionOrder,
+  nextSessionSortKey,
+  parseSessionSortKey,
+  SESSION_SORT_KEYS,
+  sortSessions,
+} from "../../src/display/session-sort.ts";
+
+const sessions = [
+  {
+    sessionId: "a1b2",
+    model: "claude-sonnet-4-20250514",
+    modelName: "Claude Sonnet 4",
+    projectPath: "/work/api",
+    latestPrompt: "Fix the login bug",
+    usagePercentage: 40,
+    totalCost: 1.5,
+    turns: 12,
+    totalTokens: 80000,
+    lastModified: new Date("2025-06-01T10:00:00Z"),
+  },
+  {
+    sessionId: "c3d4",
+    model: "claude-opus-4-20250514",
+    modelName: "Claude Opus 4",
+    projectPath: "/work/web",
+    latestPrompt: "Add dark mode",
+    usagePercentage: 75,
+    totalCost: 0.5,
+    turns: 30,
+    totalTokens: 150000,
+    lastModified: new Date("2025-06-01T12:00:00Z"),
+  },
+  {
+    sessionId: "e5f6",
+    model: "claude-3-5-haiku-20241022",
+    modelName: "Claude 3.5 Haiku",
+    projectPath: "/work/api",
+    usagePercentage: 40,
+    totalCost: 3,
+    turns: 4,
+    totalTokens: 20000,
+    lastModified: new Date("2025-06-01T11:00:00Z"),
+  },
+];
+
+const ids = (list) => list.map((session) => session.sessionId);
+
+describe("session-sort", () => {
+  describe("sortSessions", () => {
+    it("should put the largest or newest first by default", () => {
+      expect(ids(sortSessions(sessions, { key: "usage", reverse: false }))).toEqual(["c3d4", "a1b2", "e5f6"]);
+      expect(ids(sortSessions(sessions, { key: "cost", reverse: false }))).toEqual(["e5f6", "a1b2", "c3d4"]);
+      expect(ids(sortSessions(sessions, { key: "turns", reverse: false }))).toEqual(["c3d4", "a1b2", "e5f6"]);
+      expect(ids(sortSessions(sessions, { key: "tokens", reverse: false }))).toEqual(["c3d4", "a1b2", "e5f6"]);
+      expect(ids(sortSessions(sessions, { key: "age", reverse: false }))).toEqual(["c3d4", "e5f6", "a1b2"]);
+    });
+
+    it("should sort models alphabetically", () => {
+      expect(ids(sortSessions(sessions, { key: "model", reverse: false }))).toEqual(["e5f6", "c3d4", "a1b2"]);
+    });
+
+    it("should reverse the order but keep ties in list order", () => {
+      expect(ids(sortSessions(sessions, { key: "usage", reverse: true }))).toEqual(["a1b2", "e5f6", "c3d4"]);
+    });
+
+    it("should not modify the given list", () => {
+      const copy = [...sessions];
+      sortSessions(sessions, { key: "cost", reverse: false });
+      expect(sessions).toEqual(copy);
+    });
+  });
+
+  describe("filterSessions", () => {
+    it("should match id, model, project and prompt case-insensitively", () => {
+      expect(ids(filterSessions(sessions, "c3"))).toEqual(["c3d4"]);
+      expect(ids(filterSessions(sessions, "OPUS"))).toEqual(["c3d4"]);
+      expect(ids(filterSessions(sessions, "work/api"))).toEqual(["a1b2", "e5f6"]);
+      expect(ids(filterSessions(sessions, "login"))).toEqual(["a1b2"]);
+    });
+
+    it("should require every word to match", () => {
+      expect(ids(filterSessions(sessions, "api haiku"))).toEqual(["e5f6"]);
+      expect(filterSessions(sessions, "api opus")).toEqual([]);
+    });
+
+    it("should keep everything for an empty query", () => {
+      expect(filterSessions(sessions, "  ")).toBe(sessions);
+    });
+  });
+
+  describe("sort keys", () => {
+    it("should parse known columns and reject others", () => {
+      expect(parseSessionSortKey(" Cost ")).toBe("cost");
+      expect(() => parseSessionSortKey("size")).toThrow(
+        "Invalid --sort: size. Use usage, cost, turns, tokens, age, model",
+      );
+    });
+
+    it("should cycle through every column", () => {
+      let key = SESSION_SORT_KEYS[0];
+      const seen = [key];
+      for (let i = 1; i < SESSION_SORT_KEYS.length; i++) {
+        key = nextSessionSortKey(key);
+        seen.push(key);
+      }
+      expect(seen).toEqual(SESSION_SORT_KEYS);
+      expect(nextSessionSortKey(key)).toBe(SESSION_SORT_KEYS[0]);
+    });
+
+    it("should describe the order with an arrow", () => {
+      expect(formatSessionOrder({ key: "cost", reverse: false })).toBe("cost ↓");
+      expect(formatSessionOrder({ key: "cost", reverse: true })).toBe("cost ↑");
+      expect(formatSessionOrder({ key: "model", reverse: false })).toBe("model ↑");
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 import { SessionsLiveView } from "../../src/display/sessions-live-view.ts";
 
 describe("SessionsLiveView", () => {
@@ -65,6 +65,10 @@ describe("SessionsLiveView", () => {
       expect(statusBar).toMatch(/q.*exit/);
       expect(statusBar).toMatch(/r.*refresh/);
       expect(statusBar).toMatch(/↑↓.*navigate/);
+      expect(statusBar).toMatch(/g.*group by project/);
+      expect(statusBar).toMatch(/Enter.*details/);
+      expect(statusBar).toMatch(/s\/S.*sort\/reverse/);
+      expect(statusBar).toMatch(/\/: filter/);
     });
   });
 
@@ -90,6 +94,106 @@ describe("SessionsLiveView", () => {
     });
   });
 
+  describe("buildTableData", () => {
+    const sessions = [
+      { sessionId: "a", projectPath: "/work/api", turns: 3, totalTokens: 40000, totalCost: 1.25, usagePercentage: 20 },
+      { sessionId: "b", projectPath: "/work/web", turns: 2, totalTokens: 10000, totalCost: 0.5, usagePercentage: 5 },
+      { sessionId: "c", projectPath: "/work/api", turns: 4, totalTokens: 60000, totalCost: 2, usagePercentage: 30 },
+    ];
+
+    it("should add a project column to the flat table", () => {
+      const [header, first] = sessionsView.buildTableData(sessions);
+
+      expect(header[2]).toBe("Project");
+      expect(first.slice(0, 3)).toEqual(["1", "a", "/work/api"]);
+    });
+
+    it("should group sessions by project with token and cost subtotals", () => {
+      const grouped = new SessionsLiveView({ grouped: true });
+      const rows = grouped.buildTableData(sessions).slice(1);
+
+      expect(rows.map((row) => row[1])).toEqual(["▼ /work/api", "a", "c", "▼ /work/web", "b"]);
+      expect(rows[0]).toContain("2 sessions");
+      expect(rows[0]).toContain("Σ 100.0k tokens");
+      expect(rows[0]).toContain("$3.25");
+      // 番号はグループ化前の一覧での順位
+      expect(rows[2][0]).toBe("3");
+      expect(rows[3]).toContain("1 session");
+    });
+
+    it("should map table rows back to sessions, skipping the header and subtotal rows", () => {
+      sessionsView.buildTableData(sessions);
+      expect(sessionsView.getSessionAtRow(0)).toBe(null);
+      expect(sessionsView.getSessionAtRow(2).sessionId).toBe("b");
+
+      const grouped = new SessionsLiveView({ grouped: true });
+      grouped.buildTableData(sessions);
+      expect(grouped.getSessionAtRow(1)).toBe(null);
+      expect(grouped.getSessionAtRow(3).sessionId).toBe("c");
+      expect(grouped.getSessionAtRow(5).sessionId).toBe("b");
+      expect(grouped.getSessionAtRow(6)).toBe(null);
+    });
+
+    it("should sort and filter rows while keeping the list numbers", () => {
+      const view = new SessionsLiveView({ sort: "cost" });
+      expect(
+        view
+          .buildTableData(sessions)
+          .slice(1)
+          .map((row) => row.slice(0, 2)),
+      ).toEqual([
+        ["3", "c"],
+        ["1", "a"],
+        ["2", "b"],
+      ]);
+
+      view.setOrder({ key: "cost", reverse: true });
+      view.setFilter("API");
+      expect(
+        view
+          .buildTableData(sessions)
+          .slice(1)
+          .map((row) => row[1]),
+      ).toEqual(["a", "c"]);
+      expect(view.getSessionAtRow(1).sessionId).toBe("a");
+    });
+
+    it("should apply the limit after sorting and filtering", () => {
+      const view = new SessionsLiveView({ sort: "cost", limit: 1 });
+      expect(view.buildTableData(sessions).slice(1)).toHaveLength(1);
+      expect(view.getSessionAtRow(1).sessionId).toBe("c");
+
+      view.setFilter("web");
+      view.buildTableData(sessions);
+      expect(view.getSessionAtRow(1).sessionId).toBe("b");
+    });
+
+    it("should sort within project groups", () => {
+      const grouped = new SessionsLiveView({ grouped: true, sort: "turns" });
+      const rows = grouped.buildTableData(sessions).slice(1);
+
+      expect(rows.map((row) => row[1])).toEqual(["▼ /work/api", "c", "a", "▼ /work/web", "b"]);
+    });
+
+    it("should toggle grouping", () => {
+      sessionsView.setGrouped(true);
+      expect(sessionsView.isGrouped()).toBe(true);
+      sessionsView.setGrouped(false);
+      expect(sessionsView.isGrouped()).toBe(false);
+    });
+  });
+
+  describe("session detail", () => {
+    it("should not open a detail before the screen exists", () => {
+      const opener = vi.fn();
+      sessionsView.setDetailOpener(opener);
+
+      expect(sessionsView.openDetail({ sessionId: "a", turns: 0 })).toBe(null);
+      expect(sessionsView.isDetailOpen()).toBe(false);
+      expect(opener).not.toHaveBeenCalled();
+    });
+  });
+
   describe("showError", () => {
     it("should store error message", () => {
       sessionsView.showError("Test error");
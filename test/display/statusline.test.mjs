@@ -0,0 +1,89 @@
+import { Readable } from "node:stream";
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_STATUSLINE_TEMPLATE,
+  formatStatusLine,
+  parseStatusLinePayload,
+  readStdin,
+} from "../../src/display/statusline.ts";
+
+const contextInfo = {
+  sessionId: "4f1c2b3a-1111-2222-3333-444455556666",
+  modelName: "Claude Opus 4.6",
+  contextWindow: 200_000,
+  totalTokens: 94_000,
+  remainingTokens: 106_000,
+  usagePercentage: 47,
+  totalCost: 1.234,
+  turns: 12,
+  autoCompact: {
+    enabled: true,
+    remainingPercentage: 12,
+  },
+};
+
+describe("statusline", () => {
+  describe("parseStatusLinePayload", () => {
+    it("should extract session, transcript and model from the payload", () => {
+      const payload = parseStatusLinePayload(
+        JSON.stringify({
+          hook_event_name: "Status",
+          session_id: "abc-123",
+          transcript_path: "/tmp/abc-123.jsonl",
+          cwd: "/work/project",
+          model: { id: "claude-opus-4-6", display_name: "Opus" },
+        }),
+      );
+
+      expect(payload).toEqual({
+        sessionId: "abc-123",
+        transcriptPath: "/tmp/abc-123.jsonl",
+        modelId: "claude-opus-4-6",
+        modelDisplayName: "Opus",
+        cwd: "/work/project",
+      });
+    });
+
+    it("should reject non-JSON input", () => {
+      expect(() => parseStatusLinePayload("not json")).toThrow(/expected JSON/);
+    });
+
+    it("should reject payloads without a session id or transcript path", () => {
+      expect(() => parseStatusLinePayload(JSON.stringify({ transcript_path: "/tmp/x.jsonl" }))).toThrow(
+        /missing session_id/,
+      );
+      expect(() => parseStatusLinePayload(JSON.stringify({ session_id: "x" }))).toThrow(/missing transcript_path/);
+    });
+  });
+
+  describe("formatStatusLine", () => {
+    it("should render the default template", () => {
+      expect(formatStatusLine(contextInfo)).toBe("Opus 4.6 · 47% · 12% to compact · $1.23");
+      expect(formatStatusLine(contextInfo, DEFAULT_STATUSLINE_TEMPLATE)).toBe(formatStatusLine(contextInfo));
+    });
+
+    it("should render every placeholder in a custom template", () => {
+      const line = formatStatusLine(contextInfo, "{session} {model} {tokens}/{window} ({remaining} left) {turns}t");
+      expect(line).toBe("4f1c2b3a Opus 4.6 94.0k/200.0k (106.0k left) 12t");
+    });
+
+    it("should leave unknown placeholders untouched", () => {
+      expect(formatStatusLine(contextInfo, "{usage} {nope}")).toBe("47% {nope}");
+    });
+
+    it("should show 0% once auto-compact is active and N/A when disabled", () => {
+      const active = { ...contextInfo, autoCompact: { enabled: true, remainingPercentage: 0 } };
+      const disabled = { ...contextInfo, autoCompact: { enabled: false, remainingPercentage: 100 } };
+
+      expect(formatStatusLine(active, "{compact}")).toBe("0%");
+      expect(formatStatusLine(disabled, "{compact}")).toBe("N/A");
+    });
+  });
+
+  describe("readStdin", () => {
+    it("should concatenate all chunks", async () => {
+      const stream = Readable.from([Buffer.from('{"session_id":'), Buffer.from('"x"}')]);
+      await expect(readStdin(stream)).resolves.toBe('{"session_id":"x"}');
+    });
+  });
+});
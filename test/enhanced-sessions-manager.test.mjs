@@ -80,6 +80,9 @@ vi.mock("../src/monitor/session-cache.js", () => {
           cache.clear();
           fileStats.clear();
         }),
+        loadIndex: vi.fn(async () => 0),
+        saveIndex: vi.fn(async () => {}),
+        deleteIndex: vi.fn(async () => {}),
         parseAndCacheSession: vi.fn(async (filePath) => {
           // This is what the code calls, but actual method is parseAndCacheSession
           const sessionId = path.basename(filePath, ".jsonl");
@@ -218,6 +221,18 @@ describe("EnhancedSessionsManager", () => {
       expect(manager.watcher.startDirectoryWatch).toHaveBeenCalledTimes(callCount);
     });
 
+    it("should restore and persist the session index around the initial load", async () => {
+      manager.watcher.getAllJsonlFiles = vi.fn(async () => []);
+
+      await manager.initialize();
+
+      expect(manager.cache.loadIndex).toHaveBeenCalledTimes(1);
+      expect(manager.cache.saveIndex).toHaveBeenCalledTimes(1);
+      expect(manager.cache.loadIndex.mock.invocationCallOrder[0]).toBeLessThan(
+        manager.cache.saveIndex.mock.invocationCallOrder[0],
+      );
+    });
+
     it("should emit sessions-loaded event on initialization", async () => {
       // Create test session files
       const projectDir = path.join(tempDir, "test-project");
@@ -379,6 +394,25 @@ describe("EnhancedSessionsManager", () => {
       expect(updateEmitted).toBe(true);
     });
 
+    it("should forward session events and per-session context updates", async () => {
+      const events = [];
+      manager.on("session-added", (data) => events.push(["session-added", data.sessionId]));
+      manager.on("compact-detected", (data) => events.push(["compact-detected", data.sessionId]));
+      manager.on("context-updated", (info) => events.push(["context-updated", info.sessionId]));
+
+      const newFile = path.join(tempDir, "forwarded.jsonl");
+      await fs.writeFile(newFile, `${JSON.stringify({ message: { role: "user", content: "hi" } })}\n`);
+      manager.watcher.emit("session-added", { sessionId: "forwarded", filePath: newFile });
+      manager.watcher.emit("compact-detected", { sessionId: "forwarded", filePath: newFile });
+      await manager.loadSingleSession(newFile);
+
+      expect(events).toEqual([
+        ["session-added", "forwarded"],
+        ["compact-detected", "forwarded"],
+        ["context-updated", "forwarded"],
+      ]);
+    });
+
     it("should handle session-removed event", async () => {
       const projectDir = path.join(tempDir, "test-project");
       await fs.mkdir(projectDir, { recursive: true });
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { forecastAutoCompact } from "../src/monitor/forecast.ts";
+
+// 1分ごとのターンで、指定した増加量でコンテキストが増える履歴
+function buildHistory(growth, start = 10000) {
+  const history = [{ turn: 1, timestamp: new Date(0).toISOString(), totalTokens: start, cacheTokens: 0, cost: 0 }];
+  growth.forEach((delta, i) => {
+    const previous = history[history.length - 1];
+    history.push({
+      turn: i + 2,
+      timestamp: new Date((i + 1) * 60_000).toISOString(),
+      totalTokens: previous.totalTokens + delta,
+      cacheTokens: 0,
+      cost: 0,
+    });
+  });
+  return history;
+}
+
+describe("forecastAutoCompact", () => {
+  it("should need at least two turns of growth", () => {
+    expect(forecastAutoCompact(buildHistory([1000]), 50000)).toBeNull();
+    expect(forecastAutoCompact([], 50000)).toBeNull();
+  });
+
+  it("should forecast turns and time at a steady pace with a narrow band", () => {
+    const forecast = forecastAutoCompact(buildHistory([1000, 1000, 1000, 1000]), 50000);
+
+    expect(forecast).toMatchObject({
+      tokensPerTurn: 1000,
+      turns: 50,
+      turnsLow: 50,
+      turnsHigh: 50,
+      secondsPerTurn: 60,
+      seconds: 3000,
+      samples: 4,
+    });
+  });
+
+  it("should not let one large file read dominate the forecast", () => {
+    const history = buildHistory([1000, 60000, 1000, 1000, 1000, 1000, 1000, 1000]);
+    const allTimeAverage = (history[history.length - 1].totalTokens - history[0].totalTokens) / 8;
+
+    const forecast = forecastAutoCompact(history, 50000);
+
+    expect(forecast.tokensPerTurn).toBeLessThan(allTimeAverage);
+    expect(forecast.turns).toBeGreaterThan(Math.floor(50000 / allTimeAverage));
+    expect(forecast.turnsLow).toBeLessThanOrEqual(forecast.turns);
+    expect(forecast.turnsHigh).toBeGreaterThanOrEqual(forecast.turns);
+  });
+
+  it("should ignore growth from before the last compaction", () => {
+    const history = buildHistory([20000, 20000, 20000]);
+    history.push(
+      {
+        turn: 5,
+        timestamp: new Date(240_000).toISOString(),
+        totalTokens: 15000,
+        cacheTokens: 0,
+        cost: 0,
+        compacted: true,
+      },
+      { turn: 6, timestamp: new Date(300_000).toISOString(), totalTokens: 16000, cacheTokens: 0, cost: 0 },
+      { turn: 7, timestamp: new Date(360_000).toISOString(), totalTokens: 17000, cacheTokens: 0, cost: 0 },
+    );
+
+    expect(forecastAutoCompact(history, 10000)).toMatchObject({ tokensPerTurn: 1000, turns: 10, samples: 2 });
+  });
+
+  it("should report an unbounded forecast when the context stops growing", () => {
+    const forecast = forecastAutoCompact(buildHistory([0, 0, 0]), 50000);
+
+    expect(forecast.turns).toBe(Infinity);
+    expect(forecast.seconds).toBe(Infinity);
+    expect(forecastAutoCompact(buildHistory([1000, 1000]), 0).turns).toBe(0);
+  });
+
+  it("should leave the time estimate empty without timestamps", () => {
+    const history = buildHistory([1000, 1000, 1000]).map(({ timestamp, ...point }) => point);
+
+    expect(forecastAutoCompact(history, 5000)).toMatchObject({ turns: 5, secondsPerTurn: null, seconds: null });
+  });
+
+  it("should be exposed in ContextInfo using the auto-compact threshold", () => {
+    const history = buildHistory([1000, 1000, 1000]);
+    const info = new ContextTracker().updateSession({
+      sessionId: "forecast",
+      model: "claude-sonnet-4-20250514",
+      messages: [],
+      totalTokens: history[history.length - 1].totalTokens,
+      turns: history.length,
+      contextHistory: history,
+    });
+
+    expect(info.forecast.turns).toBe(Math.floor(info.autoCompact.remainingTokens / 1000));
+  });
+});
@@ -196,7 +196,6 @@ export function createMockContextInfo(overrides = {}) {
     totalCost: 1.5,
     turns: 10,
     averageTokensPerTurn: 10000,
-    estimatedRemainingTurns: 10,
     warningLevel: "normal",
     duration: "1h 30m",
     latestTurn: {
@@ -0,0 +1,184 @@
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getDefaultHooksPath, HookRunner, loadHooks, parseHooksFile } from "../src/monitor/hooks.ts";
+
+function context(sessionId, remainingPercentage) {
+  return {
+    sessionId,
+    model: "claude-sonnet-4-20250514",
+    totalTokens: 150000,
+    contextWindow: 200000,
+    usagePercentage: 75,
+    autoCompact: { enabled: true, remainingPercentage },
+  };
+}
+
+async function waitFor(check, timeout = 3000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Timed out waiting for hook");
+}
+
+describe("hooks", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-hooks-"));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("parseHooksFile", () => {
+    const parse = (hooks) => parseHooksFile(JSON.stringify({ hooks }), "hooks.json");
+
+    it("should accept commands and loopback URLs", () => {
+      expect(
+        parse([
+          { events: "compact-detected", command: "cat" },
+          { events: ["threshold-changed"], url: "http://127.0.0.1:8080/hook", timeout: 2000 },
+          { events: ["session-added"], url: "https://localhost/hook" },
+        ]),
+      ).toEqual([
+        { events: ["compact-detected"], command: "cat", url: undefined, timeout: undefined },
+        { events: ["threshold-changed"], command: undefined, url: "http://127.0.0.1:8080/hook", timeout: 2000 },
+        { events: ["session-added"], command: undefined, url: "https://localhost/hook", timeout: undefined },
+      ]);
+    });
+
+    it("should reject invalid hooks with the offending field", () => {
+      expect(() => parseHooksFile("{", "hooks.json")).toThrow(/Invalid hooks file hooks.json/);
+      expect(() => parse([{ events: ["session-updated"], command: "cat" }])).toThrow(
+        /hooks\[0\]\.events contains unknown event "session-updated"/,
+      );
+      expect(() => parse([{ events: ["session-added"] }])).toThrow(/hooks\[0\] needs either "command" or "url"/);
+      expect(() => parse([{ events: ["session-added"], command: "cat", url: "http://localhost" }])).toThrow(
+        /needs either/,
+      );
+      expect(() => parse([{ events: ["session-added"], url: "http://example.com/hook" }])).toThrow(
+        /hooks\[0\]\.url must be an http\(s\) URL on localhost/,
+      );
+      expect(() => parse([{ events: ["session-added"], command: "cat", retries: 3 }])).toThrow(
+        /hooks\[0\]\.retries is not a known field/,
+      );
+    });
+  });
+
+  describe("loadHooks", () => {
+    it("should read the default hooks file and ignore it when missing", async () => {
+      vi.stubEnv("XDG_CONFIG_HOME", tempDir);
+      expect(loadHooks()).toEqual([]);
+
+      await fs.mkdir(path.dirname(getDefaultHooksPath()), { recursive: true });
+      await fs.writeFile(
+        getDefaultHooksPath(),
+        JSON.stringify({ hooks: [{ events: ["session-added"], command: "cat" }] }),
+      );
+
+      expect(loadHooks()).toHaveLength(1);
+      expect(() => loadHooks(path.join(tempDir, "missing.json"))).toThrow(/Cannot read hooks file/);
+    });
+  });
+
+  describe("HookRunner", () => {
+    it("should pipe the event payload as JSON to a shell command", async () => {
+      const output = path.join(tempDir, "events.jsonl");
+      const runner = new HookRunner([{ events: ["compact-detected"], command: `cat >> "${output}"` }]);
+
+      runner.handleSessionEvent("session-added", { sessionId: "s1", filePath: "/tmp/s1.jsonl" });
+      runner.handleSessionEvent("compact-detected", { sessionId: "s1", filePath: "/tmp/s1.jsonl" });
+
+      const content = await waitFor(() => fs.readFile(output, "utf-8").catch(() => ""));
+      expect(JSON.parse(content)).toMatchObject({
+        event: "compact-detected",
+        sessionId: "s1",
+        filePath: "/tmp/s1.jsonl",
+      });
+    });
+
+    it("should report commands that fail", async () => {
+      const onError = vi.fn();
+      const runner = new HookRunner([{ events: ["session-removed"], command: "exit 3" }], { onError });
+
+      runner.handleSessionEvent("session-removed", { sessionId: "s1" });
+
+      await waitFor(() => onError.mock.calls.length > 0);
+      expect(onError.mock.calls[0][0].message).toMatch(/exited with code 3/);
+    });
+
+    it("should POST the payload to a local URL", async () => {
+      const received = [];
+      const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", (chunk) => {
+          body += chunk;
+        });
+        request.on("end", () => {
+          received.push({ method: request.method, type: request.headers["content-type"], body: JSON.parse(body) });
+          response.end("ok");
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const url = `http://127.0.0.1:${server.address().port}/hook`;
+        const runner = new HookRunner([{ events: ["threshold-changed"], url }]);
+
+        runner.handleContextUpdate(context("s1", 30));
+        runner.handleContextUpdate(context("s1", 8));
+
+        await waitFor(() => received.length > 0);
+        expect(received[0]).toMatchObject({
+          method: "POST",
+          type: "application/json",
+          body: { event: "threshold-changed", sessionId: "s1", level: "warning", previousLevel: "normal" },
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("should fire threshold-changed only when the level of a known session changes", () => {
+      const runner = new HookRunner([{ events: ["threshold-changed"], command: "cat" }]);
+      const run = vi.spyOn(runner, "run").mockImplementation(() => {});
+
+      runner.handleContextUpdate(context("s1", 3)); // 基準
+      runner.handleContextUpdate(context("s1", 2));
+      runner.handleContextUpdate(context("s1", 50)); // コンパクト後
+      runner.handleContextUpdate({ sessionId: "s2", autoCompact: { enabled: false, remainingPercentage: 0 } });
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(run.mock.calls[0][0]).toMatchObject({
+        level: "normal",
+        previousLevel: "critical",
+        remainingPercentage: 50,
+      });
+    });
+
+    it("should subscribe to session events and context updates", () => {
+      const manager = new EventEmitter();
+      const tracker = new EventEmitter();
+      const runner = new HookRunner([]);
+      const handleSessionEvent = vi.spyOn(runner, "handleSessionEvent");
+      const handleContextUpdate = vi.spyOn(runner, "handleContextUpdate");
+      runner.attach(manager, tracker);
+
+      manager.emit("session-added", { sessionId: "s1", filePath: "/tmp/s1.jsonl" });
+      manager.emit("context-updated", context("s1", 50));
+      tracker.emit("update", context("s2", 50));
+
+      expect(handleSessionEvent).toHaveBeenCalledWith("session-added", { sessionId: "s1", filePath: "/tmp/s1.jsonl" });
+      expect(handleContextUpdate.mock.calls.map(([info]) => info.sessionId)).toEqual(["s1", "s2"]);
+    });
+  });
+});
@@ -42,6 +42,8 @@ vi.mock("blessed", () => ({
   default: {
     screen: vi.fn(() => ({
       key: vi.fn(),
+      on: vi.fn(),
+      removeListener: vi.fn(),
       render: vi.fn(),
       destroy: vi.fn(),
     })),
@@ -49,6 +51,9 @@ vi.mock("blessed", () => ({
       ...options,
       setContent: vi.fn(),
       setLabel: vi.fn(),
+      show: vi.fn(),
+      hide: vi.fn(),
+      destroy: vi.fn(),
       style: options.style || { border: {} },
     })),
     message: vi.fn((options) => ({
@@ -103,9 +108,31 @@ describe("LiveView", () => {
       expect(view.boxes.latestTurn).toBeTruthy();
       expect(view.boxes.latestPrompt).toBeTruthy();
       expect(view.boxes.sessionTotals).toBeTruthy();
+      expect(view.boxes.topConsumers).toBeTruthy();
+      expect(view.boxes.subagents).toBeTruthy();
+      expect(view.boxes.contextTrend).toBeTruthy();
       expect(view.boxes.statusBar).toBeTruthy();
     });
 
+    it("should hide the lower panels that do not fit on a short screen", () => {
+      const screen = { key: vi.fn(), on: vi.fn(), removeListener: vi.fn(), render: vi.fn(), height: 40 };
+      view.init(screen);
+
+      expect(view.boxes.topConsumers.show).toHaveBeenCalled();
+      expect(view.boxes.subagents.show).toHaveBeenCalled();
+      expect(view.boxes.contextTrend.hide).toHaveBeenCalled();
+
+      // 端末を縮めたら Top Context Consumers と Subagents も隠す
+      screen.height = 30;
+      const [, onResize] = screen.on.mock.calls.find(([event]) => event === "resize");
+      onResize();
+      expect(view.boxes.topConsumers.hide).toHaveBeenCalled();
+      expect(view.boxes.subagents.hide).toHaveBeenCalled();
+
+      view.destroy();
+      expect(screen.removeListener).toHaveBeenCalledWith("resize", onResize);
+    });
+
     it("should set up key bindings", () => {
       view.init();
 
@@ -125,6 +152,83 @@ describe("LiveView", () => {
 
       expect(view.screen.render).toHaveBeenCalled();
     });
+
+    it("should draw into a given screen and leave keys and teardown to its owner", async () => {
+      const { default: blessed } = await import("blessed");
+      const screen = { key: vi.fn(), on: vi.fn(), removeListener: vi.fn(), render: vi.fn(), destroy: vi.fn() };
+      view.init(screen);
+
+      expect(blessed.screen).not.toHaveBeenCalled();
+      expect(view.boxes.container.parent).toBe(screen);
+      expect(screen.key).not.toHaveBeenCalled();
+      expect(view.boxes.statusBar.content).toMatch(/Esc: back to sessions/);
+
+      const container = view.boxes.container;
+      view.destroy();
+      expect(container.destroy).toHaveBeenCalled();
+      expect(screen.destroy).not.toHaveBeenCalled();
+      expect(view.screen).toBe(null);
+    });
+
+    it("should replace the header tagline with a note and widen the frame to fit", () => {
+      view.init();
+      const note = "Following 1a2b3c4d (my-app) · switched from 9f8e7d6c at 10:32:15";
+      view.setHeaderNote(note);
+
+      const header = view.boxes.header.setContent.mock.calls.at(-1)[0].split("\n");
+      expect(header[2]).toBe(`│ ${note} │`);
+      expect(header[1]).toHaveLength(header[2].length);
+      expect(header[3]).toHaveLength(header[2].length);
+
+      view.setHeaderNote(null);
+      expect(view.boxes.header.setContent.mock.calls.at(-1)[0]).toContain("Real-time context usage tracking");
+    });
+
+    it("should measure durations against the given clock", () => {
+      view.setClock(() => new Date("2025-06-01T12:30:00Z").getTime());
+
+      expect(view.calculateDuration("2025-06-01T10:00:00Z")).toBe("2h 30m");
+    });
+
+    it("should draw a single compact panel into a given parent", () => {
+      const screen = { key: vi.fn(), render: vi.fn(), destroy: vi.fn() };
+      const parent = {};
+      view.init(screen, { parent, compact: true, title: "1a2b3c4d my-app" });
+
+      expect(view.boxes.container.parent).toBe(parent);
+      expect(view.boxes.header).toBeUndefined();
+      expect(view.boxes.statusBar).toBeUndefined();
+      expect(screen.key).not.toHaveBeenCalled();
+
+      view.updateContextInfo({
+        sessionId: "1a2b3c4d-0000",
+        modelName: "Claude Opus 4",
+        usagePercentage: 62.5,
+        contextWindow: 200000,
+        totalTokens: 125000,
+        remainingTokens: 75000,
+        remainingPercentage: 37.5,
+        warningLevel: "warning",
+        turns: 12,
+        totalCost: 1.5,
+        averageTokensPerTurn: 10000,
+        latestPrompt: "Refactor\nthe parser",
+        autoCompact: { enabled: true, warningLevel: "notice", remainingPercentage: 17.5 },
+        history: [{ totalTokens: 50000 }, { totalTokens: 125000 }],
+        compactions: [{}],
+      });
+
+      const content = view.boxes.container.setContent.mock.calls.at(-1)[0];
+      expect(view.boxes.container.setLabel).toHaveBeenCalledWith(" 1a2b3c4d my-app · Claude Opus 4 ");
+      expect(content).toContain("62.5%");
+      expect(content).toContain("Auto-compact in");
+      expect(content).toContain("17.5%");
+      expect(content).toContain("Turns [cyan]12[/cyan]");
+      expect(content).toContain("Compactions");
+      expect(content).toContain("Trend");
+      expect(content).toContain("[dim]Refactor the parser[/dim]");
+      expect(view.boxes.container.style.border.fg).toBe("yellow");
+    });
   });
 
   describe("Context Info Updates", () => {
@@ -154,7 +258,6 @@ describe("LiveView", () => {
         totalCost: 0.45,
         turns: 10,
         averageTokensPerTurn: 9100,
-        estimatedRemainingTurns: 12,
       };
 
       view.updateContextInfo(contextInfo);
@@ -164,6 +267,8 @@ describe("LiveView", () => {
       expect(view.boxes.latestTurn.setContent).toHaveBeenCalled();
       expect(view.boxes.latestPrompt.setContent).toHaveBeenCalled();
       expect(view.boxes.sessionTotals.setContent).toHaveBeenCalled();
+      expect(view.boxes.topConsumers.setContent).toHaveBeenCalled();
+      expect(view.boxes.subagents.setContent).toHaveBeenCalled();
       expect(view.screen.render).toHaveBeenCalled();
     });
 
@@ -181,7 +286,6 @@ describe("LiveView", () => {
         totalCost: 0,
         turns: 0,
         averageTokensPerTurn: 0,
-        estimatedRemainingTurns: Infinity,
       };
 
       expect(() => view.updateContextInfo(minimalInfo)).not.toThrow();
@@ -231,6 +335,17 @@ describe("LiveView", () => {
       expect(formatted).toContain("[gray]1h 30m[/gray]");
     });
 
+    it("should warn when the model is not recognized", () => {
+      const known = view.formatSessionInfo({ sessionId: "s", model: "claude-sonnet-4-20250514", modelName: "Sonnet" });
+      const unknown = view.formatSessionInfo({ sessionId: "s", model: "claude-next-1", modelName: "Unknown Model" });
+      const placeholder = view.formatSessionInfo({ sessionId: "s", model: "unknown", modelName: "Unknown" });
+
+      expect(known).not.toContain("not recognized");
+      expect(unknown).toContain("⚠ claude-next-1 is not recognized");
+      expect(unknown).toContain("models.json");
+      expect(placeholder).not.toContain("not recognized");
+    });
+
     it("should create progress bar based on percentage", () => {
       // Progress bar uses chalk colors, so check for the colored chars
       const bar0 = view.createProgressBar(0);
@@ -271,7 +386,6 @@ describe("LiveView", () => {
         totalCost: 1.23,
         turns: 15,
         averageTokensPerTurn: 5000,
-        estimatedRemainingTurns: 20,
         totalTokens: 75000, // Add required field
       };
 
@@ -280,7 +394,117 @@ describe("LiveView", () => {
       expect(formatted).toContain("$1.23");
       expect(formatted).toContain("15");
       expect(formatted).toContain("5.0k");
-      expect(formatted).toContain("20");
+      // 残りターン数は Context Usage の予測に出す
+      expect(formatted).not.toContain("Remaining Turns");
+    });
+
+    it("should show the subagent share of the session cost", () => {
+      const info = { totalCost: 1.5, subagentCost: 0.4, turns: 3, averageTokensPerTurn: 100, totalTokens: 300 };
+
+      const formatted = view.formatSessionTotals(info);
+
+      expect(formatted).toContain("$1.50");
+      expect(formatted).toContain("(subagents $0.40)");
+      expect(view.formatSessionTotals({ ...info, subagentCost: 0 })).not.toContain("subagents");
+    });
+
+    it("should format top context consumers", () => {
+      const formatted = view.formatTopConsumers({
+        topTools: [
+          { name: "Read", calls: 12, tokens: 45200, percentage: 22.6 },
+          { name: "mcp__github__get_issue", calls: 2, tokens: 8000, percentage: 4 },
+        ],
+      });
+
+      expect(formatted).toContain("Read");
+      expect(formatted).toContain("45.2k");
+      expect(formatted).toContain("22.6%");
+      expect(formatted).toContain("×12");
+      expect(formatted).toContain("github/get_issue");
+    });
+
+    it("should show a placeholder when no tool results are attributed", () => {
+      expect(view.formatTopConsumers({})).toContain("No tool results yet");
+    });
+
+    it("should format the subagent breakdown with a total", () => {
+      const subagents = Array.from({ length: 5 }, (_, i) => ({
+        id: `agent-${i}`,
+        label: `Task ${i}`,
+        turns: 2,
+        totalTokens: 10000,
+        totalCost: 0.5,
+      }));
+
+      const formatted = view.formatSubagents({ subagents });
+
+      expect(formatted).not.toContain("Task 0");
+      expect(formatted).toContain("Task 4");
+      expect(formatted).toContain("Total (+1 more)");
+      expect(formatted).toContain("50.0k");
+      expect(formatted).toContain("$2.50");
+      expect(view.formatSubagents({})).toContain("No subagents yet");
+    });
+
+    it("should format the context trend with compaction markers", () => {
+      const history = [
+        { turn: 1, totalTokens: 50000, cacheTokens: 40000, cost: 0.1 },
+        { turn: 2, totalTokens: 200000, cacheTokens: 150000, cost: 0.3 },
+        { turn: 3, totalTokens: 25000, cacheTokens: 0, cost: 0.35, compacted: true },
+      ];
+
+      const formatted = view.formatContextTrend({ history, contextWindow: 200000 }, 20);
+
+      expect(formatted).toContain("▂█▁");
+      expect(formatted).toContain("peak 200.0k");
+      expect(formatted).toContain("  ^");
+      expect(formatted).toContain("over 3 turns");
+      expect(formatted).toContain("$0.35");
+      expect(formatted).toContain("Compactions: [red]1[/red]");
+      expect(view.formatContextTrend({}, 20)).toContain("No turns yet");
+    });
+
+    it("should summarize the compaction log", () => {
+      const history = [
+        { turn: 1, totalTokens: 180000, cacheTokens: 0, cost: 0.1 },
+        { turn: 2, totalTokens: 30000, cacheTokens: 0, cost: 0.2, compacted: true },
+      ];
+      const compactions = [
+        { trigger: "manual", tokensBefore: 90000, tokensAfter: 20000 },
+        { trigger: "auto", tokensBefore: 180000, tokensAfter: 30000 },
+      ];
+
+      const formatted = view.formatContextTrend({ history, contextWindow: 200000, compactions }, 20);
+
+      expect(formatted).toContain("Compactions: [red]2[/red]");
+      expect(formatted).toContain("(1 auto, 1 manual)");
+      expect(formatted).toContain("last auto: 180.0k → 30.0k");
+      expect(formatted).toContain("(-150.0k)");
+      expect(view.formatCompactionLog([{ trigger: "auto", tokensBefore: 1000 }])).toContain("pending");
+    });
+
+    it("should show the auto-compact forecast next to the remaining percentage", () => {
+      const formatted = view.formatContextUsage({
+        usagePercentage: 50,
+        totalTokens: 100000,
+        contextWindow: 200000,
+        remainingTokens: 100000,
+        remainingPercentage: 50,
+        autoCompact: { enabled: true, warningLevel: "normal", remainingPercentage: 30 },
+        forecast: {
+          turns: 12,
+          turnsLow: 8,
+          turnsHigh: Infinity,
+          seconds: 1500,
+          secondsLow: 20,
+          secondsHigh: Infinity,
+        },
+      });
+
+      expect(formatted).toContain("~12 turns");
+      expect(formatted).toContain("(8–∞)");
+      expect(formatted).toContain("~25m");
+      expect(formatted).toContain("(<1m–∞)");
     });
 
     it("should format cost correctly", () => {
@@ -331,7 +555,6 @@ describe("LiveView", () => {
         totalCost: 0,
         turns: 0,
         averageTokensPerTurn: 0,
-        estimatedRemainingTurns: 0,
       };
 
       view.updateContextInfo(contextInfo);
@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AUTO_COMPACT_CONFIG } from "../src/monitor/auto-compact-config.ts";
+import {
+  calculateMessageCost,
+  getContextWindow,
+  getModelName,
+  isKnownModel,
+  PRICING,
+} from "../src/monitor/model-config.ts";
+import {
+  getDefaultModelsPath,
+  loadModelRegistry,
+  parseModelsFile,
+  registerModels,
+} from "../src/monitor/model-registry.ts";
+
+describe("model-registry", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-models-"));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("getDefaultModelsPath", () => {
+    it("should live under XDG_CONFIG_HOME when set", () => {
+      vi.stubEnv("XDG_CONFIG_HOME", tempDir);
+      expect(getDefaultModelsPath()).toBe(path.join(tempDir, "cccontext", "models.json"));
+    });
+  });
+
+  describe("parseModelsFile", () => {
+    const parse = (models) => parseModelsFile(JSON.stringify({ models }), "models.json");
+
+    it("should accept new models with prices and optional fields", () => {
+      const models = parse({ "claude-next-1": { name: "Claude Next", input: 2, output: 10, contextWindow: 400000 } });
+      expect(models["claude-next-1"]).toMatchObject({ name: "Claude Next", contextWindow: 400000 });
+    });
+
+    it("should allow partial overrides of built-in models", () => {
+      expect(parse({ "claude-sonnet-4-20250514": { contextWindow: 200000 } })).toHaveProperty(
+        "claude-sonnet-4-20250514",
+      );
+    });
+
+    it("should reject invalid files with the offending field", () => {
+      expect(() => parseModelsFile("{", "models.json")).toThrow(/Invalid models file models\.json/);
+      expect(() => parseModelsFile("[]", "models.json")).toThrow(/"models" object/);
+      expect(() => parse({ "claude-next-1": { input: 1 } })).toThrow(/"input" and "output" are required/);
+      expect(() => parse({ "claude-next-1": { input: -1, output: 1 } })).toThrow(/input must be a non-negative/);
+      expect(() => parse({ "claude-next-1": { input: 1, output: 1, contextwindow: 1 } })).toThrow(
+        /contextwindow is not a known field/,
+      );
+      expect(() => parse({ "claude-next-1": { input: 1, output: 1, contextWindow: 1.5 } })).toThrow(
+        /contextWindow must be a positive integer/,
+      );
+      expect(() => parse({ "claude-next-1": { input: 1, output: 1, autoCompactThreshold: 92 } })).toThrow(
+        /autoCompactThreshold must be between 0 and 1/,
+      );
+    });
+  });
+
+  describe("registerModels", () => {
+    it("should add new models to every table and derive cache prices", () => {
+      registerModels({
+        "test-registry-model": {
+          name: "Registry Model",
+          input: 2,
+          output: 10,
+          contextWindow: 400000,
+          autoCompactThreshold: 0.8,
+        },
+      });
+
+      expect(isKnownModel("test-registry-model")).toBe(true);
+      expect(getModelName("test-registry-model")).toBe("Registry Model");
+      expect(getContextWindow("test-registry-model")).toBe(400000);
+      expect(AUTO_COMPACT_CONFIG.getThreshold("test-registry-model")).toBe(0.8);
+      expect(PRICING["test-registry-model"]).toMatchObject({ cacheWrite5m: 2.5, cacheWrite1h: 4, cacheRead: 0.2 });
+      expect(calculateMessageCost("test-registry-model", { input_tokens: 1_000_000, output_tokens: 0 })).toBe(2);
+    });
+
+    it("should merge overrides over built-in entries", () => {
+      const original = PRICING["claude-3-haiku-20240307"];
+      try {
+        registerModels({ "claude-3-haiku-20240307": { output: 2 } });
+
+        expect(PRICING["claude-3-haiku-20240307"]).toMatchObject({
+          name: original.name,
+          input: original.input,
+          output: 2,
+          cacheRead: original.cacheRead,
+        });
+      } finally {
+        PRICING["claude-3-haiku-20240307"] = original;
+      }
+    });
+  });
+
+  describe("loadModelRegistry", () => {
+    it("should ignore a missing default file but fail for a missing explicit one", () => {
+      vi.stubEnv("XDG_CONFIG_HOME", tempDir);
+
+      expect(loadModelRegistry()).toEqual([]);
+      expect(() => loadModelRegistry(path.join(tempDir, "missing.json"))).toThrow(/Cannot read models file/);
+    });
+
+    it("should load and register the default file", async () => {
+      vi.stubEnv("XDG_CONFIG_HOME", tempDir);
+      await fs.mkdir(path.join(tempDir, "cccontext"));
+      await fs.writeFile(
+        getDefaultModelsPath(),
+        JSON.stringify({ models: { "test-loaded-model": { input: 1, output: 5 } } }),
+      );
+
+      expect(loadModelRegistry()).toEqual(["test-loaded-model"]);
+      expect(getModelName("test-loaded-model")).toBe("test-loaded-model");
+    });
+  });
+});
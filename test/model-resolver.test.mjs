@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { AUTO_COMPACT_CONFIG } from "../src/monitor/auto-compact-config.ts";
+import { getContextWindow, getModelName, getModelPricing, isKnownModel, PRICING } from "../src/monitor/model-config.ts";
+import { formatModelName, parseModelId, resolveModelKey } from "../src/monitor/model-resolver.ts";
+import { UsageCalculator } from "../src/monitor/usage-calculator.ts";
+
+describe("model-resolver", () => {
+  describe("parseModelId", () => {
+    it("should parse current model IDs", () => {
+      expect(parseModelId("claude-sonnet-4-5-20250929")).toMatchObject({
+        family: "claude",
+        tier: "sonnet",
+        version: "4.5",
+        major: 4,
+        minor: 5,
+        date: "20250929",
+        extendedContext: false,
+      });
+      expect(parseModelId("claude-opus-4-6[1m]")).toMatchObject({
+        tier: "opus",
+        version: "4.6",
+        extendedContext: true,
+        base: "claude-opus-4-6",
+      });
+      expect(parseModelId("claude-sonnet-4-20250514")).toMatchObject({ version: "4", date: "20250514" });
+    });
+
+    it("should parse older and provider-specific IDs", () => {
+      expect(parseModelId("claude-3-5-haiku-20241022")).toMatchObject({ tier: "haiku", version: "3.5" });
+      expect(parseModelId("claude-2.1")).toMatchObject({ tier: undefined, version: "2.1" });
+      expect(parseModelId("us.anthropic.claude-sonnet-4-5-20250929-v1:0")).toMatchObject({
+        base: "claude-sonnet-4-5-20250929",
+      });
+      expect(parseModelId("claude-opus-4-1@20250805")).toMatchObject({ version: "4.1", date: "20250805" });
+    });
+
+    it("should return null for non-Claude IDs", () => {
+      expect(parseModelId("gpt-4o")).toBeNull();
+      expect(parseModelId("<synthetic>")).toBeNull();
+      expect(parseModelId("claude")).toBeNull();
+    });
+  });
+
+  describe("resolveModelKey", () => {
+    it("should prefer exact matches, then the newest snapshot of the same version", () => {
+      expect(resolveModelKey("claude-sonnet-4-20250514", PRICING)).toBe("claude-sonnet-4-20250514");
+      expect(resolveModelKey("claude-sonnet-4-20260101", PRICING)).toBe("claude-sonnet-4-20250514");
+      expect(resolveModelKey("claude-opus-4-6[1m]", PRICING)).toBe("claude-opus-4-6");
+    });
+
+    it("should fall back to the newest version of the same tier and major version", () => {
+      expect(resolveModelKey("claude-sonnet-4-7", PRICING)).toBe("claude-sonnet-4-5-20250929");
+      expect(resolveModelKey("claude-haiku-4-5", PRICING)).toBe("claude-haiku-4-5-20251001");
+      expect(resolveModelKey("claude-sonnet-9-0", PRICING)).toBeUndefined();
+      expect(resolveModelKey("claude-2.2", PRICING)).toBeUndefined();
+    });
+  });
+
+  describe("formatModelName", () => {
+    it("should build a display name from the parsed ID", () => {
+      expect(formatModelName(parseModelId("claude-sonnet-4-7-20260101"))).toBe("Claude Sonnet 4.7");
+    });
+  });
+
+  describe("model-config integration", () => {
+    it("should price new snapshots like their family", () => {
+      expect(getModelPricing("claude-opus-4-7")).toBe(PRICING["claude-opus-4-6"]);
+      expect(getModelPricing("claude-sonnet-4-20250514[1m]")).toBe(PRICING["claude-sonnet-4-20250514"]);
+      expect(isKnownModel("claude-opus-4-7")).toBe(true);
+      expect(isKnownModel("claude-sonnet-9-0")).toBe(false);
+    });
+
+    it("should name models after their own ID", () => {
+      expect(getModelName("claude-opus-4-7")).toBe("Claude Opus 4.7");
+      expect(getModelName("claude-opus-4-6[1m]")).toBe("Claude Opus 4.6");
+      expect(new UsageCalculator().getModelName("claude-haiku-4-5")).toBe("Claude Haiku 4.5");
+      expect(getModelName("gpt-4o")).toBe("Unknown Model");
+    });
+
+    it("should use a 1M window for the [1m] suffix", () => {
+      expect(getContextWindow("claude-next-9[1m]")).toBe(1_000_000);
+      expect(getContextWindow("claude-2.1")).toBe(200_000);
+    });
+
+    it("should resolve auto-compact thresholds by family", () => {
+      expect(AUTO_COMPACT_CONFIG.getThreshold("claude-sonnet-4-7")).toBe(0.92);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { EventEmitter } from "events";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { AUTO_COMPACT_CONFIG } from "../src/monitor/auto-compact-config.ts";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { Notifier, parseNotifyChannels, parseNotifyLevels } from "../src/monitor/notifier.ts";
+
+function createNotifier(options = {}) {
+  const output = { write: vi.fn() };
+  const child = { on: vi.fn(), unref: vi.fn() };
+  const spawn = vi.fn(() => child);
+  const notifier = new Notifier({ output, spawn, ...options });
+  return { notifier, output, spawn };
+}
+
+function info(remainingPercentage, sessionId = "session-1") {
+  return {
+    sessionId,
+    modelName: "Claude Sonnet 4",
+    autoCompact: { enabled: true, remainingPercentage },
+  };
+}
+
+describe("Notifier", () => {
+  const defaultThresholds = { ...AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS };
+
+  afterEach(() => {
+    Object.assign(AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS, defaultThresholds);
+  });
+
+  it("should notify once per level crossing", () => {
+    const { notifier, output } = createNotifier();
+
+    notifier.handleUpdate(info(40));
+    notifier.handleUpdate(info(15));
+    notifier.handleUpdate(info(14));
+    notifier.handleUpdate(info(8));
+    notifier.handleUpdate(info(3));
+    notifier.handleUpdate(info(0));
+
+    // notice, warning, critical（active は critical から上がった時にもう一度）
+    expect(output.write).toHaveBeenCalledTimes(4);
+    expect(output.write).toHaveBeenCalledWith("\x07");
+  });
+
+  it("should notify again after the level drops and rises", () => {
+    const { notifier, output } = createNotifier();
+
+    notifier.handleUpdate(info(8));
+    notifier.handleUpdate(info(50));
+    notifier.handleUpdate(info(8));
+
+    expect(output.write).toHaveBeenCalledTimes(2);
+  });
+
+  it("should track sessions separately and only for the selected events", () => {
+    const { notifier, output } = createNotifier({ events: ["critical"] });
+
+    notifier.handleUpdate(info(15, "a"));
+    notifier.handleUpdate(info(8, "a"));
+    notifier.handleUpdate(info(3, "a"));
+    notifier.handleUpdate(info(3, "b"));
+
+    expect(output.write).toHaveBeenCalledTimes(2);
+  });
+
+  it("should write OSC 9 and OSC 777 sequences", () => {
+    const { notifier, output } = createNotifier({ channels: ["osc9", "osc777"] });
+
+    notifier.handleUpdate(info(8));
+
+    expect(output.write).toHaveBeenCalledWith(
+      "\x1b]9;cccontext: warning: 8.0% left until auto-compact (Claude Sonnet 4)\x07",
+    );
+    expect(output.write).toHaveBeenCalledWith(
+      "\x1b]777;notify;cccontext: warning;8.0% left until auto-compact (Claude Sonnet 4)\x07",
+    );
+  });
+
+  it("should run notify-send and the shell hook with the notification in the environment", () => {
+    const { notifier, spawn } = createNotifier({ channels: ["notify-send"], hook: "echo $CCCONTEXT_EVENT" });
+
+    notifier.handleCompact("0123456789abcdef");
+
+    expect(spawn).toHaveBeenCalledWith(
+      "notify-send",
+      ["cccontext: compact", "Session 01234567 was compacted"],
+      expect.objectContaining({ shell: false }),
+    );
+    const [command, , options] = spawn.mock.calls[1];
+    expect(command).toBe("echo $CCCONTEXT_EVENT");
+    expect(options.shell).toBe(true);
+    expect(options.env).toMatchObject({ CCCONTEXT_EVENT: "compact", CCCONTEXT_SESSION_ID: "0123456789abcdef" });
+  });
+
+  it("should subscribe to tracker updates and compact-detected events", () => {
+    const { notifier, output } = createNotifier();
+    const tracker = new ContextTracker();
+    const watcher = new EventEmitter();
+    notifier.attach(tracker, watcher);
+
+    tracker.emit("update", info(3));
+    watcher.emit("compact-detected", { sessionId: "session-1" });
+    tracker.emit("update", info(3));
+    notifier.detach();
+    tracker.emit("update", info(0));
+
+    expect(output.write).toHaveBeenCalledTimes(3);
+  });
+
+  it("should subscribe to the tracker once for several watchers", () => {
+    const { notifier, output } = createNotifier();
+    const tracker = new ContextTracker();
+    const watchers = [new EventEmitter(), new EventEmitter()];
+    notifier.attach(tracker, ...watchers);
+
+    tracker.emit("update", info(3));
+    expect(output.write).toHaveBeenCalledTimes(1);
+
+    watchers[1].emit("compact-detected", { sessionId: "session-1" });
+    expect(output.write).toHaveBeenCalledTimes(2);
+
+    notifier.detach();
+    watchers[0].emit("compact-detected", { sessionId: "session-1" });
+    expect(output.write).toHaveBeenCalledTimes(2);
+  });
+
+  it("should use the configured warning thresholds", () => {
+    const { notifier, output } = createNotifier({ events: ["warning"] });
+    AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS.warning = 15;
+
+    notifier.handleUpdate(info(12));
+
+    expect(output.write).toHaveBeenCalledTimes(1);
+  });
+
+  it("should use its own thresholds without changing the global ones", () => {
+    const { notifier, output } = createNotifier({ events: ["warning"], thresholds: { warning: 15 } });
+
+    notifier.handleUpdate(info(12));
+
+    expect(output.write).toHaveBeenCalledTimes(1);
+    expect(AUTO_COMPACT_CONFIG.WARNING_THRESHOLDS.warning).toBe(defaultThresholds.warning);
+  });
+});
+
+describe("notify option parsing", () => {
+  it("should parse events and thresholds", () => {
+    expect(parseNotifyLevels("warning=15, critical,compact")).toEqual({
+      events: ["warning", "critical", "compact"],
+      thresholds: { warning: 15 },
+    });
+    expect(() => parseNotifyLevels("urgent")).toThrow(/Invalid notify level: urgent/);
+    expect(() => parseNotifyLevels("warning=abc")).toThrow(/Invalid notify level: warning=abc/);
+    expect(() => parseNotifyLevels("compact=5")).toThrow(/Invalid notify level/);
+  });
+
+  it("should reject thresholds out of order", () => {
+    expect(() => parseNotifyLevels("critical=25")).toThrow(/critical < warning < notice/);
+    expect(() => parseNotifyLevels("warning=30,notice=25")).toThrow(/critical < warning < notice/);
+    expect(parseNotifyLevels("critical=25,warning=30,notice=40").thresholds).toEqual({
+      critical: 25,
+      warning: 30,
+      notice: 40,
+    });
+  });
+
+  it("should parse channels", () => {
+    expect(parseNotifyChannels("bell,osc777")).toEqual(["bell", "osc777"]);
+    expect(() => parseNotifyChannels("email")).toThrow(/Invalid notification channel: email/);
+  });
+});
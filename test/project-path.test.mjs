@@ -0,0 +1,85 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+  decodeProjectPath,
+  encodeProjectPath,
+  filterFilesByProject,
+  formatProjectPath,
+  matchesProject,
+  resolveProjectPath,
+} from "../src/monitor/project-path.ts";
+
+describe("project-path", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-project-path-")));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("encodeProjectPath", () => {
+    it("should replace every non-alphanumeric character with a dash", () => {
+      expect(encodeProjectPath("/Users/me/my-app")).toBe("-Users-me-my-app");
+      expect(encodeProjectPath("/home/me/.config/app_v2")).toBe("-home-me--config-app-v2");
+    });
+  });
+
+  describe("decodeProjectPath", () => {
+    it("should prefer directories that exist on disk", async () => {
+      const projectPath = path.join(tempDir, "my-app", "web.client");
+      await fs.mkdir(projectPath, { recursive: true });
+
+      expect(decodeProjectPath(encodeProjectPath(projectPath))).toBe(projectPath);
+    });
+
+    it("should fall back to slashes for paths that do not exist", () => {
+      expect(decodeProjectPath("-nonexistent-cccontext-root-project")).toBe("/nonexistent/cccontext/root/project");
+    });
+
+    it("should treat a double dash as a hidden directory", () => {
+      expect(decodeProjectPath("-nonexistent-cccontext--config")).toBe("/nonexistent/cccontext/.config");
+    });
+  });
+
+  describe("resolveProjectPath", () => {
+    it("should prefer the cwd recorded in the transcript", () => {
+      const file = path.join(tempDir, "-nonexistent-guess", "session.jsonl");
+
+      expect(resolveProjectPath(file, "/work/real-project")).toBe("/work/real-project");
+      expect(resolveProjectPath(file)).toBe("/nonexistent/guess");
+    });
+  });
+
+  describe("formatProjectPath", () => {
+    it("should abbreviate the home directory", () => {
+      expect(formatProjectPath(path.join(os.homedir(), "src", "app"))).toBe(`~${path.sep}src${path.sep}app`);
+      expect(formatProjectPath(os.homedir())).toBe("~");
+      expect(formatProjectPath("/opt/app")).toBe("/opt/app");
+      expect(formatProjectPath(undefined)).toBe("Unknown");
+    });
+  });
+
+  describe("matchesProject / filterFilesByProject", () => {
+    it("should match the project directory and its subdirectories only", async () => {
+      const project = path.join(tempDir, "app");
+      const nested = path.join(project, "packages", "web");
+      const sibling = path.join(tempDir, "app-legacy");
+      await fs.mkdir(nested, { recursive: true });
+      await fs.mkdir(sibling, { recursive: true });
+
+      const fileFor = (projectPath) => path.join("/projects", encodeProjectPath(projectPath), "s.jsonl");
+      const files = [fileFor(project), fileFor(nested), fileFor(sibling)];
+
+      expect(matchesProject(files[0], project)).toBe(true);
+      expect(matchesProject(files[1], project)).toBe(true);
+      expect(matchesProject(files[2], project)).toBe(false);
+      expect(filterFilesByProject(files, project)).toEqual(files.slice(0, 2));
+      expect(filterFilesByProject(files, undefined)).toEqual(files);
+    });
+  });
+});
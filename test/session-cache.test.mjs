@@ -2,6 +2,8 @@ import fs from "fs/promises";
 import os from "os";
 import path from "path";
 import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PRICING } from "../src/monitor/model-config.js";
+import { registerModels } from "../src/monitor/model-registry.js";
 import { SessionCache } from "../src/monitor/session-cache.js";
 
 describe("SessionCache", () => {
@@ -268,7 +270,7 @@ invalid json line
 
       expect(result).toBeTruthy();
       expect(result.totalTokens).toBe(100000);
-      expect(result.usagePercentage).toBe(10); // 100000 / 1000000 * 100
+      expect(result.usagePercentage).toBe(50); // 100000 / 200000 * 100
     });
 
     it("should calculate usage percentage for different models", async () => {
@@ -289,7 +291,7 @@ invalid json line
 
       expect(result).toBeTruthy();
       expect(result.totalTokens).toBe(200000);
-      expect(result.usagePercentage).toBe(20); // 200000 / 1000000 * 100
+      expect(result.usagePercentage).toBe(100); // 200000 / 200000 * 100
     });
 
     it("should handle zero token sessions", async () => {
@@ -331,6 +333,7 @@ invalid json line
 
       expect(result).toBeTruthy();
       expect(result.totalTokens).toBe(250000);
+      // 200K を超えたセッションは 1M ウィンドウとみなす（monitor と同じ判定）
       expect(result.usagePercentage).toBe(25); // 250000 / 1000000 * 100
     });
   });
@@ -439,4 +442,314 @@ invalid json line
       expect(result2.totalTokens).toBe(300);
     });
   });
+
+  describe("Persistent Index", () => {
+    const writeSession = (filePath, inputTokens) =>
+      fs.writeFile(
+        filePath,
+        `${JSON.stringify({
+          timestamp: "2025-01-01T00:00:00Z",
+          message: {
+            model: "claude-sonnet-4-20250514",
+            role: "assistant",
+            usage: { input_tokens: inputTokens, output_tokens: 50 },
+          },
+        })}\n`,
+      );
+
+    it("should not write an index unless persistence is enabled", async () => {
+      const sessionFile = path.join(tempDir, "plain.jsonl");
+      await writeSession(sessionFile, 100);
+
+      await cache.parseAndCacheSession(sessionFile);
+      await cache.saveIndex();
+
+      expect(await cache.loadIndex()).toBe(0);
+      await expect(fs.readdir(tempDir)).resolves.toEqual(["plain.jsonl"]);
+    });
+
+    it("should restore cached sessions from the index on a cold start", async () => {
+      const indexPath = path.join(tempDir, "cache", "sessions-index.json");
+      const sessionFile = path.join(tempDir, "persisted.jsonl");
+      await writeSession(sessionFile, 100);
+
+      const warm = new SessionCache({ persistent: true, indexPath });
+      const parsed = await warm.parseAndCacheSession(sessionFile);
+      await warm.saveIndex();
+
+      const cold = new SessionCache({ persistent: true, indexPath });
+      expect(await cold.loadIndex()).toBe(1);
+
+      const restored = await cold.getCachedSession(sessionFile);
+      expect(restored).not.toBeNull();
+      expect(restored.totalTokens).toBe(parsed.totalTokens);
+      expect(restored.lastModified).toBeInstanceOf(Date);
+      expect(restored.lastModified.getTime()).toBe(parsed.lastModified.getTime());
+    });
+
+    it("should re-parse files that changed since the index was written", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      const sessionFile = path.join(tempDir, "changed.jsonl");
+      await writeSession(sessionFile, 100);
+
+      const warm = new SessionCache({ persistent: true, indexPath });
+      await warm.parseAndCacheSession(sessionFile);
+      await warm.saveIndex();
+
+      await writeSession(sessionFile, 1000);
+
+      const cold = new SessionCache({ persistent: true, indexPath });
+      await cold.loadIndex();
+
+      expect(await cold.getCachedSession(sessionFile)).toBeNull();
+      const reparsed = await cold.parseAndCacheSession(sessionFile);
+      expect(reparsed.totalTokens).toBe(1050);
+    });
+
+    it("should drop sessions whose transcript no longer exists from the index", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      const kept = path.join(tempDir, "kept.jsonl");
+      const deleted = path.join(tempDir, "deleted.jsonl");
+      await writeSession(kept, 100);
+      await writeSession(deleted, 100);
+
+      const warm = new SessionCache({ persistent: true, indexPath });
+      await warm.parseAndCacheSession(kept);
+      await warm.parseAndCacheSession(deleted);
+      await warm.saveIndex();
+      await fs.rm(deleted);
+
+      const cold = new SessionCache({ persistent: true, indexPath });
+      await cold.loadIndex();
+      expect(cold.pruneMissing([kept])).toBe(1);
+      await cold.saveIndex();
+
+      const index = JSON.parse(await fs.readFile(indexPath, "utf-8"));
+      expect(Object.keys(index.entries)).toEqual([kept]);
+    });
+
+    it("should ignore a corrupt index", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      await fs.writeFile(indexPath, "{not json");
+
+      const persistent = new SessionCache({ persistent: true, indexPath });
+      expect(await persistent.loadIndex()).toBe(0);
+      expect(persistent.getCacheStats().cachedSessions).toBe(0);
+    });
+
+    it("should ignore an index built with other model prices or context windows", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      const sessionFile = path.join(tempDir, "repriced.jsonl");
+      await writeSession(sessionFile, 100);
+
+      const warm = new SessionCache({ persistent: true, indexPath });
+      await warm.parseAndCacheSession(sessionFile);
+      await warm.saveIndex();
+
+      const original = PRICING["claude-sonnet-4-20250514"];
+      try {
+        registerModels({ "claude-sonnet-4-20250514": { input: 30, output: 150 } });
+
+        const cold = new SessionCache({ persistent: true, indexPath });
+        expect(await cold.loadIndex()).toBe(0);
+        const repriced = await cold.parseAndCacheSession(sessionFile);
+        expect(repriced.totalCost).toBeCloseTo((100 * 30 + 50 * 150) / 1_000_000, 10);
+      } finally {
+        PRICING["claude-sonnet-4-20250514"] = original;
+      }
+    });
+
+    it("should delete the index file", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      const sessionFile = path.join(tempDir, "deleted.jsonl");
+      await writeSession(sessionFile, 100);
+
+      const persistent = new SessionCache({ persistent: true, indexPath });
+      await persistent.parseAndCacheSession(sessionFile);
+      await persistent.saveIndex();
+      await persistent.deleteIndex();
+
+      await expect(fs.access(indexPath)).rejects.toThrow();
+    });
+
+    it("should default the index path to the cccontext cache directory", () => {
+      vi.stubEnv("CCCONTEXT_CACHE_DIR", tempDir);
+      try {
+        expect(SessionCache.getDefaultIndexPath()).toBe(path.join(tempDir, "sessions-index.json"));
+      } finally {
+        vi.unstubAllEnvs();
+      }
+    });
+  });
+
+  describe("Incremental Parsing", () => {
+    const line = (inputTokens, extra = {}) =>
+      `${JSON.stringify({
+        timestamp: "2025-01-01T00:00:00Z",
+        message: {
+          model: "claude-sonnet-4-20250514",
+          role: "assistant",
+          usage: { input_tokens: inputTokens, output_tokens: 10 },
+        },
+        ...extra,
+      })}\n`;
+
+    it("should parse only the appended lines when a file grows", async () => {
+      const sessionFile = path.join(tempDir, "growing.jsonl");
+      await fs.writeFile(sessionFile, line(100) + line(200));
+
+      const first = await cache.parseAndCacheSession(sessionFile);
+      expect(first.totalTokens).toBe(320);
+      expect(first.turns).toBe(2);
+
+      const applySpy = vi.spyOn(cache, "applyMessage");
+      await fs.appendFile(sessionFile, line(300));
+
+      const second = await cache.parseAndCacheSession(sessionFile);
+      expect(applySpy).toHaveBeenCalledTimes(1);
+      expect(second.totalTokens).toBe(630);
+      expect(second.turns).toBe(3);
+    });
+
+    it("should count a response split over several lines once, also across appends", async () => {
+      const sessionFile = path.join(tempDir, "split-response.jsonl");
+      const part = (id) =>
+        line(100, {
+          requestId: `req_${id}`,
+          message: {
+            id: `msg_${id}`,
+            model: "claude-sonnet-4-20250514",
+            role: "assistant",
+            usage: { input_tokens: 100, output_tokens: 10 },
+          },
+        });
+      await fs.writeFile(sessionFile, part(1) + part(1));
+
+      const first = await cache.parseAndCacheSession(sessionFile);
+      expect(first.turns).toBe(1);
+      expect(first.totalTokens).toBe(110);
+
+      await fs.appendFile(sessionFile, part(1) + part(2));
+
+      const second = await cache.parseAndCacheSession(sessionFile);
+      expect(second.turns).toBe(2);
+      expect(second.totalTokens).toBe(220);
+    });
+
+    it("should leave subagent (sidechain) messages out of the session totals", async () => {
+      const sessionFile = path.join(tempDir, "sidechain.jsonl");
+      await fs.writeFile(sessionFile, line(100) + line(5000, { isSidechain: true }) + line(200));
+
+      const session = await cache.parseAndCacheSession(sessionFile);
+      expect(session.totalTokens).toBe(320);
+      expect(session.turns).toBe(2);
+    });
+
+    it("should include subagent (sidechain) cost in the session cost", async () => {
+      const mainFile = path.join(tempDir, "main-only.jsonl");
+      const sidechainFile = path.join(tempDir, "with-subagent.jsonl");
+      await fs.writeFile(mainFile, line(100) + line(200));
+      await fs.writeFile(sidechainFile, line(100) + line(5000, { isSidechain: true }) + line(200));
+
+      const main = await cache.parseAndCacheSession(mainFile);
+      const withSubagent = await cache.parseAndCacheSession(sidechainFile);
+      const subagentCost = (5000 * 3 + 10 * 15) / 1_000_000; // Sonnet 4: $3 / $15 per 1M
+      expect(withSubagent.totalCost).toBeCloseTo(main.totalCost + subagentCost, 10);
+    });
+
+    it("should keep the latest context size next to the cumulative totals", async () => {
+      const sessionFile = path.join(tempDir, "context.jsonl");
+      const cached = line(100, {
+        message: {
+          model: "claude-sonnet-4-20250514",
+          role: "assistant",
+          usage: {
+            input_tokens: 200,
+            output_tokens: 10,
+            cache_read_input_tokens: 5000,
+            cache_creation_input_tokens: 40,
+          },
+        },
+      });
+      await fs.writeFile(sessionFile, line(100) + line(3000, { isSidechain: true }) + cached);
+
+      const session = await cache.parseAndCacheSession(sessionFile);
+      expect(session.totalTokens).toBe(320);
+      expect(session.contextTokens).toBe(5250);
+      expect(session.messageCount).toBe(2);
+    });
+
+    it("should keep the 1M window after a session that went over 200K is compacted", async () => {
+      const sessionFile = path.join(tempDir, "extended.jsonl");
+      await fs.writeFile(sessionFile, line(300000) + line(49990));
+
+      const session = await cache.parseAndCacheSession(sessionFile);
+      expect(session.peakTokens).toBe(300010);
+      expect(session.usagePercentage).toBe(5); // 50000 / 1000000 * 100
+    });
+
+    it("should record the project from the transcript's cwd", async () => {
+      const sessionFile = path.join(tempDir, "with-cwd.jsonl");
+      await fs.writeFile(sessionFile, line(100, { cwd: "/work/project" }) + line(200, { cwd: "/work/project/sub" }));
+
+      const session = await cache.parseAndCacheSession(sessionFile);
+      expect(session.cwd).toBe("/work/project");
+      expect(session.projectPath).toBe("/work/project");
+    });
+
+    it("should keep a partially written line for the next parse", async () => {
+      const sessionFile = path.join(tempDir, "partial.jsonl");
+      const complete = line(100);
+      const pending = line(200);
+      await fs.writeFile(sessionFile, complete + pending.slice(0, 20));
+
+      const first = await cache.parseAndCacheSession(sessionFile);
+      expect(first.turns).toBe(1);
+
+      await fs.appendFile(sessionFile, pending.slice(20));
+
+      const second = await cache.parseAndCacheSession(sessionFile);
+      expect(second.turns).toBe(2);
+      expect(second.totalInputTokens).toBe(300);
+    });
+
+    it("should re-parse the whole file when it was truncated or rewritten", async () => {
+      const sessionFile = path.join(tempDir, "rewritten.jsonl");
+      await fs.writeFile(sessionFile, line(100) + line(200) + line(300));
+      await cache.parseAndCacheSession(sessionFile);
+
+      // Shorter file
+      await fs.writeFile(sessionFile, line(400));
+      const truncated = await cache.parseAndCacheSession(sessionFile);
+      expect(truncated.turns).toBe(1);
+      expect(truncated.totalInputTokens).toBe(400);
+
+      // Longer file whose previous offset no longer falls on a line boundary
+      await fs.writeFile(sessionFile, `${" ".repeat(10)}${line(500)}${line(600)}`);
+      const rewritten = await cache.parseAndCacheSession(sessionFile);
+      expect(rewritten.turns).toBe(2);
+      expect(rewritten.totalInputTokens).toBe(1100);
+    });
+
+    it("should resume from the persisted offset after a restart", async () => {
+      const indexPath = path.join(tempDir, "sessions-index.json");
+      const sessionFile = path.join(tempDir, "resumed.jsonl");
+      await fs.writeFile(sessionFile, line(100));
+
+      const warm = new SessionCache({ persistent: true, indexPath });
+      await warm.parseAndCacheSession(sessionFile);
+      await warm.saveIndex();
+
+      await fs.appendFile(sessionFile, line(200));
+
+      const cold = new SessionCache({ persistent: true, indexPath });
+      await cold.loadIndex();
+      const applySpy = vi.spyOn(cold, "applyMessage");
+
+      const resumed = await cold.parseAndCacheSession(sessionFile);
+      expect(applySpy).toHaveBeenCalledTimes(1);
+      expect(resumed.turns).toBe(2);
+      expect(resumed.totalInputTokens).toBe(300);
+    });
+  });
 });
@@ -0,0 +1,97 @@
+import { EventEmitter } from "events";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { formatFollowStatus, SessionFollower } from "../src/monitor/session-follower.ts";
+
+const session = (sessionId, project = "-Users-test-app") => ({
+  sessionId,
+  filePath: `/home/test/.claude/projects/${project}/${sessionId}.jsonl`,
+});
+
+describe("SessionFollower", () => {
+  let now;
+  let watcher;
+  let switches;
+
+  const createFollower = (options = {}) => {
+    const follower = new SessionFollower({ holdMs: 5000, now: () => now, ...options });
+    follower.on("switch", (change) => switches.push(change));
+    follower.attach(watcher);
+    return follower;
+  };
+
+  beforeEach(() => {
+    now = 100000;
+    watcher = new EventEmitter();
+    switches = [];
+  });
+
+  it("should switch to a session that is written to", () => {
+    const follower = createFollower({ current: session("aaaaaaaa-1") });
+
+    watcher.emit("session-updated", session("bbbbbbbb-2"));
+
+    expect(switches).toHaveLength(1);
+    expect(switches[0].from.sessionId).toBe("aaaaaaaa-1");
+    expect(switches[0].to.sessionId).toBe("bbbbbbbb-2");
+    expect(follower.getCurrent().sessionId).toBe("bbbbbbbb-2");
+  });
+
+  it("should pick up the first session when none was active", () => {
+    createFollower();
+
+    watcher.emit("session-added", session("aaaaaaaa-1"));
+
+    expect(switches).toHaveLength(1);
+    expect(switches[0].from).toBe(null);
+  });
+
+  it("should stay on the current session while it keeps being written to", () => {
+    createFollower({ current: session("aaaaaaaa-1") });
+
+    watcher.emit("session-updated", session("aaaaaaaa-1"));
+    now += 1000;
+    watcher.emit("session-updated", session("bbbbbbbb-2"));
+    expect(switches).toHaveLength(0);
+
+    now += 5000;
+    watcher.emit("session-updated", session("bbbbbbbb-2"));
+    expect(switches).toHaveLength(1);
+  });
+
+  it("should ignore sessions outside the project", () => {
+    createFollower({ current: session("aaaaaaaa-1"), project: "/Users/test/app" });
+
+    watcher.emit("session-updated", session("bbbbbbbb-2", "-Users-test-other"));
+    expect(switches).toHaveLength(0);
+
+    watcher.emit("session-updated", session("cccccccc-3"));
+    expect(switches).toHaveLength(1);
+  });
+
+  it("should stop listening after detach", () => {
+    const follower = createFollower({ current: session("aaaaaaaa-1") });
+    const onSwitch = vi.fn();
+    follower.on("switch", onSwitch);
+
+    follower.detach();
+    watcher.emit("session-updated", session("bbbbbbbb-2"));
+
+    expect(onSwitch).not.toHaveBeenCalled();
+  });
+});
+
+describe("formatFollowStatus", () => {
+  it("should describe the followed session and the last switch", () => {
+    const at = new Date(2025, 0, 1, 10, 32, 15);
+
+    expect(formatFollowStatus(null)).toMatch(/waiting for a session/);
+    expect(formatFollowStatus(session("aaaaaaaa-1111"))).toBe("Following aaaaaaaa (app)");
+    expect(
+      formatFollowStatus(session("bbbbbbbb-2222"), {
+        from: session("aaaaaaaa-1111"),
+        to: session("bbbbbbbb-2222"),
+        at,
+      }),
+    ).toBe("Following bbbbbbbb (app) · switched from aaaaaaaa at 10:32:15");
+  });
+});
@@ -0,0 +1,118 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseReplaySpeed, SessionReplay } from "../src/monitor/session-replay.ts";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+
+const assistant = (timestamp, input) => ({
+  timestamp,
+  message: {
+    role: "assistant",
+    model: "claude-sonnet-4-20250514",
+    content: [{ type: "text", text: "OK" }],
+    usage: { input_tokens: input, output_tokens: 100 },
+  },
+});
+
+describe("parseReplaySpeed", () => {
+  it("should accept multipliers with or without x", () => {
+    expect(parseReplaySpeed("10x")).toBe(10);
+    expect(parseReplaySpeed("0.5X")).toBe(0.5);
+    expect(parseReplaySpeed("3")).toBe(3);
+  });
+
+  it("should reject zero, negative and non-numeric speeds", () => {
+    for (const value of ["0", "-2x", "fast", ""]) {
+      expect(() => parseReplaySpeed(value)).toThrow(/Invalid --speed/);
+    }
+  });
+});
+
+describe("SessionReplay", () => {
+  let tempDir;
+  let filePath;
+  let watcher;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-replay-"));
+    filePath = path.join(tempDir, "replay-session.jsonl");
+    const lines = [
+      JSON.stringify({ timestamp: "2025-06-01T10:00:00.000Z", message: { role: "user", content: "Hello" } }),
+      JSON.stringify(assistant("2025-06-01T10:00:20.000Z", 1000)),
+      "not json",
+      "",
+      JSON.stringify(assistant("2025-06-01T11:00:00.000Z", 3000)),
+      JSON.stringify({ message: { role: "user", content: "No timestamp" } }),
+    ];
+    await fs.writeFile(filePath, `${lines.join("\n")}\n`);
+    watcher = new SessionWatcher();
+  });
+
+  afterEach(async () => {
+    watcher.stopAll();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("should feed every line through processMessage at the original pace", async () => {
+    const sleep = vi.fn(async () => {});
+    const replay = new SessionReplay(watcher, { speed: 10, maxGapMs: 5000, sleep });
+    const events = [];
+    replay.on("message", (event) => events.push({ lines: event.lines, turns: event.sessionData.turns }));
+    const onEnd = vi.fn();
+    replay.on("end", onEnd);
+
+    const sessionData = await replay.run("replay-session", filePath);
+
+    // 20秒を10倍速で2秒、1時間の空白は maxGapMs で打ち切る
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([2000, 5000]);
+    expect(events).toEqual([
+      { lines: 1, turns: 0 },
+      { lines: 2, turns: 1 },
+      { lines: 3, turns: 2 },
+      { lines: 4, turns: 2 },
+    ]);
+    expect(sessionData.sessionId).toBe("replay-session");
+    expect(sessionData.model).toBe("claude-sonnet-4-20250514");
+    expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ lines: 4 }));
+  });
+
+  it("should give the same totals as reading the transcript at once", async () => {
+    const replay = new SessionReplay(watcher, { sleep: async () => {} });
+    const replayed = await replay.run("replay-session", filePath);
+
+    await watcher.readExistingData("replay-session", filePath, false);
+    const read = watcher.getSessionData("replay-session");
+
+    expect(replayed.totalTokens).toBe(read.totalTokens);
+    expect(replayed.totalCost).toBe(read.totalCost);
+    expect(replayed.turns).toBe(read.turns);
+    expect(replayed.latestPrompt).toBe(read.latestPrompt);
+  });
+
+  it("should replay lines that do not fit in one read", async () => {
+    const long = assistant("2025-06-01T10:00:01.000Z", 2000);
+    long.message.content[0].text = "x".repeat(1.5 * 1024 * 1024);
+    const lines = [JSON.stringify(assistant("2025-06-01T10:00:00.000Z", 1000)), JSON.stringify(long)];
+    await fs.writeFile(filePath, `${lines.join("\n")}\n`);
+
+    const replay = new SessionReplay(watcher, { sleep: async () => {} });
+    const onMessage = vi.fn();
+    replay.on("message", onMessage);
+
+    const sessionData = await replay.run("replay-session", filePath);
+
+    expect(onMessage).toHaveBeenCalledTimes(2);
+    expect(sessionData.turns).toBe(2);
+  });
+
+  it("should stop before the next line", async () => {
+    const replay = new SessionReplay(watcher, { sleep: async () => replay.stop() });
+    const onMessage = vi.fn();
+    replay.on("message", onMessage);
+
+    await replay.run("replay-session", filePath);
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+  });
+});
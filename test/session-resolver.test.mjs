@@ -0,0 +1,104 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { encodeProjectPath } from "../src/monitor/project-path.ts";
+import { getShortIds, resolveSession } from "../src/monitor/session-resolver.ts";
+
+describe("session-resolver", () => {
+  describe("getShortIds", () => {
+    it("should keep 8 characters unless a longer prefix is needed to stay unique", () => {
+      const shortIds = getShortIds([
+        "3f2a9c41-0000-4000-8000-000000000001",
+        "3f2a9c41-1111-4000-8000-000000000002",
+        "b7e01d55-2222-4000-8000-000000000003",
+      ]);
+
+      expect(shortIds.get("3f2a9c41-0000-4000-8000-000000000001")).toBe("3f2a9c41-0");
+      expect(shortIds.get("3f2a9c41-1111-4000-8000-000000000002")).toBe("3f2a9c41-1");
+      expect(shortIds.get("b7e01d55-2222-4000-8000-000000000003")).toBe("b7e01d55");
+    });
+
+    it("should keep ids shorter than the minimum as they are", () => {
+      expect(getShortIds(["abc"]).get("abc")).toBe("abc");
+    });
+  });
+
+  describe("resolveSession", () => {
+    let tempDir;
+    let sessions;
+
+    const entry = (projectPath, sessionId) => ({
+      sessionId,
+      filePath: path.join(tempDir, ".claude", "projects", encodeProjectPath(projectPath), `${sessionId}.jsonl`),
+    });
+
+    beforeEach(async () => {
+      tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-session-resolver-")));
+      for (const dir of ["work/api", "work/web", "other/api"]) {
+        await fs.mkdir(path.join(tempDir, dir), { recursive: true });
+      }
+
+      // 最終更新の新しい順
+      sessions = [
+        entry(path.join(tempDir, "work/web"), "b7e01d55-2222-4000-8000-000000000003"),
+        entry(path.join(tempDir, "work/api"), "3f2a9c41-1111-4000-8000-000000000002"),
+        entry(path.join(tempDir, "work/api"), "3f2a9c41-0000-4000-8000-000000000001"),
+        entry(path.join(tempDir, "other/api"), "c9d8e7f6-3333-4000-8000-000000000004"),
+      ];
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const resolve = (identifier) => resolveSession(identifier, sessions).sessionId;
+
+    it("should keep accepting numbers from the list", () => {
+      expect(resolve("2")).toBe("3f2a9c41-1111-4000-8000-000000000002");
+      expect(() => resolve("5")).toThrow("Invalid session number: 5. Valid range is 1-4");
+      expect(() => resolve("0")).toThrow("Invalid session number: 0");
+    });
+
+    it("should accept full ids and unique prefixes", () => {
+      expect(resolve("3f2a9c41-0000-4000-8000-000000000001")).toBe("3f2a9c41-0000-4000-8000-000000000001");
+      expect(resolve("B7E0")).toBe("b7e01d55-2222-4000-8000-000000000003");
+      expect(resolve("3f2a9c41-1")).toBe("3f2a9c41-1111-4000-8000-000000000002");
+    });
+
+    it("should report ambiguous id prefixes with the short ids to use", () => {
+      expect(() => resolve("3f2a")).toThrow("Ambiguous session id: 3f2a matches 3f2a9c41-1, 3f2a9c41-0");
+    });
+
+    it("should treat long digit strings as id prefixes", () => {
+      sessions.push(entry(path.join(tempDir, "work/web"), "12345678-4444-4000-8000-000000000005"));
+      expect(resolve("12345678")).toBe("12345678-4444-4000-8000-000000000005");
+    });
+
+    it("should resolve latest and latest@<project>", () => {
+      expect(resolve("latest")).toBe("b7e01d55-2222-4000-8000-000000000003");
+      expect(resolve("latest@web")).toBe("b7e01d55-2222-4000-8000-000000000003");
+      expect(resolve(`latest@${path.join(tempDir, "work/api")}`)).toBe("3f2a9c41-1111-4000-8000-000000000002");
+      expect(() => resolve("latest@mobile")).toThrow("No sessions found for project: mobile");
+      expect(() => resolveSession("latest", [])).toThrow("No Claude Code sessions found.");
+    });
+
+    it("should resolve a project name to its latest session", () => {
+      expect(resolve("web")).toBe("b7e01d55-2222-4000-8000-000000000003");
+    });
+
+    it("should reject project names shared by several projects", () => {
+      expect(() => resolve("api")).toThrow(/Ambiguous project: api matches .*work\/api, .*other\/api/);
+      expect(() => resolve("latest@api")).toThrow(/Ambiguous project/);
+    });
+
+    it("should reject names that match both an id prefix and a project", () => {
+      sessions.push(entry(path.join(tempDir, "work/b7e0"), "e1e1e1e1-5555-4000-8000-000000000006"));
+      expect(() => resolve("b7e0")).toThrow("Ambiguous session: b7e0 matches both session ids and a project name");
+    });
+
+    it("should explain the accepted forms when nothing matches", () => {
+      expect(() => resolve("nothing")).toThrow(/Session not found: nothing\. Use a number from the list/);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it } from "vitest";
+import { ContextTracker } from "../src/monitor/context-tracker.ts";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+import { getSubagentSummaries, recordSidechainMessage } from "../src/monitor/sidechain.ts";
+
+function createSession() {
+  return { sessionId: "main", model: "unknown", messages: [], totalTokens: 0, turns: 0 };
+}
+
+function sidechain(uuid, parentUuid, message, extra = {}) {
+  return { uuid, parentUuid, isSidechain: true, message, ...extra };
+}
+
+const usage = { input_tokens: 100, output_tokens: 50, cache_read_input_tokens: 1000 };
+
+describe("sidechain", () => {
+  describe("recordSidechainMessage", () => {
+    it("should group messages of one subagent by following parentUuid", () => {
+      const session = createSession();
+
+      recordSidechainMessage(session, sidechain("a1", null, { role: "user", content: "Search the codebase" }));
+      recordSidechainMessage(
+        session,
+        sidechain("a2", "a1", { role: "assistant", model: "claude-sonnet-4-20250514", content: [], usage }),
+      );
+      recordSidechainMessage(session, sidechain("a3", "a2", { role: "assistant", content: [], usage }));
+
+      expect(Object.keys(session.sidechains)).toEqual(["a1"]);
+      const subagent = session.sidechains.a1;
+      expect(subagent.label).toBe("Search the codebase");
+      expect(subagent.turns).toBe(2);
+      expect(subagent.inputTokens).toBe(200);
+      expect(subagent.outputTokens).toBe(100);
+      expect(subagent.cacheReadTokens).toBe(2000);
+      expect(subagent.contextTokens).toBe(1150);
+      expect(subagent.totalCost).toBeGreaterThan(0);
+    });
+
+    it("should keep separate chains and agentIds apart", () => {
+      const session = createSession();
+
+      recordSidechainMessage(session, sidechain("a1", null, { role: "user", content: "First task" }));
+      recordSidechainMessage(session, sidechain("b1", null, { role: "user", content: "Second task" }));
+      recordSidechainMessage(session, sidechain("b2", "b1", { role: "assistant", content: [], usage }));
+      recordSidechainMessage(
+        session,
+        sidechain("c1", "unrelated", { role: "assistant", content: [], usage }, { agentId: "agent-42" }),
+      );
+
+      expect(Object.keys(session.sidechains)).toEqual(["a1", "b1", "agent-42"]);
+      expect(session.sidechains.b1.turns).toBe(1);
+      expect(session.sidechains["agent-42"].turns).toBe(1);
+    });
+  });
+
+  describe("getSubagentSummaries", () => {
+    it("should summarize subagents that produced at least one turn", () => {
+      const session = createSession();
+      recordSidechainMessage(session, sidechain("a1", null, { role: "user", content: "Only a prompt" }));
+      recordSidechainMessage(session, sidechain("b1", null, { role: "user", content: "Review\n  the   diff" }));
+      recordSidechainMessage(
+        session,
+        sidechain("b2", "b1", { role: "assistant", model: "claude-sonnet-4-20250514", content: [], usage }),
+      );
+
+      const summaries = getSubagentSummaries(session.sidechains);
+
+      expect(summaries).toHaveLength(1);
+      expect(summaries[0]).toMatchObject({
+        id: "b1",
+        label: "Review the diff",
+        modelName: "Claude Sonnet 4",
+        turns: 1,
+        totalTokens: 1150,
+        contextTokens: 1150,
+      });
+    });
+  });
+
+  describe("SessionWatcher and ContextTracker", () => {
+    it("should keep sidechain usage out of the main context window", () => {
+      const watcher = new SessionWatcher();
+      const session = createSession();
+
+      try {
+        watcher.processMessage(session, {
+          uuid: "m1",
+          message: { role: "user", content: "Use a subagent to find the bug" },
+        });
+        watcher.processMessage(session, {
+          uuid: "m2",
+          parentUuid: "m1",
+          message: {
+            role: "assistant",
+            model: "claude-opus-4-1-20250805",
+            content: [],
+            usage: { input_tokens: 10, output_tokens: 20, cache_read_input_tokens: 30_000 },
+          },
+        });
+        watcher.processMessage(session, sidechain("s1", null, { role: "user", content: "Find the bug" }));
+        watcher.processMessage(
+          session,
+          sidechain("s2", "s1", {
+            role: "assistant",
+            model: "claude-sonnet-4-20250514",
+            content: [],
+            usage: { input_tokens: 5, output_tokens: 500, cache_read_input_tokens: 90_000 },
+          }),
+        );
+      } finally {
+        watcher.stopAll();
+      }
+
+      expect(session.totalTokens).toBe(30_030);
+      expect(session.turns).toBe(1);
+      expect(session.model).toBe("claude-opus-4-1-20250805");
+      expect(session.latestPrompt).toBe("Use a subagent to find the bug");
+      expect(session.messages).toHaveLength(2);
+
+      const info = new ContextTracker().updateSession(session);
+      expect(info.totalTokens).toBe(30_030);
+      expect(info.turns).toBe(1);
+      expect(info.subagents).toHaveLength(1);
+      expect(info.subagents[0]).toMatchObject({ label: "Find the bug", turns: 1, totalTokens: 90_505 });
+      // コストはサブエージェント分を含み、その内訳を subagentCost に返す
+      const mainOnly = new ContextTracker().updateSession({ ...session, sidechains: undefined });
+      expect(info.subagentCost).toBeCloseTo(info.subagents[0].totalCost, 10);
+      expect(info.totalCost).toBeCloseTo(mainOnly.totalCost + info.subagents[0].totalCost, 10);
+    });
+  });
+});
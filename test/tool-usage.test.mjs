@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { SessionWatcher } from "../src/monitor/session-watcher.ts";
+import {
+  attributeTokenGrowth,
+  getTopToolConsumers,
+  recordToolResults,
+  recordToolUses,
+} from "../src/monitor/tool-usage.ts";
+
+function createSession() {
+  return { sessionId: "tools", model: "claude-sonnet-4-20250514", messages: [], totalTokens: 0, turns: 0 };
+}
+
+function toolUse(id, name, input = {}) {
+  return { type: "tool_use", id, name, input };
+}
+
+function toolResult(toolUseId, content) {
+  return { type: "tool_result", tool_use_id: toolUseId, content };
+}
+
+describe("tool-usage", () => {
+  describe("recordToolUses / recordToolResults", () => {
+    it("should count calls and match results to tool names by id", () => {
+      const session = createSession();
+
+      recordToolUses(session, [{ type: "text", text: "Reading" }, toolUse("t1", "Read"), toolUse("t2", "Bash")]);
+      recordToolResults(session, [toolResult("t2", "ok"), toolResult("t1", [{ type: "text", text: "file body" }])]);
+
+      expect(session.toolUsage).toEqual({ Read: { calls: 1, tokens: 0 }, Bash: { calls: 1, tokens: 0 } });
+      expect(session.pendingToolResults).toEqual([
+        { name: "Bash", size: 2 },
+        { name: "Read", size: 9 },
+      ]);
+      expect(session.pendingToolUses.size).toBe(0);
+    });
+
+    it("should attribute results without a matching tool_use to unknown", () => {
+      const session = createSession();
+
+      recordToolResults(session, [toolResult("missing", "data")]);
+
+      expect(session.pendingToolResults).toEqual([{ name: "unknown", size: 4 }]);
+    });
+  });
+
+  describe("attributeTokenGrowth", () => {
+    it("should split growth across pending results by size", () => {
+      const session = createSession();
+      recordToolUses(session, [toolUse("t1", "Read"), toolUse("t2", "Grep")]);
+      recordToolResults(session, [toolResult("t1", "x".repeat(300)), toolResult("t2", "x".repeat(100))]);
+
+      attributeTokenGrowth(session, 1001);
+
+      expect(session.toolUsage.Read.tokens).toBe(751);
+      expect(session.toolUsage.Grep.tokens).toBe(250);
+      expect(session.pendingToolResults).toEqual([]);
+    });
+
+    it("should ignore shrinking context but still clear pending results", () => {
+      const session = createSession();
+      recordToolUses(session, [toolUse("t1", "Read")]);
+      recordToolResults(session, [toolResult("t1", "data")]);
+
+      attributeTokenGrowth(session, -500);
+
+      expect(session.toolUsage.Read.tokens).toBe(0);
+      expect(session.pendingToolResults).toEqual([]);
+    });
+
+    it("should do nothing when no tool results are pending", () => {
+      const session = createSession();
+
+      attributeTokenGrowth(session, 1000);
+
+      expect(session.toolUsage).toBeUndefined();
+    });
+  });
+
+  describe("getTopToolConsumers", () => {
+    it("should sort by tokens, drop tools without tokens and apply the limit", () => {
+      const toolUsage = {
+        Read: { calls: 4, tokens: 50_000 },
+        Bash: { calls: 2, tokens: 10_000 },
+        mcp__github__get_issue: { calls: 1, tokens: 20_000 },
+        TodoWrite: { calls: 3, tokens: 0 },
+      };
+
+      const top = getTopToolConsumers(toolUsage, 200_000, 2);
+
+      expect(top).toEqual([
+        { name: "Read", calls: 4, tokens: 50_000, percentage: 25 },
+        { name: "mcp__github__get_issue", calls: 1, tokens: 20_000, percentage: 10 },
+      ]);
+    });
+
+    it("should return an empty list without usage data", () => {
+      expect(getTopToolConsumers(undefined, 200_000)).toEqual([]);
+    });
+  });
+
+  describe("SessionWatcher integration", () => {
+    it("should attribute the next turn's context growth to the tool that produced the result", () => {
+      const watcher = new SessionWatcher();
+      const session = createSession();
+      const usage = (input, cacheRead) => ({
+        input_tokens: input,
+        output_tokens: 50,
+        cache_read_input_tokens: cacheRead,
+      });
+
+      try {
+        watcher.processMessage(session, { message: { role: "user", content: "Look at main.ts" } });
+        watcher.processMessage(session, {
+          message: {
+            role: "assistant",
+            content: [toolUse("toolu_1", "Read", { file_path: "/src/main.ts" })],
+            usage: usage(10, 20_000),
+          },
+        });
+        watcher.processMessage(session, {
+          message: { role: "user", content: [toolResult("toolu_1", "x".repeat(120_000))] },
+        });
+        watcher.processMessage(session, {
+          message: {
+            role: "assistant",
+            content: [toolUse("toolu_2", "Bash", { command: "ls" })],
+            usage: usage(10, 50_000),
+          },
+        });
+        watcher.processMessage(session, {
+          message: { role: "user", content: [toolResult("toolu_2", "a.ts\nb.ts")] },
+        });
+        watcher.processMessage(session, {
+          message: { role: "assistant", content: [{ type: "text", text: "Done" }], usage: usage(10, 50_100) },
+        });
+      } finally {
+        watcher.stopAll();
+      }
+
+      expect(session.toolUsage.Read).toEqual({ calls: 1, tokens: 30_000 });
+      expect(session.toolUsage.Bash).toEqual({ calls: 1, tokens: 100 });
+      // ツール結果のユーザーメッセージは最新プロンプトを上書きしない
+      expect(session.latestPrompt).toBe("Look at main.ts");
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, expect, it } from "vitest";
+import { calculateCostBreakdown, calculateMessageCost, PRICING } from "../src/monitor/model-config.ts";
 import { UsageCalculator } from "../src/monitor/usage-calculator.ts";
 
 describe("UsageCalculator", () => {
@@ -205,6 +206,49 @@ describe("UsageCalculator", () => {
     expect(result.totalTokens).toBe(10000); // cache included in total
   });
 
+  it("should bill cache writes at 1.25x input by default", () => {
+    const calculator = new UsageCalculator();
+
+    const usage = {
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_creation_input_tokens: 10000,
+    };
+
+    const result = calculator.calculateCost(usage, "claude-3-5-sonnet-20241022");
+
+    // Cache write cost: 10000 / 1M * $3.75 = 0.0375
+    expect(result.inputCost).toBeCloseTo(0.0375, 10);
+    expect(result.totalCost).toBeCloseTo(0.0375, 10);
+  });
+
+  it("should bill 1-hour cache writes at 2x input using the cache_creation breakdown", () => {
+    const usage = {
+      input_tokens: 100,
+      output_tokens: 0,
+      cache_creation_input_tokens: 3000,
+      cache_creation: { ephemeral_5m_input_tokens: 1000, ephemeral_1h_input_tokens: 2000 },
+      cache_read_input_tokens: 10000,
+    };
+
+    const breakdown = calculateCostBreakdown("claude-opus-4-6", usage);
+
+    // Opus 4.6: $5 input, $6.25 5m write, $10 1h write, $0.50 read
+    expect(breakdown.inputCost).toBeCloseTo(0.0005, 10);
+    expect(breakdown.cacheWriteCost).toBeCloseTo(0.00625 + 0.02, 10);
+    expect(breakdown.cacheReadCost).toBeCloseTo(0.005, 10);
+    expect(calculateMessageCost("claude-opus-4-6", usage)).toBeCloseTo(0.03175, 10);
+    expect(new UsageCalculator().calculateCost(usage, "claude-opus-4-6").totalCost).toBeCloseTo(0.03175, 10);
+  });
+
+  it("should define cache pricing for every model", () => {
+    for (const [model, pricing] of Object.entries(PRICING)) {
+      expect(pricing.cacheWrite5m, model).toBeGreaterThan(pricing.input);
+      expect(pricing.cacheWrite1h, model).toBeGreaterThan(pricing.cacheWrite5m);
+      expect(pricing.cacheRead, model).toBeLessThan(pricing.input);
+    }
+  });
+
   it("should calculate session totals correctly", () => {
     const calculator = new UsageCalculator();
 
@@ -335,6 +379,27 @@ describe("UsageCalculator", () => {
     expect(result.turns).toBe(1);
   });
 
+  describe("Repeated responses", () => {
+    it("should count a response written over several lines once", () => {
+      const calculator = new UsageCalculator();
+      const usage = { input_tokens: 1000, output_tokens: 100 };
+      const single = calculator.calculateSessionTotals(
+        [{ requestId: "req_1", message: { id: "msg_1", role: "assistant", content: "a", usage } }],
+        "claude-sonnet-4-20250514",
+      );
+      const split = calculator.calculateSessionTotals(
+        [
+          { requestId: "req_1", message: { id: "msg_1", role: "assistant", content: "a", usage } },
+          { requestId: "req_1", message: { id: "msg_1", role: "assistant", content: "b", usage } },
+        ],
+        "claude-sonnet-4-20250514",
+      );
+
+      expect(split).toEqual(single);
+      expect(split.turns).toBe(1);
+    });
+  });
+
   describe("Additional Edge Cases", () => {
     it("should handle all Claude model pricing correctly", () => {
       const calculator = new UsageCalculator();
@@ -0,0 +1,226 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { readJsonLines, readLines } from "../../src/utils/jsonl-reader.ts";
+
+// 複数バイト文字を含むメッセージを大量に生成する
+function generateMessages(count) {
+  const messages = [];
+  for (let i = 0; i < count; i++) {
+    messages.push({
+      timestamp: new Date(Date.UTC(2025, 0, 1, 0, 0, i)).toISOString(),
+      message: {
+        role: i % 2 === 0 ? "user" : "assistant",
+        content: `メッセージ ${i} 🚀 ${"コンテキスト".repeat(i % 50)}`,
+        usage: { input_tokens: i, output_tokens: i * 2 },
+      },
+    });
+  }
+  return messages;
+}
+
+function toJsonl(messages) {
+  return `${messages.map((message) => JSON.stringify(message)).join("\n")}\n`;
+}
+
+describe("jsonl-reader", () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "cccontext-jsonl-reader-"));
+    filePath = path.join(tempDir, "session.jsonl");
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("readJsonLines", () => {
+    it("should stream a multi-megabyte transcript with chunk boundaries inside multi-byte characters", async () => {
+      const messages = generateMessages(20000);
+      const content = toJsonl(messages);
+      await fs.writeFile(filePath, content);
+      const size = Buffer.byteLength(content);
+      expect(size).toBeGreaterThan(2 * 1024 * 1024);
+
+      const streamed = [];
+      // 奇数のチャンクサイズで、絵文字や日本語の途中でチャンクが切れるようにする
+      const offset = await readJsonLines(filePath, (data) => streamed.push(data), {
+        fastPathMaxBytes: 0,
+        chunkSize: 4093,
+      });
+
+      expect(offset).toBe(size);
+      expect(streamed).toEqual(messages);
+    });
+
+    it("should produce identical results on the fast path and the streaming path", async () => {
+      const content = toJsonl(generateMessages(2000));
+      await fs.writeFile(filePath, content);
+
+      const fast = [];
+      const streamed = [];
+      const fastOffset = await readJsonLines(filePath, (data) => fast.push(data));
+      const streamedOffset = await readJsonLines(filePath, (data) => streamed.push(data), {
+        fastPathMaxBytes: 0,
+        chunkSize: 7,
+      });
+
+      expect(fast).toEqual(streamed);
+      expect(fastOffset).toBe(streamedOffset);
+    });
+
+    it("should isolate invalid UTF-8 and invalid JSON to their own lines", async () => {
+      const good1 = Buffer.from(`${JSON.stringify({ n: 1, text: "日本語" })}\n`);
+      const broken = Buffer.concat([Buffer.from('{"n": 2, "text": "'), Buffer.from([0xe6, 0x97]), Buffer.from('"}\n')]);
+      const garbage = Buffer.from("not json\n");
+      const good2 = Buffer.from(`${JSON.stringify({ n: 3, text: "✓" })}\n`);
+      await fs.writeFile(filePath, Buffer.concat([good1, broken, garbage, good2]));
+
+      for (const options of [{}, { fastPathMaxBytes: 0, chunkSize: 3 }]) {
+        const seen = [];
+        await readJsonLines(filePath, (data) => seen.push(data), options);
+
+        expect(seen.map((data) => data.n)).toEqual([1, 2, 3]);
+        expect(seen[0].text).toBe("日本語");
+        expect(seen[1].text).toBe("�"); // 壊れたシーケンスは置換文字になり、前後の行には影響しない
+        expect(seen[2].text).toBe("✓");
+      }
+    });
+
+    it("should resume from a byte offset", async () => {
+      const messages = generateMessages(10);
+      const head = toJsonl(messages.slice(0, 4));
+      await fs.writeFile(filePath, `${head}${toJsonl(messages.slice(4))}`);
+
+      const seen = [];
+      await readJsonLines(filePath, (data) => seen.push(data), { start: Buffer.byteLength(head) });
+
+      expect(seen).toEqual(messages.slice(4));
+    });
+
+    it("should leave an incomplete trailing line for the next read", async () => {
+      const complete = toJsonl(generateMessages(3));
+      await fs.writeFile(filePath, `${complete}{"timestamp": "2025-01-01T00:00:`);
+
+      const seen = [];
+      const offset = await readJsonLines(filePath, (data) => seen.push(data), { fastPathMaxBytes: 0, chunkSize: 16 });
+
+      expect(seen).toHaveLength(3);
+      expect(offset).toBe(Buffer.byteLength(complete));
+    });
+
+    it("should consume a complete trailing line without a newline", async () => {
+      const content = toJsonl(generateMessages(3)).trimEnd();
+      await fs.writeFile(filePath, content);
+
+      const seen = [];
+      const offset = await readJsonLines(filePath, (data) => seen.push(data));
+
+      expect(seen).toHaveLength(3);
+      expect(offset).toBe(Buffer.byteLength(content));
+    });
+  });
+
+  describe("readLines", () => {
+    it("should report the offset after the last newline and the undecoded tail", async () => {
+      await fs.writeFile(filePath, "a\nbb\nccc");
+
+      const lines = [];
+      const result = await readLines(filePath, (line) => lines.push(line));
+
+      expect(lines).toEqual(["a", "bb"]);
+      expect(result).toEqual({ offset: 5, tail: "ccc", end: 8 });
+    });
+
+    it("should stop at the end offset", async () => {
+      await fs.writeFile(filePath, "a\nbb\nccc\n");
+
+      const lines = [];
+      const result = await readLines(filePath, (line) => lines.push(line), { start: 2, end: 5 });
+
+      expect(lines).toEqual(["bb"]);
+      expect(result.offset).toBe(5);
+    });
+
+    it("should skip overlong lines in a huge range without buffering them", async () => {
+      const long = "x".repeat(1000);
+      await fs.writeFile(filePath, `a\n${long}\nbb\n${long}`);
+
+      const lines = [];
+      const options = { hugeFileBytes: 100, maxLineBytes: 100, fastPathMaxBytes: 0, chunkSize: 64 };
+      const result = await readLines(filePath, (line) => lines.push(line), options);
+
+      expect(lines).toEqual(["a", "bb"]);
+      // 書き込み途中かもしれない末尾の長い行は消費しない
+      expect(result).toEqual({ offset: 1006, tail: "", end: 2006 });
+    });
+
+    it("should keep the usage of an overlong assistant line in a huge range", async () => {
+      const usage = { input_tokens: 1200, output_tokens: 300, cache_read_input_tokens: 50 };
+      const line = (input) => ({
+        parentUuid: "p-1",
+        isSidechain: false,
+        cwd: "/work/api",
+        message: {
+          id: "msg_1",
+          type: "message",
+          role: "assistant",
+          model: "claude-sonnet-4-20250514",
+          content: [{ type: "tool_use", id: "toolu_1", name: "Write", input }],
+          stop_reason: "tool_use",
+          usage,
+        },
+        requestId: "req_1",
+        type: "assistant",
+        uuid: "u-1",
+        timestamp: "2025-06-01T10:00:00.000Z",
+      });
+      // 本文中の "usage":{ や "role":"assistant" は文字列の中なので拾わない
+      const input = { content: `${"x".repeat(2000)}"usage":{"input_tokens":1}${"y".repeat(2000)}` };
+      await fs.writeFile(filePath, `${JSON.stringify(line(input))}\n`);
+
+      // ストリーム読み (64 バイトずつ) と一括読みの両方
+      for (const read of [{ fastPathMaxBytes: 0, chunkSize: 64 }, {}]) {
+        const messages = [];
+        const options = { hugeFileBytes: 100, maxLineBytes: 1000, ...read };
+        const offset = await readJsonLines(filePath, (data) => messages.push(data), options);
+
+        expect(messages).toEqual([
+          {
+            parentUuid: "p-1",
+            isSidechain: false,
+            cwd: "/work/api",
+            message: { id: "msg_1", role: "assistant", model: "claude-sonnet-4-20250514", content: [], usage },
+            requestId: "req_1",
+            uuid: "u-1",
+            timestamp: "2025-06-01T10:00:00.000Z",
+          },
+        ]);
+        expect(offset).toBe((await fs.stat(filePath)).size);
+      }
+    });
+
+    it("should keep long lines when the range is not huge", async () => {
+      const long = "x".repeat(1000);
+      await fs.writeFile(filePath, `a\n${long}\n`);
+
+      const lines = [];
+      await readLines(filePath, (line) => lines.push(line), { maxLineBytes: 100, fastPathMaxBytes: 0, chunkSize: 64 });
+
+      expect(lines).toEqual(["a", long]);
+    });
+
+    it("should return the start offset for an empty range", async () => {
+      await fs.writeFile(filePath, "a\n");
+
+      const lines = [];
+      const result = await readLines(filePath, (line) => lines.push(line), { start: 2 });
+
+      expect(lines).toEqual([]);
+      expect(result).toEqual({ offset: 2, tail: "", end: 2 });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { bucketize, renderMarkers, renderSparkline } from "../../src/utils/sparkline.ts";
+
+describe("sparkline", () => {
+  describe("bucketize", () => {
+    it("should keep one point per column when the series fits", () => {
+      expect(bucketize([1, 2, 3], 10)).toEqual([[1], [2], [3]]);
+    });
+
+    it("should merge consecutive points when the series is wider than the chart", () => {
+      expect(bucketize([1, 2, 3, 4, 5, 6], 3)).toEqual([
+        [1, 2],
+        [3, 4],
+        [5, 6],
+      ]);
+      expect(bucketize([1, 2, 3], 0)).toEqual([]);
+    });
+  });
+
+  describe("renderSparkline", () => {
+    it("should scale values to the block characters", () => {
+      expect(renderSparkline([0, 1, 4, 8], { width: 10 })).toBe(" ▁▄█");
+    });
+
+    it("should scale against a fixed maximum and clamp values above it", () => {
+      expect(renderSparkline([50, 100, 200], { width: 10, max: 100 })).toBe("▄██");
+    });
+
+    it("should show the peak of each merged column", () => {
+      expect(renderSparkline([1, 8, 1, 1], { width: 2 })).toBe("█▁");
+    });
+
+    it("should render nothing for an empty series", () => {
+      expect(renderSparkline([], { width: 10 })).toBe("");
+    });
+  });
+
+  describe("renderMarkers", () => {
+    it("should mark the columns that contain a flagged point", () => {
+      expect(renderMarkers([false, true, false, false], 10)).toBe(" ^");
+      expect(renderMarkers([false, false, false, true], 2, "↓")).toBe(" ↓");
+    });
+  });
+});